@@ -6,8 +6,12 @@ import { performanceMonitor } from './performanceMonitor.js';
 import { Player } from './player.js';
 import {
     initializeUIManager, setPlayer as setUiPlayer, showCharacterSelection, hideCharacterSelection,
-    showGameOver, hideGameOver, updateUI, showPlanetInfo, hidePlanetInfo,
-    closeUpgradesScreen, closeLegendScreen, showMessage, openUpgradesScreen, openLegendScreen
+    showGameOver, hideGameOver, updateUI, showPlanetInfo, hidePlanetInfo, setEmpires as setUiEmpires,
+    closeUpgradesScreen, closeLegendScreen, showMessage, openUpgradesScreen, openLegendScreen, updateEconomyLedger,
+    openSavesScreen, closeSavesScreen, updateSavesScreen, openBuildingsScreen, closeBuildingsScreen, updateBuildingsScreen,
+    setResearchTree as setUiResearchTree, openResearchScreen, closeResearchScreen, updateResearchScreen, updateAbilityBar,
+    openSkillsScreen, closeSkillsScreen, updateSkillsScreen, showInventory, closeInventory, updateInventoryScreen,
+    updateTargetingHud, updateShieldBar
 } from './uiManager.js';
 import { initAudioPool, playSound, ensureAudioExists } from './audioManager.js';
 import { getMovementState, disposeControls, initializeControls } from './playerControls.js';
@@ -16,7 +20,36 @@ import { TerrainGenerator } from './planet/TerrainGenerator.js';
 import { SpaceCombat } from './combat/SpaceCombat.js';
 import { GroundCombat } from './combat/GroundCombat.js';
 import { UniverseGenerator } from './universe.js';
-import { GAME_MODES, UI_ELEMENTS, PERFORMANCE, PHYSICS, MAX_PROJECTILES } from './constants.js';
+import { RACE_DEFINITIONS } from './races.js';
+import { rollLoot } from './loot.js';
+import { PickupManager } from './pickups.js';
+import { FLIGHT_PROFILES } from './flightModel.js';
+import { applyStatus, getStatusDefinition, PLANET_HAZARDS } from './statusEffects.js';
+import {
+    getConquestState, getDefensePercent, beginSiege, applySiegeResult, applyGroundAssaultResult, updateConquest,
+    getSiegeDifficulty, getGroundAssaultDifficulty, hasGuardian, defeatGuardian
+} from './conquest.js';
+import { CAPITAL_SHIP } from './combat/capitalShips.js';
+import { createRivalEmpires, loadRivalEmpires } from './rivalEmpire.js';
+import {
+    updateLoyalty, triggerRebellion, reinforceGarrison, bombardGarrison, getReinforcementSize, getGarrisonCost
+} from './garrison.js';
+import {
+    BUILDING_DEFINITIONS, canQueueBuilding, queueBuilding, cancelConstruction, updateConstruction, getEmpireUnlocks
+} from './buildings.js';
+import {
+    loadResearchTree, parseResearchTree, canStartResearch, startResearch, updateResearch, getResearchNode,
+    getResearchUnlocks, getUpgradeMaxLevel
+} from './research.js';
+import { runEconomyTick, getUpgradeCost, formatResources } from './economy.js';
+import {
+    saveGame, loadGame, deleteSave, listSaves, getLatestSave, exportSave, parseSaveFile, AUTOSAVE_SLOT
+} from './saveManager.js';
+import {
+    GAME_MODES, UI_ELEMENTS, PERFORMANCE, PHYSICS, MAX_PROJECTILES, BODY_TYPES, CONQUEST_STAGES,
+    PLAYER_EMPIRE, RIVALS, RESOURCE_TYPES, ECONOMY, LOYALTY, BUILDINGS, BUILDING_TYPES, RESEARCH, KEYS,
+    EXPERIENCE, STATUS, PLAYER, SPACE_AI, CAPITAL_SHIPS
+} from './constants.js';
 
 /**
  * Integrazione centrale del gioco (Orchestratore)
@@ -28,6 +61,7 @@ export class GameIntegration {
             debug: false,
             quality: 'normal',
             initialMode: GAME_MODES.SPACE,
+            seed: null,
             ...options
         };
 
@@ -38,6 +72,8 @@ export class GameIntegration {
         this.renderer = null;
         this.clock = null;
         this.composer = null;
+        this.bloomPass = null;
+        this.baseBloomStrength = 0; // Intensità del bloom senza trasformazioni
         this.pointerLockControls = null;
 
         // Stato di gioco
@@ -47,15 +83,32 @@ export class GameIntegration {
             gameTime: 0,
             isGameOver: false,
             isPaused: false,
+            seed: null,
             activePlanet: null,
+            activeBody: null, // Luna, stazione o fascia di asteroidi selezionata
             activeSystem: null,
+            activeRoute: null,
+            conquestTarget: null, // Pianeta o corpo sotto assedio/assalto nel combattimento in corso
+            guardianEncounters: {}, // Tempo di gioco dell'ultimo incontro con la nave capitale, per pianeta
+            economyTimer: 0,
+            economyTick: 0,
+            ledger: null, // Bilancio dell'ultimo ciclo economico
+            buildingsPlanet: null, // Dominio mostrato nella schermata edifici
+            buildingsRefreshTimer: 0,
+            researchRefreshTimer: 0,
+            hazardTimer: 0, // Secondi dall'ultima esposizione ai pericoli del pianeta
             systems: [],
             planets: [],
+            bodies: [],
             uiState: {
                 inventoryOpen: false,
                 mapOpen: false,
                 upgradesOpen: false,
-                legendOpen: false
+                legendOpen: false,
+                savesOpen: false,
+                buildingsOpen: false,
+                researchOpen: false,
+                skillsOpen: false
             }
         };
 
@@ -67,14 +120,19 @@ export class GameIntegration {
         this.spaceCombat = null;
         this.groundCombat = null;
         this.universeGenerator = null;
+        this.rivalEmpires = [];
+        this.researchTree = null;
+        this.researchUnlocks = null; // Sblocchi della ricerca completata (getResearchUnlocks)
 
         // Projectiles & Combat related
         this.activeProjectiles = [];
         this.projectilePool = [];
         this.activeEnemies = [];
+        this.pickups = null; // Bottino lasciato dai nemici (PickupManager)
         this.collisionCache = new Map();
         this.lastPhysicsUpdate = 0;
         this.lastFrustumCheck = 0;
+        this.cameraEuler = new THREE.Euler(0, 0, 0, 'YXZ'); // Per applicare il rollio della nave
 
         // Debug
         this.stats = null;
@@ -99,6 +157,8 @@ export class GameIntegration {
             this.camera = setupResult.camera;
             this.renderer = setupResult.renderer;
             this.composer = setupResult.composer;
+            this.bloomPass = setupResult.bloomPass;
+            this.baseBloomStrength = this.bloomPass?.strength ?? 0;
             this.pointerLockControls = setupResult.controls;
             this.clock = new THREE.Clock();
 
@@ -128,12 +188,43 @@ export class GameIntegration {
             ensureAudioExists('error');
             ensureAudioExists('teleport');
 
+            // 3b. Albero della ricerca (senza albero la partita resta giocabile)
+            this.researchTree = await loadResearchTree().catch(error => {
+                console.error("Error loading research tree:", error);
+                return parseResearchTree({ nodes: [] });
+            });
+            setUiResearchTree(this.researchTree);
+
             // 4. Inizializza UI Manager (con callbacks)
             initializeUIManager({
                 startGame: this.startGame.bind(this),
                 restartGame: this.restartGame.bind(this),
                 conquerPlanet: this.attemptConquerPlanet.bind(this),
-                upgrade: this.attemptUpgrade.bind(this)
+                reinforceGarrison: this.attemptReinforceGarrison.bind(this),
+                manageBuildings: this.toggleBuildingsScreen.bind(this),
+                queueBuilding: this.attemptQueueBuilding.bind(this),
+                cancelConstruction: this.attemptCancelConstruction.bind(this),
+                closeBuildings: this.toggleBuildingsScreen.bind(this),
+                startResearch: this.attemptStartResearch.bind(this),
+                closeResearch: this.toggleResearchScreen.bind(this),
+                openSkills: this.toggleSkillsScreen.bind(this),
+                learnSkill: this.attemptLearnSkill.bind(this),
+                respecSkills: this.attemptRespecSkills.bind(this),
+                closeSkills: this.toggleSkillsScreen.bind(this),
+                useItem: this.attemptUseItem.bind(this),
+                equipItem: this.attemptEquipItem.bind(this),
+                unequipItem: this.attemptUnequipItem.bind(this),
+                discardItem: this.attemptDiscardItem.bind(this),
+                closeInventory: this.toggleInventoryScreen.bind(this),
+                upgrade: this.attemptUpgrade.bind(this),
+                continueGame: this.continueGame.bind(this),
+                saveGame: this.saveToSlot.bind(this),
+                loadGame: this.loadFromSlot.bind(this),
+                deleteSave: this.deleteSaveSlot.bind(this),
+                exportSave: this.exportToFile.bind(this),
+                importSave: this.importFromFile.bind(this),
+                closeSaves: this.toggleSavesScreen.bind(this),
+                initialSeed: this.options.seed
             });
 
             // 5. Player Controls (Già inizializzati in setup.js)
@@ -152,12 +243,26 @@ export class GameIntegration {
             this.terrainGenerator = new TerrainGenerator(this.scene, this.camera);
             this.spaceCombat = new SpaceCombat(this.scene, this.camera, null);
             this.groundCombat = new GroundCombat(this.scene, this.camera);
+            this.pickups = new PickupManager(this.scene);
+            this.spaceCombat.onEnemyDestroyed = enemy => {
+                this.dropLoot(this.getEnemyType(enemy), enemy.position);
+                if (enemy.userData.capital) this.rewardCapitalShip();
+            };
+            this.spaceCombat.onCapitalShipEvent = (ship, event) => this.announceCapitalShipEvent(event);
+            this.spaceCombat.onSubsystemDestroyed = (enemy, subsystem) => {
+                showMessage(`Sottosistema distrutto: ${subsystem.name} (${enemy.userData.type})`, 'success');
+            };
+            this.spaceCombat.onStructureBombed = (enemy, structure, damage) => {
+                const result = bombardGarrison(structure, damage);
+                if (result.success) showMessage(result.message, 'warning');
+            };
+            this.groundCombat.enemies.onEnemyKilled = enemy => this.dropLoot(this.getEnemyType(enemy), enemy.position);
 
             // 7. Prepara il pool di proiettili (Logica dal vecchio main.js)
             this.initProjectilePool();
 
             // 8. Mostra selezione personaggio
-            showCharacterSelection();
+            showCharacterSelection({ canContinue: Boolean(getLatestSave()) });
 
             // 9. Imposta listener resize finestra
             window.addEventListener('resize', this.onWindowResize.bind(this));
@@ -174,8 +279,13 @@ export class GameIntegration {
 
     /**
      * Avvia il gioco dopo la selezione del personaggio
+     * @param {string} playerRace - Razza scelta dal giocatore
+     * @param {Object} settings - Impostazioni della partita scelte nella schermata iniziale
+     * @param {string|null} [settings.seed] - Seme dell'universo (ha la precedenza su quello dell'URL)
+     * @param {string} [settings.layout] - Forma della galassia (vedi GALAXY_LAYOUTS)
+     * @param {number} [settings.density] - Densità della galassia
      */
-    startGame(playerRace) {
+    startGame(playerRace, settings = {}) {
         if (!playerRace) {
             console.error("Cannot start game without a player race.");
             return;
@@ -185,28 +295,82 @@ export class GameIntegration {
 
         try {
             // 1. Crea Player e informa UI/Combat
-            this.player = new Player(playerRace);
-            this.player.createMesh();
-            setUiPlayer(this.player);
-            this.spaceCombat.player = this.player;
-            this.groundCombat.player = this.player;
+            this.createPlayer(playerRace);
 
             // 2. Genera Universo
             console.log("Generating universe...");
-            const universeData = this.universeGenerator.generateUniverse(50, 5);
+            const seed = settings.seed || this.options.seed || undefined;
+            const universeData = this.universeGenerator.generateUniverse(50, 5, {
+                seed,
+                layout: settings.layout,
+                density: settings.density
+            });
+            this.state.seed = universeData.seed;
             this.state.systems = universeData.systems;
             this.state.planets = universeData.planets;
+            this.state.bodies = universeData.bodies;
             console.log(`Universe generated: ${this.state.systems.length} systems, ${this.state.planets.length} planets`);
+            showMessage(`Seed universo: ${this.state.seed}`, 'info');
 
-            // 3. Crea Visuali Universo (stelle, pianeti, ecc.)
-            this.worldManager.createUniverseVisuals(this.state.systems, this.state.planets);
+            this.rivalEmpires = createRivalEmpires(this.universeGenerator, playerRace);
 
-            // 4. Configura la modalità di gioco iniziale
-            this.setGameMode(GAME_MODES.SPACE);
+            // 3-5. Visuali, modalità iniziale, controlli e loop
+            this.beginSession();
+            console.log("Game Started!");
 
-            // 5. Blocca controlli e avvia loop
-            if (this.pointerLockControls) {
-                // Aggiungi listener per i cambiamenti di stato del pointer lock
+        } catch (error) {
+            console.error("Error starting game:", error);
+            this.handleGameOver();
+        }
+    }
+
+    /**
+     * Crea il giocatore e lo collega a UI e sistemi di combattimento
+     * @param {string} playerRace - Razza del giocatore
+     */
+    createPlayer(playerRace) {
+        this.player = new Player(playerRace);
+        this.player.createMesh();
+        setUiPlayer(this.player);
+        this.spaceCombat.player = this.player;
+        this.groundCombat.player = this.player;
+    }
+
+    /**
+     * Avvia la sessione di gioco sull'universo corrente (nuova partita o salvataggio caricato)
+     */
+    beginSession() {
+        // 3. Crea Visuali Universo (stelle, pianeti, ecc.)
+        this.state.activeRoute = null;
+        this.state.conquestTarget = null;
+        this.state.economyTimer = 0;
+        this.state.hazardTimer = 0;
+        this.state.ledger = null;
+        this.closeBuildingsScreen();
+        this.closeResearchScreen();
+        this.closeSkillsScreen();
+        this.closeInventoryScreen();
+        this.pickups.clear();
+        this.applyResearchUnlocks();
+        this.updateTransformationBloom();
+        updateEconomyLedger(null);
+        setUiEmpires(this.rivalEmpires);
+        this.worldManager.setEmpireColors({
+            [PLAYER_EMPIRE]: RIVALS.PLAYER_COLOR,
+            ...Object.fromEntries(this.rivalEmpires.map(empire => [empire.id, empire.color]))
+        });
+        this.worldManager.createUniverseVisuals(this.state.systems, this.state.planets, this.state.bodies);
+        this.state.planets
+            .filter(planet => planet.isConquered)
+            .forEach(planet => this.worldManager.updatePlanetVisuals(planet));
+
+        // 4. Configura la modalità di gioco iniziale
+        this.setGameMode(GAME_MODES.SPACE, { force: true });
+
+        // 5. Blocca controlli e avvia loop
+        if (this.pointerLockControls) {
+            // Aggiungi listener per i cambiamenti di stato del pointer lock (una sola volta)
+            if (!this.pointerLockListenerAdded) {
                 document.addEventListener('pointerlockchange', () => {
                     console.log("Pointer lock change, now locked:", this.pointerLockControls.isLocked);
                     
@@ -217,28 +381,27 @@ export class GameIntegration {
                     } else {
                         // Mouse sbloccato
                         if (!this.state.uiState.upgradesOpen && !this.state.uiState.legendOpen && 
+                            !this.state.uiState.savesOpen && !this.state.uiState.buildingsOpen &&
+                            !this.state.uiState.researchOpen && !this.state.uiState.skillsOpen &&
+                            !this.state.uiState.inventoryOpen &&
                             !this.state.isPaused && !this.state.isGameOver) {
                             if (hint) hint.style.opacity = '1';
                         }
                     }
                 });
-                
-                // Richiedi il lock dopo un piccolo delay per assicurarsi che il DOM sia pronto
-                setTimeout(() => {
-                    console.log("Requesting pointer lock");
-                    this.pointerLockControls.lock();
-                }, 100);
-            } else {
-                console.error("PointerLockControls not available when starting game!");
+                this.pointerLockListenerAdded = true;
             }
             
-            this.startGameLoop();
-            console.log("Game Started!");
-
-        } catch (error) {
-            console.error("Error starting game:", error);
-            this.handleGameOver();
+            // Richiedi il lock dopo un piccolo delay per assicurarsi che il DOM sia pronto
+            setTimeout(() => {
+                console.log("Requesting pointer lock");
+                this.pointerLockControls.lock();
+            }, 100);
+        } else {
+            console.error("PointerLockControls not available when starting game!");
         }
+        
+        this.startGameLoop();
     }
 
     /** Avvia il ciclo di gioco */
@@ -409,12 +572,26 @@ export class GameIntegration {
         // Debug della posizione prima dell'aggiornamento
         const prevPos = this.player.position.clone();
 
+        this.player.flightProfile = this.getFlightProfile();
         this.player.update(
             deltaTime,
             movement.forward, movement.backward, movement.left, movement.right,
             movement.up, movement.down,
-            cameraDirection
+            cameraDirection,
+            { rollLeft: movement.rollLeft, rollRight: movement.rollRight, boost: movement.boost }
         );
+        this.applyShipRoll();
+        const transformationEnded = this.player.updateTransformation(deltaTime);
+        if (transformationEnded) {
+            showMessage(transformationEnded, 'info');
+            this.updateTransformationBloom();
+        }
+        this.updatePlanetHazards(deltaTime);
+        // Gli effetti di stato (ustioni) possono finire il giocatore fuori dai combattimenti
+        if (this.player.health <= 0) {
+            this.handleGameOver();
+            return;
+        }
         
         // Verifica se la posizione è cambiata
         if (performanceMonitor.frameCount % 60 === 0) {
@@ -435,13 +612,49 @@ export class GameIntegration {
         }
 
         this.updateActiveModeLogic(deltaTime);
+        this.updateConquests(deltaTime);
+        this.updateConstructions(deltaTime);
+        this.updateResearch(deltaTime);
+        this.updateRivalEmpires(deltaTime);
+        this.updateEconomy(deltaTime);
 
         this.updateEnemies(deltaTime);
         this.updateProjectiles(deltaTime);
+        this.updatePickups(deltaTime);
+        this.refreshSpaceCombatHud();
 
         updateUI();
     }
 
+    /**
+     * Profilo di volo della nave per la modalità corrente (null fuori dallo spazio)
+     * @returns {Object|null} Profilo di FLIGHT_PROFILES
+     */
+    getFlightProfile() {
+        if (this.state.mode === GAME_MODES.SPACE) return FLIGHT_PROFILES.cruise;
+        if (this.state.mode === GAME_MODES.SPACE_COMBAT && this.spaceCombat) return this.spaceCombat.getFlightProfile();
+        return null;
+    }
+
+    /** Inclina la camera secondo il rollio della nave (zero fuori dal volo newtoniano) */
+    applyShipRoll() {
+        const roll = this.player.flight.roll + this.player.flight.bank;
+        this.cameraEuler.setFromQuaternion(this.camera.quaternion);
+        if (Math.abs(this.cameraEuler.z - roll) < 1e-4) return;
+        this.cameraEuler.z = roll;
+        this.camera.quaternion.setFromEuler(this.cameraEuler);
+    }
+
+    /** Mostra mirino e scudo del combattimento spaziale (nascosti nelle altre modalità) */
+    refreshSpaceCombatHud() {
+        const inSpaceCombat = this.state.mode === GAME_MODES.SPACE_COMBAT && this.spaceCombat?.active;
+        updateShieldBar(inSpaceCombat ? this.player.shield : null);
+        updateTargetingHud(inSpaceCombat ? {
+            missiles: this.spaceCombat.missiles,
+            target: this.spaceCombat.targeting.getHudData(this.camera, this.player.position, PLAYER.PROJECTILE_SPEED)
+        } : null);
+    }
+
     /** Aggiorna logica specifica della modalità */
     updateActiveModeLogic(deltaTime) {
         switch (this.state.mode) {
@@ -460,17 +673,24 @@ export class GameIntegration {
                     this.activeEnemies = this.spaceCombat.enemies;
                     if (this.spaceCombat.isCombatComplete()) {
                         console.log("Space combat complete. Returning to last mode:", this.state.lastMode);
+                        const result = this.spaceCombat.getCombatResult();
+                        this.collectRemainingLoot();
                         this.setGameMode(this.state.lastMode || GAME_MODES.SPACE);
+                        this.resolveSiege(result);
                     }
                 }
                 break;
             case GAME_MODES.GROUND_COMBAT:
                 if (this.groundCombat?.active) {
                     this.groundCombat.update(deltaTime);
+                    if (this.terrainGenerator?.active) this.terrainGenerator.update(this.player.position);
                     this.activeEnemies = this.groundCombat.enemies.enemies;
                     if (this.groundCombat.isCombatComplete()) {
                         console.log("Ground combat complete. Returning to last mode:", this.state.lastMode);
+                        const result = this.groundCombat.getCombatResult();
+                        this.collectRemainingLoot();
                         this.setGameMode(this.state.lastMode || GAME_MODES.PLANET);
+                        this.resolveGroundAssault(result);
                     }
                 }
                 break;
@@ -509,7 +729,7 @@ export class GameIntegration {
         this.state.mode = newMode;
         this.state.lastMode = previousMode;
 
-        this.deactivateCurrentSystems(previousMode);
+        this.deactivateCurrentSystems(previousMode, newMode);
 
         switch (newMode) {
             case GAME_MODES.SPACE: this.setupSpaceMode(); break;
@@ -519,10 +739,13 @@ export class GameIntegration {
         }
     }
 
-    deactivateCurrentSystems(modeToDeactivate) {
+    deactivateCurrentSystems(modeToDeactivate, nextMode) {
         console.log("Deactivating systems for mode:", modeToDeactivate);
         if (this.solarSystem && modeToDeactivate === GAME_MODES.SPACE) this.solarSystem.active = false;
-        if (this.terrainGenerator && modeToDeactivate === GAME_MODES.PLANET) this.terrainGenerator.active = false;
+        // Il combattimento al suolo si svolge sul terreno del pianeta: resta attivo
+        if (this.terrainGenerator && modeToDeactivate === GAME_MODES.PLANET && nextMode !== GAME_MODES.GROUND_COMBAT) {
+            this.terrainGenerator.active = false;
+        }
         if (this.spaceCombat && modeToDeactivate === GAME_MODES.SPACE_COMBAT) this.spaceCombat.deactivate();
         if (this.groundCombat && modeToDeactivate === GAME_MODES.GROUND_COMBAT) this.groundCombat.deactivate();
 
@@ -536,6 +759,7 @@ export class GameIntegration {
              else if(e.mesh) this.scene.remove(e.mesh);
         });
         this.activeEnemies = [];
+        this.pickups.clear();
         this.collisionCache.clear();
         hidePlanetInfo();
     }
@@ -586,8 +810,20 @@ export class GameIntegration {
         if (this.spaceCombat) {
             this.spaceCombat.player = this.player;
             this.spaceCombat.initialize(this.player.position);
+            if (this.state.conquestTarget) {
+                this.spaceCombat.difficulty = getSiegeDifficulty(this.state.conquestTarget);
+            }
             this.spaceCombat.activate();
+            // I bombardieri attaccano i domini del giocatore vicini al combattimento
+            this.spaceCombat.setStructures(this.getPlayerHoldings()
+                .filter(target => target.position.distanceTo(this.player.position) <= SPACE_AI.STRUCTURE_RADIUS));
             this.spaceCombat.spawnEnemyWave(this.player.position);
+            // I pianeti più difesi schierano la loro nave capitale
+            const target = this.state.conquestTarget;
+            if (target && hasGuardian(target)) {
+                this.spaceCombat.spawnCapitalShip();
+                showMessage(`Una ${CAPITAL_SHIP.name.toLowerCase()} difende ${target.name}!`, 'warning');
+            }
             this.activeEnemies = this.spaceCombat.enemies;
         }
         if (this.player) this.player.isFlying = true;
@@ -610,6 +846,9 @@ export class GameIntegration {
             } else {
                  console.warn("TerrainGenerator is not active for GroundCombat physics");
             }
+            if (this.state.conquestTarget) {
+                this.groundCombat.enemies.setDifficulty(getGroundAssaultDifficulty(this.state.conquestTarget));
+            }
             this.groundCombat.enemies.setupSpawnPointsCircle(this.player.position, 50, 5);
             this.groundCombat.enemies.spawnEnemyWave(this.player.position);
             this.activeEnemies = this.groundCombat.enemies.enemies;
@@ -625,8 +864,11 @@ export class GameIntegration {
             player: new THREE.MeshBasicMaterial({ color: 0x00ffff }),
             enemy: new THREE.MeshBasicMaterial({ color: 0xffaa00 }),
             special: new THREE.MeshBasicMaterial({ color: 0xff00ff }),
-            energyWave: new THREE.MeshBasicMaterial({ color: 0x3e78ff, transparent: true, opacity: 0.8 }),
-            laserEyes: new THREE.MeshBasicMaterial({ color: 0xff3e3e, transparent: true, opacity: 0.9 })
+            // Un materiale per l'attacco speciale di ogni razza
+            ...Object.fromEntries(Object.values(RACE_DEFINITIONS).map(({ special }) => [
+                special.type,
+                new THREE.MeshBasicMaterial({ color: special.color, transparent: true, opacity: special.opacity })
+            ]))
         };
 
         this.projectilePool = [];
@@ -639,21 +881,57 @@ export class GameIntegration {
         console.log(`Projectile pool initialized with ${this.projectilePool.length} objects.`);
     }
 
-    handlePlayerAttack(detail) {
+    /**
+     * Attacco del giocatore dal mouse (evento 'player-attack' di playerControls)
+     * @param {CustomEvent} event - detail: { button, direction }
+     */
+    handlePlayerAttack(event) {
         if (!this.player) return;
 
-        const direction = detail.direction || new THREE.Vector3();
+        const { button, direction = new THREE.Vector3() } = event.detail;
 
         let attackData = null;
-        if (detail.button === 0) {
+        if (button === 0 && this.state.mode === GAME_MODES.GROUND_COMBAT && this.groundCombat?.active) {
+            this.fireGroundWeapon(direction);
+        } else if (button === 0) {
             attackData = this.player.attackEnergy(direction);
-        } else if (detail.button === 2) {
+        } else if (button === 2) {
             attackData = this.player.attackSpecial(direction);
         }
 
-        if (attackData) {
-            this.createProjectile(attackData);
+        if (attackData) this.createProjectile(this.aimProjectile(attackData));
+    }
+
+    /**
+     * Nel combattimento a terra il tasto sinistro spara con l'arma equipaggiata (vedi GroundWeapons)
+     * @param {THREE.Vector3} direction - Direzione del mirino
+     */
+    fireGroundWeapon(direction) {
+        const { weapons } = this.groundCombat;
+        this.groundCombat.firePlayerProjectile(this.player.position, direction).forEach(shot => {
+            this.createProjectile({
+                type: shot.type,
+                direction: shot.direction,
+                power: shot.damage,
+                color: (shot.type === 'rocket' ? weapons.rocketMaterial : weapons.bulletMaterial).color.getHex(),
+                origin: shot.position,
+                speed: shot.speed,
+                range: shot.range,
+                explosionRadius: shot.explosionRadius
+            });
+        });
+    }
+
+    /**
+     * Nel combattimento spaziale i colpi del giocatore vanno sul punto di intercettazione del bersaglio agganciato
+     * @param {Object} data - Dati del proiettile (origin, direction, speed)
+     * @returns {Object} Gli stessi dati, con la direzione corretta
+     */
+    aimProjectile(data) {
+        if (this.state.mode === GAME_MODES.SPACE_COMBAT && this.spaceCombat?.active) {
+            data.direction = this.spaceCombat.getAimDirection(data.direction, data.origin, data.speed);
         }
+        return data;
     }
 
     createProjectile(data) {
@@ -685,10 +963,8 @@ export class GameIntegration {
          let targetMaterial = mats.player;
          if(data.isEnemyProjectile) {
              targetMaterial = mats.enemy;
-         } else if (data.type === 'energyWave') {
-             targetMaterial = mats.energyWave;
-         } else if (data.type === 'laserEyes') {
-            targetMaterial = mats.laserEyes;
+         } else if (mats[data.type]) {
+             targetMaterial = mats[data.type];
          }
 
          mesh.material = targetMaterial;
@@ -707,14 +983,15 @@ export class GameIntegration {
              range: data.range,
              distanceTraveled: 0,
              type: data.type,
+             status: data.status || null,
+             explosionRadius: data.explosionRadius || 0,
              isEnemyProjectile: data.isEnemyProjectile || false,
              startTime: performance.now()
          });
 
          let soundName = 'shoot';
          if (data.isEnemyProjectile) soundName = 'enemy_shoot';
-         else if (data.type === 'energyWave') soundName = 'energy_wave_sound';
-         else if (data.type === 'laserEyes') soundName = 'laser_sound';
+         else if (data.sound) soundName = data.sound;
          playSound(soundName, 0.4);
      }
 
@@ -743,9 +1020,10 @@ export class GameIntegration {
             } else if (!p.isEnemyProjectile) {
                 for (let j = this.activeEnemies.length - 1; j >= 0; j--) {
                      const enemy = this.activeEnemies[j];
-                     if (!enemy.isActive || !enemy.mesh) continue;
+                     const enemyMesh = this.getEnemyMesh(enemy);
+                     if (!enemyMesh) continue;
                      if (enemy.position.distanceToSquared(p.mesh.position) < p.range * p.range * 0.5) {
-                         const enemyBox = new THREE.Box3().setFromObject(enemy.mesh);
+                         const enemyBox = new THREE.Box3().setFromObject(enemyMesh);
                          if (projBox.intersectsBox(enemyBox)) {
                              hit = true;
                              hitObject = enemy;
@@ -782,22 +1060,133 @@ export class GameIntegration {
             if (!alive) this.handleGameOver();
         } else {
              const enemy = target;
-             const enemyStillAlive = enemy.takeDamage(damageDealt);
+             const enemyMesh = this.getEnemyMesh(enemy);
+             const destroyed = this.damageEnemy(enemy, damageDealt, projectile.direction, hitPosition);
              playSound('hit', 0.5);
              this.createHitEffect(hitPosition, 0xffff00);
 
-             if (!enemyStillAlive) {
-                 const expGained = enemy.type === 'drone' ? 10 : 25;
-                 const currencyGained = enemy.type === 'drone' ? 5 : 10;
-                 this.player.gainExperience(expGained);
-                 this.player.currency += currencyGained;
-                 this.createExplosionEffect(enemy.position, enemy.mesh.scale.x * 1.5);
+             if (destroyed) {
+                 // Le navi e le truppe dei combattimenti danno esperienza con l'esito dello scontro
+                 // e lasciano il bottino tramite SpaceCombat e GroundEnemies
+                 if (this.state.mode !== GAME_MODES.SPACE_COMBAT && this.state.mode !== GAME_MODES.GROUND_COMBAT) {
+                     const expGained = enemy.type === 'drone' ? 10 : 25;
+                     const mineralsGained = enemy.type === 'drone' ? 5 : 10;
+                     this.grantExperience(expGained);
+                     this.player.addResources({ [RESOURCE_TYPES.MINERALS]: mineralsGained });
+                     this.dropLoot(this.getEnemyType(enemy), enemy.position);
+                 }
+                 this.createExplosionEffect(enemy.position, enemyMesh.scale.x * 1.5);
                  playSound('explosion', 0.6);
+             } else if (projectile.status) {
+                 const statusEffects = this.getEnemyStatusEffects(enemy);
+                 if (statusEffects) applyStatus(statusEffects, projectile.status);
              }
+             if (projectile.explosionRadius) this.applySplashDamage(projectile, hitPosition, enemy);
+        }
+    }
+
+    /**
+     * Danno ad area dei razzi: i nemici vicini all'impatto subiscono danno decrescente con la distanza
+     * @param {Object} projectile - Proiettile esploso
+     * @param {THREE.Vector3} position - Punto d'impatto
+     * @param {Object} struck - Nemico colpito direttamente (ha già subito il danno pieno)
+     */
+    applySplashDamage(projectile, position, struck) {
+        const radius = projectile.explosionRadius;
+        this.createExplosionEffect(position, radius);
+        this.activeEnemies.slice().forEach(enemy => {
+            if (enemy === struck || !this.getEnemyMesh(enemy)) return;
+            const distance = enemy.position.distanceTo(position);
+            if (distance > radius) return;
+            const direction = enemy.position.clone().sub(position).normalize();
+            this.damageEnemy(enemy, projectile.power * (1 - distance / radius), direction, position);
+        });
+    }
+
+    /**
+     * Mesh colpibile di un nemico attivo: le navi di SpaceCombat sono esse stesse mesh,
+     * le truppe di GroundEnemies e i nemici di enemy.js la tengono in enemy.mesh
+     * @param {Object} enemy - Nemico di activeEnemies
+     * @returns {THREE.Object3D|null} Null se il nemico non è più attivo
+     */
+    getEnemyMesh(enemy) {
+        if (enemy.isObject3D) return enemy.userData.isActive ? enemy : null;
+        if (enemy.isActive === false || enemy.health <= 0) return null;
+        return enemy.mesh || null;
+    }
+
+    /**
+     * Tipo del nemico, usato per le tabelle del bottino
+     * @param {Object} enemy - Nemico di activeEnemies
+     */
+    getEnemyType(enemy) {
+        return enemy.isObject3D ? enemy.userData.type : enemy.type;
+    }
+
+    /**
+     * Effetti di stato attivi di un nemico
+     * @param {Object} enemy - Nemico di activeEnemies
+     * @returns {Array<Object>|null} Null per i nemici senza effetti di stato (enemy.js)
+     */
+    getEnemyStatusEffects(enemy) {
+        return (enemy.isObject3D ? enemy.userData.statusEffects : enemy.statusEffects) || null;
+    }
+
+    /**
+     * Danneggia un nemico tramite il sistema che lo gestisce
+     * @param {Object} enemy - Nemico colpito
+     * @param {number} amount - Danno
+     * @param {THREE.Vector3} direction - Direzione del colpo (contraccolpo delle truppe di terra)
+     * @param {THREE.Vector3} [hitPosition] - Punto d'impatto (sottosistemi delle navi)
+     * @returns {boolean} True se il nemico è stato abbattuto
+     */
+    damageEnemy(enemy, amount, direction, hitPosition) {
+        switch (this.state.mode) {
+            case GAME_MODES.SPACE_COMBAT:
+                return this.spaceCombat.damageEnemy(enemy, amount, { hitPosition });
+            case GAME_MODES.GROUND_COMBAT:
+                return this.groundCombat.enemies.damageEnemy(enemy, amount, direction);
+            default:
+                return !enemy.takeDamage(amount);
         }
     }
 
+    /**
+     * Tira sulla tabella del bottino del nemico e lascia gli oggetti nel mondo
+     * @param {string} enemyType - Tipo del nemico abbattuto
+     * @param {THREE.Vector3} position - Punto dell'abbattimento
+     */
+    dropLoot(enemyType, position) {
+        rollLoot(enemyType).forEach(itemType => this.pickups.spawn(itemType, position));
+    }
+
+    /**
+     * Anima gli oggetti a terra e raccoglie quelli a portata del giocatore
+     * @param {number} deltaTime - Secondi trascorsi
+     */
+    updatePickups(deltaTime) {
+        if (!this.player) return;
+        this.pickups.update(deltaTime, this.player.position).forEach(pickup => {
+            const result = this.player.addItem(pickup.itemType);
+            // Con l'inventario pieno l'oggetto resta a terra fino alla scadenza
+            if (!result.success) return;
+            this.pickups.remove(pickup);
+            showMessage(result.message, 'success');
+            playSound('success', 0.5);
+            if (this.state.uiState.inventoryOpen) updateInventoryScreen();
+        });
+    }
+
+    /** A fine scontro recupera gli oggetti rimasti sul campo */
+    collectRemainingLoot() {
+        const collected = this.pickups.clear().filter(itemType => this.player.addItem(itemType).success);
+        if (collected.length > 0) showMessage(`Bottino recuperato: ${collected.length} oggetti`, 'success');
+    }
+
     updateEnemies(deltaTime) {
+         // Le navi e le truppe dei combattimenti sono aggiornate da SpaceCombat e GroundCombat
+         if (this.state.mode === GAME_MODES.SPACE_COMBAT || this.state.mode === GAME_MODES.GROUND_COMBAT) return;
+
          for (let i = this.activeEnemies.length - 1; i >= 0; i--) {
              const enemy = this.activeEnemies[i];
              if (!enemy.isActive) {
@@ -829,32 +1218,44 @@ export class GameIntegration {
         if (!this.universeGenerator || !this.player || this.state.mode !== GAME_MODES.SPACE) return;
 
         const playerPos = this.player.position;
-        let closestPlanet = null;
+        let closestTarget = null;
         let closestDistSq = Infinity;
 
-        this.worldManager.planetMeshes.forEach(planetLOD => {
-            if(planetLOD.userData.planetData){
-                const planetData = planetLOD.userData.planetData;
-                const distSq = playerPos.distanceToSquared(planetLOD.position);
-                if(distSq < closestDistSq){
-                    closestDistSq = distSq;
-                    closestPlanet = planetData;
-                }
+        // Pianeti, lune e stazioni: il più vicino al giocatore
+        [...this.worldManager.planetMeshes, ...this.worldManager.bodyMeshes].forEach(mesh => {
+            const targetData = mesh.userData.planetData || mesh.userData.bodyData;
+            if (!targetData || targetData.bodyType === BODY_TYPES.ASTEROID_BELT) return;
+
+            const distSq = playerPos.distanceToSquared(mesh.position);
+            if (distSq < closestDistSq) {
+                closestDistSq = distSq;
+                closestTarget = targetData;
             }
         });
 
-        const interactionDistance = (closestPlanet?.size || 0) * 1.5 + 10;
+        const interactionDistance = (closestTarget?.size || 0) * 1.5 + 10;
+        if (closestDistSq >= interactionDistance * interactionDistance) {
+            // Nessun corpo vicino: controlla se il giocatore attraversa una fascia di asteroidi
+            closestTarget = this.state.bodies.find(body => {
+                if (body.bodyType !== BODY_TYPES.ASTEROID_BELT) return false;
+                const distance = Math.hypot(playerPos.x - body.position.x, playerPos.z - body.position.z);
+                return Math.abs(distance - body.orbitRadius) < body.width / 2 + 5 &&
+                    Math.abs(playerPos.y - body.position.y) < 15;
+            }) || null;
+        }
 
-        if (closestPlanet && closestDistSq < interactionDistance * interactionDistance) {
-            if (this.state.activePlanet !== closestPlanet) {
-                this.state.activePlanet = closestPlanet;
-                showPlanetInfo(closestPlanet);
-            }
-        } else {
-            if (this.state.activePlanet) {
-                hidePlanetInfo();
-                this.state.activePlanet = null;
+        if (closestTarget) {
+            if ((this.state.activePlanet || this.state.activeBody) !== closestTarget) {
+                const isPlanet = closestTarget.bodyType === BODY_TYPES.PLANET;
+                this.state.activePlanet = isPlanet ? closestTarget : null;
+                this.state.activeBody = isPlanet ? null : closestTarget;
+                if (this.checkGuardianEncounter(closestTarget)) return;
+                showPlanetInfo(closestTarget);
             }
+        } else if (this.state.activePlanet || this.state.activeBody) {
+            hidePlanetInfo();
+            this.state.activePlanet = null;
+            this.state.activeBody = null;
         }
     }
 
@@ -939,6 +1340,12 @@ export class GameIntegration {
         showGameOver();
         closeUpgradesScreen();
         closeLegendScreen();
+        closeSavesScreen();
+        this.state.uiState.savesOpen = false;
+        this.closeBuildingsScreen();
+        this.closeResearchScreen();
+        this.closeSkillsScreen();
+        this.closeInventoryScreen();
         const hint = document.getElementById('controls-hint');
         if(hint) hint.style.opacity = '1';
     }
@@ -949,6 +1356,7 @@ export class GameIntegration {
 
         if (this.player && typeof this.player.reset === 'function') {
             this.player.reset();
+            this.updateTransformationBloom();
         } else {
             console.warn("Player.reset() method not found.");
             location.reload();
@@ -969,34 +1377,745 @@ export class GameIntegration {
     }
 
     // --- Azioni Giocatore (Callbacks da UI) ---
+    /**
+     * Avanza la conquista del bersaglio selezionato: assedio orbitale finché le difese
+     * non cedono, poi assalto di terra (solo pianeti)
+     */
     attemptConquerPlanet() {
-        if (!this.state.activePlanet || !this.player) return;
+        const planet = this.state.activePlanet || this.state.activeBody;
+        if (!planet || !this.player) return;
+
+        // Le fasce di asteroidi non si conquistano: si estraggono
+        if (planet.bodyType === BODY_TYPES.ASTEROID_BELT) {
+            this.attemptMineAsteroids(planet);
+            return;
+        }
+
+        if (getConquestState(planet).stage === CONQUEST_STAGES.GROUND_ASSAULT) {
+            this.startGroundAssault(planet);
+            return;
+        }
+
+        this.startSiege(planet);
+    }
+
+    /**
+     * Avvia l'assedio orbitale del bersaglio in combattimento spaziale
+     * @param {Object} planet - Pianeta, luna o stazione
+     */
+    startSiege(planet) {
+        const result = beginSiege(planet, PLAYER_EMPIRE);
+        showMessage(result.message, result.success ? 'info' : 'warning');
+        if (!result.success) {
+            playSound('failure');
+            return;
+        }
+
+        this.state.conquestTarget = planet;
+        this.setGameMode(GAME_MODES.SPACE_COMBAT);
+    }
+
+    /**
+     * Avvicinandosi a un pianeta con una nave capitale di guardia, questa intercetta il giocatore
+     * e lo scontro vale come assedio orbitale
+     * @param {Object} target - Pianeta o corpo appena raggiunto
+     * @returns {boolean} True se è iniziato lo scontro
+     */
+    checkGuardianEncounter(target) {
+        if (target.conqueredBy === PLAYER_EMPIRE || !hasGuardian(target)) return false;
+        const lastEncounter = this.state.guardianEncounters[target.id];
+        if (lastEncounter !== undefined && this.state.gameTime - lastEncounter < CAPITAL_SHIPS.ENCOUNTER_COOLDOWN) return false;
+
+        this.state.guardianEncounters[target.id] = this.state.gameTime;
+        playSound('failure');
+        this.startSiege(target);
+        return true;
+    }
+
+    /** Ricompensa per una nave capitale distrutta: esperienza e risorse (il bottino cade dal relitto) */
+    rewardCapitalShip() {
+        this.grantExperience(EXPERIENCE.CAPITAL_SHIP);
+        this.player.addResources(CAPITAL_SHIP.reward);
+        showMessage(`${CAPITAL_SHIP.name} distrutta! ${formatResources(CAPITAL_SHIP.reward, { signed: true })}`, 'success');
+        playSound('success');
+    }
+
+    /**
+     * Avvisa il giocatore delle mosse della nave capitale
+     * @param {Object} event - Evento di updateCapitalShip (capitalShips.js)
+     */
+    announceCapitalShipEvent(event) {
+        switch (event.type) {
+            case 'phase':
+                showMessage(`${CAPITAL_SHIP.name}: fase "${event.phase.name}"`, 'warning');
+                break;
+            case 'telegraph':
+                showMessage(`${CAPITAL_SHIP.name} in carica: ${event.attack.name}! Esci dalla linea di tiro`, 'warning');
+                break;
+            case 'launch':
+                showMessage(`Gli hangar lanciano ${event.count} caccia`, 'info');
+                break;
+        }
+    }
+
+    /**
+     * Atterra sul pianeta e avvia l'assalto di terra
+     * @param {Object} planet - Pianeta con le difese orbitali abbattute
+     */
+    startGroundAssault(planet) {
+        showMessage(`Assalto di terra su ${planet.name}!`, 'info');
+        this.state.conquestTarget = planet;
+        this.setGameMode(GAME_MODES.PLANET, { planet });
+        if (this.state.mode === GAME_MODES.PLANET) this.setGameMode(GAME_MODES.GROUND_COMBAT);
+    }
+
+    /**
+     * Applica l'esito dell'assedio orbitale al bersaglio
+     * @param {Object} combatResult - Esito di SpaceCombat.getCombatResult()
+     */
+    resolveSiege(combatResult) {
+        this.grantExperience(combatResult.enemiesDestroyed * EXPERIENCE.SPACE_KILL);
+
+        const target = this.state.conquestTarget;
+        this.state.conquestTarget = null;
+        if (!target) return;
+
+        if (combatResult.capitalShipsDestroyed > 0) {
+            const guardian = defeatGuardian(target);
+            if (guardian.success) showMessage(guardian.message, 'success');
+        }
+
+        // Un cantiere orbitale in qualunque dominio sostiene la flotta d'assedio
+        const support = getEmpireUnlocks(this.getPlayerHoldings()).has('orbital-support')
+            ? 1 + BUILDINGS.ORBITAL_SUPPORT_BONUS
+            : 1;
+        const result = applySiegeResult(target, combatResult, this.player.getAttackPower() * support, PLAYER_EMPIRE);
+        this.handleConquestResult(target, result);
+    }
 
-        const planet = this.state.activePlanet;
-        const result = this.universeGenerator.conquerPlanet(planet, this.player.race, this.player.attackPower);
+    /**
+     * Applica l'esito dell'assalto di terra al pianeta
+     * @param {Object} combatResult - Esito di GroundCombat.getCombatResult()
+     */
+    resolveGroundAssault(combatResult) {
+        if (combatResult.victory) this.grantExperience(EXPERIENCE.GROUND_VICTORY);
+
+        const target = this.state.conquestTarget;
+        this.state.conquestTarget = null;
+        if (!target) return;
+
+        const result = applyGroundAssaultResult(target, combatResult.victory, PLAYER_EMPIRE);
+        this.handleConquestResult(target, result);
+    }
 
+    /**
+     * Notifica il giocatore e salva dopo un passo della conquista
+     * @param {Object} target - Pianeta o corpo minore
+     * @param {Object} result - Esito restituito dal modulo conquest
+     */
+    handleConquestResult(target, result) {
         showMessage(result.message, result.success ? 'success' : 'warning');
+        playSound(result.success ? 'success' : 'failure');
+
+        if (result.stage === CONQUEST_STAGES.CONSOLIDATION) {
+            this.player.addConqueredPlanet(target);
+            this.worldManager.updatePlanetVisuals(target);
+            this.grantExperience(EXPERIENCE.CONQUEST);
+        }
+        if (this.state.mode === GAME_MODES.SPACE && (target === this.state.activePlanet || target === this.state.activeBody)) {
+            showPlanetInfo(target);
+        }
+        this.autosave();
+    }
+
+    /**
+     * Invia un rinforzo alla guarnigione del dominio selezionato, pagandolo in minerali
+     */
+    attemptReinforceGarrison() {
+        const planet = this.state.activePlanet || this.state.activeBody;
+        if (!planet || !this.player || planet.conqueredBy !== PLAYER_EMPIRE) return;
+
+        const troops = getReinforcementSize(planet);
+        if (troops > 0 && !this.player.spendResources(getGarrisonCost(troops))) {
+            showMessage("Minerali insufficienti per inviare truppe", 'error');
+            playSound('error');
+            return;
+        }
+
+        const result = reinforceGarrison(planet, troops);
+        showMessage(result.message, result.success ? 'success' : 'info');
+        if (!result.success) return;
+
+        playSound('upgrade');
+        showPlanetInfo(planet);
+        updateUI();
+        this.autosave();
+    }
+
+    /** Apre o chiude la schermata degli edifici del dominio selezionato */
+    toggleBuildingsScreen() {
+        if (this.state.uiState.buildingsOpen) {
+            this.closeBuildingsScreen();
+            this.pointerLockControls.lock();
+            return;
+        }
+
+        const planet = this.state.activePlanet || this.state.activeBody;
+        if (!planet || planet.conqueredBy !== PLAYER_EMPIRE) {
+            showMessage("Seleziona un tuo pianeta per gestirne gli edifici", 'info');
+            return;
+        }
+
+        this.state.buildingsPlanet = planet;
+        this.state.buildingsRefreshTimer = 0;
+        this.state.uiState.buildingsOpen = true;
+        openBuildingsScreen(planet);
+        this.pointerLockControls.unlock();
+    }
+
+    /** Chiude la schermata degli edifici senza toccare il puntatore */
+    closeBuildingsScreen() {
+        closeBuildingsScreen();
+        this.state.buildingsPlanet = null;
+        this.state.uiState.buildingsOpen = false;
+    }
+
+    /**
+     * Ordina un edificio sul dominio mostrato nella schermata edifici
+     * @param {string} type - Tipo di edificio (BUILDING_TYPES)
+     */
+    attemptQueueBuilding(type) {
+        const planet = this.state.buildingsPlanet;
+        if (!planet || !this.player) return;
+
+        const check = canQueueBuilding(planet, type, this.researchUnlocks.buildings);
+        if (!check.success) {
+            showMessage(check.message, 'warning');
+            playSound('error');
+            return;
+        }
+        if (!this.player.spendResources(BUILDING_DEFINITIONS[type].cost)) {
+            showMessage("Risorse insufficienti per questo edificio", 'error');
+            playSound('error');
+            return;
+        }
+
+        const result = queueBuilding(planet, type, this.researchUnlocks.buildings);
+        showMessage(result.message, 'success');
+        playSound('upgrade');
+        this.refreshHolding(planet);
+    }
+
+    /**
+     * Annulla un cantiere del dominio mostrato nella schermata edifici e rimborsa il costo
+     * @param {number} index - Posizione nella coda
+     */
+    attemptCancelConstruction(index) {
+        const planet = this.state.buildingsPlanet;
+        if (!planet || !this.player) return;
+
+        const result = cancelConstruction(planet, index);
+        showMessage(result.message, result.success ? 'info' : 'warning');
+        if (!result.success) return;
+
+        this.player.addResources(result.refund);
+        this.refreshHolding(planet);
+    }
+
+    /**
+     * Aggiorna pannelli e salvataggio dopo un'azione su un dominio
+     * @param {Object} planet - Dominio modificato
+     */
+    refreshHolding(planet) {
+        updateBuildingsScreen(planet);
+        if (planet === this.state.activePlanet || planet === this.state.activeBody) showPlanetInfo(planet);
+        updateUI();
+        this.autosave();
+    }
+
+    /**
+     * Fa avanzare il consolidamento dei pianeti conquistati (al termine rendono le risorse)
+     * e la lealtà dei domini, gestendo le ribellioni
+     * @param {number} deltaTime - Secondi trascorsi
+     */
+    updateConquests(deltaTime) {
+        [...this.state.planets, ...this.state.bodies].forEach(target => {
+            if (updateLoyalty(target, deltaTime)) this.handleRebellion(target);
+            if (!updateConquest(target, deltaTime)) return;
+
+            if (target.conqueredBy !== PLAYER_EMPIRE) {
+                this.getRivalEmpire(target.conqueredBy)?.addResources(target.resources);
+                return;
+            }
+
+            showMessage(`${target.name} è consolidato e inizia a produrre risorse`, 'success');
+            if (target === this.state.activePlanet || target === this.state.activeBody) showPlanetInfo(target);
+            updateUI();
+            this.autosave();
+        });
+    }
+
+    /**
+     * Fa avanzare le code di costruzione di tutti i domini del giocatore, anche lontani
+     * @param {number} deltaTime - Secondi trascorsi
+     */
+    updateConstructions(deltaTime) {
+        this.getPlayerHoldings().forEach(target => {
+            const completed = updateConstruction(target, deltaTime);
+            if (!completed) return;
+
+            showMessage(`${BUILDING_DEFINITIONS[completed].name} completato su ${target.name}`, 'success');
+            if (target === this.state.activePlanet || target === this.state.activeBody) showPlanetInfo(target);
+            if (target === this.state.buildingsPlanet) updateBuildingsScreen(target);
+            this.autosave();
+        });
+
+        // Avanzamento dei cantieri nella schermata aperta, una volta al secondo
+        if (!this.state.buildingsPlanet) return;
+        this.state.buildingsRefreshTimer += deltaTime;
+        if (this.state.buildingsRefreshTimer < 1) return;
+        this.state.buildingsRefreshTimer = 0;
+        if (this.state.buildingsPlanet.conqueredBy !== PLAYER_EMPIRE) {
+            this.closeBuildingsScreen();
+        } else {
+            updateBuildingsScreen(this.state.buildingsPlanet);
+        }
+    }
+
+    /**
+     * Domini del giocatore: pianeti, lune e stazioni conquistati
+     * @returns {Array<Object>} Domini
+     */
+    getPlayerHoldings() {
+        return [...this.state.planets, ...this.state.bodies].filter(target => target.conqueredBy === PLAYER_EMPIRE);
+    }
+
+    /**
+     * Laboratori di ricerca completati nei domini del giocatore
+     * @returns {number} Numero di laboratori
+     */
+    getResearchLabs() {
+        return this.getPlayerHoldings()
+            .filter(target => (target.buildings || []).includes(BUILDING_TYPES.RESEARCH_LAB)).length;
+    }
+
+    /** Applica ai sistemi di combattimento gli sblocchi della ricerca completata */
+    applyResearchUnlocks() {
+        this.researchUnlocks = getResearchUnlocks(this.researchTree, this.player.research);
+        this.spaceCombat.setEnemyCounters(this.researchUnlocks.counters);
+        updateAbilityBar(this.researchUnlocks.abilities);
+        this.groundCombat.weapons.setUnlockedWeapons(this.researchUnlocks.weapons);
+    }
+
+    /**
+     * Fa avanzare la ricerca in corso e aggiorna la schermata aperta una volta al secondo
+     * @param {number} deltaTime - Secondi trascorsi
+     */
+    updateResearch(deltaTime) {
+        const labs = this.getResearchLabs();
+        const completed = updateResearch(this.researchTree, this.player.research, deltaTime, labs);
+        if (completed) {
+            this.applyResearchUnlocks();
+            showMessage(`Ricerca completata: ${completed.name}`, 'success');
+            playSound('upgrade');
+            if (this.state.uiState.researchOpen) updateResearchScreen(labs);
+            updateUI();
+            this.autosave();
+        }
+
+        if (!this.state.uiState.researchOpen) return;
+        this.state.researchRefreshTimer += deltaTime;
+        if (this.state.researchRefreshTimer < 1) return;
+        this.state.researchRefreshTimer = 0;
+        updateResearchScreen(labs);
+    }
+
+    /** Apre o chiude la schermata della ricerca */
+    toggleResearchScreen() {
+        if (this.state.uiState.researchOpen) {
+            this.closeResearchScreen();
+            this.pointerLockControls.lock();
+            return;
+        }
+
+        this.state.researchRefreshTimer = 0;
+        this.state.uiState.researchOpen = true;
+        openResearchScreen(this.getResearchLabs());
+        this.pointerLockControls.unlock();
+    }
+
+    /** Chiude la schermata della ricerca senza toccare il puntatore */
+    closeResearchScreen() {
+        closeResearchScreen();
+        this.state.uiState.researchOpen = false;
+    }
+
+    /**
+     * Avvia la ricerca di un nodo pagandone il costo
+     * @param {string} nodeId - Id del nodo dell'albero
+     */
+    attemptStartResearch(nodeId) {
+        if (!this.player) return;
+
+        const labs = this.getResearchLabs();
+        const check = canStartResearch(this.researchTree, this.player.research, nodeId, { race: this.player.race, labs });
+        if (!check.success) {
+            showMessage(check.message, 'warning');
+            playSound('error');
+            return;
+        }
+        const node = getResearchNode(this.researchTree, nodeId);
+        if (!this.player.spendResources(node.cost)) {
+            showMessage("Risorse insufficienti per questa ricerca", 'error');
+            playSound('error');
+            return;
+        }
+
+        startResearch(this.player.research, node);
+        showMessage(`Ricerca avviata: ${node.name}`, 'success');
+        playSound('upgrade');
+        updateResearchScreen(labs);
+        updateUI();
+        this.autosave();
+    }
+
+    /** Apre o chiude l'albero dei talenti; aprendolo si chiudono i potenziamenti */
+    toggleSkillsScreen() {
+        if (this.state.uiState.skillsOpen) {
+            this.closeSkillsScreen();
+            this.pointerLockControls.lock();
+            return;
+        }
+
+        if (this.state.uiState.upgradesOpen) {
+            closeUpgradesScreen();
+            this.state.uiState.upgradesOpen = false;
+        }
+        this.state.uiState.skillsOpen = true;
+        openSkillsScreen();
+        this.pointerLockControls.unlock();
+    }
+
+    /** Chiude l'albero dei talenti senza toccare il puntatore */
+    closeSkillsScreen() {
+        closeSkillsScreen();
+        this.state.uiState.skillsOpen = false;
+    }
+
+    /**
+     * Spende punti talento su un nodo dell'albero
+     * @param {string} nodeId - Id del nodo
+     */
+    attemptLearnSkill(nodeId) {
+        if (!this.player) return;
+        this.handleSkillsResult(this.player.learnSkill(nodeId));
+    }
+
+    /** Azzera i talenti restituendo i punti spesi, pagando il costo di ridistribuzione */
+    attemptRespecSkills() {
+        if (!this.player) return;
+        this.handleSkillsResult(this.player.respecSkills());
+    }
+
+    /**
+     * Notifica l'esito di un'operazione sui talenti e aggiorna barra abilità e schermate
+     * @param {Object} result - { success, message }
+     */
+    handleSkillsResult(result) {
+        showMessage(result.message, result.success ? 'success' : 'warning');
+        playSound(result.success ? 'upgrade' : 'error');
+        if (!result.success) return;
+
+        updateAbilityBar(this.researchUnlocks.abilities);
+        updateSkillsScreen();
+        updateUI();
+        this.autosave();
+    }
+
+    /** Apre o chiude l'inventario */
+    toggleInventoryScreen() {
+        if (this.state.uiState.inventoryOpen) {
+            this.closeInventoryScreen();
+            this.pointerLockControls.lock();
+            return;
+        }
+
+        this.state.uiState.inventoryOpen = true;
+        showInventory();
+        this.pointerLockControls.unlock();
+    }
+
+    /** Chiude l'inventario senza toccare il puntatore */
+    closeInventoryScreen() {
+        closeInventory();
+        this.state.uiState.inventoryOpen = false;
+    }
+
+    /**
+     * Usa un consumabile o un potenziamento dell'inventario
+     * @param {string} itemId - Id dell'oggetto
+     */
+    attemptUseItem(itemId) {
+        if (!this.player) return;
+        this.handleInventoryResult(this.player.useItem(itemId));
+    }
+
+    /**
+     * Equipaggia un oggetto dell'inventario
+     * @param {string} itemId - Id dell'oggetto
+     */
+    attemptEquipItem(itemId) {
+        if (!this.player) return;
+        this.handleInventoryResult(this.player.equipItem(itemId));
+    }
+
+    /**
+     * Toglie un oggetto equipaggiato
+     * @param {string} itemId - Id dell'oggetto
+     */
+    attemptUnequipItem(itemId) {
+        if (!this.player) return;
+        this.handleInventoryResult(this.player.unequipItem(itemId));
+    }
+
+    /**
+     * Getta via un oggetto dell'inventario
+     * @param {string} itemId - Id dell'oggetto
+     */
+    attemptDiscardItem(itemId) {
+        if (!this.player) return;
+        this.handleInventoryResult(this.player.discardItem(itemId));
+    }
+
+    /**
+     * Notifica l'esito di un'operazione sull'inventario e aggiorna la schermata
+     * @param {Object} result - { success, message }
+     */
+    handleInventoryResult(result) {
+        showMessage(result.message, result.success ? 'success' : 'warning');
+        playSound(result.success ? 'upgrade' : 'error');
+        if (!result.success) return;
+
+        updateInventoryScreen();
+        updateUI();
+        this.autosave();
+    }
+
+    /**
+     * Un dominio senza lealtà si ribella: passa a un impero rivale che lo raggiunge
+     * oppure torna neutrale
+     * @param {Object} target - Pianeta, luna o stazione ribelle
+     */
+    handleRebellion(target) {
+        const neighbours = this.rivalEmpires.filter(empire => empire.id !== target.conqueredBy
+            && !empire.isDefeated(this.universeGenerator)
+            && empire.getReachableSystemIds(this.universeGenerator).has(target.systemId));
+        const defectTo = neighbours.length > 0 && Math.random() < LOYALTY.DEFECT_CHANCE
+            ? neighbours[Math.floor(Math.random() * neighbours.length)]
+            : null;
+
+        const previousOwner = triggerRebellion(target, defectTo?.id ?? null);
+        if (previousOwner === PLAYER_EMPIRE) {
+            this.player.removeConqueredPlanet(target.id);
+            showMessage(defectTo
+                ? `${target.name} si è ribellato e si è consegnato a ${defectTo.name}!`
+                : `${target.name} si è ribellato ed è tornato indipendente!`, 'error');
+            playSound('failure');
+        }
+
+        this.worldManager.updatePlanetVisuals(target);
+        if (target === this.state.activePlanet || target === this.state.activeBody) showPlanetInfo(target);
+        updateUI();
+        this.autosave();
+    }
+
+    /**
+     * Esegue un ciclo economico ogni ECONOMY.TICK_INTERVAL secondi: produzione e mantenimento
+     * di tutti i domini del giocatore
+     * @param {number} deltaTime - Secondi trascorsi
+     */
+    updateEconomy(deltaTime) {
+        this.state.economyTimer += deltaTime;
+        if (this.state.economyTimer < ECONOMY.TICK_INTERVAL) return;
+        this.state.economyTimer -= ECONOMY.TICK_INTERVAL;
+
+        const holdings = this.getPlayerHoldings();
+        if (holdings.length === 0) return;
+
+        this.state.economyTick++;
+        const wasShort = this.state.ledger?.shortage;
+        const ledger = runEconomyTick(this.player.resources, holdings, this.state.economyTick);
+        this.state.ledger = ledger;
+
+        if (ledger.shortage && !wasShort) {
+            showMessage("Energia insufficiente per il mantenimento: produzione dimezzata", 'warning');
+        }
+        if (ledger.desertion > 0) {
+            showMessage(`Minerali insufficienti per la paga: ${ledger.desertion} truppe hanno disertato`, 'warning');
+        }
+        updateEconomyLedger(ledger);
+        updateUI();
+    }
+
+    /**
+     * Fa agire gli imperi rivali e notifica il giocatore delle conquiste che lo riguardano
+     * @param {number} deltaTime - Secondi trascorsi
+     */
+    updateRivalEmpires(deltaTime) {
+        this.rivalEmpires.forEach(empire => {
+            empire.update(deltaTime, this.universeGenerator).forEach(({ planet, result }) => {
+                const conquered = result.stage === CONQUEST_STAGES.CONSOLIDATION;
+                const playerInvolved = planet.conqueredBy === PLAYER_EMPIRE || result.previousOwner === PLAYER_EMPIRE;
+
+                if (conquered) {
+                    this.worldManager.updatePlanetVisuals(planet);
+                    if (result.previousOwner === PLAYER_EMPIRE) {
+                        this.player.removeConqueredPlanet(planet.id);
+                        showMessage(`${empire.name} ti ha strappato ${planet.name}!`, 'error');
+                        playSound('failure');
+                    } else {
+                        showMessage(`${empire.name} ha conquistato ${planet.name}`, 'info');
+                    }
+                    this.autosave();
+                } else if (playerInvolved && result.success) {
+                    showMessage(`${empire.name} assedia ${planet.name}: difese al ${getDefensePercent(planet)}%`, 'warning');
+                }
+
+                if (planet === this.state.activePlanet && this.state.mode === GAME_MODES.SPACE) showPlanetInfo(planet);
+            });
+        });
+    }
+
+    /**
+     * Restituisce un impero rivale dal suo id
+     * @param {string} empireId - Id dell'impero (planet.conqueredBy)
+     */
+    getRivalEmpire(empireId) {
+        return this.rivalEmpires.find(empire => empire.id === empireId) || null;
+    }
+
+    /**
+     * Estrae risorse dalla fascia di asteroidi selezionata
+     * @param {Object} belt - Fascia di asteroidi
+     */
+    attemptMineAsteroids(belt) {
+        const result = this.universeGenerator.mineAsteroidBelt(belt, this.player.getAttackPower());
+        showMessage(result.message, result.success ? 'success' : 'info');
 
         if (result.success) {
-            this.player.currency += result.resources;
-            this.player.addConqueredPlanet(planet);
-            showPlanetInfo(planet);
-            if(this.worldManager.updatePlanetVisuals) this.worldManager.updatePlanetVisuals(planet);
+            this.player.addResources(result.resources);
+            showPlanetInfo(belt);
+            this.worldManager.updatePlanetVisuals(belt);
+            updateUI();
             playSound('success');
         } else {
             playSound('failure');
         }
     }
 
+    /**
+     * Usa l'abilità di uno slot nella direzione dello sguardo
+     * @param {number} slot - Indice dello slot (0 = tasto 1)
+     */
+    attemptUseAbility(slot) {
+        if (!this.player) return;
+
+        const direction = new THREE.Vector3();
+        this.camera.getWorldDirection(direction);
+        const result = this.player.useAbility(slot, direction, this.researchUnlocks.abilities);
+        if (!result.success) {
+            showMessage(result.message, 'warning');
+            playSound('error');
+            return;
+        }
+
+        if (result.projectile) {
+            this.createProjectile(this.aimProjectile(result.projectile));
+        } else if (result.from) {
+            this.pointerLockControls.getObject().position.copy(this.player.position);
+            this.createHitEffect(result.from, 0x00ffff);
+            this.createHitEffect(this.player.position, 0x00ffff);
+            playSound('teleport');
+        } else {
+            showMessage(result.message, 'success');
+            playSound('upgrade');
+        }
+        updateUI();
+    }
+
+    /** Attiva il livello di trasformazione successivo (o torna alla forma base) */
+    attemptTransform() {
+        if (!this.player) return;
+
+        const result = this.player.transform();
+        showMessage(result.message, result.success ? 'success' : 'warning');
+        playSound(result.success ? 'energy_wave_sound' : 'error');
+        this.updateTransformationBloom();
+        updateUI();
+    }
+
+    /** Alza il bloom della scena mentre una trasformazione è attiva */
+    updateTransformationBloom() {
+        if (!this.bloomPass) return;
+        this.bloomPass.strength = this.baseBloomStrength + (this.player?.transformation?.bloom || 0);
+    }
+
+    /**
+     * Assegna esperienza al giocatore e gestisce gli eventuali passaggi di livello
+     * @param {number} amount - Punti esperienza
+     */
+    grantExperience(amount) {
+        if (!this.player || amount <= 0) return;
+        this.player.gainExperience(amount).forEach(levelUp => this.handleLevelUp(levelUp));
+        if (this.state.uiState.skillsOpen) updateSkillsScreen();
+    }
+
+    /**
+     * Sulla superficie di pianeti di lava e di ghiaccio il giocatore a terra subisce
+     * l'effetto del pericolo ogni STATUS.HAZARD_INTERVAL secondi; in volo ne è al riparo
+     * @param {number} deltaTime - Secondi trascorsi
+     */
+    updatePlanetHazards(deltaTime) {
+        const onSurface = this.state.mode === GAME_MODES.PLANET || this.state.mode === GAME_MODES.GROUND_COMBAT;
+        const hazard = onSurface && PLANET_HAZARDS[this.state.activePlanet?.type];
+        if (!hazard || this.player.isFlying) {
+            this.state.hazardTimer = 0;
+            return;
+        }
+
+        this.state.hazardTimer += deltaTime;
+        if (this.state.hazardTimer < STATUS.HAZARD_INTERVAL) return;
+        this.state.hazardTimer = 0;
+
+        const wasActive = this.player.statusEffects.some(effect => effect.id === hazard);
+        applyStatus(this.player.statusEffects, hazard);
+        if (!wasActive) showMessage(`${getStatusDefinition(hazard).name}: alzati in volo per metterti al riparo`, 'warning');
+    }
+
+    /**
+     * Notifica un passaggio di livello, i punti talento e le trasformazioni sbloccate
+     * @param {Object} levelUp - Esito di Player.levelUp()
+     */
+    handleLevelUp(levelUp) {
+        showMessage(`Livello ${levelUp.level} raggiunto! Punti talento: ${levelUp.skillPoints} (tasto K)`, 'success');
+        playSound('upgrade');
+        if (levelUp.unlockedTransformation) {
+            showMessage(`Trasformazione sbloccata: ${levelUp.unlockedTransformation.name} (tasto X)`, 'success');
+        }
+        updateUI();
+        this.autosave();
+    }
+
     attemptUpgrade(stat) {
         if (!this.player) return;
         const currentLevel = this.player.upgrades[stat];
-        const baseCost = 100;
-        const maxLevel = 10;
-        const cost = baseCost * Math.pow(2, currentLevel);
+        const maxLevel = getUpgradeMaxLevel(this.researchUnlocks, stat);
+        const cost = getUpgradeCost(currentLevel);
 
         if (currentLevel >= maxLevel) {
-            showMessage("Potenziamento già al massimo livello.", "info");
+            showMessage(maxLevel < RESEARCH.MAX_UPGRADE_LEVEL
+                ? "Potenziamento al limite: la ricerca può alzarlo"
+                : "Potenziamento già al massimo livello.", "info");
             return;
         }
 
@@ -1006,12 +2125,212 @@ export class GameIntegration {
              showMessage(result.message, 'success');
              updateUI();
              playSound('upgrade');
+             this.autosave();
         } else {
              showMessage(result.message, 'error');
              playSound('error');
         }
     }
 
+    // --- Salvataggi ---
+
+    /**
+     * Raccoglie lo stato della campagna da salvare
+     * @param {Object} options - Opzioni di salvataggio
+     * @param {boolean} [options.fullUniverse=false] - Include la copia completa di sistemi e pianeti (file esportati)
+     * @returns {Object} Stato serializzabile ({ game, player, universe })
+     */
+    getSaveData(options = {}) {
+        return {
+            game: {
+                mode: this.state.mode,
+                gameTime: this.state.gameTime,
+                economyTick: this.state.economyTick,
+                seed: this.state.seed,
+                activePlanetId: this.state.activePlanet?.id || null,
+                activeSystemId: this.state.activeSystem?.id || null
+            },
+            player: this.player.getSaveData(),
+            empires: this.rivalEmpires.map(empire => empire.getSaveData()),
+            universe: options.fullUniverse
+                ? this.universeGenerator.getSnapshot()
+                : this.universeGenerator.getSaveData()
+        };
+    }
+
+    /**
+     * Ripristina una campagna da un documento di salvataggio
+     * @param {Object} data - Documento restituito da loadGame()
+     */
+    applySaveData(data) {
+        hideCharacterSelection();
+        hideGameOver();
+        closeSavesScreen();
+        this.state.uiState.savesOpen = false;
+        this.state.isGameOver = false;
+        this.state.isPaused = false;
+        this.state.gameTime = data.game?.gameTime || 0;
+        this.state.economyTick = data.game?.economyTick || 0;
+
+        this.createPlayer(data.player.race);
+        this.player.loadSaveData(data.player);
+
+        const universeData = this.universeGenerator.loadSaveData(data.universe);
+        this.state.seed = universeData.seed;
+        this.state.systems = universeData.systems;
+        this.state.planets = universeData.planets;
+        this.state.bodies = universeData.bodies;
+        this.state.activeBody = null;
+        this.state.activePlanet = this.state.planets.find(planet => planet.id === data.game?.activePlanetId) || null;
+        this.state.activeSystem = this.state.systems.find(system => system.id === data.game?.activeSystemId) || null;
+        // I salvataggi precedenti agli imperi rivali li ricevono alla prima apertura
+        this.rivalEmpires = data.empires
+            ? loadRivalEmpires(data.empires)
+            : createRivalEmpires(this.universeGenerator, this.player.race);
+
+        this.stopGameLoop();
+        this.beginSession();
+
+        const savedMode = data.game?.mode;
+        // I combattimenti non riprendono dal salvataggio: il bersaglio della conquista non viene salvato
+        if (savedMode === GAME_MODES.PLANET) {
+            this.setGameMode(savedMode, { planet: this.state.activePlanet });
+        }
+        updateUI();
+    }
+
+    /** Riprende la partita dal salvataggio più recente */
+    continueGame() {
+        const latest = getLatestSave();
+        if (!latest) {
+            showMessage("Nessun salvataggio disponibile", 'warning');
+            return;
+        }
+        this.loadFromSlot(latest.slot);
+    }
+
+    /**
+     * Salva la partita corrente in uno slot
+     * @param {string} slot - Slot di destinazione
+     */
+    saveToSlot(slot) {
+        if (!this.player || this.state.isGameOver) {
+            showMessage("Nessuna partita in corso da salvare", 'warning');
+            return;
+        }
+        const result = saveGame(slot, this.getSaveData());
+        showMessage(result.message, result.success ? 'success' : 'error');
+        updateSavesScreen(listSaves());
+    }
+
+    /**
+     * Carica la partita da uno slot
+     * @param {string} slot - Slot da caricare
+     */
+    loadFromSlot(slot) {
+        const result = loadGame(slot);
+        if (!result.success) {
+            showMessage(result.message, 'error');
+            return;
+        }
+
+        try {
+            this.applySaveData(result.data);
+            showMessage(result.message, 'success');
+        } catch (error) {
+            console.error("Error applying save data:", error);
+            showMessage("Impossibile ripristinare il salvataggio", 'error');
+        }
+    }
+
+    /**
+     * Elimina il salvataggio di uno slot
+     * @param {string} slot - Slot da svuotare
+     */
+    deleteSaveSlot(slot) {
+        deleteSave(slot);
+        updateSavesScreen(listSaves());
+    }
+
+    /** Esporta la partita corrente in un file JSON */
+    exportToFile() {
+        if (!this.player || this.state.isGameOver) {
+            showMessage("Nessuna partita in corso da esportare", 'warning');
+            return;
+        }
+        const result = exportSave(this.getSaveData({ fullUniverse: true }));
+        showMessage(result.message, result.success ? 'success' : 'error');
+    }
+
+    /**
+     * Importa una partita dal contenuto di un file JSON esportato
+     * @param {string} text - Contenuto del file scelto dal giocatore
+     */
+    importFromFile(text) {
+        const result = parseSaveFile(text);
+        if (!result.success) {
+            showMessage(result.message, 'error');
+            playSound('error');
+            return;
+        }
+
+        try {
+            this.applySaveData(result.data);
+            showMessage(result.message, 'success');
+        } catch (error) {
+            console.error("Error applying imported save:", error);
+            showMessage("Impossibile ripristinare la partita importata", 'error');
+        }
+    }
+
+    /** Salvataggio automatico dopo conquiste e potenziamenti */
+    autosave() {
+        if (!this.player || this.state.isGameOver) return;
+        const result = saveGame(AUTOSAVE_SLOT, this.getSaveData());
+        if (!result.success) showMessage(result.message, 'warning');
+    }
+
+    /** Apre o chiude la schermata dei salvataggi */
+    toggleSavesScreen() {
+        this.state.uiState.savesOpen ? closeSavesScreen() : openSavesScreen(listSaves());
+        this.state.uiState.savesOpen = !this.state.uiState.savesOpen;
+        this.pointerLockControls.isLocked ? this.pointerLockControls.unlock() : this.pointerLockControls.lock();
+    }
+
+    /**
+     * Traccia (o cancella) la rotta lungo le iperrotte verso il sistema più vicino
+     * che ha ancora pianeti da conquistare
+     */
+    toggleRouteToNextTarget() {
+        if (this.state.activeRoute) {
+            this.state.activeRoute = null;
+            this.worldManager.clearRoute();
+            showMessage("Rotta cancellata", 'info');
+            return;
+        }
+
+        const origin = this.universeGenerator.findNearestSystem(this.player.position, Infinity).system;
+        if (!origin) return;
+
+        const target = this.state.systems
+            .filter(system => system !== origin && system.planets.some(planet => planet.conqueredBy !== PLAYER_EMPIRE))
+            .sort((a, b) => a.position.distanceTo(origin.position) - b.position.distanceTo(origin.position))[0];
+        if (!target) {
+            showMessage("Nessun sistema da conquistare raggiungibile", 'info');
+            return;
+        }
+
+        const route = this.universeGenerator.findRoute(origin, target);
+        if (!route) {
+            showMessage(`Nessuna iperrotta verso ${target.name}`, 'warning');
+            return;
+        }
+
+        this.state.activeRoute = route;
+        this.worldManager.showRoute(route.path);
+        showMessage(`Rotta verso ${target.name}: ${route.jumps} salti`, 'info');
+    }
+
     getPlanetTypeForTerrain(planet) {
         if (!planet || !planet.type) return 'earth';
         return planet.type;
@@ -1019,11 +2338,14 @@ export class GameIntegration {
 
     // --- Gestione Input Globale ---
     handleKeyDown(event) {
+        // Ignora i tasti digitati nei campi di testo (es. seme dell'universo)
+        if (event.target instanceof HTMLInputElement) return;
+        
         // Debug tasto premuto
         console.log("GameIntegration: Key pressed:", event.code);
         
-        // Tasti numerici per FPS limit
-        if (event.code.startsWith('Digit')) {
+        // Shift + tasti numerici per FPS limit (senza Shift usano le abilità)
+        if (event.code.startsWith('Digit') && event.shiftKey) {
             const num = parseInt(event.code.replace('Digit', ''), 10);
             console.log("Numeric key pressed:", num);
             
@@ -1033,35 +2355,69 @@ export class GameIntegration {
             } else if (num === 6) {
                 console.log("Setting FPS to 60");
                 performanceMonitor.setTargetFPS(60);
-            } else if (num === 1 && event.code === 'Digit1' && event.shiftKey) {
+            } else if (num === 1) {
                 console.log("Setting FPS to 120");
                 performanceMonitor.setTargetFPS(120);
             }
+            return;
         }
         
+        // Azione associata al tasto: i tasti si riassegnano in KEYS
+        const action = Object.keys(KEYS).find(name => KEYS[name].includes(event.code));
+        
         // Gestisci prima gli shortcut UI che sbloccano il cursore
-        if (event.code === 'KeyU') {
+        if (action === 'TOGGLE_UPGRADES') {
             this.state.uiState.upgradesOpen ? closeUpgradesScreen() : openUpgradesScreen();
             this.state.uiState.upgradesOpen = !this.state.uiState.upgradesOpen;
             this.pointerLockControls.isLocked ? this.pointerLockControls.unlock() : this.pointerLockControls.lock();
             return; // Non processare altro
         }
-        if (event.code === 'KeyL') {
+        if (action === 'TOGGLE_LEGEND') {
             this.state.uiState.legendOpen ? closeLegendScreen() : openLegendScreen();
             this.state.uiState.legendOpen = !this.state.uiState.legendOpen;
             this.pointerLockControls.isLocked ? this.pointerLockControls.unlock() : this.pointerLockControls.lock();
             return;
         }
-        // Aggiungere M per Mappa, I per Inventario, Escape per Pausa qui se implementate
+        if (action === 'TOGGLE_SAVES' && this.player && !this.state.isGameOver) {
+            this.toggleSavesScreen();
+            return;
+        }
+        if (action === 'TOGGLE_BUILDINGS' && this.state.uiState.buildingsOpen) {
+            this.toggleBuildingsScreen();
+            return;
+        }
+        if (action === 'TOGGLE_RESEARCH' && this.state.uiState.researchOpen) {
+            this.toggleResearchScreen();
+            return;
+        }
+        if (action === 'TOGGLE_SKILLS' && this.state.uiState.skillsOpen) {
+            this.toggleSkillsScreen();
+            return;
+        }
+        if (action === 'TOGGLE_INVENTORY' && this.state.uiState.inventoryOpen) {
+            this.toggleInventoryScreen();
+            return;
+        }
+        // Aggiungere M per Mappa, Escape per Pausa qui se implementate
 
         // Se il gioco è in pausa o terminato, o il cursore è sbloccato (e non è un tasto UI), ignora altri input
         if (this.state.isGameOver || this.state.isPaused || !this.pointerLockControls?.isLocked) return;
 
+        // Tasti 1-9: abilità della razza
+        const abilitySlot = KEYS.USE_ABILITY.indexOf(event.code);
+        if (abilitySlot !== -1) {
+            this.attemptUseAbility(abilitySlot);
+            return;
+        }
+
         // Altri input gestiti solo se il lock è attivo
-        switch (event.code) {
-            case 'KeyE':
-                if (this.state.mode === GAME_MODES.SPACE && this.state.activePlanet) {
-                    if (!this.state.activePlanet.isConquered) {
+        switch (action) {
+            case 'INTERACT':
+                if (this.state.mode === GAME_MODES.SPACE && this.state.activeBody) {
+                    // Lune e stazioni si conquistano, le fasce di asteroidi si estraggono; non ci si atterra
+                    if (this.state.activeBody.conqueredBy !== PLAYER_EMPIRE) this.attemptConquerPlanet();
+                } else if (this.state.mode === GAME_MODES.SPACE && this.state.activePlanet) {
+                    if (this.state.activePlanet.conqueredBy !== PLAYER_EMPIRE) {
                         this.attemptConquerPlanet();
                     } else {
                         console.log("Landing on planet:", this.state.activePlanet.name);
@@ -1072,6 +2428,65 @@ export class GameIntegration {
                     this.setGameMode(GAME_MODES.SPACE);
                 }
                 break;
+            case 'PLOT_ROUTE':
+                if (this.state.mode === GAME_MODES.SPACE) this.toggleRouteToNextTarget();
+                break;
+            case 'REINFORCE_GARRISON':
+                if (this.state.mode === GAME_MODES.SPACE) this.attemptReinforceGarrison();
+                break;
+            case 'TOGGLE_BUILDINGS':
+                if (this.state.mode === GAME_MODES.SPACE) this.toggleBuildingsScreen();
+                break;
+            case 'TOGGLE_RESEARCH':
+                if (this.player && !this.state.isGameOver) this.toggleResearchScreen();
+                break;
+            case 'TOGGLE_SKILLS':
+                if (this.player && !this.state.isGameOver) this.toggleSkillsScreen();
+                break;
+            case 'TOGGLE_INVENTORY':
+                if (this.player && !this.state.isGameOver) this.toggleInventoryScreen();
+                break;
+            case 'TRANSFORM':
+                this.attemptTransform();
+                break;
+            case 'CYCLE_WEAPON':
+                if (this.state.mode === GAME_MODES.GROUND_COMBAT) {
+                    showMessage(`Arma: ${this.groundCombat.cycleWeapon()}`, 'info');
+                } else if (this.state.mode === GAME_MODES.SPACE_COMBAT) {
+                    const combatMode = this.spaceCombat.toggleMode() === 'weapon' ? 'armi' : 'volo';
+                    showMessage(`Modalità ${combatMode}: profilo ${this.spaceCombat.getFlightProfile().name}`, 'info');
+                }
+                break;
+            case 'CYCLE_TARGET':
+                if (this.state.mode === GAME_MODES.SPACE_COMBAT) {
+                    event.preventDefault();
+                    const target = this.spaceCombat.cycleTarget();
+                    showMessage(target
+                        ? `Bersaglio: ${target.userData.type} (${Math.round(target.position.distanceTo(this.player.position))} m)`
+                        : 'Nessun bersaglio a portata', target ? 'info' : 'warning');
+                }
+                break;
+            case 'CYCLE_SUBSYSTEM':
+                if (this.state.mode === GAME_MODES.SPACE_COMBAT && this.spaceCombat.targeting.target) {
+                    const subsystem = this.spaceCombat.cycleSubsystem();
+                    showMessage(`Mira: ${subsystem ? subsystem.name : 'nave intera'}`, 'info');
+                }
+                break;
+            case 'FIRE_MISSILE':
+                if (this.state.mode === GAME_MODES.SPACE_COMBAT) {
+                    const result = this.spaceCombat.fireMissile();
+                    showMessage(result.message, result.success ? 'info' : 'warning');
+                    if (result.success) playSound('shoot', 0.6);
+                }
+                break;
+            case 'TOGGLE_FLIGHT_ASSIST':
+                showMessage(`Assistenza al volo ${this.player.toggleFlightAssist() ? 'attivata' : 'disattivata'}`, 'info');
+                break;
+            case 'TOGGLE_FLIGHT_MODEL':
+                showMessage(this.player.toggleFlightModel()
+                    ? 'Volo newtoniano attivo: la nave conserva la quantità di moto'
+                    : 'Volo newtoniano disattivato: movimento diretto', 'info');
+                break;
             // Aggiungere altri tasti azione specifici del gioco (es. cambio arma, abilità)
         }
     }
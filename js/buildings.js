@@ -0,0 +1,222 @@
+/**
+ * Buildings
+ * Edifici costruibili sui domini del giocatore: miniere, generatori di scudi, cantieri
+ * orbitali e laboratori di ricerca. Ogni pianeta ha un numero di slot che dipende dalla
+ * sua dimensione; gli edifici si pagano all'ordine e vengono completati uno alla volta
+ * dalla coda di costruzione, che avanza in tempo di gioco anche quando il giocatore è altrove.
+ * Lo stato è salvato sul pianeta (planet.buildings, planet.constructionQueue).
+ */
+import { BUILDING_TYPES, BUILDINGS, CONQUEST_STAGES } from './constants.js';
+
+// Catalogo degli edifici: costo, tempo di costruzione (secondi) ed effetti
+export const BUILDING_DEFINITIONS = {
+    [BUILDING_TYPES.MINE]: {
+        name: 'Miniera',
+        icon: '⛏️',
+        description: 'Estrae minerali dal sottosuolo',
+        cost: { minerals: 80, energy: 20 },
+        buildTime: 60,
+        production: { minerals: 2 },
+        upkeep: { energy: 0.5 }
+    },
+    [BUILDING_TYPES.SHIELD_GENERATOR]: {
+        name: 'Generatore di scudi',
+        icon: '🛡️',
+        description: 'Rafforza le difese planetarie contro gli assedi',
+        cost: { minerals: 120, energy: 40 },
+        buildTime: 90,
+        requiresResearch: true,
+        defense: 25,
+        upkeep: { energy: 1 }
+    },
+    [BUILDING_TYPES.SHIPYARD]: {
+        name: 'Cantiere orbitale',
+        icon: '🚀',
+        description: `Supporto orbitale: +${BUILDINGS.ORBITAL_SUPPORT_BONUS * 100}% potenza negli assedi`,
+        cost: { minerals: 200, energy: 60 },
+        buildTime: 120,
+        requiresResearch: true,
+        unique: true,
+        unlocks: 'orbital-support',
+        upkeep: { energy: 1.5 }
+    },
+    [BUILDING_TYPES.RESEARCH_LAB]: {
+        name: 'Laboratorio di ricerca',
+        icon: '🔬',
+        description: 'Studia la materia esotica e abilita la ricerca',
+        cost: { minerals: 150, energy: 50 },
+        buildTime: 100,
+        unique: true,
+        unlocks: 'research',
+        production: { exotic: 0.5 },
+        upkeep: { energy: 1 }
+    }
+};
+
+/**
+ * Slot edificabili del pianeta
+ * @param {Object} planet - Pianeta, luna o stazione
+ */
+export function getBuildingSlots(planet) {
+    return Math.max(BUILDINGS.MIN_SLOTS, Math.floor((planet.size || 1) * BUILDINGS.SLOTS_PER_SIZE));
+}
+
+/**
+ * Slot occupati da edifici completati e cantieri in coda
+ * @param {Object} planet - Pianeta, luna o stazione
+ */
+export function getUsedSlots(planet) {
+    return (planet.buildings || []).length + (planet.constructionQueue || []).length;
+}
+
+/**
+ * Verifica se un edificio può essere messo in coda sul pianeta
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @param {string} type - Tipo di edificio (BUILDING_TYPES)
+ * @param {Set<string>} [researched] - Edifici sbloccati dalla ricerca
+ * @returns {Object} { success, message }
+ */
+export function canQueueBuilding(planet, type, researched = new Set()) {
+    const definition = BUILDING_DEFINITIONS[type];
+    if (!definition) return { success: false, message: `Edificio sconosciuto: ${type}` };
+
+    if (definition.requiresResearch && !researched.has(type)) {
+        return { success: false, message: `${definition.name}: ricerca necessaria` };
+    }
+
+    if (getUsedSlots(planet) >= getBuildingSlots(planet)) {
+        return { success: false, message: `Nessuno slot libero su ${planet.name}` };
+    }
+    if ((planet.constructionQueue || []).length >= BUILDINGS.MAX_QUEUE) {
+        return { success: false, message: `Coda di costruzione di ${planet.name} piena` };
+    }
+    if (definition.unique && countBuildings(planet, type) > 0) {
+        return { success: false, message: `${planet.name} ha già un ${definition.name.toLowerCase()}` };
+    }
+    return { success: true, message: '' };
+}
+
+/**
+ * Mette in coda un edificio (il costo va pagato prima)
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @param {string} type - Tipo di edificio (BUILDING_TYPES)
+ * @param {Set<string>} [researched] - Edifici sbloccati dalla ricerca
+ * @returns {Object} { success, message }
+ */
+export function queueBuilding(planet, type, researched) {
+    const check = canQueueBuilding(planet, type, researched);
+    if (!check.success) return check;
+
+    const definition = BUILDING_DEFINITIONS[type];
+    planet.constructionQueue = [...(planet.constructionQueue || []), { type, remaining: definition.buildTime }];
+    return { success: true, message: `${definition.name} in costruzione su ${planet.name}` };
+}
+
+/**
+ * Annulla un cantiere in coda; il costo viene rimborsato per intero
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @param {number} index - Posizione nella coda
+ * @returns {Object} { success, message, refund }
+ */
+export function cancelConstruction(planet, index) {
+    const order = (planet.constructionQueue || [])[index];
+    if (!order) return { success: false, message: 'Cantiere inesistente', refund: null };
+
+    planet.constructionQueue = planet.constructionQueue.filter((_, i) => i !== index);
+    const definition = BUILDING_DEFINITIONS[order.type];
+    return {
+        success: true,
+        message: `Costruzione di ${definition.name} annullata`,
+        refund: { ...definition.cost }
+    };
+}
+
+/**
+ * Fa avanzare la coda di costruzione: si lavora al primo cantiere, gli altri attendono
+ * Sotto assedio i lavori sono sospesi
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @param {number} deltaTime - Secondi di gioco trascorsi
+ * @returns {string|null} Tipo dell'edificio appena completato
+ */
+export function updateConstruction(planet, deltaTime) {
+    const queue = planet.constructionQueue;
+    if (!queue || queue.length === 0) return null;
+
+    const stage = planet.conquest?.stage;
+    if (stage === CONQUEST_STAGES.SIEGE || stage === CONQUEST_STAGES.GROUND_ASSAULT) return null;
+
+    const current = queue[0];
+    current.remaining = Math.max(0, current.remaining - deltaTime);
+    if (current.remaining > 0) return null;
+
+    queue.shift();
+    planet.buildings = [...(planet.buildings || []), current.type];
+    return current.type;
+}
+
+/**
+ * Avanzamento del cantiere in corso (0-1)
+ * @param {Object} order - Elemento della coda ({ type, remaining })
+ */
+export function getConstructionProgress(order) {
+    const buildTime = BUILDING_DEFINITIONS[order.type].buildTime;
+    return 1 - order.remaining / buildTime;
+}
+
+/**
+ * Produzione aggiuntiva per ciclo economico dovuta agli edifici
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @returns {Object} Quantità per tipo di risorsa
+ */
+export function getBuildingProduction(planet) {
+    return sumBuildingEffect(planet, 'production');
+}
+
+/**
+ * Mantenimento per ciclo economico degli edifici
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @returns {Object} Quantità per tipo di risorsa
+ */
+export function getBuildingUpkeep(planet) {
+    return sumBuildingEffect(planet, 'upkeep');
+}
+
+/**
+ * Difese aggiuntive dovute agli edifici (valgono per qualunque proprietario)
+ * @param {Object} planet - Pianeta, luna o stazione
+ */
+export function getBuildingDefense(planet) {
+    return (planet.buildings || []).reduce((total, type) => total + (BUILDING_DEFINITIONS[type]?.defense || 0), 0);
+}
+
+/**
+ * Funzionalità sbloccate dagli edifici di un insieme di domini
+ * @param {Array<Object>} holdings - Pianeti, lune e stazioni dell'impero
+ * @returns {Set<string>} Sblocchi attivi (es. 'orbital-support', 'research')
+ */
+export function getEmpireUnlocks(holdings) {
+    const unlocks = new Set();
+    holdings.forEach(planet => {
+        (planet.buildings || []).forEach(type => {
+            const unlock = BUILDING_DEFINITIONS[type]?.unlocks;
+            if (unlock) unlocks.add(unlock);
+        });
+    });
+    return unlocks;
+}
+
+function countBuildings(planet, type) {
+    const built = (planet.buildings || []).filter(building => building === type).length;
+    const queued = (planet.constructionQueue || []).filter(order => order.type === type).length;
+    return built + queued;
+}
+
+function sumBuildingEffect(planet, effect) {
+    const total = {};
+    (planet.buildings || []).forEach(type => {
+        Object.entries(BUILDING_DEFINITIONS[type]?.[effect] || {}).forEach(([resource, amount]) => {
+            total[resource] = (total[resource] || 0) + amount;
+        });
+    });
+    return total;
+}
@@ -145,6 +145,18 @@ class GroundCombat {
         return false;
     }
 
+    /**
+     * Get the outcome of the fight, used to resolve ground assaults
+     * @returns {Object} { victory, enemiesRemaining }
+     */
+    getCombatResult() {
+        const enemiesRemaining = this.enemies?.enemies?.length || 0;
+        return {
+            victory: enemiesRemaining === 0,
+            enemiesRemaining
+        };
+    }
+
     /**
      * Update the combat system
      * @param {number} deltaTime - Time elapsed since last update
@@ -383,11 +395,22 @@ class GroundCombat {
         document.dispatchEvent(event);
     }
 
+    /**
+     * Switch to the next weapon unlocked by research
+     * @returns {string} Name of the equipped weapon
+     */
+    cycleWeapon() {
+        const name = this.weapons.cycleWeapon();
+        this.playerState.currentWeapon = this.weapons.currentWeapon;
+        return name;
+    }
+
     /**
      * Activate ground combat mode
      */
     activate() {
         this.active = true;
+        this._combatDuration = 0;
     }
 
     /**
@@ -398,14 +421,15 @@ class GroundCombat {
     }
 
     /**
-     * Spara un proiettile dal giocatore
+     * Spara con l'arma equipaggiata (cadenza, munizioni e dispersione da GroundWeapons)
+     * @param {THREE.Vector3} origin - Punto di partenza dei colpi
+     * @param {THREE.Vector3} direction - Direzione del mirino
+     * @returns {Array<Object>} Proiettili sparati, vuoto se l'arma non è pronta o si sta ricaricando
      */
-    firePlayerProjectile() {
-        if (this.weaponCooldown > 0) return;
-        
-        // Implementazione sparo proiettile...
-        console.log('Giocatore ha sparato');
-        this.weaponCooldown = this.weaponCooldownTime;
+    firePlayerProjectile(origin, direction) {
+        const shot = this.weapons.fire(origin, direction);
+        if (!shot) return [];
+        return Array.isArray(shot) ? shot : [shot];
     }
     
     /**
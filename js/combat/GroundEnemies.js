@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { applyStatus, updateStatuses, getStatusModifiers } from '../statusEffects.js';
 
 /**
  * Class to manage ground enemies
@@ -16,6 +17,7 @@ class GroundEnemies {
         this.maxEnemies = 10;
         this.lastSpawnTime = 0;
         this.spawnRate = 5; // Seconds between spawns
+        this.onEnemyKilled = null; // Called with each killed enemy (loot drops)
     }
     
     /**
@@ -134,7 +136,7 @@ class GroundEnemies {
             target: null,
             state: 'idle', // idle, chase, attack, stunned
             lastAttackTime: 0,
-            stunTime: 0
+            statusEffects: []
         };
         
         this.scene.add(mesh);
@@ -159,8 +161,7 @@ class GroundEnemies {
         }
         
         // Stun the enemy briefly
-        enemy.state = 'stunned';
-        enemy.stunTime = 0.5;
+        applyStatus(enemy.statusEffects, 'stun');
         
         // Flash the enemy red
         const originalColor = enemy.mesh.material.color.getHex();
@@ -193,7 +194,7 @@ class GroundEnemies {
         
         this.scene.remove(enemy.mesh);
         
-        // Create death effect here if desired
+        if (this.onEnemyKilled) this.onEnemyKilled(enemy);
     }
     
     /**
@@ -256,8 +257,8 @@ class GroundEnemies {
         // Check if should spawn new enemies
         this.checkSpawning(currentTime, playerPosition);
         
-        // Update each enemy
-        this.enemies.forEach(enemy => {
+        // Update each enemy (status damage can kill and remove them)
+        [...this.enemies].forEach(enemy => {
             this.updateEnemy(enemy, deltaTime, currentTime, playerPosition);
         });
     }
@@ -270,13 +271,16 @@ class GroundEnemies {
      * @param {THREE.Vector3} playerPosition - Player position
      */
     updateEnemy(enemy, deltaTime, currentTime, playerPosition) {
-        // Update stun state
-        if (enemy.state === 'stunned') {
-            enemy.stunTime -= deltaTime;
-            if (enemy.stunTime <= 0) {
-                enemy.state = 'chase';
+        // Tick status effects: burns hurt, freeze slows, stun skips the AI
+        const { damage } = updateStatuses(enemy.statusEffects, deltaTime);
+        if (damage > 0) {
+            enemy.health -= damage;
+            if (enemy.health <= 0) {
+                this.killEnemy(enemy);
+                return;
             }
         }
+        const modifiers = getStatusModifiers(enemy.statusEffects);
         
         // Apply friction to velocity
         enemy.velocity.multiplyScalar(0.9);
@@ -285,7 +289,7 @@ class GroundEnemies {
         enemy.target = playerPosition;
         
         // Handle enemy state
-        switch (enemy.state) {
+        switch (modifiers.stunned ? 'stunned' : enemy.state) {
             case 'idle':
                 // Transition to chase if player is nearby
                 if (enemy.position.distanceTo(playerPosition) < enemy.config.range * 2) {
@@ -297,7 +301,7 @@ class GroundEnemies {
                 // Move toward player
                 if (enemy.target) {
                     const direction = new THREE.Vector3().subVectors(enemy.target, enemy.position).normalize();
-                    const speed = enemy.config.speed * deltaTime;
+                    const speed = enemy.config.speed * modifiers.speedMultiplier * deltaTime;
                     enemy.velocity.add(direction.multiplyScalar(speed));
                 }
                 
@@ -334,7 +338,7 @@ class GroundEnemies {
         }
         
         // Make enemy face player
-        if (enemy.state !== 'stunned' && enemy.target) {
+        if (!modifiers.stunned && enemy.target) {
             const lookDir = new THREE.Vector3().subVectors(enemy.target, enemy.position);
             lookDir.y = 0; // Keep upright
             if (lookDir.length() > 0.1) {
@@ -353,7 +357,7 @@ class GroundEnemies {
         const currentTime = performance.now() / 1000;
         
         this.enemies.forEach(enemy => {
-            if (enemy.state !== 'attack') return;
+            if (enemy.state !== 'attack' || getStatusModifiers(enemy.statusEffects).stunned) return;
             if (currentTime - enemy.lastAttackTime < enemy.config.attackRate) return;
             
             const distance = enemy.position.distanceTo(playerPosition);
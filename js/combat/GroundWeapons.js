@@ -68,6 +68,9 @@ class GroundWeapons {
             }
         };
         
+        // Weapons available to the player (the pistol is always available, the rest come from research)
+        this.unlockedWeapons = ['pistol'];
+        
         // Current weapon state
         this.currentWeapon = null;
         this.weaponMesh = null;
@@ -156,6 +159,25 @@ class GroundWeapons {
         this.camera.add(this.weaponMesh);
     }
     
+    /**
+     * Set the weapons the player can equip
+     * @param {Iterable<string>} weaponTypes - Unlocked weapon types (unknown types are ignored)
+     */
+    setUnlockedWeapons(weaponTypes) {
+        this.unlockedWeapons = ['pistol', ...weaponTypes].filter((weapon, index, list) =>
+            this.weaponTypes[weapon] && list.indexOf(weapon) === index);
+    }
+    
+    /**
+     * Equip the next unlocked weapon
+     * @returns {string} Name of the equipped weapon
+     */
+    cycleWeapon() {
+        const index = this.unlockedWeapons.indexOf(this.currentWeapon);
+        this.equipWeapon(this.unlockedWeapons[(index + 1) % this.unlockedWeapons.length]);
+        return this.weaponTypes[this.currentWeapon].name;
+    }
+    
     /**
      * Fire the current weapon
      * @param {THREE.Vector3} position - Starting position for projectile
@@ -0,0 +1,275 @@
+import * as THREE from 'three';
+import { SPACE_AI } from '../constants.js';
+
+/**
+ * Intelligenza delle navi nemiche nel combattimento spaziale (utility AI).
+ * Ogni tipo di nave elenca in SPACE_AI_PROFILES i comportamenti che conosce, con peso e
+ * parametri; ogni SPACE_AI.DECISION_INTERVAL secondi si calcola l'utilità di ciascuno nella
+ * situazione corrente e la nave passa al più alto. Il comportamento decide dove volare, a che
+ * velocità e se aprire il fuoco: il movimento lo applica SpaceCombat.
+ *
+ * Caccia e bombardieri volano in squadriglie: il capo squadriglia guida, i gregari tengono la
+ * formazione a V finché il capo non arriva a tiro. Se il capo cade, il primo gregario ne prende il posto.
+ */
+
+// Comportamenti per tipo di nave; weight è l'utilità quando il comportamento è applicabile
+export const SPACE_AI_PROFILES = {
+    fighter: {
+        formation: { weight: 1.5, spacing: 8, engageRange: 80 },
+        strafingRun: { weight: 1, sideOffset: 15, passDistance: 10, extendTime: 2.5, speedMultiplier: 1.4 },
+        breakOff: { weight: 3, hullThreshold: 0.35, duration: 4, cooldown: 12 },
+        pursue: { weight: 0.2 }
+    },
+    bomber: {
+        formation: { weight: 1.5, spacing: 10, engageRange: 100 },
+        attackStructure: { weight: 1.2, bombRange: 30, cooldown: 8, damage: 2 },
+        strafingRun: { weight: 0.8, sideOffset: 20, passDistance: 12, extendTime: 3, speedMultiplier: 1.2 },
+        breakOff: { weight: 2, hullThreshold: 0.25, duration: 5, cooldown: 15 },
+        pursue: { weight: 0.2 }
+    },
+    cruiser: {
+        holdRange: { weight: 1, minRange: 60, maxRange: 90, orbitSpeed: 0.4 },
+        pursue: { weight: 0.1 }
+    },
+    // Nave capitale (capitalShips.js): si tiene a distanza di batterie
+    capital: {
+        holdRange: { weight: 1, minRange: 90, maxRange: 130, orbitSpeed: 0.3 }
+    }
+};
+
+// Profilo dei tipi senza comportamenti propri
+const DEFAULT_PROFILE = { pursue: { weight: 1 } };
+
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Comportamenti: score(context, params) ne calcola l'utilità, start(context, params) prepara lo
+ * stato quando la nave lo sceglie, act(context, params, deltaTime) restituisce la decisione
+ * ({ destination, speedMultiplier, fire, bomb })
+ */
+const BEHAVIOURS = {
+    // Dritti sul giocatore
+    pursue: {
+        score: (context, params) => params.weight,
+        act: context => ({ destination: context.playerPosition.clone(), speedMultiplier: 1, fire: true })
+    },
+
+    // I gregari seguono il capo squadriglia nella sua posizione della V
+    formation: {
+        score: (context, params) => {
+            const leader = context.squadron?.leader;
+            if (!leader || leader === context.enemy) return 0;
+            return leader.position.distanceTo(context.playerPosition) > params.engageRange ? params.weight : 0;
+        },
+        act: (context, params) => {
+            const { enemy, squadron } = context;
+            const slot = getFormationSlot(squadron, enemy);
+            const offset = new THREE.Vector3(slot.side * params.spacing * slot.rank, 0, -params.spacing * slot.rank)
+                .applyQuaternion(squadron.leader.quaternion);
+            const destination = squadron.leader.position.clone().add(offset);
+            // Fuori posizione si accelera per raggiungerla, vicino si rallenta per non superarla
+            const gap = destination.distanceTo(enemy.position);
+            return { destination, speedMultiplier: Math.min(1.3, gap / params.spacing), fire: false };
+        }
+    },
+
+    // Passaggio radente accanto al giocatore sparando, poi allungo e nuovo attacco
+    strafingRun: {
+        score: (context, params) => params.weight,
+        start: (context, params) => beginRun(context, params),
+        act: (context, params, deltaTime) => {
+            const { ai, enemy, playerPosition } = context;
+            if (ai.phase === 'extend') {
+                ai.timer -= deltaTime;
+                if (ai.timer <= 0) beginRun(context, params);
+                return {
+                    destination: enemy.position.clone().addScaledVector(ai.heading, 50),
+                    speedMultiplier: params.speedMultiplier,
+                    fire: false
+                };
+            }
+
+            const runPoint = playerPosition.clone().add(ai.runOffset);
+            if (enemy.position.distanceTo(runPoint) < params.passDistance) {
+                ai.phase = 'extend';
+                ai.timer = params.extendTime;
+                ai.heading = enemy.getWorldDirection(new THREE.Vector3());
+            }
+            return { destination: runPoint, speedMultiplier: params.speedMultiplier, fire: true };
+        }
+    },
+
+    // Ritirata quando lo scafo è malridotto, il tempo che gli scudi si ricarichino
+    breakOff: {
+        score: (context, params) => {
+            const { ai } = context;
+            if (ai.behaviour === 'breakOff' && ai.timer > 0) return params.weight;
+            return context.hullRatio < params.hullThreshold && !(ai.cooldowns.breakOff > 0) ? params.weight : 0;
+        },
+        start: (context, params) => {
+            context.ai.timer = params.duration;
+            context.ai.cooldowns.breakOff = params.cooldown;
+        },
+        act: (context, params, deltaTime) => {
+            const { ai, enemy, playerPosition } = context;
+            ai.timer -= deltaTime;
+            const away = enemy.position.clone().sub(playerPosition).normalize();
+            return { destination: enemy.position.clone().addScaledVector(away, 50), speedMultiplier: 1.3, fire: false };
+        }
+    },
+
+    // Bombardamento dei domini del giocatore vicini al combattimento
+    attackStructure: {
+        score: (context, params) => context.structures.length ? params.weight : 0,
+        act: (context, params) => {
+            const { ai, enemy } = context;
+            const structure = context.structures.reduce((closest, candidate) =>
+                candidate.position.distanceTo(enemy.position) < closest.position.distanceTo(enemy.position) ? candidate : closest);
+            const fromStructure = enemy.position.clone().sub(structure.position);
+            const inRange = fromStructure.length() <= params.bombRange;
+            // A tiro si gira attorno al bersaglio invece di tuffarcisi dentro
+            const destination = inRange
+                ? enemy.position.clone().addScaledVector(new THREE.Vector3().crossVectors(fromStructure, WORLD_UP).normalize(), 20)
+                : structure.position.clone();
+            const decision = { destination, speedMultiplier: inRange ? 0.5 : 1, fire: true };
+            if (inRange && !(ai.cooldowns.bomb > 0)) {
+                ai.cooldowns.bomb = params.cooldown;
+                decision.bomb = { structure, damage: params.damage };
+            }
+            return decision;
+        }
+    },
+
+    // Le navi pesanti restano alla distanza delle loro batterie girando attorno al giocatore
+    holdRange: {
+        score: (context, params) => params.weight,
+        act: (context, params) => {
+            const { enemy, playerPosition } = context;
+            const fromPlayer = enemy.position.clone().sub(playerPosition);
+            const distance = fromPlayer.length();
+            fromPlayer.normalize();
+            if (distance > params.maxRange) {
+                return { destination: playerPosition.clone(), speedMultiplier: 1, fire: true };
+            }
+            if (distance < params.minRange) {
+                return { destination: enemy.position.clone().addScaledVector(fromPlayer, 20), speedMultiplier: 1, fire: true };
+            }
+            const tangent = new THREE.Vector3().crossVectors(fromPlayer, WORLD_UP).normalize();
+            return {
+                destination: enemy.position.clone().addScaledVector(tangent, 20),
+                speedMultiplier: params.orbitSpeed,
+                fire: true
+            };
+        }
+    }
+};
+
+/**
+ * Crea lo stato dell'intelligenza di una nave
+ * @param {Object|null} [squadron] - Squadriglia di appartenenza
+ * @returns {Object}
+ */
+export function createAIState(squadron = null) {
+    return {
+        squadron,
+        behaviour: null,
+        decisionTimer: 0,
+        timer: 0,
+        phase: null,
+        runOffset: new THREE.Vector3(),
+        heading: new THREE.Vector3(0, 0, 1),
+        cooldowns: {}
+    };
+}
+
+/**
+ * Riunisce caccia e bombardieri in squadriglie dello stesso tipo; il primo di ognuna è il capo
+ * @param {Array<THREE.Object3D>} enemies - Navi appena generate (con userData.ai)
+ * @returns {Array<Object>} Squadriglie ({ leader, members })
+ */
+export function formSquadrons(enemies) {
+    const squadrons = [];
+    ['fighter', 'bomber'].forEach(type => {
+        const ships = enemies.filter(enemy => enemy.userData.type === type);
+        for (let i = 0; i < ships.length; i += SPACE_AI.SQUADRON_SIZE) {
+            const members = ships.slice(i, i + SPACE_AI.SQUADRON_SIZE);
+            const squadron = { leader: members[0], members };
+            members.forEach(member => { member.userData.ai.squadron = squadron; });
+            squadrons.push(squadron);
+        }
+    });
+    return squadrons;
+}
+
+/**
+ * Sceglie e applica il comportamento di una nave
+ * @param {THREE.Object3D} enemy - Nave nemica (userData.ai da createAIState)
+ * @param {Object} world - { playerPosition, structures }
+ * @param {number} deltaTime - Secondi trascorsi
+ * @returns {Object} { destination, speedMultiplier, fire, bomb }
+ */
+export function updateEnemyAI(enemy, world, deltaTime) {
+    const data = enemy.userData;
+    const ai = data.ai;
+    const profile = SPACE_AI_PROFILES[data.type] || DEFAULT_PROFILE;
+    Object.keys(ai.cooldowns).forEach(id => { ai.cooldowns[id] -= deltaTime; });
+    if (ai.squadron) promoteLeader(ai.squadron);
+
+    const context = {
+        enemy,
+        ai,
+        squadron: ai.squadron,
+        playerPosition: world.playerPosition,
+        structures: world.structures || [],
+        hullRatio: data.hull / data.maxHull
+    };
+
+    ai.decisionTimer -= deltaTime;
+    if (ai.decisionTimer <= 0 || !profile[ai.behaviour]) {
+        ai.decisionTimer = SPACE_AI.DECISION_INTERVAL;
+        const best = Object.entries(profile).reduce((chosen, [id, params]) => {
+            const score = BEHAVIOURS[id].score(context, params);
+            return score > chosen.score ? { id, score } : chosen;
+        }, { id: null, score: 0 });
+        const next = best.id || 'pursue';
+        if (next !== ai.behaviour) {
+            ai.behaviour = next;
+            BEHAVIOURS[next].start?.(context, profile[next] || DEFAULT_PROFILE.pursue);
+        }
+    }
+    return BEHAVIOURS[ai.behaviour].act(context, profile[ai.behaviour] || DEFAULT_PROFILE.pursue, deltaTime);
+}
+
+/**
+ * Se il capo squadriglia è caduto, il primo gregario ancora in volo prende il comando
+ * @param {Object} squadron - Squadriglia
+ */
+function promoteLeader(squadron) {
+    if (squadron.leader.userData.isActive) return;
+    squadron.members = squadron.members.filter(member => member.userData.isActive);
+    if (squadron.members.length) squadron.leader = squadron.members[0];
+}
+
+/**
+ * Posizione di un gregario nella V: ranghi alternati a sinistra e a destra del capo
+ * @returns {Object} { side, rank }
+ */
+function getFormationSlot(squadron, enemy) {
+    const wingmen = squadron.members.filter(member => member !== squadron.leader && member.userData.isActive);
+    const index = Math.max(0, wingmen.indexOf(enemy));
+    return { side: index % 2 === 0 ? -1 : 1, rank: Math.floor(index / 2) + 1 };
+}
+
+/**
+ * Sceglie il lato del prossimo passaggio radente
+ */
+function beginRun(context, params) {
+    const { ai, enemy, playerPosition } = context;
+    const approach = playerPosition.clone().sub(enemy.position).normalize();
+    const side = new THREE.Vector3().crossVectors(approach, WORLD_UP);
+    if (side.lengthSq() < 1e-6) side.set(1, 0, 0);
+    side.normalize().applyAxisAngle(approach, Math.random() * Math.PI * 2);
+    ai.runOffset.copy(side.multiplyScalar(params.sideOffset));
+    ai.phase = 'attack';
+    ai.timer = 0;
+}
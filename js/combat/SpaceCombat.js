@@ -1,4 +1,14 @@
 import * as THREE from 'three';
+import { updateStatuses, getStatusModifiers } from '../statusEffects.js';
+import { FLIGHT_PROFILES } from '../flightModel.js';
+import { SpaceTargeting, computeLeadPoint } from './SpaceTargeting.js';
+import {
+    createShield, restoreShield, absorbDamage, updateShield, createSubsystems, findSubsystemAt, damageSubsystem,
+    getSubsystemEffects, SHIP_DEFENSES, SUBSYSTEM_ROLES
+} from './shipDefenses.js';
+import { createAIState, formSquadrons, updateEnemyAI } from './SpaceAI.js';
+import { CAPITAL_SHIP, createCapitalState, updateCapitalShip, getChargeProgress } from './capitalShips.js';
+import { PLAYER, SPACE_TARGETING, CAPITAL_SHIPS } from '../constants.js';
 
 /**
  * Classe che gestisce il combattimento spaziale.
@@ -22,6 +32,13 @@ export class SpaceCombat {
         this.weaponCooldown = 0.5; // Secondi tra un colpo e l'altro
         this.lastShotTime = 0;
         
+        // Puntamento dei bersagli e missili a ricerca
+        this.targeting = new SpaceTargeting();
+        this.missiles = SPACE_TARGETING.MISSILE_AMMO;
+        
+        // Domini del giocatore vicini al combattimento, bersagli dei bombardieri
+        this.structures = [];
+        
         // Geometrie e materiali riutilizzabili
         this.setupMaterials();
         
@@ -30,9 +47,24 @@ export class SpaceCombat {
         
         // Variabili di stato
         this.enemiesDestroyed = 0;
+        this.enemiesSpawned = 0;
+        this.capitalShipsDestroyed = 0;
+        this._combatDuration = 0;
         
         // Opzioni e difficoltà
         this.difficulty = 1;
+        
+        // Moltiplicatori di danno contro i tipi di nemico (contromisure sbloccate dalla ricerca)
+        this.enemyCounters = {};
+        
+        // Richiamata con ogni nemico distrutto (bottino)
+        this.onEnemyDestroyed = null;
+        // Richiamata con ogni sottosistema distrutto (nemico, sottosistema)
+        this.onSubsystemDestroyed = null;
+        // Richiamata quando un bombardiere colpisce un dominio (nemico, dominio, danno)
+        this.onStructureBombed = null;
+        // Richiamata con gli eventi delle navi capitali (nave, evento di updateCapitalShip)
+        this.onCapitalShipEvent = null;
     }
     
     /**
@@ -40,8 +72,8 @@ export class SpaceCombat {
      * @param {THREE.Vector3} [playerPosition] - Posizione iniziale opzionale per il giocatore
      */
     initialize(playerPosition) {
-        // Verifica che il player sia un oggetto Three.js valido
-        if (!this.player || !this.player.isObject3D) {
+        // Va bene qualunque giocatore con una posizione (Object3D o Player)
+        if (!this.player || !this.player.position) {
             console.warn('Player not valid in SpaceCombat.initialize, creating temporary player');
             
             // Crea un player temporaneo
@@ -74,6 +106,12 @@ export class SpaceCombat {
         this.projectiles = [];
         this.explosions = [];
         this.enemiesDestroyed = 0;
+        this.enemiesSpawned = 0;
+        this.capitalShipsDestroyed = 0;
+        this._combatDuration = 0;
+        this.targeting.reset();
+        this.missiles = SPACE_TARGETING.MISSILE_AMMO;
+        if (this.player.shield) restoreShield(this.player.shield);
         
         // Creazione delle geometrie e materiali
         this.setupMaterials();
@@ -93,6 +131,14 @@ export class SpaceCombat {
         this.enemyProjectileGeometry = new THREE.SphereGeometry(0.4, 8, 8);
         this.enemyProjectileMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 });
         
+        // Missili a ricerca (la punta del cono segue la direzione di volo)
+        this.missileGeometry = new THREE.ConeGeometry(0.3, 1.5, 6).rotateX(Math.PI / 2);
+        this.missileMaterial = new THREE.MeshBasicMaterial({ color: 0xffaa00 });
+        
+        // Carica degli attacchi speciali delle navi capitali
+        this.chargeGeometry = new THREE.SphereGeometry(1, 16, 16);
+        this.telegraphMaterial = new THREE.LineBasicMaterial({ color: 0xff2200, transparent: true, opacity: 0.8 });
+        
         // Effetto esplosione
         this.explosionGeometry = new THREE.SphereGeometry(1, 16, 16);
         this.explosionMaterial = new THREE.MeshBasicMaterial({ 
@@ -110,20 +156,28 @@ export class SpaceCombat {
         return this.mode;
     }
     
+    /**
+     * Profilo di volo della nave per la modalità corrente:
+     * crociera in modalità volo, combattimento ravvicinato in modalità arma
+     */
+    getFlightProfile() {
+        return this.mode === 'weapon' ? FLIGHT_PROFILES.dogfight : FLIGHT_PROFILES.cruise;
+    }
+    
     /**
      * Crea un nemico spaziale nella posizione data
      */
     spawnEnemy(position, type = 'fighter') {
         // Geometria base per il nemico
         let geometry, material;
-        let speed, health, attackPower, attackRange;
+        let speed, hull, attackPower, attackRange;
         
         switch (type) {
             case 'fighter':
                 geometry = new THREE.ConeGeometry(1, 3, 8);
                 material = new THREE.MeshStandardMaterial({ color: 0xff0000 });
                 speed = 20;
-                health = 20;
+                hull = 20;
                 attackPower = 10;
                 attackRange = 50;
                 break;
@@ -131,7 +185,7 @@ export class SpaceCombat {
                 geometry = new THREE.SphereGeometry(2, 16, 16);
                 material = new THREE.MeshStandardMaterial({ color: 0xff4400 });
                 speed = 10;
-                health = 50;
+                hull = 50;
                 attackPower = 25;
                 attackRange = 70;
                 break;
@@ -139,10 +193,18 @@ export class SpaceCombat {
                 geometry = new THREE.BoxGeometry(5, 2, 10);
                 material = new THREE.MeshStandardMaterial({ color: 0x770000 });
                 speed = 5;
-                health = 100;
+                hull = 100;
                 attackPower = 15;
                 attackRange = 100;
                 break;
+            case 'capital':
+                geometry = new THREE.BoxGeometry(12, 5, 36);
+                material = new THREE.MeshStandardMaterial({ color: 0x555566 });
+                speed = CAPITAL_SHIP.speed;
+                hull = CAPITAL_SHIP.hull;
+                attackPower = CAPITAL_SHIP.attackPower;
+                attackRange = CAPITAL_SHIP.attackRange;
+                break;
         }
         
         // Crea la mesh del nemico
@@ -151,24 +213,58 @@ export class SpaceCombat {
         enemyMesh.lookAt(this.player.position);
         
         // Aggiunge metadati
+        const defenses = SHIP_DEFENSES[type];
         enemyMesh.userData = {
             type: type,
-            health: health,
-            maxHealth: health,
+            hull: hull,
+            maxHull: hull,
+            shield: createShield(defenses.shield, defenses.rechargeRate),
+            subsystems: createSubsystems(enemyMesh, type),
             speed: speed,
             attackPower: attackPower,
             attackRange: attackRange,
             lastAttackTime: 0,
             attackCooldown: 2, // Secondi tra attacchi
-            isActive: true
+            isActive: true,
+            statusEffects: [], // Effetti di stato attivi (statusEffects.js)
+            velocity: new THREE.Vector3(), // Stimata ogni frame, per il punto di intercettazione
+            lastPosition: position.clone(),
+            ai: createAIState(), // Stato dell'intelligenza (SpaceAI.js)
+            capital: type === 'capital' ? createCapitalState() : null // Fasi e armi delle navi capitali
         };
         
         this.scene.add(enemyMesh);
         this.enemies.push(enemyMesh);
+        this.enemiesSpawned++;
         
         return enemyMesh;
     }
     
+    /**
+     * Fa comparire una nave capitale davanti al giocatore, con il bagliore sulla prua che ne
+     * annuncia gli attacchi speciali
+     * @returns {THREE.Object3D} La nave
+     */
+    spawnCapitalShip() {
+        const ahead = new THREE.Vector3();
+        this.camera.getWorldDirection(ahead);
+        ahead.y = 0;
+        if (ahead.lengthSq() < 1e-6) ahead.set(0, 0, -1);
+        const position = this.player.position.clone().addScaledVector(ahead.normalize(), CAPITAL_SHIPS.SPAWN_DISTANCE);
+        
+        const ship = this.spawnEnemy(position, 'capital');
+        const glow = new THREE.Mesh(this.chargeGeometry, new THREE.MeshBasicMaterial({
+            color: 0xff2200,
+            transparent: true,
+            opacity: 0.7
+        }));
+        glow.position.set(0, 0, 19);
+        glow.visible = false;
+        ship.add(glow);
+        ship.userData.chargeGlow = glow;
+        return ship;
+    }
+    
     /**
      * Spara un proiettile dalla posizione del giocatore
      */
@@ -186,7 +282,7 @@ export class SpaceCombat {
         // Se in modalità arma, spara nella direzione della camera
         const direction = new THREE.Vector3();
         
-        if (this.mode === 'flight') {
+        if (this.mode === 'flight' && this.player.quaternion) {
             // Usa la direzione di movimento del giocatore
             direction.set(0, 0, -1).applyQuaternion(this.player.quaternion);
         } else {
@@ -207,7 +303,7 @@ export class SpaceCombat {
         // Aggiungi metadati
         projMesh.userData = {
             isPlayerProjectile: true,
-            speed: 60,
+            speed: PLAYER.PROJECTILE_SPEED,
             damage: 10,
             direction: direction,
             distance: 0,
@@ -223,6 +319,69 @@ export class SpaceCombat {
         return projMesh;
     }
     
+    /**
+     * Direzione di tiro con l'aiuto del puntamento: se il bersaglio è agganciato e il punto di
+     * intercettazione è vicino al centro del mirino, il colpo va lì
+     * @param {THREE.Vector3} direction - Direzione del mirino (normalizzata)
+     * @param {THREE.Vector3} origin - Da dove parte il colpo
+     * @param {number} projectileSpeed - Velocità del colpo
+     * @returns {THREE.Vector3} Direzione corretta (normalizzata)
+     */
+    getAimDirection(direction, origin, projectileSpeed) {
+        if (!this.targeting.locked) return direction.clone();
+        
+        const toLead = this.targeting.getLeadPoint(origin, projectileSpeed).sub(origin).normalize();
+        return toLead.angleTo(direction) <= SPACE_TARGETING.AIM_ASSIST_CONE ? toLead : direction.clone();
+    }
+    
+    /**
+     * Passa al bersaglio successivo
+     * @returns {THREE.Object3D|null} Il nuovo bersaglio
+     */
+    cycleTarget() {
+        return this.targeting.cycleTarget(this.enemies, this.player.position);
+    }
+    
+    /**
+     * Passa al sottosistema successivo del bersaglio (poi di nuovo alla nave intera)
+     * @returns {Object|null} Il sottosistema mirato
+     */
+    cycleSubsystem() {
+        return this.targeting.cycleSubsystem();
+    }
+    
+    /**
+     * Lancia un missile a ricerca contro il bersaglio agganciato
+     * @returns {Object} Risultato ({ success, message })
+     */
+    fireMissile() {
+        if (this.missiles <= 0) return { success: false, message: "Missili esauriti" };
+        if (!this.targeting.locked) return { success: false, message: "Nessun bersaglio agganciato" };
+        
+        const target = this.targeting.target;
+        const aimPoint = this.targeting.getAimPoint();
+        const direction = aimPoint.clone().sub(this.player.position).normalize();
+        const missile = new THREE.Mesh(this.missileGeometry, this.missileMaterial);
+        missile.position.copy(this.player.position).addScaledVector(direction, 3);
+        missile.lookAt(aimPoint);
+        missile.userData = {
+            isPlayerProjectile: true,
+            isMissile: true,
+            target: target,
+            subsystem: this.targeting.subsystem,
+            speed: SPACE_TARGETING.MISSILE_SPEED,
+            damage: SPACE_TARGETING.MISSILE_DAMAGE,
+            direction: direction,
+            distance: 0,
+            maxDistance: SPACE_TARGETING.MISSILE_RANGE
+        };
+        
+        this.scene.add(missile);
+        this.projectiles.push(missile);
+        this.missiles--;
+        return { success: true, message: `Missile lanciato (${this.missiles} rimasti)` };
+    }
+    
     /**
      * Spara un proiettile da un nemico verso il giocatore
      */
@@ -242,24 +401,37 @@ export class SpaceCombat {
             enemy.position
         ).normalize();
         
-        // Crea proiettile
+        // Posiziona davanti al nemico
+        const origin = enemy.position.clone().add(direction.clone().multiplyScalar(3));
+        return this.launchEnemyProjectile(origin, direction, {
+            damage: enemy.userData.attackPower,
+            maxDistance: enemy.userData.attackRange * 1.5
+        });
+    }
+    
+    /**
+     * Crea un proiettile nemico
+     * @param {THREE.Vector3} origin - Punto di partenza
+     * @param {THREE.Vector3} direction - Direzione (normalizzata)
+     * @param {Object} options - { damage, maxDistance, speed, size }
+     * @returns {THREE.Mesh} Il proiettile
+     */
+    launchEnemyProjectile(origin, direction, { damage, maxDistance, speed = 40, size = 1 }) {
         const projMesh = new THREE.Mesh(
             this.enemyProjectileGeometry, 
             this.enemyProjectileMaterial
         );
-        
-        // Posiziona davanti al nemico
-        projMesh.position.copy(enemy.position);
-        projMesh.position.add(direction.clone().multiplyScalar(3));
+        projMesh.position.copy(origin);
+        projMesh.scale.setScalar(size);
         
         // Aggiungi metadati
         projMesh.userData = {
             isEnemyProjectile: true,
-            speed: 40,
-            damage: enemy.userData.attackPower,
+            speed: speed,
+            damage: damage,
             direction: direction,
             distance: 0,
-            maxDistance: enemy.userData.attackRange * 1.5
+            maxDistance: maxDistance
         };
         
         this.scene.add(projMesh);
@@ -299,8 +471,20 @@ export class SpaceCombat {
     update(deltaTime) {
         if (!this.active) return; // Non aggiornare se inattivo
         
+        // Aggiorna il tempo di combattimento
+        this._combatDuration += deltaTime;
+        
+        // Ricarica lo scudo del giocatore
+        if (this.player.shield) updateShield(this.player.shield, deltaTime);
+        
         // Aggiorna nemici
         this.updateEnemies(deltaTime);
+        this.trackEnemyVelocities(deltaTime);
+        
+        // Aggiorna l'aggancio sul bersaglio selezionato
+        const aimDirection = new THREE.Vector3();
+        this.camera.getWorldDirection(aimDirection);
+        this.targeting.update(deltaTime, this.player.position, aimDirection);
         
         // Aggiorna proiettili
         this.updateProjectiles(deltaTime);
@@ -321,54 +505,190 @@ export class SpaceCombat {
             
             if (!enemy.userData.isActive) {
                 // Rimuovi nemici inattivi
+                this.clearTelegraph(enemy);
                 this.scene.remove(enemy);
                 this.enemies.splice(i, 1);
                 continue;
             }
             
-            // Calcola distanza dal giocatore
-            const distanceToPlayer = enemy.position.distanceTo(this.player.position);
+            // Effetti di stato: le ustioni danneggiano lo scafo, il congelamento rallenta, lo stordimento blocca
+            const { damage } = updateStatuses(enemy.userData.statusEffects, deltaTime);
+            if (damage > 0 && this.damageEnemy(enemy, damage, { ignoreShield: true })) continue;
+            const modifiers = getStatusModifiers(enemy.userData.statusEffects);
+            if (modifiers.stunned) continue;
+            
+            // Sottosistemi distrutti: motori lenti, torrette mute, scudi spenti
+            const systems = getSubsystemEffects(enemy.userData.subsystems);
+            if (systems.shieldOnline) updateShield(enemy.userData.shield, deltaTime);
+            const speedMultiplier = modifiers.speedMultiplier * systems.speedMultiplier;
+            
+            // Il comportamento scelto dall'intelligenza (SpaceAI.js) decide rotta, velocità e fuoco
+            const decision = updateEnemyAI(enemy, {
+                playerPosition: this.player.position,
+                structures: this.structures
+            }, deltaTime);
+            
+            const toDestination = new THREE.Vector3().subVectors(decision.destination, enemy.position);
+            const step = Math.min(
+                toDestination.length(),
+                enemy.userData.speed * decision.speedMultiplier * speedMultiplier * deltaTime
+            );
+            if (step > 0.01) {
+                enemy.lookAt(decision.destination);
+                enemy.position.addScaledVector(toDestination.normalize(), step);
+            }
             
-            if (distanceToPlayer <= enemy.userData.attackRange) {
-                // Il giocatore è a portata di attacco
+            const distanceToPlayer = enemy.position.distanceTo(this.player.position);
+            if (enemy.userData.capital) {
+                // Le navi capitali sparano dalle batterie e lanciano caccia dagli hangar
+                this.updateCapitalShip(enemy, deltaTime);
+            } else if (decision.fire && systems.canFire && distanceToPlayer <= enemy.userData.attackRange) {
                 this.fireEnemyProjectile(enemy);
-                
-                // Se è un fighter, insegue il giocatore
-                if (enemy.userData.type === 'fighter') {
-                    // Movimento verso il giocatore
-                    const directionToPlayer = new THREE.Vector3().subVectors(
-                        this.player.position, 
-                        enemy.position
-                    ).normalize();
-                    
-                    // Velocità di movimento
-                    const speed = enemy.userData.speed * deltaTime;
-                    
-                    // Muovi l'enemy
-                    enemy.position.add(directionToPlayer.multiplyScalar(speed));
-                    
-                    // Ruota verso il giocatore
-                    enemy.lookAt(this.player.position);
+            }
+            if (decision.bomb && this.onStructureBombed) {
+                this.onStructureBombed(enemy, decision.bomb.structure, decision.bomb.damage);
+            }
+        }
+    }
+    
+    /**
+     * Applica gli eventi di una nave capitale: batterie, ondate dagli hangar, fasi e attacchi speciali
+     * @param {THREE.Object3D} ship - Nave capitale
+     * @param {number} deltaTime - Secondi trascorsi
+     */
+    updateCapitalShip(ship, deltaTime) {
+        const escorts = this.enemies.filter(enemy => enemy.userData.isActive && enemy.userData.escortOf === ship).length;
+        const events = updateCapitalShip(ship, { playerPosition: this.player.position, escorts }, deltaTime);
+        
+        events.forEach(event => {
+            switch (event.type) {
+                case 'battery': {
+                    const origin = event.subsystem.mesh.getWorldPosition(new THREE.Vector3());
+                    const direction = new THREE.Vector3().subVectors(this.player.position, origin).normalize();
+                    this.launchEnemyProjectile(origin, direction, {
+                        damage: ship.userData.attackPower,
+                        maxDistance: ship.userData.attackRange * 1.5
+                    });
+                    break;
                 }
-            } else {
-                // Movimento casuale o pattern predefinito (semplificato)
-                // Per ora, muoviamo solo in modo basico verso il giocatore
-                
-                const directionToPlayer = new THREE.Vector3().subVectors(
-                    this.player.position, 
-                    enemy.position
-                ).normalize();
-                
-                // Velocità di movimento
-                const speed = enemy.userData.speed * deltaTime;
-                
-                // Muovi l'enemy
-                enemy.position.add(directionToPlayer.multiplyScalar(speed));
-                
-                // Ruota verso il giocatore
-                enemy.lookAt(this.player.position);
+                case 'launch': {
+                    const origin = event.hangar.mesh.getWorldPosition(new THREE.Vector3());
+                    const launched = [];
+                    for (let i = 0; i < event.count; i++) {
+                        const offset = new THREE.Vector3((Math.random() - 0.5) * 6, (Math.random() - 0.5) * 6, 0);
+                        const fighter = this.spawnEnemy(origin.clone().add(offset), 'fighter');
+                        fighter.userData.escortOf = ship;
+                        launched.push(fighter);
+                    }
+                    formSquadrons(launched);
+                    break;
+                }
+                case 'telegraph':
+                    this.showTelegraph(ship, event.aimPoint);
+                    break;
+                case 'attack':
+                    this.clearTelegraph(ship);
+                    this.fireCapitalAttack(ship, event.attack, event.aimPoint);
+                    break;
             }
+            if (event.type !== 'battery' && this.onCapitalShipEvent) this.onCapitalShipEvent(ship, event);
+        });
+        
+        // Il bagliore sulla prua cresce con la carica
+        ship.userData.chargeGlow.visible = Boolean(ship.userData.capital.charging);
+        ship.userData.chargeGlow.scale.setScalar(1 + getChargeProgress(ship.userData.capital) * 3);
+    }
+    
+    /**
+     * Mostra la linea di tiro dell'attacco speciale in carica
+     * @param {THREE.Object3D} ship - Nave capitale
+     * @param {THREE.Vector3} aimPoint - Punto mirato
+     */
+    showTelegraph(ship, aimPoint) {
+        this.clearTelegraph(ship);
+        const bow = ship.userData.chargeGlow.getWorldPosition(new THREE.Vector3());
+        const end = bow.clone().add(aimPoint.clone().sub(bow).multiplyScalar(1.5));
+        const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints([bow, end]), this.telegraphMaterial);
+        line.userData.isEffect = true;
+        this.scene.add(line);
+        ship.userData.telegraphLine = line;
+    }
+    
+    /**
+     * Toglie la linea di tiro e il bagliore di una nave capitale
+     * @param {THREE.Object3D} ship - Nave (le navi senza attacchi speciali sono ignorate)
+     */
+    clearTelegraph(ship) {
+        const line = ship.userData.telegraphLine;
+        if (line) {
+            this.scene.remove(line);
+            line.geometry.dispose();
+            ship.userData.telegraphLine = null;
         }
+        if (ship.userData.chargeGlow) ship.userData.chargeGlow.visible = false;
+    }
+    
+    /**
+     * Spara un attacco speciale dalla prua verso il punto mirato all'inizio della carica
+     * @param {THREE.Object3D} ship - Nave capitale
+     * @param {Object} attack - Attacco di CAPITAL_ATTACKS
+     * @param {THREE.Vector3} aimPoint - Punto mirato
+     */
+    fireCapitalAttack(ship, attack, aimPoint) {
+        const origin = ship.userData.chargeGlow.getWorldPosition(new THREE.Vector3());
+        const aim = new THREE.Vector3().subVectors(aimPoint, origin).normalize();
+        const side = new THREE.Vector3().crossVectors(aim, new THREE.Vector3(0, 1, 0));
+        if (side.lengthSq() < 1e-6) side.set(1, 0, 0);
+        side.normalize();
+        
+        for (let i = 0; i < attack.projectiles; i++) {
+            // Ventaglio orizzontale centrato sul punto mirato
+            const angle = attack.projectiles > 1 ? (i / (attack.projectiles - 1) - 0.5) * attack.spread : 0;
+            const direction = aim.clone().applyAxisAngle(new THREE.Vector3().crossVectors(side, aim), angle);
+            this.launchEnemyProjectile(origin, direction, {
+                damage: attack.damage,
+                speed: attack.speed,
+                size: attack.size || 1.5,
+                maxDistance: CAPITAL_SHIP.attackRange * 2
+            });
+        }
+        this.createExplosion(origin, 2);
+    }
+    
+    /**
+     * Stima la velocità dei nemici dallo spostamento dell'ultimo frame
+     */
+    trackEnemyVelocities(deltaTime) {
+        if (deltaTime <= 0) return;
+        this.enemies.forEach(enemy => {
+            const data = enemy.userData;
+            data.velocity.subVectors(enemy.position, data.lastPosition).divideScalar(deltaTime);
+            data.lastPosition.copy(enemy.position);
+        });
+    }
+    
+    /**
+     * Vira un missile verso il punto di intercettazione del suo bersaglio, con raggio di virata limitato
+     */
+    steerMissile(missile, deltaTime) {
+        const data = missile.userData;
+        // Bersaglio distrutto: il missile prosegue dritto
+        if (!data.target.userData.isActive) return;
+        
+        const targetPoint = data.subsystem?.isActive
+            ? data.subsystem.mesh.getWorldPosition(new THREE.Vector3())
+            : data.target.position;
+        const aimPoint = computeLeadPoint(missile.position, targetPoint, data.target.userData.velocity, data.speed);
+        const desired = aimPoint.sub(missile.position).normalize();
+        const angle = data.direction.angleTo(desired);
+        const maxTurn = SPACE_TARGETING.MISSILE_TURN_RATE * deltaTime;
+        if (angle <= maxTurn) {
+            data.direction.copy(desired);
+        } else {
+            const axis = new THREE.Vector3().crossVectors(data.direction, desired).normalize();
+            data.direction.applyAxisAngle(axis, maxTurn).normalize();
+        }
+        missile.lookAt(missile.position.clone().add(data.direction));
     }
     
     /**
@@ -377,6 +697,7 @@ export class SpaceCombat {
     updateProjectiles(deltaTime) {
         for (let i = this.projectiles.length - 1; i >= 0; i--) {
             const projectile = this.projectiles[i];
+            if (projectile.userData.isMissile) this.steerMissile(projectile, deltaTime);
             
             // Muovi il proiettile
             const moveAmount = projectile.userData.speed * deltaTime;
@@ -424,14 +745,9 @@ export class SpaceCombat {
      * Controlla collisioni tra proiettili e oggetti
      */
     checkCollisions() {
-        // Controlla che il player sia un oggetto Three.js valido
-        if (!this.player || !this.player.isObject3D) {
-            console.warn('Player is not a valid Object3D');
-            return;
-        }
-        
-        // Crea box del giocatore
-        const playerBox = new THREE.Box3().setFromObject(this.player);
+        // Box del giocatore: l'oggetto stesso o la mesh del Player
+        const playerObject = this.player?.isObject3D ? this.player : this.player?.mesh;
+        const playerBox = playerObject ? new THREE.Box3().setFromObject(playerObject) : null;
         
         // Controlla ogni proiettile
         for (let i = this.projectiles.length - 1; i >= 0; i--) {
@@ -447,11 +763,9 @@ export class SpaceCombat {
             
             // Proiettili nemici vs giocatore
             if (projectile.userData.isEnemyProjectile) {
-                if (projectileBox.intersectsBox(playerBox)) {
+                if (playerBox && projectileBox.intersectsBox(playerBox)) {
                     // Danneggia giocatore
-                    if (typeof this.player.takeDamage === 'function') {
-                        this.player.takeDamage(projectile.userData.damage);
-                    }
+                    this.damagePlayer(projectile.userData.damage);
                     
                     // Crea piccola esplosione
                     this.createExplosion(projectile.position, 1);
@@ -478,15 +792,11 @@ export class SpaceCombat {
                     const enemyBox = new THREE.Box3().setFromObject(enemy);
                     
                     if (projectileBox.intersectsBox(enemyBox)) {
-                        // Danneggia nemico
-                        enemy.userData.health -= projectile.userData.damage;
-                        
-                        if (enemy.userData.health <= 0) {
-                            // Nemico distrutto
-                            this.createExplosion(enemy.position, 3);
-                            enemy.userData.isActive = false;
-                            this.enemiesDestroyed++;
-                        } else {
+                        const impact = {
+                            hitPosition: projectile.position,
+                            subsystem: enemy === projectile.userData.target ? projectile.userData.subsystem : null
+                        };
+                        if (!this.damageEnemy(enemy, projectile.userData.damage, impact)) {
                             // Piccola esplosione per hit
                             this.createExplosion(projectile.position, 1);
                         }
@@ -505,6 +815,52 @@ export class SpaceCombat {
         }
     }
     
+    /**
+     * Danneggia un nemico, con le contromisure contro il suo tipo: gli scudi assorbono il colpo,
+     * il resto va allo scafo e al sottosistema colpito
+     * @param {THREE.Object3D} enemy - Nemico colpito
+     * @param {number} amount - Danno prima delle contromisure
+     * @param {Object} [options] - { hitPosition, subsystem, ignoreShield }: punto d'impatto o
+     *        sottosistema mirato, danni che passano oltre gli scudi (ustioni)
+     * @returns {boolean} True se il nemico è stato distrutto
+     */
+    damageEnemy(enemy, amount, options = {}) {
+        const data = enemy.userData;
+        if (!data.isActive) return false;
+        
+        const counter = this.enemyCounters[data.type] || 1;
+        const hullDamage = options.ignoreShield ? amount * counter : absorbDamage(data.shield, amount * counter);
+        if (hullDamage <= 0) return false;
+        
+        const subsystem = options.subsystem || (options.hitPosition && findSubsystemAt(data.subsystems, options.hitPosition));
+        if (subsystem && damageSubsystem(subsystem, hullDamage)) {
+            if (subsystem.role === SUBSYSTEM_ROLES.SHIELD) data.shield.value = 0;
+            if (this.onSubsystemDestroyed) this.onSubsystemDestroyed(enemy, subsystem);
+        }
+        
+        data.hull -= hullDamage;
+        if (data.hull > 0) return false;
+        
+        // Nemico distrutto
+        this.createExplosion(enemy.position, data.capital ? 12 : 3);
+        enemy.userData.isActive = false;
+        this.enemiesDestroyed++;
+        if (data.capital) this.capitalShipsDestroyed++;
+        if (this.onEnemyDestroyed) this.onEnemyDestroyed(enemy);
+        return true;
+    }
+    
+    /**
+     * Danneggia il giocatore: lo scudo della nave assorbe per primo
+     * @param {number} amount - Danno del colpo
+     */
+    damagePlayer(amount) {
+        const hullDamage = this.player.shield ? absorbDamage(this.player.shield, amount) : amount;
+        if (hullDamage > 0 && typeof this.player.takeDamage === 'function') {
+            this.player.takeDamage(hullDamage);
+        }
+    }
+    
     /**
      * Verifica se il combattimento è completo
      * @returns {boolean} True se il combattimento è finito
@@ -524,6 +880,19 @@ export class SpaceCombat {
         return false;
     }
     
+    /**
+     * Esito del combattimento, usato per l'assedio orbitale
+     * @returns {Object} { enemiesDestroyed, enemiesSpawned, capitalShipsDestroyed, timedOut }
+     */
+    getCombatResult() {
+        return {
+            enemiesDestroyed: this.enemiesDestroyed,
+            enemiesSpawned: this.enemiesSpawned,
+            capitalShipsDestroyed: this.capitalShipsDestroyed,
+            timedOut: this._combatDuration > 180
+        };
+    }
+    
     /**
      * Attiva il sistema di combattimento spaziale
      */
@@ -552,9 +921,12 @@ export class SpaceCombat {
         
         // Rimuovi tutti i nemici
         this.enemies.forEach(enemy => {
+            this.clearTelegraph(enemy);
             this.scene.remove(enemy);
         });
         this.enemies = [];
+        this.structures = [];
+        this.targeting.reset();
         
         // Resetta il tempo di combattimento
         this._combatDuration = 0;
@@ -577,6 +949,7 @@ export class SpaceCombat {
         const playerPosition = this.player.position;
         const waveSize = Math.min(3 + Math.floor(this.difficulty * 1.5), 10);
         const spawnRadius = 100;
+        const wave = [];
         
         for (let i = 0; i < waveSize; i++) {
             // Calcola una posizione casuale intorno al giocatore
@@ -601,13 +974,32 @@ export class SpaceCombat {
                 enemyType = 'fighter';
             }
             
-            this.spawnEnemy(position, enemyType);
+            wave.push(this.spawnEnemy(position, enemyType));
         }
         
+        // Caccia e bombardieri volano in squadriglie guidate da un capo
+        formSquadrons(wave);
+        
         // Aumenta leggermente la difficoltà per la prossima ondata
         this.difficulty += 0.2;
     }
 
+    /**
+     * Imposta le contromisure contro i tipi di nemico
+     * @param {Object} counters - Moltiplicatori di danno per tipo ({ fighter: 1.5, ... })
+     */
+    setEnemyCounters(counters) {
+        this.enemyCounters = { ...counters };
+    }
+
+    /**
+     * Imposta i domini del giocatore che i bombardieri possono attaccare
+     * @param {Array<Object>} structures - Pianeti e corpi celesti con position
+     */
+    setStructures(structures) {
+        this.structures = [...structures];
+    }
+
     /**
      * Imposta statistiche del giocatore da sistema esterno
      * @param {number} attackPower - Potenza d'attacco del giocatore
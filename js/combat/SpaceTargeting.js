@@ -0,0 +1,195 @@
+import * as THREE from 'three';
+import { SPACE_TARGETING } from '../constants.js';
+
+/**
+ * Sistema di puntamento del combattimento spaziale.
+ * Il giocatore scorre i bersagli, li aggancia tenendoli nel mirino per SPACE_TARGETING.LOCK_TIME
+ * secondi e vede dove mirare per colpirli (punto di intercettazione calcolato dalla velocità del
+ * bersaglio e da quella dei colpi). Il bersaglio agganciato guida i missili a ricerca.
+ * Sulle navi con sottosistemi si può mirare a uno di essi invece che alla nave intera.
+ */
+export class SpaceTargeting {
+    constructor() {
+        this.target = null;
+        this.subsystem = null; // Sottosistema mirato del bersaglio (null = nave intera)
+        this.lockTime = 0;
+        this.locked = false;
+    }
+
+    /**
+     * Dimentica il bersaglio (inizio e fine del combattimento)
+     */
+    reset() {
+        this.target = null;
+        this.subsystem = null;
+        this.lockTime = 0;
+        this.locked = false;
+    }
+
+    /**
+     * Passa al bersaglio successivo, dal più vicino al più lontano
+     * @param {Array<THREE.Object3D>} enemies - Nemici del combattimento
+     * @param {THREE.Vector3} playerPosition - Posizione del giocatore
+     * @returns {THREE.Object3D|null} Il nuovo bersaglio
+     */
+    cycleTarget(enemies, playerPosition) {
+        const candidates = enemies
+            .filter(enemy => enemy.userData.isActive && enemy.position.distanceTo(playerPosition) <= SPACE_TARGETING.RANGE)
+            .sort((a, b) => a.position.distanceTo(playerPosition) - b.position.distanceTo(playerPosition));
+
+        const next = candidates[(candidates.indexOf(this.target) + 1) % candidates.length] || null;
+        if (next !== this.target) {
+            this.target = next;
+            this.subsystem = null;
+            this.lockTime = 0;
+            this.locked = false;
+        }
+        return this.target;
+    }
+
+    /**
+     * Passa al sottosistema attivo successivo del bersaglio, poi di nuovo alla nave intera
+     * @returns {Object|null} Il sottosistema mirato
+     */
+    cycleSubsystem() {
+        const subsystems = (this.target?.userData.subsystems || []).filter(subsystem => subsystem.isActive);
+        this.subsystem = subsystems[subsystems.indexOf(this.subsystem) + 1] || null;
+        return this.subsystem;
+    }
+
+    /**
+     * Punto mirato: il sottosistema scelto o il centro della nave
+     * @returns {THREE.Vector3|null}
+     */
+    getAimPoint() {
+        if (!this.target) return null;
+        if (this.subsystem) return this.subsystem.mesh.getWorldPosition(new THREE.Vector3());
+        return this.target.position.clone();
+    }
+
+    /**
+     * Aggiorna l'aggancio: cresce finché il bersaglio resta nel cono del mirino, altrimenti cala
+     * @param {number} deltaTime - Secondi trascorsi
+     * @param {THREE.Vector3} playerPosition - Posizione del giocatore
+     * @param {THREE.Vector3} aimDirection - Direzione del mirino (normalizzata)
+     */
+    update(deltaTime, playerPosition, aimDirection) {
+        if (this.target && (!this.target.userData.isActive
+            || this.target.position.distanceTo(playerPosition) > SPACE_TARGETING.RANGE)) {
+            this.reset();
+        }
+        if (!this.target) return;
+        if (this.subsystem && !this.subsystem.isActive) this.subsystem = null;
+
+        const toTarget = this.getAimPoint().sub(playerPosition).normalize();
+        if (toTarget.angleTo(aimDirection) <= SPACE_TARGETING.LOCK_CONE) {
+            this.lockTime = Math.min(SPACE_TARGETING.LOCK_TIME, this.lockTime + deltaTime);
+        } else {
+            this.lockTime = Math.max(0, this.lockTime - deltaTime * SPACE_TARGETING.LOCK_DECAY);
+        }
+        this.locked = this.lockTime >= SPACE_TARGETING.LOCK_TIME;
+    }
+
+    /**
+     * Avanzamento dell'aggancio
+     * @returns {number} Valore tra 0 e 1
+     */
+    getLockProgress() {
+        return this.lockTime / SPACE_TARGETING.LOCK_TIME;
+    }
+
+    /**
+     * Punto in cui mirare perché un colpo intercetti il bersaglio
+     * @param {THREE.Vector3} shooterPosition - Da dove parte il colpo
+     * @param {number} projectileSpeed - Velocità del colpo
+     * @returns {THREE.Vector3|null} Punto di intercettazione (null senza bersaglio)
+     */
+    getLeadPoint(shooterPosition, projectileSpeed) {
+        if (!this.target) return null;
+        return computeLeadPoint(shooterPosition, this.getAimPoint(), this.target.userData.velocity, projectileSpeed);
+    }
+
+    /**
+     * Dati per il mirino: bersaglio e punto di intercettazione in coordinate dello schermo
+     * @param {THREE.Camera} camera - Camera del giocatore
+     * @param {THREE.Vector3} playerPosition - Posizione del giocatore
+     * @param {number} projectileSpeed - Velocità dei colpi del giocatore
+     * @returns {Object|null} { type, subsystem, distance, shield, maxShield, hull, maxHull, locked, lockProgress, target, lead }
+     */
+    getHudData(camera, playerPosition, projectileSpeed) {
+        if (!this.target) return null;
+        const data = this.target.userData;
+        return {
+            type: data.type,
+            subsystem: this.subsystem ? { name: this.subsystem.name, health: this.subsystem.health, maxHealth: this.subsystem.maxHealth } : null,
+            distance: this.target.position.distanceTo(playerPosition),
+            shield: data.shield.value,
+            maxShield: data.shield.max,
+            hull: data.hull,
+            maxHull: data.maxHull,
+            locked: this.locked,
+            lockProgress: this.getLockProgress(),
+            target: projectToScreen(this.getAimPoint(), camera),
+            lead: projectToScreen(this.getLeadPoint(playerPosition, projectileSpeed), camera)
+        };
+    }
+}
+
+/**
+ * Soluzione del problema di intercettazione: il colpo, lanciato ora in linea retta a velocità
+ * costante, incontra il bersaglio che mantiene la sua velocità
+ * @param {THREE.Vector3} shooterPosition - Da dove parte il colpo
+ * @param {THREE.Vector3} targetPosition - Posizione del bersaglio
+ * @param {THREE.Vector3} [targetVelocity] - Velocità del bersaglio (unità al secondo)
+ * @param {number} projectileSpeed - Velocità del colpo
+ * @returns {THREE.Vector3} Punto di intercettazione
+ */
+export function computeLeadPoint(shooterPosition, targetPosition, targetVelocity, projectileSpeed) {
+    const offset = targetPosition.clone().sub(shooterPosition);
+    if (!targetVelocity || targetVelocity.lengthSq() === 0) return targetPosition.clone();
+
+    // |offset + velocity * t| = speed * t  ->  a t² + b t + c = 0
+    const a = targetVelocity.lengthSq() - projectileSpeed * projectileSpeed;
+    const b = 2 * offset.dot(targetVelocity);
+    const c = offset.lengthSq();
+    let time;
+    if (Math.abs(a) < 1e-6) {
+        time = b < 0 ? -c / b : -1;
+    } else {
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant >= 0) {
+            const root = Math.sqrt(discriminant);
+            const times = [(-b - root) / (2 * a), (-b + root) / (2 * a)].filter(t => t > 0);
+            time = times.length ? Math.min(...times) : -1;
+        } else {
+            time = -1;
+        }
+    }
+    // Bersaglio più veloce del colpo che si allontana: si mira dove sarà quando il colpo copre la distanza attuale
+    if (time <= 0) time = offset.length() / projectileSpeed;
+    return targetPosition.clone().addScaledVector(targetVelocity, time);
+}
+
+/**
+ * Proietta un punto del mondo sullo schermo
+ * @param {THREE.Vector3|null} point - Punto del mondo
+ * @param {THREE.Camera} camera - Camera del giocatore
+ * @returns {Object|null} { x, y, onScreen, angle } x e y tra 0 e 1 dall'angolo in alto a sinistra,
+ *          angle la direzione (radianti, 0 = destra, in senso orario) verso cui indicare se fuori schermo
+ */
+export function projectToScreen(point, camera) {
+    if (!point) return null;
+    const projected = point.clone().project(camera);
+    const inFront = projected.z < 1;
+    const onScreen = inFront && Math.abs(projected.x) <= 1 && Math.abs(projected.y) <= 1;
+
+    // Dietro la camera la proiezione si ribalta: per la freccia serve la direzione opposta
+    const dx = inFront ? projected.x : -projected.x;
+    const dy = inFront ? projected.y : -projected.y;
+    return {
+        x: (projected.x + 1) / 2,
+        y: (1 - projected.y) / 2,
+        onScreen,
+        angle: Math.atan2(-dy, dx)
+    };
+}
@@ -0,0 +1,155 @@
+import { CAPITAL_SHIPS, RESOURCE_TYPES } from '../constants.js';
+import { SUBSYSTEM_ROLES } from './shipDefenses.js';
+
+/**
+ * Navi capitali: i boss del combattimento spaziale, a guardia dei pianeti con difese oltre
+ * CAPITAL_SHIPS.DEFENSE_THRESHOLD. Ogni batteria (sottosistema, vedi shipDefenses.js) spara per
+ * conto suo, gli hangar lanciano ondate di caccia e lo scafo scandisce le fasi dello scontro:
+ * scendendo sotto la soglia di una fase la nave cambia ritmo e prepara un attacco speciale,
+ * annunciato da CAPITAL_SHIPS.TELEGRAPH_TIME secondi di carica per dare il tempo di schivarlo.
+ *
+ * Questo modulo decide soltanto cosa succede (updateCapitalShip restituisce degli eventi):
+ * proiettili, caccia ed effetti li crea SpaceCombat.
+ */
+
+export const CAPITAL_SHIP = {
+    name: 'Corazzata',
+    hull: 900,
+    speed: 4,
+    attackPower: 8,                    // Danno di ogni colpo di batteria
+    attackRange: 150,
+    // Fasi in ordine: si passa alla successiva quando lo scafo scende sotto hullAbove
+    phases: [
+        { name: 'Schieramento', hullAbove: 0.66, batteryCooldown: 3.5, launchInterval: 30, launchSize: 2, attack: null },
+        { name: 'Bordate', hullAbove: 0.33, batteryCooldown: 2.8, launchInterval: 22, launchSize: 3, attack: 'broadside', attackInterval: 14 },
+        { name: 'Ultima difesa', hullAbove: 0, batteryCooldown: 2, launchInterval: 16, launchSize: 3, attack: 'ionLance', attackInterval: 10 }
+    ],
+    reward: {
+        [RESOURCE_TYPES.MINERALS]: 400,
+        [RESOURCE_TYPES.ENERGY]: 200,
+        [RESOURCE_TYPES.EXOTIC]: 30
+    }
+};
+
+// Attacchi speciali: mirano dove si trovava il giocatore all'inizio della carica
+export const CAPITAL_ATTACKS = {
+    broadside: {
+        name: 'Bordata',
+        projectiles: 11,               // Colpi a ventaglio
+        spread: 0.5,                   // Apertura del ventaglio in radianti
+        damage: 15,
+        speed: 50
+    },
+    ionLance: {
+        name: 'Cannone a ioni',
+        projectiles: 1,
+        spread: 0,
+        damage: 70,
+        speed: 110,
+        size: 4                        // Scala del proiettile
+    }
+};
+
+/**
+ * Crea lo stato di combattimento di una nave capitale
+ * @returns {Object} { phase, launchTimer, attackTimer, charging, batteryTimers }
+ */
+export function createCapitalState() {
+    const firstPhase = CAPITAL_SHIP.phases[0];
+    return {
+        phase: 0,
+        launchTimer: firstPhase.launchInterval / 2, // La prima ondata parte presto
+        attackTimer: 0,
+        charging: null,                // Attacco in carica: { attack, timer, aimPoint }
+        batteryTimers: {}              // Recupero di ogni batteria, per id del sottosistema
+    };
+}
+
+/**
+ * Fase corrente della nave
+ * @param {Object} state - Stato da createCapitalState
+ */
+export function getCapitalPhase(state) {
+    return CAPITAL_SHIP.phases[state.phase];
+}
+
+/**
+ * Avanza la nave capitale di un passo
+ * @param {THREE.Object3D} ship - Nave (userData.capital da createCapitalState)
+ * @param {Object} world - { playerPosition, escorts (caccia lanciati ancora in volo) }
+ * @param {number} deltaTime - Secondi trascorsi
+ * @returns {Array<Object>} Eventi:
+ *          { type: 'phase', phase } cambio di fase,
+ *          { type: 'telegraph', attack, aimPoint } inizio della carica di un attacco speciale,
+ *          { type: 'attack', attack, aimPoint } attacco speciale da sparare,
+ *          { type: 'battery', subsystem } colpo di una batteria,
+ *          { type: 'launch', hangar, count } caccia da lanciare da un hangar
+ */
+export function updateCapitalShip(ship, world, deltaTime) {
+    const data = ship.userData;
+    const state = data.capital;
+    const events = [];
+
+    // Cambio di fase: la nuova fase si apre subito col suo attacco speciale
+    const hullRatio = data.hull / data.maxHull;
+    while (state.phase < CAPITAL_SHIP.phases.length - 1 && hullRatio < getCapitalPhase(state).hullAbove) {
+        state.phase++;
+        events.push({ type: 'phase', phase: getCapitalPhase(state) });
+        state.attackTimer = 0;
+    }
+    const phase = getCapitalPhase(state);
+
+    // Attacco speciale: carica ben visibile, poi colpo sul punto mirato all'inizio della carica
+    if (state.charging) {
+        state.charging.timer -= deltaTime;
+        if (state.charging.timer <= 0) {
+            events.push({ type: 'attack', attack: state.charging.attack, aimPoint: state.charging.aimPoint });
+            state.charging = null;
+            state.attackTimer = phase.attackInterval;
+        }
+    } else if (phase.attack) {
+        state.attackTimer -= deltaTime;
+        if (state.attackTimer <= 0) {
+            state.charging = {
+                attack: CAPITAL_ATTACKS[phase.attack],
+                timer: CAPITAL_SHIPS.TELEGRAPH_TIME,
+                aimPoint: world.playerPosition.clone()
+            };
+            events.push({ type: 'telegraph', attack: state.charging.attack, aimPoint: state.charging.aimPoint });
+        }
+    }
+
+    // Batterie: ognuna col suo recupero, solo con il giocatore a tiro
+    const inRange = ship.position.distanceTo(world.playerPosition) <= data.attackRange;
+    data.subsystems.forEach(subsystem => {
+        if (subsystem.role !== SUBSYSTEM_ROLES.TURRETS || !subsystem.isActive) return;
+        const timer = (state.batteryTimers[subsystem.id] ?? Math.random() * phase.batteryCooldown) - deltaTime;
+        state.batteryTimers[subsystem.id] = timer;
+        if (timer > 0 || !inRange) return;
+        state.batteryTimers[subsystem.id] = phase.batteryCooldown;
+        events.push({ type: 'battery', subsystem });
+    });
+
+    // Hangar: un'ondata alla volta, da un hangar ancora integro, finché la scorta non è al completo
+    state.launchTimer -= deltaTime;
+    if (state.launchTimer <= 0) {
+        state.launchTimer = phase.launchInterval;
+        const hangars = data.subsystems.filter(subsystem => subsystem.role === SUBSYSTEM_ROLES.HANGAR && subsystem.isActive);
+        const count = Math.min(phase.launchSize, CAPITAL_SHIPS.MAX_ESCORTS - world.escorts);
+        if (hangars.length && count > 0) {
+            events.push({ type: 'launch', hangar: hangars[Math.floor(Math.random() * hangars.length)], count });
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Progresso della carica dell'attacco speciale in corso
+ * @param {Object} state - Stato da createCapitalState
+ * @returns {number} Valore tra 0 e 1 (0 senza carica)
+ */
+export function getChargeProgress(state) {
+    if (!state.charging) return 0;
+    return 1 - state.charging.timer / CAPITAL_SHIPS.TELEGRAPH_TIME;
+}
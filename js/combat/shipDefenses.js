@@ -0,0 +1,245 @@
+import * as THREE from 'three';
+import { SHIELDS } from '../constants.js';
+
+/**
+ * Difese delle navi nel combattimento spaziale: gli scudi assorbono i colpi e si ricaricano dopo
+ * SHIELDS.RECHARGE_DELAY secondi senza danni, poi i colpi arrivano allo scafo. Le navi più grandi
+ * hanno sottosistemi bersagliabili (motori, torrette, generatore di scudi, hangar): distruggerli
+ * cambia il comportamento della nave (vedi getSubsystemEffects). Conta il ruolo del sottosistema,
+ * così una nave può montarne più di uno dello stesso tipo.
+ */
+
+// Scudi per tipo di nemico; subsystems elenca i sottosistemi montati
+export const SHIP_DEFENSES = {
+    fighter: { shield: 10, rechargeRate: 4 },
+    bomber: { shield: 30, rechargeRate: 6 },
+    cruiser: { shield: 60, rechargeRate: 8, subsystems: ['engines', 'turrets', 'shieldGenerator'] },
+    capital: {
+        shield: 200,
+        rechargeRate: 12,
+        subsystems: [
+            'foreBattery', 'aftBattery', 'portBattery', 'starboardBattery',
+            'portHangar', 'starboardHangar', 'capitalShieldGenerator'
+        ]
+    }
+};
+
+// Ruoli dei sottosistemi
+export const SUBSYSTEM_ROLES = {
+    ENGINES: 'engines',                // Distrutti: la nave si trascina
+    TURRETS: 'turrets',                // Distrutti tutti: la nave non spara più
+    SHIELD: 'shield',                  // Distrutto: scudi spenti
+    HANGAR: 'hangar'                   // Distrutti tutti: niente più caccia lanciati
+};
+
+// Sottosistemi: posizione e dimensioni sono relative alla nave (la prua guarda verso +Z)
+export const SUBSYSTEM_DEFINITIONS = {
+    engines: {
+        name: 'Motori',
+        role: SUBSYSTEM_ROLES.ENGINES,
+        health: 40,
+        position: [0, 0, -5.3],
+        size: [3, 1.4, 0.6],
+        color: 0x3399ff
+    },
+    turrets: {
+        name: 'Torrette',
+        role: SUBSYSTEM_ROLES.TURRETS,
+        health: 50,
+        position: [0, 1.4, 1.5],
+        size: [1.6, 0.8, 1.6],
+        color: 0xffaa00
+    },
+    shieldGenerator: {
+        name: 'Generatore di scudi',
+        role: SUBSYSTEM_ROLES.SHIELD,
+        health: 35,
+        position: [2.8, 0, 0],
+        size: [0.6, 1.2, 2],
+        color: 0x66ffff
+    },
+    // Nave capitale (capitalShips.js): quattro batterie, due hangar e il generatore sul ponte
+    foreBattery: {
+        name: 'Batteria di prua',
+        role: SUBSYSTEM_ROLES.TURRETS,
+        health: 60,
+        position: [0, 3, 12],
+        size: [2.5, 1.2, 2.5],
+        color: 0xffaa00
+    },
+    aftBattery: {
+        name: 'Batteria di poppa',
+        role: SUBSYSTEM_ROLES.TURRETS,
+        health: 60,
+        position: [0, 3, -12],
+        size: [2.5, 1.2, 2.5],
+        color: 0xffaa00
+    },
+    portBattery: {
+        name: 'Batteria di babordo',
+        role: SUBSYSTEM_ROLES.TURRETS,
+        health: 60,
+        position: [-6.5, 0, 6],
+        size: [1.2, 2.5, 2.5],
+        color: 0xffaa00
+    },
+    starboardBattery: {
+        name: 'Batteria di tribordo',
+        role: SUBSYSTEM_ROLES.TURRETS,
+        health: 60,
+        position: [6.5, 0, 6],
+        size: [1.2, 2.5, 2.5],
+        color: 0xffaa00
+    },
+    portHangar: {
+        name: 'Hangar di babordo',
+        role: SUBSYSTEM_ROLES.HANGAR,
+        health: 90,
+        position: [-6.5, 0, -8],
+        size: [1, 3, 6],
+        color: 0xff66ff
+    },
+    starboardHangar: {
+        name: 'Hangar di tribordo',
+        role: SUBSYSTEM_ROLES.HANGAR,
+        health: 90,
+        position: [6.5, 0, -8],
+        size: [1, 3, 6],
+        color: 0xff66ff
+    },
+    capitalShieldGenerator: {
+        name: 'Generatore di scudi',
+        role: SUBSYSTEM_ROLES.SHIELD,
+        health: 80,
+        position: [0, 3.5, 0],
+        size: [2, 2, 2],
+        color: 0x66ffff
+    }
+};
+
+/**
+ * Crea uno scudo carico
+ * @param {number} max - Punti scudo
+ * @param {number} rechargeRate - Punti ricaricati al secondo
+ * @param {number} [rechargeDelay] - Secondi senza danni prima della ricarica
+ * @returns {Object} { value, max, rechargeRate, rechargeDelay, sinceHit }
+ */
+export function createShield(max, rechargeRate, rechargeDelay = SHIELDS.RECHARGE_DELAY) {
+    return { value: max, max, rechargeRate, rechargeDelay, sinceHit: rechargeDelay };
+}
+
+/**
+ * Ricarica completamente uno scudo (inizio del combattimento)
+ * @param {Object} shield - Scudo da ricaricare
+ */
+export function restoreShield(shield) {
+    shield.value = shield.max;
+    shield.sinceHit = shield.rechargeDelay;
+}
+
+/**
+ * Fa assorbire un colpo allo scudo e ne blocca la ricarica
+ * @param {Object} shield - Scudo colpito
+ * @param {number} amount - Danno del colpo
+ * @returns {number} Danno che passa oltre lo scudo
+ */
+export function absorbDamage(shield, amount) {
+    shield.sinceHit = 0;
+    const absorbed = Math.min(shield.value, amount);
+    shield.value -= absorbed;
+    return amount - absorbed;
+}
+
+/**
+ * Ricarica lo scudo se non viene colpito da abbastanza tempo
+ * @param {Object} shield - Scudo
+ * @param {number} deltaTime - Secondi trascorsi
+ */
+export function updateShield(shield, deltaTime) {
+    shield.sinceHit += deltaTime;
+    if (shield.sinceHit >= shield.rechargeDelay) {
+        shield.value = Math.min(shield.max, shield.value + shield.rechargeRate * deltaTime);
+    }
+}
+
+/**
+ * Monta sulla nave i sottosistemi del suo tipo
+ * @param {THREE.Object3D} ship - Mesh della nave
+ * @param {string} type - Tipo di nemico (chiave di SHIP_DEFENSES)
+ * @returns {Array<Object>} Sottosistemi ({ id, name, role, mesh, health, maxHealth, isActive })
+ */
+export function createSubsystems(ship, type) {
+    return (SHIP_DEFENSES[type]?.subsystems || []).map(id => {
+        const definition = SUBSYSTEM_DEFINITIONS[id];
+        const mesh = new THREE.Mesh(
+            new THREE.BoxGeometry(...definition.size),
+            new THREE.MeshStandardMaterial({ color: definition.color, emissive: definition.color, emissiveIntensity: 0.4 })
+        );
+        mesh.position.set(...definition.position);
+        ship.add(mesh);
+        return {
+            id,
+            name: definition.name,
+            role: definition.role,
+            mesh,
+            health: definition.health,
+            maxHealth: definition.health,
+            isActive: true
+        };
+    });
+}
+
+/**
+ * Sottosistema attivo più vicino al punto d'impatto
+ * @param {Array<Object>} subsystems - Sottosistemi della nave
+ * @param {THREE.Vector3} point - Punto d'impatto
+ * @returns {Object|null}
+ */
+export function findSubsystemAt(subsystems, point) {
+    let closest = null;
+    let closestDistance = SHIELDS.SUBSYSTEM_HIT_RADIUS;
+    subsystems.forEach(subsystem => {
+        if (!subsystem.isActive) return;
+        const distance = subsystem.mesh.getWorldPosition(new THREE.Vector3()).distanceTo(point);
+        if (distance <= closestDistance) {
+            closest = subsystem;
+            closestDistance = distance;
+        }
+    });
+    return closest;
+}
+
+/**
+ * Danneggia un sottosistema; una volta distrutto resta annerito sulla nave
+ * @param {Object} subsystem - Sottosistema colpito
+ * @param {number} amount - Danno
+ * @returns {boolean} True se il colpo lo ha distrutto
+ */
+export function damageSubsystem(subsystem, amount) {
+    if (!subsystem.isActive) return false;
+    subsystem.health -= amount;
+    if (subsystem.health > 0) return false;
+
+    subsystem.health = 0;
+    subsystem.isActive = false;
+    subsystem.mesh.material.color.setHex(0x222222);
+    subsystem.mesh.material.emissiveIntensity = 0;
+    return true;
+}
+
+/**
+ * Effetti dei sottosistemi distrutti sul comportamento della nave
+ * @param {Array<Object>} subsystems - Sottosistemi della nave
+ * @returns {Object} { speedMultiplier, canFire, shieldOnline }
+ */
+export function getSubsystemEffects(subsystems) {
+    const mounted = role => subsystems.filter(subsystem => subsystem.role === role);
+    const anyDestroyed = role => mounted(role).some(subsystem => !subsystem.isActive);
+    // Una nave senza sottosistemi di un ruolo non ne perde la funzione
+    const anyActive = role => !mounted(role).length || mounted(role).some(subsystem => subsystem.isActive);
+    return {
+        speedMultiplier: anyDestroyed(SUBSYSTEM_ROLES.ENGINES) ? SHIELDS.CRIPPLED_SPEED : 1,
+        canFire: anyActive(SUBSYSTEM_ROLES.TURRETS),
+        shieldOnline: !anyDestroyed(SUBSYSTEM_ROLES.SHIELD)
+    };
+}
@@ -0,0 +1,312 @@
+/**
+ * Conquest
+ * Conquista planetaria a più fasi: assedio orbitale in combattimento spaziale per
+ * abbattere le difese, assalto di terra in combattimento al suolo e infine un periodo
+ * di consolidamento prima che il pianeta renda risorse.
+ * Lo stato parziale è salvato sul pianeta (planet.conquest) e persiste nei salvataggi.
+ * Le stesse regole valgono per il giocatore e per gli imperi rivali: planet.conqueredBy
+ * contiene l'id dell'impero proprietario (PLAYER_EMPIRE per il giocatore).
+ * Un attacco fallito mette il bersaglio in allerta: per un po' le sue difese sono più alte.
+ * I pianeti più difesi hanno una nave capitale di guardia: distruggerla abbatte parte delle difese.
+ */
+import { BODY_TYPES, CAPITAL_SHIPS, CONQUEST, CONQUEST_STAGES, GARRISON, LOYALTY } from './constants.js';
+import { getBuildingDefense } from './buildings.js';
+
+/**
+ * Stato della conquista di un pianeta o corpo minore (senza modificarlo)
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @returns {Object} { stage, defenseRemaining, consolidationRemaining, alertRemaining }
+ */
+export function getConquestState(planet) {
+    if (planet.conquest) return planet.conquest;
+    return {
+        stage: planet.isConquered ? CONQUEST_STAGES.COMPLETE : CONQUEST_STAGES.NONE,
+        defenseRemaining: planet.isConquered ? 0 : getMaxDefense(planet),
+        consolidationRemaining: 0,
+        alertRemaining: 0
+    };
+}
+
+/**
+ * Difese massime del bersaglio: difese naturali, guarnigione e allerta dopo un attacco fallito
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @returns {number} Punti difesa
+ */
+export function getMaxDefense(planet) {
+    const alerted = (planet.conquest?.alertRemaining || 0) > 0;
+    return Math.round(getBaseDefense(planet) * (alerted ? 1 + CONQUEST.ALERT_DEFENSE_BONUS : 1));
+}
+
+/**
+ * Inizia (o riprende) l'assedio orbitale di un bersaglio
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @param {string} attacker - Id dell'impero assediante
+ * @returns {Object} { success, message }
+ */
+export function beginSiege(planet, attacker) {
+    const state = ensureConquestState(planet);
+
+    if (planet.isConquered && planet.conqueredBy === attacker) {
+        return { success: false, message: `${planet.name} è già stato conquistato!` };
+    }
+
+    if (state.stage === CONQUEST_STAGES.CONSOLIDATION || state.stage === CONQUEST_STAGES.COMPLETE) {
+        // Pianeta di un altro impero: le sue difese sono di nuovo al completo
+        state.defenseRemaining = getMaxDefense(planet);
+        state.consolidationRemaining = 0;
+        state.stage = CONQUEST_STAGES.SIEGE;
+    }
+
+    if (state.stage === CONQUEST_STAGES.NONE) state.stage = CONQUEST_STAGES.SIEGE;
+    return {
+        success: true,
+        message: `Assedio orbitale di ${planet.name}: difese al ${getDefensePercent(planet)}%`
+    };
+}
+
+/**
+ * Applica l'esito di un combattimento spaziale alle difese del bersaglio assediato
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @param {Object} result - Esito del combattimento ({ enemiesDestroyed, enemiesSpawned })
+ * @param {number} attackPower - Potenza d'attacco dell'assediante
+ * @param {string} attacker - Id dell'impero assediante
+ * @returns {Object} { success, message, stage, previousOwner }
+ */
+export function applySiegeResult(planet, result, attackPower, attacker) {
+    const state = ensureConquestState(planet);
+    const destroyedRatio = result.enemiesSpawned > 0 ? result.enemiesDestroyed / result.enemiesSpawned : 0;
+    const maxDefense = getMaxDefense(planet);
+
+    // Una flotta più forte delle difese le abbatte più in fretta, entro certi limiti
+    const powerRatio = Math.min(Math.max(attackPower / maxDefense, 0.5), 1.5);
+    const damage = maxDefense * CONQUEST.SIEGE_DAMAGE * destroyedRatio * powerRatio;
+    state.defenseRemaining = Math.max(0, Math.round(state.defenseRemaining - damage));
+
+    if (destroyedRatio < CONQUEST.FAILED_SIEGE_RATIO) {
+        // La flotta in difesa ha tenuto: il bersaglio si mette in allerta
+        raiseAlert(planet);
+        return {
+            success: false,
+            message: `L'assedio di ${planet.name} è fallito: difese in allerta al ${getDefensePercent(planet)}%`,
+            stage: state.stage
+        };
+    }
+
+    if (planet.bodyType !== BODY_TYPES.PLANET) {
+        // Lune e stazioni non hanno una superficie da invadere: cadono quando le difese sono azzerate
+        if (state.defenseRemaining === 0) {
+            const previousOwner = startConsolidation(planet, attacker);
+            return {
+                success: true,
+                message: `${planet.name} si è arreso! Consolidamento in corso...`,
+                stage: state.stage,
+                previousOwner
+            };
+        }
+    } else if (state.defenseRemaining <= getMaxDefense(planet) * CONQUEST.GROUND_ASSAULT_THRESHOLD) {
+        state.stage = CONQUEST_STAGES.GROUND_ASSAULT;
+        return {
+            success: true,
+            message: `Difese di ${planet.name} al ${getDefensePercent(planet)}%: atterra per l'assalto di terra!`,
+            stage: state.stage
+        };
+    }
+
+    return {
+        success: true,
+        message: `Difese di ${planet.name} ridotte al ${getDefensePercent(planet)}%`,
+        stage: state.stage
+    };
+}
+
+/**
+ * Il bersaglio è ancora protetto da una nave capitale?
+ * @param {Object} planet - Pianeta, luna o stazione
+ */
+export function hasGuardian(planet) {
+    return planet.defense >= CAPITAL_SHIPS.DEFENSE_THRESHOLD && !getConquestState(planet).guardianDefeated;
+}
+
+/**
+ * La nave capitale di guardia è stata distrutta: non tornerà e le difese calano
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @returns {Object} { success, message }
+ */
+export function defeatGuardian(planet) {
+    const state = ensureConquestState(planet);
+    if (state.guardianDefeated) return { success: false, message: `${planet.name} non ha più navi capitali di guardia` };
+
+    state.guardianDefeated = true;
+    const damage = getMaxDefense(planet) * CAPITAL_SHIPS.CONQUEST_DAMAGE;
+    state.defenseRemaining = Math.max(0, Math.round(state.defenseRemaining - damage));
+    return {
+        success: true,
+        message: `La nave capitale di ${planet.name} è distrutta: difese al ${getDefensePercent(planet)}%`
+    };
+}
+
+/**
+ * Applica l'esito dell'assalto di terra: la vittoria conquista il pianeta
+ * @param {Object} planet - Pianeta assaltato
+ * @param {boolean} victory - True se le truppe nemiche sono state sconfitte
+ * @param {string} attacker - Id dell'impero che ha condotto l'assalto
+ * @returns {Object} { success, message, stage, previousOwner }
+ */
+export function applyGroundAssaultResult(planet, victory, attacker) {
+    const state = ensureConquestState(planet);
+
+    if (victory) {
+        const previousOwner = startConsolidation(planet, attacker);
+        return {
+            success: true,
+            message: `Hai conquistato ${planet.name}! Consolidamento in corso...`,
+            stage: state.stage,
+            previousOwner
+        };
+    }
+
+    // Un assalto respinto dà tempo ai difensori di riorganizzarsi e li mette in allerta
+    state.defenseRemaining = Math.min(
+        getMaxDefense(planet),
+        Math.round(state.defenseRemaining + getMaxDefense(planet) * CONQUEST.FAILED_ASSAULT_RECOVERY)
+    );
+    raiseAlert(planet);
+    return {
+        success: false,
+        message: `L'assalto a ${planet.name} è stato respinto: difese in allerta al ${getDefensePercent(planet)}%`,
+        stage: state.stage
+    };
+}
+
+/**
+ * Fa avanzare nel tempo lo stato di conquista: consolidamento dei pianeti appena
+ * conquistati, recupero delle difese dei pianeti posseduti sotto assedio e fine dell'allerta
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @param {number} deltaTime - Secondi di gioco trascorsi
+ * @returns {boolean} True se il consolidamento si è appena concluso
+ */
+export function updateConquest(planet, deltaTime) {
+    const state = planet.conquest;
+    if (!state) return false;
+
+    if (state.alertRemaining > 0) {
+        state.alertRemaining = Math.max(0, state.alertRemaining - deltaTime);
+        // Finita l'allerta le difese tornano ai valori normali
+        if (state.alertRemaining === 0) {
+            state.defenseRemaining = Math.min(state.defenseRemaining, getMaxDefense(planet));
+        }
+    }
+
+    if (planet.isConquered && (state.stage === CONQUEST_STAGES.SIEGE || state.stage === CONQUEST_STAGES.GROUND_ASSAULT)) {
+        // Il proprietario ripara le difese: un assedio interrotto alla lunga fallisce
+        const maxDefense = getMaxDefense(planet);
+        const recovered = state.defenseRemaining + maxDefense * CONQUEST.DEFENSE_RECOVERY_RATE * deltaTime;
+        state.defenseRemaining = Math.min(maxDefense, recovered);
+        if (state.defenseRemaining >= maxDefense) {
+            state.stage = CONQUEST_STAGES.COMPLETE;
+        } else {
+            updateSiegeStage(planet);
+        }
+        return false;
+    }
+
+    if (state.stage !== CONQUEST_STAGES.CONSOLIDATION) return false;
+
+    state.consolidationRemaining = Math.max(0, state.consolidationRemaining - deltaTime);
+    if (state.consolidationRemaining > 0) return false;
+
+    state.stage = CONQUEST_STAGES.COMPLETE;
+    return true;
+}
+
+/**
+ * Difficoltà del combattimento spaziale in base alle difese residue
+ * @param {Object} planet - Bersaglio assediato
+ */
+export function getSiegeDifficulty(planet) {
+    return 1 + getConquestState(planet).defenseRemaining / CONQUEST.SIEGE_DEFENSE_PER_DIFFICULTY;
+}
+
+/**
+ * Difficoltà del combattimento al suolo in base alle difese residue
+ * @param {Object} planet - Pianeta assaltato
+ */
+export function getGroundAssaultDifficulty(planet) {
+    return 1 + getConquestState(planet).defenseRemaining / CONQUEST.ASSAULT_DEFENSE_PER_DIFFICULTY;
+}
+
+/**
+ * Percentuale di difese ancora attive
+ * @param {Object} planet - Pianeta, luna o stazione
+ */
+export function getDefensePercent(planet) {
+    return Math.round(getConquestState(planet).defenseRemaining / getMaxDefense(planet) * 100);
+}
+
+/**
+ * Crea lo stato di conquista sul pianeta se non esiste ancora
+ * @param {Object} planet - Pianeta, luna o stazione
+ */
+function ensureConquestState(planet) {
+    if (!planet.conquest) planet.conquest = { ...getConquestState(planet) };
+    return planet.conquest;
+}
+
+/**
+ * Segna il pianeta come conquistato e avvia il consolidamento
+ * La vecchia guarnigione è sconfitta, la popolazione è ancora poco leale e i cantieri
+ * in corso vanno perduti (gli edifici completati passano al conquistatore)
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @param {string} owner - Id dell'impero conquistatore
+ * @returns {string|null} Id del proprietario precedente
+ */
+export function startConsolidation(planet, owner) {
+    const state = ensureConquestState(planet);
+    const previousOwner = planet.isConquered ? planet.conqueredBy : null;
+    planet.isConquered = true;
+    planet.conqueredBy = owner;
+    planet.garrison = 0;
+    planet.loyalty = LOYALTY.AFTER_CONQUEST;
+    planet.constructionQueue = [];
+    state.stage = CONQUEST_STAGES.CONSOLIDATION;
+    state.defenseRemaining = 0;
+    state.consolidationRemaining = CONQUEST.CONSOLIDATION_TIME;
+    state.alertRemaining = 0;
+    return previousOwner;
+}
+
+/**
+ * Mette il bersaglio in allerta dopo un attacco fallito: le difese salgono
+ * Un'allerta già in corso viene solo prolungata
+ * @param {Object} planet - Pianeta, luna o stazione
+ */
+function raiseAlert(planet) {
+    const state = ensureConquestState(planet);
+    const alreadyAlerted = state.alertRemaining > 0;
+    state.alertRemaining = CONQUEST.ALERT_DURATION;
+    if (!alreadyAlerted) {
+        const bonus = getBaseDefense(planet) * CONQUEST.ALERT_DEFENSE_BONUS;
+        state.defenseRemaining = Math.min(getMaxDefense(planet), Math.round(state.defenseRemaining + bonus));
+    }
+    updateSiegeStage(planet);
+}
+
+/**
+ * Torna all'assedio orbitale se le difese sono risalite sopra la soglia dell'assalto
+ * @param {Object} planet - Pianeta, luna o stazione
+ */
+function updateSiegeStage(planet) {
+    const state = planet.conquest;
+    if (state.stage === CONQUEST_STAGES.GROUND_ASSAULT
+        && state.defenseRemaining > getMaxDefense(planet) * CONQUEST.GROUND_ASSAULT_THRESHOLD) {
+        state.stage = CONQUEST_STAGES.SIEGE;
+    }
+}
+
+/**
+ * Difese naturali del bersaglio più quelle della guarnigione e degli edifici
+ * @param {Object} planet - Pianeta, luna o stazione
+ */
+function getBaseDefense(planet) {
+    return planet.defense + (planet.garrison || 0) * GARRISON.DEFENSE_PER_TROOP + getBuildingDefense(planet);
+}
@@ -33,7 +33,8 @@ export const PHYSICS = {
 export const PLAYER = {
     DEFAULT_HEALTH: 100,
     DEFAULT_ENERGY: 100,
-    BASE_MOVEMENT_SPEED: 50
+    BASE_MOVEMENT_SPEED: 50,
+    PROJECTILE_SPEED: 60               // Velocità dei colpi energetici
 };
 
 // Game Objects
@@ -43,25 +44,338 @@ export const INTERACTION_DISTANCES = {
     SYSTEM: 100
 };
 
+// Galaxy Generation
+export const GALAXY_LAYOUTS = {
+    CLASSIC: 'classic',
+    SPIRAL: 'spiral',
+    ELLIPTICAL: 'elliptical',
+    RING: 'ring',
+    CLUSTER: 'cluster'
+};
+
+export const GALAXY = {
+    DEFAULT_LAYOUT: GALAXY_LAYOUTS.CLASSIC,
+    DEFAULT_DENSITY: 1,
+    MIN_DENSITY: 0.25,
+    MAX_DENSITY: 4,
+    MIN_SEPARATION: 400,       // Distanza minima tra due sistemi stellari
+    PLACEMENT_ATTEMPTS: 30,    // Tentativi per rispettare la distanza minima
+    BASE_RADIUS: 1000,
+    RADIUS_PER_SYSTEM: 500,
+    DISC_THICKNESS: 0.03,      // Spessore del disco rispetto al raggio
+    SPIRAL_ARMS: 2,
+    SPIRAL_WINDING: Math.PI * 1.5,
+    SYSTEMS_PER_CLUSTER: 10,
+    MAX_SYSTEMS: 100,          // Limiti della generazione (le iperrotte crescono col cubo dei sistemi)
+    MAX_PLANETS_PER_SYSTEM: 10
+};
+
+// Celestial bodies
+export const BODY_TYPES = {
+    PLANET: 'planet',
+    MOON: 'moon',
+    ASTEROID_BELT: 'asteroid-belt',
+    STATION: 'station'
+};
+
+export const STATION_ALLEGIANCE = {
+    NEUTRAL: 'neutral',
+    HOSTILE: 'hostile'
+};
+
+// Planetary conquest
+export const CONQUEST_STAGES = {
+    NONE: 'none',
+    SIEGE: 'siege',
+    GROUND_ASSAULT: 'ground-assault',
+    CONSOLIDATION: 'consolidation',
+    COMPLETE: 'complete'
+};
+
+export const CONQUEST = {
+    SIEGE_DAMAGE: 0.8,                 // Quota delle difese abbattuta distruggendo l'intera flotta nemica
+    GROUND_ASSAULT_THRESHOLD: 0.5,     // Difese residue sotto cui è possibile l'assalto di terra
+    FAILED_ASSAULT_RECOVERY: 0.15,     // Difese recuperate dopo un assalto respinto
+    CONSOLIDATION_TIME: 60,            // Secondi prima che il pianeta conquistato renda risorse
+    DEFENSE_RECOVERY_RATE: 0.002,      // Quota delle difese riparata ogni secondo dal proprietario
+    SIEGE_DEFENSE_PER_DIFFICULTY: 40,  // Punti difesa per ogni livello di difficoltà dell'assedio
+    ASSAULT_DEFENSE_PER_DIFFICULTY: 25,
+    FAILED_SIEGE_RATIO: 0.5,           // Quota di flotta nemica distrutta sotto cui l'assedio è un fallimento
+    ALERT_DEFENSE_BONUS: 0.3,          // Difese aggiuntive del bersaglio in allerta dopo un attacco fallito
+    ALERT_DURATION: 120                // Secondi di allerta dopo un attacco fallito
+};
+
+// Garrisons and loyalty
+export const GARRISON = {
+    BATCH: 5,                          // Truppe inviate con un singolo rinforzo
+    TROOP_COST: 10,                    // Minerali per truppa
+    REQUIRED_PER_SIZE: 2,              // Truppe necessarie a mantenere la lealtà, per unità di dimensione
+    MAX_PER_SIZE: 10,                  // Capienza della guarnigione per unità di dimensione
+    DEFENSE_PER_TROOP: 2,              // Punti difesa aggiunti da ogni truppa
+    UPKEEP_PER_TROOP: 0.1,             // Minerali consumati per ciclo da ogni truppa
+    DESERTION: 0.2                     // Quota di truppe che diserta in un ciclo senza paga
+};
+
+export const LOYALTY = {
+    MAX: 100,
+    AFTER_CONQUEST: 50,                // Lealtà di un pianeta appena conquistato
+    GAIN_RATE: 0.2,                    // Lealtà guadagnata ogni secondo con una guarnigione sufficiente
+    DECAY_RATE: 0.1,                   // Lealtà persa ogni secondo da un pianeta senza guarnigione
+    DEFECT_CHANCE: 0.5                 // Probabilità che i ribelli passino a un impero rivale vicino
+};
+
+// Empire economy
+export const RESOURCE_TYPES = {
+    MINERALS: 'minerals',
+    ENERGY: 'energy',
+    EXOTIC: 'exotic'
+};
+
+export const ECONOMY = {
+    TICK_INTERVAL: 10,                 // Secondi di gioco tra due cicli economici
+    UPKEEP_BASE: 0.5,                  // Energia consumata per ciclo da ogni dominio
+    UPKEEP_PER_SIZE: 0.25,             // Energia aggiuntiva per unità di dimensione del dominio
+    SHORTAGE_PRODUCTION: 0.5,          // Produzione di minerali e materia esotica durante un blackout
+    STARTING_RESOURCES: { minerals: 0, energy: 20, exotic: 0 }
+};
+
+// Playable races (definizioni in races.js)
+export const RACE_TYPES = {
+    SAIYAN: 'saiyan',
+    VILTRUMITE: 'viltrumite',
+    MARTIAN: 'martian'
+};
+
+// Abilità delle razze: ogni tipo ha un effetto diverso (vedi Player.useAbility)
+export const ABILITY_TYPES = {
+    PROJECTILE: 'projectile',          // Proiettile potenziato nella direzione dello sguardo
+    TELEPORT: 'teleport',              // Spostamento istantaneo nella direzione dello sguardo
+    RESTORE: 'restore'                 // Recupero immediato di salute e/o energia
+};
+
+export const MAX_ABILITY_SLOTS = 9;    // Abilità associate ai tasti 1-9
+
+// Talent tree (definizioni in skills.js)
+export const SKILL_BRANCHES = {
+    OFFENSE: 'offense',
+    DEFENSE: 'defense',
+    MOBILITY: 'mobility',
+    ENERGY: 'energy'
+};
+
+export const SKILLS = {
+    POINTS_PER_LEVEL: 1,               // Punti talento guadagnati a ogni livello
+    RESPEC_COST: { minerals: 100, energy: 50 }, // Costo della ridistribuzione dei punti
+    MAX_DEFENSE: 0.8,                  // Riduzione massima dei danni (potenziamenti + talenti)
+    MIN_COOLDOWN: 0.5                  // Frazione minima del recupero delle abilità
+};
+
+// Esperienza guadagnata in combattimento e conquista
+export const EXPERIENCE = {
+    SPACE_KILL: 15,                    // Per nave nemica distrutta in un assedio
+    GROUND_VICTORY: 50,                // Assalto di terra vinto
+    CONQUEST: 100,                     // Pianeta conquistato
+    CAPITAL_SHIP: 250                  // Nave capitale distrutta
+};
+
+// Oggetti e bottino (definizioni e tabelle in loot.js)
+export const ITEM_CATEGORIES = {
+    CONSUMABLE: 'consumable',          // Ripristina salute e/o energia
+    BOOST: 'boost',                    // Applica un effetto di stato a tempo (statusEffects.js)
+    EQUIPMENT: 'equipment'             // Si equipaggia in uno slot e dà bonus fissi
+};
+
+export const EQUIPMENT_SLOTS = {
+    WEAPON: 'weapon',
+    ARMOR: 'armor',
+    BOOTS: 'boots',
+    ACCESSORY: 'accessory'
+};
+
+export const LOOT = {
+    INVENTORY_SIZE: 20,                // Posti dell'inventario (i consumabili uguali si impilano)
+    MAX_STACK: 10,                     // Consumabili per posto
+    PICKUP_LIFETIME: 30,               // Secondi prima che un oggetto a terra scompaia
+    PICKUP_RADIUS: 3,                  // Distanza di raccolta
+    MAGNET_RADIUS: 12,                 // Entro questa distanza gli oggetti volano verso il giocatore
+    MAGNET_SPEED: 20                   // Velocità di attrazione (unità/s)
+};
+
+// Effetti di stato (definizioni in statusEffects.js)
+export const STATUS_KINDS = {
+    BUFF: 'buff',
+    DEBUFF: 'debuff'
+};
+
+// Cosa succede quando si applica un effetto già attivo
+export const STATUS_STACKING = {
+    REFRESH: 'refresh',                // La durata riparte da capo
+    STACK: 'stack',                    // Si aggiunge un livello (fino a maxStacks) e la durata riparte
+    EXTEND: 'extend'                   // La durata si allunga (fino a maxDuration)
+};
+
+export const STATUS = {
+    HAZARD_INTERVAL: 3                 // Secondi tra un'esposizione e l'altra ai pericoli del pianeta
+};
+
+// Modello di volo newtoniano della nave (profili in flightModel.js)
+export const FLIGHT = {
+    BOOST_ENERGY_PER_SECOND: 15,       // Energia consumata dal postbruciatore
+    MAX_BANK: 0.35,                    // Inclinazione massima (radianti) nelle virate con assistenza
+    ASSIST_LEVEL_RATE: 3               // Rapidità con cui l'assistenza riporta la nave in assetto
+};
+
+// Puntamento e missili del combattimento spaziale (vedi combat/SpaceTargeting.js)
+export const SPACE_TARGETING = {
+    RANGE: 300,                        // Distanza massima per selezionare e mantenere un bersaglio
+    LOCK_CONE: 0.25,                   // Radianti dal centro del mirino entro cui l'aggancio avanza
+    LOCK_TIME: 1.5,                    // Secondi per agganciare
+    LOCK_DECAY: 2,                     // Velocità con cui l'aggancio cala fuori dal mirino
+    AIM_ASSIST_CONE: 0.12,             // Entro questo angolo i colpi vanno sul punto di intercettazione
+    MISSILE_AMMO: 6,                   // Missili a ricerca per combattimento
+    MISSILE_SPEED: 45,
+    MISSILE_TURN_RATE: 2.5,            // Radianti al secondo di virata
+    MISSILE_DAMAGE: 40,
+    MISSILE_RANGE: 300
+};
+
+// Scudi e sottosistemi delle navi (vedi combat/shipDefenses.js)
+export const SHIELDS = {
+    RECHARGE_DELAY: 3,                 // Secondi senza danni prima che gli scudi si ricarichino
+    PLAYER_MAX: 50,                    // Scudo della nave del giocatore
+    PLAYER_RECHARGE_RATE: 10,
+    SUBSYSTEM_HIT_RADIUS: 3,           // Distanza dell'impatto entro cui un sottosistema viene colpito
+    CRIPPLED_SPEED: 0.3                // Velocità delle navi coi motori distrutti
+};
+
+export const SPACE_AI = {
+    DECISION_INTERVAL: 0.5,            // Secondi tra una scelta di comportamento e la successiva
+    SQUADRON_SIZE: 3,                  // Navi per squadriglia (capo compreso)
+    STRUCTURE_RADIUS: 500              // Distanza entro cui i domini del giocatore diventano bersagli dei bombardieri
+};
+
+// Navi capitali a guardia dei pianeti più difesi (capitalShips.js)
+export const CAPITAL_SHIPS = {
+    DEFENSE_THRESHOLD: 40,             // Difese naturali da cui un pianeta ha una nave capitale di guardia
+    SPAWN_DISTANCE: 150,               // Distanza dal giocatore a cui compare
+    TELEGRAPH_TIME: 2.5,               // Secondi di carica, ben visibili, prima di un attacco speciale
+    MAX_ESCORTS: 8,                    // Caccia lanciati dagli hangar contemporaneamente in volo
+    CONQUEST_DAMAGE: 0.3,              // Quota delle difese del pianeta abbattuta distruggendola
+    ENCOUNTER_COOLDOWN: 60             // Secondi prima che si ripresenti avvicinandosi allo stesso pianeta
+};
+
+export const TRANSFORMATION = {
+    MIN_ENERGY: 20,                    // Energia necessaria per salire di livello di trasformazione
+    COOLDOWN: 15                       // Secondi di recupero dopo il ritorno alla forma base
+};
+
+// Planet buildings
+export const BUILDING_TYPES = {
+    MINE: 'mine',
+    SHIELD_GENERATOR: 'shield-generator',
+    SHIPYARD: 'shipyard',
+    RESEARCH_LAB: 'research-lab'
+};
+
+export const BUILDINGS = {
+    SLOTS_PER_SIZE: 1,                 // Slot edificabili per unità di dimensione del pianeta
+    MIN_SLOTS: 1,                      // Slot garantiti anche a lune e pianeti minuscoli
+    MAX_QUEUE: 3,                      // Cantieri in coda per pianeta
+    ORBITAL_SUPPORT_BONUS: 0.25        // Potenza d'assedio aggiuntiva con un cantiere orbitale
+};
+
+// Research tree
+export const RESEARCH_EFFECTS = {
+    WEAPON: 'weapon',                  // Sblocca un'arma del combattimento al suolo
+    COUNTER: 'counter',                // Moltiplica i danni contro un tipo di nemico spaziale
+    ABILITY: 'ability',                // Sblocca un'abilità della razza
+    BUILDING: 'building',              // Sblocca un tipo di edificio
+    UPGRADE_CAP: 'upgradeCap'          // Alza il livello massimo di un potenziamento
+};
+
+export const RESEARCH = {
+    TREE_URL: 'data/research.json',    // Albero della ricerca, modificabile senza toccare il codice
+    BASE_UPGRADE_LEVEL: 5,             // Livello massimo dei potenziamenti senza ricerca
+    MAX_UPGRADE_LEVEL: 10              // Livello massimo assoluto dei potenziamenti
+};
+
+// Rival empires
+export const PLAYER_EMPIRE = 'player'; // Valore di conqueredBy per i pianeti del giocatore
+
+export const RIVALS = {
+    COUNT: 1,
+    COLORS: [0xff3e3e, 0xffaa00, 0xb04dff, 0x00e5ff],
+    PLAYER_COLOR: 0x00ff00,
+    START_POWER: 20,
+    POWER_GROWTH: 0.02,                // Potenza guadagnata ogni secondo
+    POWER_PER_RESOURCE: 0.05,          // Potenza guadagnata per ogni risorsa dei pianeti consolidati
+    EXPANSION_INTERVAL: 40,            // Secondi tra due mosse della campagna di conquista
+    COUNTER_ATTACK_INTERVAL: 150,      // Secondi tra due controffensive contro il giocatore
+    FLEET_SIZE: 6                      // Navi impegnate in ogni battaglia simulata
+};
+
 // UI Element IDs
 export const UI_ELEMENTS = {
     CHARACTER_SELECTION: 'character-selection',
+    CHARACTER_OPTIONS: 'character-options',
     START_GAME: 'start-game',
     HEALTH_FILL: 'health-fill',
+    HEALTH_LABEL: 'health-label',
     ENERGY_FILL: 'energy-fill',
-    CURRENCY_AMOUNT: 'currency-amount',
+    TRANSFORMATION_STATUS: 'transformation-status',
+    STATUS_ICONS: 'status-icons',
+    FLIGHT_STATUS: 'flight-status',
+    TARGETING_HUD: 'targeting-hud',
+    TARGET_MARKER: 'target-marker',
+    LEAD_RETICLE: 'lead-reticle',
+    TARGET_ARROW: 'target-arrow',
+    TARGET_INFO: 'target-info',
+    SHIELD_BAR: 'shield-bar',
+    SHIELD_FILL: 'shield-fill',
+    ABILITY_BAR: 'ability-bar',
+    RESOURCES_DISPLAY: 'resources-display',
+    ECONOMY_LEDGER: 'economy-ledger',
     PLANET_INFO: 'planet-info',
     PLANET_NAME: 'planet-name',
     PLANET_STATUS: 'planet-status',
     PLANET_DEFENSE: 'defense-value',
+    PLANET_ZONE: 'zone-value',
+    PLANET_GARRISON: 'planet-garrison',
+    GARRISON_VALUE: 'garrison-value',
+    LOYALTY_VALUE: 'loyalty-value',
     CONQUER_BUTTON: 'conquer-btn',
+    GARRISON_BUTTON: 'garrison-btn',
+    BUILDINGS_BUTTON: 'buildings-btn',
+    BUILDINGS_SCREEN: 'buildings-screen',
+    BUILDINGS_CONTENT: 'buildings-content',
+    CLOSE_BUILDINGS: 'close-buildings',
+    RESEARCH_SCREEN: 'research-screen',
+    RESEARCH_CONTENT: 'research-content',
+    CLOSE_RESEARCH: 'close-research',
+    SKILLS_SCREEN: 'skills-screen',
+    SKILLS_CONTENT: 'skills-content',
+    CLOSE_SKILLS: 'close-skills',
+    OPEN_SKILLS: 'open-skills',
+    INVENTORY_SCREEN: 'inventory-screen',
+    INVENTORY_EQUIPMENT: 'inventory-equipment',
+    INVENTORY_ITEMS: 'inventory-items',
+    CLOSE_INVENTORY: 'close-inventory',
     GAME_OVER_SCREEN: 'game-over-screen',
     RESTART_BUTTON: 'restart-game',
     UPGRADES_SCREEN: 'upgrades-screen',
     CLOSE_UPGRADES: 'close-upgrades',
     LEGEND_SCREEN: 'legend-screen',
     CLOSE_LEGEND: 'close-legend',
-    FPS_SELECT: 'fps-select'
+    FPS_SELECT: 'fps-select',
+    SEED_INPUT: 'seed-input',
+    GALAXY_LAYOUT_SELECT: 'galaxy-layout-select',
+    GALAXY_DENSITY_SELECT: 'galaxy-density-select',
+    CONTINUE_GAME: 'continue-game',
+    SAVES_SCREEN: 'saves-screen',
+    SAVE_SLOTS: 'save-slots',
+    CLOSE_SAVES: 'close-saves',
+    EXPORT_SAVE: 'export-save',
+    IMPORT_FILE: 'import-file'
 };
 
 // Key codes for controls
@@ -73,8 +387,26 @@ export const KEYS = {
     UP: ['Space'],
     DOWN: ['ShiftLeft', 'ShiftRight'],
     FIRE: ['Mouse0'],  // Left mouse button
-    INTERACT: ['KeyE', 'KeyF'],
+    INTERACT: ['KeyE'],
     TOGGLE_UPGRADES: ['KeyU'],
     TOGGLE_LEGEND: ['KeyL'],
+    TOGGLE_SAVES: ['KeyP'],
+    PLOT_ROUTE: ['KeyR'],
+    REINFORCE_GARRISON: ['KeyG'],
+    TOGGLE_BUILDINGS: ['KeyB'],
+    TOGGLE_RESEARCH: ['KeyT'],
+    CYCLE_WEAPON: ['KeyQ'],
+    TRANSFORM: ['KeyX'],
+    TOGGLE_SKILLS: ['KeyK'],
+    TOGGLE_INVENTORY: ['KeyI'],
+    ROLL_LEFT: ['KeyZ'],
+    ROLL_RIGHT: ['KeyC'],
+    BOOST: ['KeyV'],
+    TOGGLE_FLIGHT_ASSIST: ['KeyJ'],
+    TOGGLE_FLIGHT_MODEL: ['KeyN'],
+    CYCLE_TARGET: ['Tab'],
+    CYCLE_SUBSYSTEM: ['KeyY'],
+    FIRE_MISSILE: ['KeyF'],
+    USE_ABILITY: ['Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9'],
     TOGGLE_MAP: ['KeyM']
 }; 
\ No newline at end of file
@@ -0,0 +1,176 @@
+/**
+ * Economy
+ * Economia dell'impero del giocatore: ogni pianeta (o luna, o stazione) consolidato produce
+ * risorse a ogni ciclo economico in base al tipo e alla dimensione, mentre ogni dominio
+ * costa energia di mantenimento e ogni truppa di guarnigione costa minerali.
+ * Ogni ciclo produce un bilancio consultabile dalla UI.
+ */
+import { BODY_TYPES, CONQUEST_STAGES, ECONOMY, GARRISON, RESOURCE_TYPES } from './constants.js';
+import { getBuildingProduction, getBuildingUpkeep } from './buildings.js';
+
+// Nomi e icone delle risorse mostrati al giocatore
+export const RESOURCE_LABELS = {
+    [RESOURCE_TYPES.MINERALS]: { name: 'Minerali', icon: '⛏️' },
+    [RESOURCE_TYPES.ENERGY]: { name: 'Energia', icon: '⚡' },
+    [RESOURCE_TYPES.EXOTIC]: { name: 'Materia esotica', icon: '🌀' }
+};
+
+// Produzione per ciclo di un dominio di dimensione 1, per tipo di pianeta o corpo
+const PRODUCTION_BY_TYPE = {
+    rocky: { minerals: 3, energy: 0.5, exotic: 0 },
+    desert: { minerals: 2, energy: 1.5, exotic: 0 },
+    lava: { minerals: 2, energy: 2.5, exotic: 0.1 },
+    ocean: { minerals: 1, energy: 1.5, exotic: 0 },
+    forest: { minerals: 1.5, energy: 1.5, exotic: 0 },
+    ice: { minerals: 1.5, energy: 0.5, exotic: 0.3 },
+    gas: { minerals: 0, energy: 3, exotic: 0.5 },
+    [BODY_TYPES.STATION]: { minerals: 0, energy: 1, exotic: 0.4 }
+};
+
+/**
+ * Crea un insieme di risorse (tutte a zero se non specificate)
+ * @param {Object} amounts - Quantità iniziali per tipo di risorsa
+ * @returns {Object} { minerals, energy, exotic }
+ */
+export function createResources(amounts = {}) {
+    const resources = {};
+    Object.values(RESOURCE_TYPES).forEach(type => {
+        resources[type] = amounts[type] || 0;
+    });
+    return resources;
+}
+
+/**
+ * Risorse prodotte da un dominio a ogni ciclo economico
+ * I pianeti in consolidamento o sotto assedio non producono; gli edifici aggiungono la loro resa
+ * @param {Object} planet - Pianeta, luna o stazione del giocatore
+ * @returns {Object} { minerals, energy, exotic }
+ */
+export function getPlanetProduction(planet) {
+    const stage = planet.conquest?.stage ?? CONQUEST_STAGES.COMPLETE;
+    if (stage !== CONQUEST_STAGES.COMPLETE) return createResources();
+
+    const key = planet.bodyType === BODY_TYPES.STATION ? BODY_TYPES.STATION : planet.type;
+    const base = PRODUCTION_BY_TYPE[key] || PRODUCTION_BY_TYPE.rocky;
+    // I mondi più grandi e più abitabili rendono di più
+    const scale = (0.5 + (planet.size || 1) * 0.25) * (1 + (planet.habitability || 0) * 0.5);
+
+    const buildings = getBuildingProduction(planet);
+    return mapResources(base, (amount, type) => roundAmount(amount * scale + (buildings[type] || 0)));
+}
+
+/**
+ * Mantenimento per ciclo di un dominio: infrastrutture ed edifici consumano energia,
+ * le truppe di guarnigione minerali
+ * @param {Object} planet - Pianeta, luna o stazione del giocatore
+ * @returns {Object} { minerals, energy, exotic }
+ */
+export function getPlanetUpkeep(planet) {
+    const buildings = getBuildingUpkeep(planet);
+    return mapResources(createResources({
+        [RESOURCE_TYPES.MINERALS]: (planet.garrison || 0) * GARRISON.UPKEEP_PER_TROOP,
+        [RESOURCE_TYPES.ENERGY]: ECONOMY.UPKEEP_BASE + (planet.size || 1) * ECONOMY.UPKEEP_PER_SIZE
+    }), (amount, type) => roundAmount(amount + (buildings[type] || 0)));
+}
+
+/**
+ * Esegue un ciclo economico: somma produzione e mantenimento dei domini e aggiorna le riserve
+ * Se l'energia non basta a coprire il mantenimento, la produzione degli altri beni cala;
+ * se mancano i minerali per la paga, parte delle guarnigioni diserta
+ * @param {Object} stockpile - Riserve dell'impero (modificate)
+ * @param {Array<Object>} holdings - Pianeti, lune e stazioni del giocatore (guarnigioni modificate)
+ * @param {number} tick - Numero del ciclo
+ * @returns {Object} Bilancio { tick, income, upkeep, net, shortage, desertion, entries }
+ */
+export function runEconomyTick(stockpile, holdings, tick) {
+    const income = createResources();
+    const upkeep = createResources();
+
+    const entries = holdings.map(planet => {
+        const entry = {
+            id: planet.id,
+            name: planet.name,
+            income: getPlanetProduction(planet),
+            upkeep: getPlanetUpkeep(planet)
+        };
+        Object.keys(income).forEach(type => {
+            income[type] += entry.income[type];
+            upkeep[type] += entry.upkeep[type];
+        });
+        return entry;
+    });
+
+    const shortage = stockpile.energy + income.energy < upkeep.energy;
+    if (shortage) {
+        // Blackout: le miniere e i laboratori lavorano a regime ridotto
+        [RESOURCE_TYPES.MINERALS, RESOURCE_TYPES.EXOTIC].forEach(type => {
+            income[type] *= ECONOMY.SHORTAGE_PRODUCTION;
+        });
+    }
+
+    let desertion = 0;
+    if (stockpile.minerals + income.minerals < upkeep.minerals) {
+        // Truppe senza paga: una parte di ogni guarnigione abbandona il posto
+        holdings.forEach(planet => {
+            const deserters = Math.ceil((planet.garrison || 0) * GARRISON.DESERTION);
+            planet.garrison = (planet.garrison || 0) - deserters;
+            desertion += deserters;
+        });
+    }
+
+    const net = mapResources(income, (amount, type) => roundAmount(amount - upkeep[type]));
+    Object.keys(stockpile).forEach(type => {
+        stockpile[type] = Math.max(0, roundAmount(stockpile[type] + net[type]));
+    });
+
+    return {
+        tick,
+        income: mapResources(income, roundAmount),
+        upkeep: mapResources(upkeep, roundAmount),
+        net,
+        shortage,
+        desertion,
+        entries
+    };
+}
+
+/**
+ * Formatta un insieme di risorse per la UI, omettendo quelle a zero ("120 ⛏️ 5 🌀")
+ * @param {Object} amounts - Quantità per tipo di risorsa
+ * @param {Object} [options] - Opzioni
+ * @param {boolean} [options.signed=false] - Mostra il segno anche per i valori positivi
+ */
+export function formatResources(amounts, options = {}) {
+    const parts = Object.entries(amounts)
+        .filter(([, amount]) => amount !== 0)
+        .map(([type, amount]) => {
+            const value = Math.round(amount * 10) / 10;
+            const sign = options.signed && value > 0 ? '+' : '';
+            return `${sign}${value} ${RESOURCE_LABELS[type].icon}`;
+        });
+    return parts.length > 0 ? parts.join(' ') : '0';
+}
+
+/**
+ * Costo di un potenziamento: i livelli alti richiedono anche materia esotica
+ * @param {number} level - Livello attuale del potenziamento
+ * @returns {Object} { minerals, energy, exotic }
+ */
+export function getUpgradeCost(level) {
+    return createResources({
+        [RESOURCE_TYPES.MINERALS]: 100 * Math.pow(2, level),
+        [RESOURCE_TYPES.EXOTIC]: level >= 5 ? (level - 4) * 10 : 0
+    });
+}
+
+function mapResources(amounts, transform) {
+    const result = {};
+    Object.entries(amounts).forEach(([type, amount]) => {
+        result[type] = transform(amount, type);
+    });
+    return result;
+}
+
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
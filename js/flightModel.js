@@ -0,0 +1,141 @@
+/**
+ * Flight model
+ * Modello di volo newtoniano della nave nello spazio: i motori danno una spinta e la nave
+ * conserva la quantità di moto, frenata solo dallo smorzamento lineare. Con l'assistenza al
+ * volo attiva il computer di bordo annulla la deriva, frena quando non si dà spinta e
+ * riporta la nave in assetto inclinandola nelle virate; senza assistenza si scivola.
+ *
+ * Velocità e accelerazioni dei profili sono frazioni della velocità di volo del giocatore
+ * (Player.getSpeed), così potenziamenti, talenti ed equipaggiamento restano validi.
+ */
+import * as THREE from 'three';
+import { FLIGHT } from './constants.js';
+
+// Profili di volo: crociera per spostarsi tra i pianeti, combattimento per i duelli
+// (SpaceCombat.mode 'flight' / 'weapon')
+export const FLIGHT_PROFILES = {
+    cruise: {
+        name: 'Crociera',
+        maxSpeed: 1.5,                 // Velocità massima (x velocità di volo)
+        acceleration: 0.6,             // Spinta in avanti (x velocità di volo al secondo)
+        strafeRatio: 0.4,              // Spinta laterale e verticale rispetto a quella in avanti
+        linearDamping: 0.05,           // Attrito residuo, sempre attivo
+        assistDamping: 0.8,            // Frenata dell'assistenza al volo
+        boostMultiplier: 2,            // Spinta e velocità massima col postbruciatore
+        rollAcceleration: 4,           // Radianti/s² di rollio
+        maxRollRate: 1.5,              // Radianti/s
+        angularDamping: 2
+    },
+    dogfight: {
+        name: 'Combattimento',
+        maxSpeed: 0.8,
+        acceleration: 2,
+        strafeRatio: 0.8,
+        linearDamping: 0.3,
+        assistDamping: 3,
+        boostMultiplier: 1.6,
+        rollAcceleration: 10,
+        maxRollRate: 3.5,
+        angularDamping: 4
+    }
+};
+
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Crea lo stato di volo della nave
+ * @returns {Object} { enabled, assist, velocity, roll, rollRate, bank, boosting }
+ */
+export function createFlightState() {
+    return {
+        enabled: true,                 // Modello newtoniano attivo nello spazio
+        assist: true,                  // Assistenza al volo
+        velocity: new THREE.Vector3(), // Unità al secondo
+        roll: 0,                       // Radianti (positivo = rollio a sinistra, come la camera)
+        rollRate: 0,
+        bank: 0,                       // Inclinazione solo visiva nelle virate (non sposta gli assi)
+        boosting: false
+    };
+}
+
+/**
+ * Ferma la nave e la rimette in assetto (al cambio di modalità)
+ * @param {Object} state - Stato di volo
+ */
+export function resetFlight(state) {
+    state.velocity.set(0, 0, 0);
+    state.roll = 0;
+    state.rollRate = 0;
+    state.bank = 0;
+    state.boosting = false;
+}
+
+/**
+ * Assi della nave a partire dalla direzione dello sguardo e dal rollio
+ * @param {THREE.Vector3} forward - Direzione dello sguardo (normalizzata)
+ * @param {number} roll - Rollio in radianti
+ * @returns {Object} { forward, right, up }
+ */
+export function getShipAxes(forward, roll) {
+    const right = new THREE.Vector3().crossVectors(forward, WORLD_UP);
+    // Guardando dritto in alto o in basso il riferimento verticale non basta
+    if (right.lengthSq() < 1e-6) right.set(1, 0, 0);
+    right.normalize().applyAxisAngle(forward, -roll);
+    const up = new THREE.Vector3().crossVectors(right, forward).normalize();
+    return { forward, right, up };
+}
+
+/**
+ * Fa avanzare il volo di un passo
+ * @param {Object} state - Stato di volo (modificato)
+ * @param {Object} profile - Profilo di FLIGHT_PROFILES
+ * @param {Object} input - { forward, backward, left, right, up, down, rollLeft, rollRight, boost }
+ * @param {THREE.Vector3} direction - Direzione dello sguardo
+ * @param {number} baseSpeed - Velocità di volo del giocatore
+ * @param {number} deltaTime - Secondi trascorsi
+ * @returns {THREE.Vector3} Spostamento del passo
+ */
+export function updateFlight(state, profile, input, direction, baseSpeed, deltaTime) {
+    const axes = getShipAxes(direction.clone().normalize(), state.roll);
+    const boost = input.boost ? profile.boostMultiplier : 1;
+    state.boosting = Boolean(input.boost);
+
+    // Spinta dei motori nella direzione richiesta
+    const thrust = new THREE.Vector3()
+        .addScaledVector(axes.forward, (input.forward ? 1 : 0) - (input.backward ? 1 : 0))
+        .addScaledVector(axes.right, ((input.right ? 1 : 0) - (input.left ? 1 : 0)) * profile.strafeRatio)
+        .addScaledVector(axes.up, ((input.up ? 1 : 0) - (input.down ? 1 : 0)) * profile.strafeRatio);
+    const thrusting = thrust.lengthSq() > 0;
+    state.velocity.addScaledVector(thrust, baseSpeed * profile.acceleration * boost * deltaTime);
+
+    state.velocity.multiplyScalar(Math.exp(-profile.linearDamping * deltaTime));
+    if (state.assist) {
+        // Senza spinta frena del tutto, altrimenti annulla solo la deriva fuori rotta
+        const braking = Math.exp(-profile.assistDamping * deltaTime);
+        if (!thrusting) {
+            state.velocity.multiplyScalar(braking);
+        } else {
+            const heading = thrust.clone().normalize();
+            const along = heading.multiplyScalar(state.velocity.dot(heading));
+            state.velocity.sub(along).multiplyScalar(braking).add(along);
+        }
+    }
+    const maxSpeed = baseSpeed * profile.maxSpeed * boost;
+    if (state.velocity.length() > maxSpeed) state.velocity.setLength(maxSpeed);
+
+    // Rollio: accelerazione angolare dai tasti, smorzata
+    const rollInput = (input.rollLeft ? 1 : 0) - (input.rollRight ? 1 : 0);
+    state.rollRate += rollInput * profile.rollAcceleration * deltaTime;
+    state.rollRate *= Math.exp(-profile.angularDamping * deltaTime);
+    state.rollRate = THREE.MathUtils.clamp(state.rollRate, -profile.maxRollRate, profile.maxRollRate);
+    state.roll += state.rollRate * deltaTime;
+    state.roll = THREE.MathUtils.euclideanModulo(state.roll + Math.PI, Math.PI * 2) - Math.PI;
+
+    // L'assistenza rimette la nave in assetto e la inclina verso il lato in cui scivola
+    const leveling = Math.min(1, FLIGHT.ASSIST_LEVEL_RATE * deltaTime);
+    if (state.assist && !rollInput) state.roll -= state.roll * leveling;
+    const lateral = state.assist && maxSpeed > 0 ? state.velocity.dot(axes.right) / maxSpeed : 0;
+    state.bank += (-lateral * FLIGHT.MAX_BANK - state.bank) * leveling;
+
+    return state.velocity.clone().multiplyScalar(deltaTime);
+}
@@ -0,0 +1,130 @@
+/**
+ * Garrison
+ * Guarnigioni e lealtà dei domini. Il proprietario mantiene truppe sui pianeti
+ * (pagate in minerali): una guarnigione sufficiente fa crescere la lealtà e rafforza
+ * le difese, mentre un pianeta sguarnito perde lealtà fino a ribellarsi, tornando
+ * neutrale o passando a un impero rivale vicino.
+ * Lo stato è salvato sul pianeta (planet.garrison, planet.loyalty).
+ */
+import { GARRISON, LOYALTY, RESOURCE_TYPES } from './constants.js';
+import { startConsolidation } from './conquest.js';
+import { createResources } from './economy.js';
+
+/**
+ * Truppe necessarie perché il pianeta resti leale
+ * @param {Object} planet - Pianeta, luna o stazione
+ */
+export function getRequiredGarrison(planet) {
+    return Math.ceil((planet.size || 1) * GARRISON.REQUIRED_PER_SIZE);
+}
+
+/**
+ * Truppe massime che il pianeta può ospitare
+ * @param {Object} planet - Pianeta, luna o stazione
+ */
+export function getGarrisonCapacity(planet) {
+    return Math.ceil((planet.size || 1) * GARRISON.MAX_PER_SIZE);
+}
+
+/**
+ * Costo di un rinforzo
+ * @param {number} troops - Truppe da inviare
+ * @returns {Object} { minerals, energy, exotic }
+ */
+export function getGarrisonCost(troops) {
+    return createResources({ [RESOURCE_TYPES.MINERALS]: troops * GARRISON.TROOP_COST });
+}
+
+/**
+ * Truppe che un rinforzo può effettivamente sbarcare senza superare la capienza
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @param {number} [troops=GARRISON.BATCH] - Truppe richieste
+ */
+export function getReinforcementSize(planet, troops = GARRISON.BATCH) {
+    return Math.max(0, Math.min(troops, getGarrisonCapacity(planet) - (planet.garrison || 0)));
+}
+
+/**
+ * Aggiunge truppe alla guarnigione di un pianeta
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @param {number} troops - Truppe da aggiungere
+ * @returns {Object} { success, message, troops }
+ */
+export function reinforceGarrison(planet, troops) {
+    const added = getReinforcementSize(planet, troops);
+    if (added === 0) {
+        return { success: false, message: `La guarnigione di ${planet.name} è al completo`, troops: 0 };
+    }
+
+    planet.garrison = (planet.garrison || 0) + added;
+    return {
+        success: true,
+        message: `${added} truppe di stanza su ${planet.name} (${planet.garrison}/${getGarrisonCapacity(planet)})`,
+        troops: added
+    };
+}
+
+/**
+ * Perdite della guarnigione sotto bombardamento
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @param {number} troops - Truppe colpite
+ * @returns {Object} { success, message, troops }
+ */
+export function bombardGarrison(planet, troops) {
+    const lost = Math.min(planet.garrison || 0, troops);
+    planet.garrison = (planet.garrison || 0) - lost;
+    return {
+        success: lost > 0,
+        message: `Bombardieri su ${planet.name}: guarnigione -${lost} (${planet.garrison}/${getGarrisonCapacity(planet)})`,
+        troops: lost
+    };
+}
+
+/**
+ * Fa evolvere la lealtà di un dominio: cresce con una guarnigione sufficiente,
+ * altrimenti cala tanto più in fretta quanto più truppe mancano
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @param {number} deltaTime - Secondi di gioco trascorsi
+ * @returns {boolean} True se la lealtà è esaurita e il pianeta si ribella
+ */
+export function updateLoyalty(planet, deltaTime) {
+    if (!planet.isConquered) return false;
+
+    const loyalty = planet.loyalty ?? LOYALTY.MAX;
+    const required = getRequiredGarrison(planet);
+    const garrison = planet.garrison || 0;
+
+    if (garrison >= required) {
+        planet.loyalty = Math.min(LOYALTY.MAX, loyalty + LOYALTY.GAIN_RATE * deltaTime);
+        return false;
+    }
+
+    const missing = 1 - garrison / required;
+    planet.loyalty = Math.max(0, loyalty - LOYALTY.DECAY_RATE * missing * deltaTime);
+    return planet.loyalty === 0;
+}
+
+/**
+ * Il pianeta si ribella al proprietario: torna neutrale con le difese al completo
+ * oppure si consegna a un impero rivale, che lo presidia subito
+ * @param {Object} planet - Pianeta, luna o stazione
+ * @param {string|null} newOwner - Impero a cui passano i ribelli (null = neutrale)
+ * @returns {string|null} Id del proprietario precedente
+ */
+export function triggerRebellion(planet, newOwner = null) {
+    if (newOwner) {
+        const previousOwner = startConsolidation(planet, newOwner);
+        planet.garrison = getRequiredGarrison(planet);
+        return previousOwner;
+    }
+
+    const previousOwner = planet.conqueredBy;
+    planet.isConquered = false;
+    planet.conqueredBy = null;
+    planet.garrison = 0;
+    planet.loyalty = LOYALTY.MAX;
+    planet.constructionQueue = [];
+    // Senza stato di conquista il pianeta torna come appena generato
+    delete planet.conquest;
+    return previousOwner;
+}
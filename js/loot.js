@@ -0,0 +1,208 @@
+/**
+ * Loot
+ * Catalogo degli oggetti e tabelle del bottino dei nemici. I nemici abbattuti in
+ * combattimento spaziale e di terra tirano sulla tabella del loro tipo: ogni tiro riuscito
+ * lascia un oggetto nel mondo (vedi pickups.js) che il giocatore raccoglie nell'inventario.
+ *
+ * Gli oggetti dell'inventario sono istanze leggere ({ id, type, quantity, equipped }):
+ * nome, icona ed effetti si leggono sempre dal catalogo, così i salvataggi restano piccoli
+ * e un ribilanciamento vale anche per gli oggetti già raccolti.
+ */
+import { ITEM_CATEGORIES, EQUIPMENT_SLOTS } from './constants.js';
+
+// Catalogo degli oggetti. stats degli equipaggiamenti: attack e speed sono punti fissi,
+// defense è la riduzione dei danni, maxHealth e maxEnergy punti di capacità
+export const ITEM_DEFINITIONS = {
+    'health-potion': {
+        name: 'Pozione di salute',
+        icon: '❤️',
+        description: 'Ripristina 50 punti salute',
+        category: ITEM_CATEGORIES.CONSUMABLE,
+        restore: { health: 50 }
+    },
+    'energy-potion': {
+        name: 'Pozione di energia',
+        icon: '🔋',
+        description: 'Ripristina 50 punti energia',
+        category: ITEM_CATEGORIES.CONSUMABLE,
+        restore: { energy: 50 }
+    },
+    'senzu-bean': {
+        name: 'Fagiolo magico',
+        icon: '🫘',
+        description: 'Ripristina completamente salute ed energia',
+        category: ITEM_CATEGORIES.CONSUMABLE,
+        restore: { health: Infinity, energy: Infinity }
+    },
+    'power-boost': {
+        name: 'Siero da combattimento',
+        icon: '💉',
+        description: '+50% potenza d\'attacco per 30 secondi (cumulabile fino a tre volte)',
+        category: ITEM_CATEGORIES.BOOST,
+        status: 'power-boost'
+    },
+    'ki-gauntlets': {
+        name: 'Guanti del ki',
+        icon: '🥊',
+        description: '+6 potenza d\'attacco',
+        category: ITEM_CATEGORIES.EQUIPMENT,
+        slot: EQUIPMENT_SLOTS.WEAPON,
+        stats: { attack: 6 }
+    },
+    'plasma-blade': {
+        name: 'Lama al plasma',
+        icon: '🗡️',
+        description: '+12 potenza d\'attacco, -5% danni subiti',
+        category: ITEM_CATEGORIES.EQUIPMENT,
+        slot: EQUIPMENT_SLOTS.WEAPON,
+        stats: { attack: 12, defense: 0.05 }
+    },
+    'battle-armor': {
+        name: 'Armatura da battaglia',
+        icon: '🦺',
+        description: '-10% danni subiti, +20 salute massima',
+        category: ITEM_CATEGORIES.EQUIPMENT,
+        slot: EQUIPMENT_SLOTS.ARMOR,
+        stats: { defense: 0.1, maxHealth: 20 }
+    },
+    'gravity-boots': {
+        name: 'Stivali gravitazionali',
+        icon: '🥾',
+        description: '+5 velocità',
+        category: ITEM_CATEGORIES.EQUIPMENT,
+        slot: EQUIPMENT_SLOTS.BOOTS,
+        stats: { speed: 5 }
+    },
+    'scouter': {
+        name: 'Scouter',
+        icon: '🥽',
+        description: '+30 energia massima',
+        category: ITEM_CATEGORIES.EQUIPMENT,
+        slot: EQUIPMENT_SLOTS.ACCESSORY,
+        stats: { maxEnergy: 30 }
+    }
+};
+
+export const EQUIPMENT_SLOT_LABELS = {
+    [EQUIPMENT_SLOTS.WEAPON]: 'Arma',
+    [EQUIPMENT_SLOTS.ARMOR]: 'Armatura',
+    [EQUIPMENT_SLOTS.BOOTS]: 'Stivali',
+    [EQUIPMENT_SLOTS.ACCESSORY]: 'Accessorio'
+};
+
+// Bottino per tipo di nemico: rolls tiri, ognuno riesce con probabilità chance
+// e sceglie un oggetto in base ai pesi
+export const LOOT_TABLES = {
+    // Combattimento spaziale
+    fighter: {
+        rolls: 1,
+        chance: 0.3,
+        items: { 'health-potion': 4, 'energy-potion': 4, 'power-boost': 1 }
+    },
+    bomber: {
+        rolls: 1,
+        chance: 0.5,
+        items: { 'health-potion': 3, 'energy-potion': 3, 'power-boost': 2, 'scouter': 1, 'gravity-boots': 1 }
+    },
+    cruiser: {
+        rolls: 2,
+        chance: 0.7,
+        items: { 'energy-potion': 3, 'power-boost': 2, 'battle-armor': 1, 'plasma-blade': 1, 'scouter': 1 }
+    },
+    capital: {
+        rolls: 5,
+        chance: 1,
+        items: { 'senzu-bean': 3, 'power-boost': 3, 'plasma-blade': 2, 'battle-armor': 2, 'scouter': 1, 'gravity-boots': 1 }
+    },
+    // Combattimento di terra
+    grunt: {
+        rolls: 1,
+        chance: 0.3,
+        items: { 'health-potion': 5, 'energy-potion': 3, 'ki-gauntlets': 1 }
+    },
+    scout: {
+        rolls: 1,
+        chance: 0.35,
+        items: { 'energy-potion': 4, 'power-boost': 2, 'gravity-boots': 1 }
+    },
+    heavy: {
+        rolls: 1,
+        chance: 0.6,
+        items: { 'health-potion': 3, 'power-boost': 2, 'battle-armor': 1, 'ki-gauntlets': 1 }
+    },
+    boss: {
+        rolls: 3,
+        chance: 1,
+        items: { 'senzu-bean': 2, 'power-boost': 2, 'plasma-blade': 1, 'battle-armor': 1, 'scouter': 1 }
+    },
+    // Nemici del mondo aperto (enemy.js)
+    drone: {
+        rolls: 1,
+        chance: 0.2,
+        items: { 'health-potion': 1, 'energy-potion': 1 }
+    },
+    turret: {
+        rolls: 1,
+        chance: 0.4,
+        items: { 'health-potion': 2, 'energy-potion': 2, 'power-boost': 1 }
+    }
+};
+
+let itemCounter = 0;
+
+/**
+ * Restituisce la definizione di un oggetto
+ * @param {string} type - Chiave di ITEM_DEFINITIONS
+ * @returns {Object|null}
+ */
+export function getItemDefinition(type) {
+    return ITEM_DEFINITIONS[type] || null;
+}
+
+/**
+ * Indica se gli oggetti di un tipo si impilano nello stesso posto dell'inventario
+ * @param {string} type - Chiave di ITEM_DEFINITIONS
+ */
+export function isStackable(type) {
+    return getItemDefinition(type)?.category !== ITEM_CATEGORIES.EQUIPMENT;
+}
+
+/**
+ * Crea una nuova istanza di oggetto per l'inventario
+ * @param {string} type - Chiave di ITEM_DEFINITIONS
+ * @param {number} [quantity] - Quantità (solo oggetti impilabili)
+ * @returns {Object} { id, type, quantity, equipped }
+ */
+export function createItem(type, quantity = 1) {
+    if (!getItemDefinition(type)) throw new Error(`Oggetto sconosciuto: ${type}`);
+    itemCounter++;
+    return {
+        id: `${type}-${Date.now().toString(36)}-${itemCounter}`,
+        type,
+        quantity: isStackable(type) ? quantity : 1,
+        equipped: false
+    };
+}
+
+/**
+ * Tira sulla tabella del bottino di un tipo di nemico
+ * @param {string} enemyType - Tipo del nemico (chiave di LOOT_TABLES)
+ * @param {Function} [random] - Generatore in [0, 1)
+ * @returns {Array<string>} Tipi degli oggetti lasciati (vuoto se nessuno)
+ */
+export function rollLoot(enemyType, random = Math.random) {
+    const table = LOOT_TABLES[enemyType];
+    if (!table) return [];
+
+    const entries = Object.entries(table.items);
+    const totalWeight = entries.reduce((total, [, weight]) => total + weight, 0);
+    const drops = [];
+    for (let i = 0; i < table.rolls; i++) {
+        if (random() >= table.chance) continue;
+
+        let pick = random() * totalWeight;
+        const entry = entries.find(([, weight]) => (pick -= weight) < 0) || entries[entries.length - 1];
+        drops.push(entry[0]);
+    }
+    return drops;
+}
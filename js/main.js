@@ -22,7 +22,8 @@ document.addEventListener('DOMContentLoaded', () => {
         targetFPS: 60,
         quality: window.innerWidth < 1024 ? 'low' : 'normal',
         initialMode: 'space',
-        debug: window.location.search.includes('debug=true')
+        debug: window.location.search.includes('debug=true'),
+        seed: new URLSearchParams(window.location.search).get('seed')
     };
 
     console.log("Initializing game with options:", gameOptions);
@@ -0,0 +1,102 @@
+import * as THREE from 'three';
+import { getItemDefinition } from './loot.js';
+import { ITEM_CATEGORIES, LOOT } from './constants.js';
+
+// Colore del bagliore per categoria di oggetto
+const PICKUP_COLORS = {
+    [ITEM_CATEGORIES.CONSUMABLE]: 0x44ff88,
+    [ITEM_CATEGORIES.BOOST]: 0xff8844,
+    [ITEM_CATEGORIES.EQUIPMENT]: 0xffd740
+};
+
+/**
+ * Oggetti lasciati a terra (o nello spazio) dai nemici abbattuti.
+ * Ruotano e fluttuano sul posto, vengono attratti dal giocatore quando si avvicina
+ * e scompaiono dopo LOOT.PICKUP_LIFETIME secondi.
+ */
+export class PickupManager {
+    constructor(scene) {
+        this.scene = scene;
+        this.pickups = [];
+        this.geometry = new THREE.OctahedronGeometry(0.8);
+        this.materials = {};
+        Object.entries(PICKUP_COLORS).forEach(([category, color]) => {
+            this.materials[category] = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.9 });
+        });
+    }
+
+    /**
+     * Lascia un oggetto nel mondo
+     * @param {string} itemType - Chiave di ITEM_DEFINITIONS
+     * @param {THREE.Vector3} position - Punto in cui è caduto
+     * @returns {Object} Il pickup creato
+     */
+    spawn(itemType, position) {
+        const category = getItemDefinition(itemType).category;
+        const mesh = new THREE.Mesh(this.geometry, this.materials[category]);
+        // Sparpaglia leggermente gli oggetti caduti dallo stesso nemico
+        mesh.position.copy(position).add(new THREE.Vector3(Math.random() * 2 - 1, 0.5, Math.random() * 2 - 1));
+        this.scene.add(mesh);
+
+        const pickup = { itemType, mesh, baseY: mesh.position.y, age: 0 };
+        this.pickups.push(pickup);
+        return pickup;
+    }
+
+    /**
+     * Anima i pickup, li attira verso il giocatore e rimuove quelli scaduti
+     * @param {number} deltaTime - Secondi trascorsi
+     * @param {THREE.Vector3} playerPosition - Posizione del giocatore
+     * @returns {Array<Object>} Pickup a distanza di raccolta (restano nel mondo finché non si chiama remove)
+     */
+    update(deltaTime, playerPosition) {
+        const inRange = [];
+        for (let i = this.pickups.length - 1; i >= 0; i--) {
+            const pickup = this.pickups[i];
+            pickup.age += deltaTime;
+            if (pickup.age >= LOOT.PICKUP_LIFETIME) {
+                this.remove(pickup);
+                continue;
+            }
+
+            const mesh = pickup.mesh;
+            mesh.rotation.y += deltaTime * 2;
+
+            const distance = mesh.position.distanceTo(playerPosition);
+            if (distance < LOOT.MAGNET_RADIUS) {
+                const step = Math.min(distance, LOOT.MAGNET_SPEED * deltaTime);
+                mesh.position.add(playerPosition.clone().sub(mesh.position).normalize().multiplyScalar(step));
+                pickup.baseY = mesh.position.y;
+            } else {
+                mesh.position.y = pickup.baseY + Math.sin(pickup.age * 3) * 0.3;
+            }
+
+            // Lampeggia negli ultimi secondi prima di scomparire
+            mesh.visible = LOOT.PICKUP_LIFETIME - pickup.age > 5 || Math.floor(pickup.age * 4) % 2 === 0;
+
+            if (distance < LOOT.PICKUP_RADIUS) inRange.push(pickup);
+        }
+        return inRange;
+    }
+
+    /**
+     * Rimuove un pickup dal mondo
+     * @param {Object} pickup - Pickup restituito da spawn o update
+     */
+    remove(pickup) {
+        const index = this.pickups.indexOf(pickup);
+        if (index !== -1) this.pickups.splice(index, 1);
+        this.scene.remove(pickup.mesh);
+    }
+
+    /**
+     * Rimuove tutti i pickup e ne restituisce i tipi
+     * @returns {Array<string>} Tipi degli oggetti che erano nel mondo
+     */
+    clear() {
+        const types = this.pickups.map(pickup => pickup.itemType);
+        this.pickups.forEach(pickup => this.scene.remove(pickup.mesh));
+        this.pickups = [];
+        return types;
+    }
+}
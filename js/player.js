@@ -1,41 +1,53 @@
 import * as THREE from 'three';
+import { createResources } from './economy.js';
+import { createResearchState } from './research.js';
+import { getRaceDefinition } from './races.js';
+import { createSkillState, learnSkill, resetSkills, getSkillBonuses, getSkillAbilities } from './skills.js';
+import { getItemDefinition, isStackable, createItem } from './loot.js';
+import { applyStatus, updateStatuses, getStatusModifiers, loadStatuses } from './statusEffects.js';
+import { createFlightState, resetFlight, updateFlight } from './flightModel.js';
+import { createShield, restoreShield } from './combat/shipDefenses.js';
+import {
+    ECONOMY, TRANSFORMATION, ABILITY_TYPES, MAX_ABILITY_SLOTS, SKILLS, ITEM_CATEGORIES, LOOT, FLIGHT, PLAYER, SHIELDS
+} from './constants.js';
 
 /**
- * Classe per gestire il personaggio del giocatore (Saiyan o Viltrumita)
+ * Classe per gestire il personaggio del giocatore (razze definite in races.js)
  */
 export class Player {
     constructor(race) {
-        this.race = race; // 'saiyan' o 'viltrumite'
-        this.health = 100;
-        this.maxHealth = 100;
-        this.energy = 100;
-        this.maxEnergy = 100;
-        this.currency = 0;
+        const stats = getRaceDefinition(race).stats;
+        this.health = stats.maxHealth;
+        this.maxHealth = stats.maxHealth;
+        this.energy = stats.maxEnergy;
+        this.maxEnergy = stats.maxEnergy;
+        this.resources = createResources(ECONOMY.STARTING_RESOURCES); // Riserve dell'impero
         this.position = new THREE.Vector3(0, 10, 0);
         this.rotation = new THREE.Euler(0, 0, 0);
         this.velocity = new THREE.Vector3();
         this.isFlying = false;
-        this.speed = 50; // Velocità base
+        this.speed = stats.speed; // Velocità base
         this.flightSpeedMultiplier = 5; // Moltiplicatore velocità in volo (x5)
+        
+        // Volo newtoniano della nave: stato e profilo scelto dal gioco (null = movimento diretto)
+        this.flight = createFlightState();
+        this.flightProfile = null;
+        
+        // Scudo della nave, attivo nel combattimento spaziale (lo scafo è la salute)
+        this.shield = createShield(SHIELDS.PLAYER_MAX, SHIELDS.PLAYER_RECHARGE_RATE);
         this.mesh = null;
-        this.attackPower = 10;
-        
-        // Proprietà specifiche per razza
-        if (race === 'saiyan') {
-            this.attackType = 'energy'; // I Saiyan sono più forti con attacchi energetici
-            this.attackColor = 0x3e78ff;
-            this.specialAttackType = 'energyWave';
-            this.specialAttackColor = 0x3e78ff;
-            this.energyRegenRate = 0.2; // Rigenerazione energia più veloce
-            this.healthRegenRate = 0.05;
-        } else if (race === 'viltrumite') {
-            this.attackType = 'physical'; // I Viltrumiti sono più forti fisicamente
-            this.attackColor = 0xff3e3e;
-            this.specialAttackType = 'laserEyes';
-            this.specialAttackColor = 0xff3e3e;
-            this.energyRegenRate = 0.1;
-            this.healthRegenRate = 0.1; // Rigenerazione salute più veloce
-        }
+        this.attackPower = stats.attackPower;
+        
+        // Proprietà specifiche per razza (attacchi e rigenerazione)
+        this.setRace(race);
+        
+        // Trasformazione attiva (definizione della razza) e tempi
+        this.transformation = null;
+        this.transformationTimer = 0;
+        this.transformationCooldown = 0;
+        
+        // Secondi di recupero rimanenti per abilità (id)
+        this.abilityCooldowns = {};
         
         // Progressione e livelli
         this.level = 1;
@@ -51,9 +63,19 @@ export class Player {
             healthCapacity: 0  // 0-10 livelli
         };
         
-        // Inventario
+        // Ricerca dell'impero (nodi completati e ricerca in corso)
+        this.research = createResearchState();
+        
+        // Albero dei talenti (punti da spendere e gradi dei nodi) e bonus che ne derivano
+        this.skills = createSkillState();
+        this.skillBonuses = getSkillBonuses(race, this.skills);
+        
+        // Inventario (istanze di loot.js)
         this.inventory = [];
         
+        // Effetti di stato attivi (vedi statusEffects.js)
+        this.statusEffects = [];
+        
         // Pianeti conquistati
         this.conqueredPlanets = [];
     }
@@ -64,9 +86,10 @@ export class Player {
     createMesh() {
         // Per ora, usiamo una semplice capsula per il corpo
         const geometry = new THREE.CapsuleGeometry(1, 3, 4, 8);
+        const definition = getRaceDefinition(this.race);
         const material = new THREE.MeshPhongMaterial({
-            color: this.race === 'saiyan' ? 0x3e78ff : 0xff3e3e,
-            emissive: this.race === 'saiyan' ? 0x1a1a5a : 0x5a1a1a,
+            color: definition.color,
+            emissive: definition.emissive,
             shininess: 30
         });
         
@@ -79,10 +102,23 @@ export class Player {
     
     /**
      * Aggiorna lo stato del player
+     * @param {Object} [shipInput] - Rollio e postbruciatore ({ rollLeft, rollRight, boost }) per il volo della nave
      */
-    update(deltaTime, moveForward, moveBackward, moveLeft, moveRight, moveUp, moveDown, cameraDirection) {
-        // Aggiorna energia e salute
+    update(deltaTime, moveForward, moveBackward, moveLeft, moveRight, moveUp, moveDown, cameraDirection, shipInput = {}) {
+        // Aggiorna energia, salute e recupero delle abilità
         this.regenerate(deltaTime);
+        this.updateAbilityCooldowns(deltaTime);
+        this.updateStatusEffects(deltaTime);
+        
+        if (this.isFlying && this.flightProfile && this.flight.enabled) {
+            this.updateShipFlight(deltaTime, {
+                forward: moveForward, backward: moveBackward, left: moveLeft, right: moveRight,
+                up: moveUp, down: moveDown, ...shipInput
+            }, cameraDirection);
+            return;
+        }
+        // Fuori dallo spazio la nave non conserva la quantità di moto
+        resetFlight(this.flight);
         
         // Debug: log dettagliato dei movimenti ogni 60 frame
         if (window.performanceMonitor && window.performanceMonitor.frameCount % 60 === 0) {
@@ -218,19 +254,61 @@ export class Player {
         return this.isFlying;
     }
     
+    /**
+     * Volo newtoniano della nave (vedi flightModel.js)
+     * @param {number} deltaTime - Tempo trascorso dall'ultimo frame
+     * @param {Object} input - Tasti di movimento, rollio e postbruciatore
+     * @param {THREE.Vector3} cameraDirection - Direzione dello sguardo
+     */
+    updateShipFlight(deltaTime, input, cameraDirection) {
+        // Il postbruciatore spinge solo in avanti e consuma energia
+        const boost = Boolean(input.boost && input.forward && this.energy > 0);
+        if (boost) {
+            this.energy = Math.max(0, this.energy - FLIGHT.BOOST_ENERGY_PER_SECOND * deltaTime);
+        }
+        
+        const step = updateFlight(this.flight, this.flightProfile, { ...input, boost }, cameraDirection, this.getSpeed(), deltaTime);
+        this.velocity.copy(step);
+        this.position.add(step);
+        if (this.mesh) {
+            this.mesh.position.copy(this.position);
+        }
+    }
+    
+    /**
+     * Attiva/disattiva il modello di volo newtoniano della nave
+     * @returns {boolean} Nuovo stato
+     */
+    toggleFlightModel() {
+        this.flight.enabled = !this.flight.enabled;
+        resetFlight(this.flight);
+        return this.flight.enabled;
+    }
+    
+    /**
+     * Attiva/disattiva l'assistenza al volo
+     * @returns {boolean} Nuovo stato
+     */
+    toggleFlightAssist() {
+        this.flight.assist = !this.flight.assist;
+        return this.flight.assist;
+    }
+    
     /**
      * Rigenera energia e salute del giocatore
      * @param {number} deltaTime - Tempo trascorso dall'ultimo frame
      */
     regenerate(deltaTime) {
         // Rigenera energia
+        const energyRegenRate = this.energyRegenRate + this.skillBonuses.energyRegen;
         if (this.energy < this.maxEnergy) {
-            this.energy = Math.min(this.maxEnergy, this.energy + (this.energyRegenRate * deltaTime * 10));
+            this.energy = Math.min(this.maxEnergy, this.energy + (energyRegenRate * deltaTime * 10));
         }
         
         // Rigenera salute (più lentamente)
+        const healthRegenRate = this.healthRegenRate + this.skillBonuses.healthRegen;
         if (this.health < this.maxHealth) {
-            this.health = Math.min(this.maxHealth, this.health + (this.healthRegenRate * deltaTime * 10));
+            this.health = Math.min(this.maxHealth, this.health + (healthRegenRate * deltaTime * 10));
         }
     }
     
@@ -247,10 +325,10 @@ export class Player {
             return {
                 type: this.attackType,
                 direction: direction.clone().normalize(),
-                power: this.attackPower * (1 + this.upgrades.attackPower * 0.2),
+                power: this.getAttackPower() * (1 + this.upgrades.attackPower * 0.2),
                 color: this.attackColor,
                 origin: this.position.clone(),
-                speed: 60, // Velocità del proiettile
+                speed: PLAYER.PROJECTILE_SPEED,
                 range: 100
             };
         }
@@ -264,36 +342,23 @@ export class Player {
      * @param {number} energyCost - Costo in energia
      * @return {Object|null} - Dati dell'attacco o null se energia insufficiente
      */
-    attackSpecial(direction, energyCost = 25) {
+    attackSpecial(direction, energyCost = this.specialAttack.energyCost) {
         if (this.energy >= energyCost) {
             this.energy -= energyCost;
             
-            // Tipo di attacco speciale in base alla razza
-            if (this.race === 'saiyan') {
-                // Energy Wave - più potente ma più lento
-                return {
-                    type: this.specialAttackType,
-                    direction: direction.clone().normalize(),
-                    power: this.attackPower * 2 * (1 + this.upgrades.attackPower * 0.2),
-                    color: this.specialAttackColor,
-                    origin: this.position.clone(),
-                    speed: 40,
-                    range: 150,
-                    width: 3
-                };
-            } else {
-                // Laser Eyes - più veloce ma meno potente
-                return {
-                    type: this.specialAttackType,
-                    direction: direction.clone().normalize(),
-                    power: this.attackPower * 1.5 * (1 + this.upgrades.attackPower * 0.2),
-                    color: this.specialAttackColor,
-                    origin: this.position.clone(),
-                    speed: 120,
-                    range: 200,
-                    width: 1
-                };
-            }
+            // Parametri dell'attacco speciale della razza
+            const special = this.specialAttack;
+            return {
+                type: special.type,
+                direction: direction.clone().normalize(),
+                power: this.getAttackPower() * special.powerMultiplier * (1 + this.upgrades.attackPower * 0.2),
+                color: special.color,
+                origin: this.position.clone(),
+                speed: special.speed,
+                range: special.range,
+                width: special.width,
+                sound: special.sound
+            };
         }
         
         return null;
@@ -305,8 +370,10 @@ export class Player {
      * @return {boolean} - true se ancora vivo, false se morto
      */
     takeDamage(amount) {
-        // Riduzione danno in base alla difesa
-        const actualDamage = amount * (1 - (this.upgrades.defense * 0.05));
+        // Riduzione danno in base alla difesa (potenziamenti, talenti ed equipaggiamento)
+        const defense = this.upgrades.defense * 0.05 + this.skillBonuses.defense + this.getEquipmentBonuses().defense;
+        const reduction = Math.min(SKILLS.MAX_DEFENSE, defense);
+        const actualDamage = amount * (1 - reduction);
         this.health -= actualDamage;
         
         if (this.health <= 0) {
@@ -318,77 +385,256 @@ export class Player {
     }
     
     /**
-     * Guadagna punti esperienza e controlla level-up
+     * Guadagna punti esperienza e controlla i level-up
      * @param {number} exp - Punti esperienza da aggiungere
-     * @return {boolean} - true se è avvenuto un level-up
+     * @return {Array<Object>} - Esiti dei level-up avvenuti (vedi levelUp)
      */
     gainExperience(exp) {
         this.expPoints += exp;
         
-        if (this.expPoints >= this.nextLevelExp) {
-            this.levelUp();
-            return true;
+        const levelUps = [];
+        while (this.expPoints >= this.nextLevelExp) {
+            levelUps.push(this.levelUp());
         }
         
-        return false;
+        return levelUps;
     }
     
     /**
-     * Aumenta di livello il giocatore
+     * Aumenta di livello il giocatore: assegna punti talento e ripristina salute ed energia
      */
     levelUp() {
         this.level++;
         this.expPoints -= this.nextLevelExp;
         this.nextLevelExp = Math.floor(this.nextLevelExp * 1.5);
         
-        // Incrementa le statistiche di base
-        this.maxHealth += 10;
+        this.skills.points += SKILLS.POINTS_PER_LEVEL;
         this.health = this.maxHealth;
-        this.maxEnergy += 10;
         this.energy = this.maxEnergy;
-        this.attackPower += 5;
+        
+        // Sblocca il livello di trasformazione previsto per il nuovo livello
+        const unlocked = this.getTransformations().find(transformation => transformation.unlockLevel === this.level);
         
         return {
             level: this.level,
             maxHealth: this.maxHealth,
             maxEnergy: this.maxEnergy,
-            attackPower: this.attackPower
+            skillPoints: this.skills.points,
+            unlockedTransformation: unlocked || null
         };
     }
     
+    /**
+     * Spende punti talento per un grado del nodo
+     * @param {string} nodeId - Nodo dell'albero dei talenti
+     * @return {Object} - Risultato dell'operazione
+     */
+    learnSkill(nodeId) {
+        const result = learnSkill(this.race, this.skills, nodeId);
+        if (result.success) this.updateSkillBonuses();
+        return result;
+    }
+    
+    /**
+     * Ridistribuisce i punti talento pagando SKILLS.RESPEC_COST
+     * @return {Object} - Risultato dell'operazione
+     */
+    respecSkills() {
+        if (Object.keys(this.skills.ranks).length === 0) {
+            return { success: false, message: "Nessun talento da ridistribuire" };
+        }
+        if (!this.spendResources(SKILLS.RESPEC_COST)) {
+            return { success: false, message: "Risorse insufficienti per ridistribuire i talenti" };
+        }
+        
+        const refunded = resetSkills(this.race, this.skills);
+        this.updateSkillBonuses();
+        return { success: true, message: `Talenti azzerati: ${refunded} punti restituiti` };
+    }
+    
+    /**
+     * Ricalcola i bonus dei talenti e le capacità che ne dipendono
+     */
+    updateSkillBonuses() {
+        this.skillBonuses = getSkillBonuses(this.race, this.skills);
+        this.updateCapacity();
+    }
+    
+    /**
+     * Ricalcola salute ed energia massime da razza, potenziamenti, talenti ed equipaggiamento
+     * mantenendo la stessa frazione di salute ed energia correnti
+     */
+    updateCapacity() {
+        const stats = getRaceDefinition(this.race).stats;
+        const healthRatio = this.health / this.maxHealth;
+        const energyRatio = this.energy / this.maxEnergy;
+        const equipment = this.getEquipmentBonuses();
+        this.maxHealth = stats.maxHealth + this.upgrades.healthCapacity * 20 + this.skillBonuses.maxHealth + equipment.maxHealth;
+        this.maxEnergy = stats.maxEnergy + this.upgrades.energyCapacity * 20 + this.skillBonuses.maxEnergy + equipment.maxEnergy;
+        this.health = this.maxHealth * healthRatio;
+        this.energy = this.maxEnergy * energyRatio;
+    }
+    
+    /**
+     * Trasformazioni della razza, in ordine di livello
+     * @returns {Array<Object>} Definizioni (vedi races.js)
+     */
+    getTransformations() {
+        return getRaceDefinition(this.race).transformations;
+    }
+    
+    /**
+     * Trasformazioni già sbloccate dal livello del giocatore
+     * @returns {Array<Object>} Definizioni (vedi races.js)
+     */
+    getUnlockedTransformations() {
+        return this.getTransformations().filter(transformation => transformation.unlockLevel <= this.level);
+    }
+    
+    /**
+     * Sale al livello di trasformazione successivo; dal livello più alto sbloccato
+     * torna alla forma base
+     * @return {Object} - Risultato dell'operazione
+     */
+    transform() {
+        const unlocked = this.getUnlockedTransformations();
+        if (unlocked.length === 0) {
+            return { success: false, message: "Nessuna trasformazione sbloccata" };
+        }
+        if (this.transformationCooldown > 0) {
+            return { success: false, message: `Trasformazione disponibile tra ${Math.ceil(this.transformationCooldown)}s` };
+        }
+        
+        const next = unlocked[unlocked.indexOf(this.transformation) + 1];
+        if (!next) {
+            this.revertTransformation();
+            return { success: true, message: "Torni alla forma base" };
+        }
+        if (this.energy < TRANSFORMATION.MIN_ENERGY) {
+            return { success: false, message: "Energia insufficiente per trasformarsi" };
+        }
+        
+        this.transformation = next;
+        this.transformationTimer = next.duration;
+        this.updateTransformationLook();
+        return { success: true, message: `${next.name}! Attacco x${next.attackMultiplier}, velocità x${next.speedMultiplier}` };
+    }
+    
+    /**
+     * Torna alla forma base e avvia il tempo di recupero
+     * @param {boolean} [cooldown=true] - Se false la trasformazione è subito di nuovo disponibile
+     */
+    revertTransformation(cooldown = true) {
+        this.transformation = null;
+        this.transformationTimer = 0;
+        this.transformationCooldown = cooldown ? TRANSFORMATION.COOLDOWN : 0;
+        this.updateTransformationLook();
+    }
+    
+    /**
+     * Consuma energia e durata della trasformazione attiva
+     * @param {number} deltaTime - Tempo trascorso dall'ultimo frame
+     * @return {string|null} - Messaggio se la trasformazione si è appena esaurita
+     */
+    updateTransformation(deltaTime) {
+        this.transformationCooldown = Math.max(0, this.transformationCooldown - deltaTime);
+        if (!this.transformation) return null;
+        
+        this.energy = Math.max(0, this.energy - this.transformation.energyDrain * deltaTime);
+        this.transformationTimer = Math.max(0, this.transformationTimer - deltaTime);
+        if (this.energy > 0 && this.transformationTimer > 0) return null;
+        
+        const name = this.transformation.name;
+        const exhausted = this.energy === 0;
+        this.revertTransformation();
+        return exhausted ? `Energia esaurita: fine di ${name}` : `${name}: trasformazione terminata`;
+    }
+    
+    /**
+     * Applica alla mesh i colori della trasformazione attiva o della razza
+     */
+    updateTransformationLook() {
+        if (!this.mesh) return;
+        
+        const look = this.transformation || getRaceDefinition(this.race);
+        this.mesh.material.color.setHex(look.color);
+        this.mesh.material.emissive.setHex(look.emissive);
+        this.mesh.material.emissiveIntensity = this.transformation ? 1 + this.transformation.bloom : 1;
+    }
+    
+    /**
+     * Potenza d'attacco attuale: equipaggiamento, talenti, trasformazione ed effetti di stato
+     * @return {number} Potenza d'attacco effettiva
+     */
+    getAttackPower() {
+        const base = this.attackPower + this.getEquipmentBonuses().attack;
+        const multiplier = (1 + this.skillBonuses.attack) * (this.transformation?.attackMultiplier || 1);
+        return base * multiplier * getStatusModifiers(this.statusEffects).attackMultiplier;
+    }
+    
+    /**
+     * Aggiunge risorse alle riserve dell'impero
+     * @param {Object} amounts - Quantità per tipo di risorsa
+     */
+    addResources(amounts) {
+        Object.entries(amounts).forEach(([type, amount]) => {
+            this.resources[type] = (this.resources[type] || 0) + amount;
+        });
+    }
+    
+    /**
+     * Verifica se le riserve coprono un costo
+     * @param {Object} cost - Quantità per tipo di risorsa
+     */
+    canAfford(cost) {
+        return Object.entries(cost).every(([type, amount]) => (this.resources[type] || 0) >= amount);
+    }
+    
+    /**
+     * Preleva un costo dalle riserve, se sufficienti
+     * @param {Object} cost - Quantità per tipo di risorsa
+     * @returns {boolean} True se il pagamento è avvenuto
+     */
+    spendResources(cost) {
+        if (!this.canAfford(cost)) return false;
+        Object.entries(cost).forEach(([type, amount]) => { this.resources[type] -= amount; });
+        return true;
+    }
+    
     /**
      * Potenzia una statistica specifica
      * @param {string} stat - Statistica da potenziare
-     * @param {number} cost - Costo in valuta
+     * @param {Object} cost - Costo per tipo di risorsa
      * @return {Object} - Risultato dell'operazione
      */
     upgrade(stat, cost) {
-        // Verifica disponibilità valuta
-        if (this.currency < cost) {
-            return { success: false, message: "Valuta insufficiente per questo potenziamento" };
+        // Verifica disponibilità delle risorse e paga il potenziamento
+        if (!this.spendResources(cost)) {
+            return { success: false, message: "Risorse insufficienti per questo potenziamento" };
         }
         
-        // Applica il potenziamento
-        this.currency -= cost;
         this.upgrades[stat]++;
         
         // Variabili temporanee per evitare dichiarazioni nei case
-        let prevMaxHealth, prevMaxEnergy;
+        let prevHealth, prevMaxHealth, prevEnergy, prevMaxEnergy;
         
         // Aggiorna le statistiche in base al potenziamento
+        // (updateCapacity riscala i valori correnti: qui si aggiunge invece l'aumento una volta sola)
         switch(stat) {
             case 'attackPower':
                 this.attackPower += 5;
                 break;
             case 'healthCapacity':
+                prevHealth = this.health;
                 prevMaxHealth = this.maxHealth;
-                this.maxHealth = 100 + (this.upgrades.healthCapacity * 20);
-                this.health += (this.maxHealth - prevMaxHealth);
+                this.updateCapacity();
+                this.health = Math.min(this.maxHealth, prevHealth + (this.maxHealth - prevMaxHealth));
                 break;
             case 'energyCapacity':
+                prevEnergy = this.energy;
                 prevMaxEnergy = this.maxEnergy;
-                this.maxEnergy = 100 + (this.upgrades.energyCapacity * 20);
-                this.energy += (this.maxEnergy - prevMaxEnergy);
+                this.updateCapacity();
+                this.energy = Math.min(this.maxEnergy, prevEnergy + (this.maxEnergy - prevMaxEnergy));
                 break;
             case 'speed':
                 // La velocità è calcolata dinamicamente nel metodo getSpeed()
@@ -410,7 +656,9 @@ export class Player {
      * @return {number} Velocità effettiva
      */
     getSpeed() {
-        let currentSpeed = this.speed * (1 + this.upgrades.speed * 0.15); // Applica potenziamento velocità
+        let currentSpeed = (this.speed + this.getEquipmentBonuses().speed) * (1 + this.upgrades.speed * 0.15); // Applica potenziamento velocità
+        currentSpeed *= (1 + this.skillBonuses.speed) * (this.transformation?.speedMultiplier || 1);
+        currentSpeed *= getStatusModifiers(this.statusEffects).speedMultiplier;
         if (this.isFlying) {
             currentSpeed *= this.flightSpeedMultiplier;
         }
@@ -433,6 +681,14 @@ export class Player {
         }
     }
     
+    /**
+     * Rimuove un pianeta perso dall'elenco dei pianeti conquistati
+     * @param {string} planetId - Id del pianeta perso
+     */
+    removeConqueredPlanet(planetId) {
+        this.conqueredPlanets = this.conqueredPlanets.filter(p => p.id !== planetId);
+    }
+    
     /**
      * Ottieni i dati del giocatore per condividerli con altri giochi
      */
@@ -441,98 +697,193 @@ export class Player {
             username: `${this.race}_conqueror_${this.level}`,
             race: this.race,
             level: this.level,
-            color: this.race === 'saiyan' ? 'blue' : 'red',
+            color: getRaceDefinition(this.race).portalColor,
             speed: this.getSpeed() / 10, // Convertito in una scala più adatta per il portale
             planets_conquered: this.conqueredPlanets.length
         };
     }
 
-    useAbility(abilityName) {
-        if (this.abilityCooldowns[abilityName] > 0) return false;
-        
-        // Consumo energia per abilità
-        if (this.energy < this.abilities[abilityName].energyCost) return false;
-        this.energy -= this.abilities[abilityName].energyCost;
-        
-        // Imposta il cooldown
-        this.abilityCooldowns[abilityName] = this.abilities[abilityName].cooldown;
-        
-        // Esegui l'abilità usando un approccio con object literals invece di switch
-        const abilityHandlers = {
-            teleport: () => {
-                const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
-                const teleportDist = 10 * this.stats.teleportRange;
-                
-                // Teleport in avanti
-                this.position.addScaledVector(forward, teleportDist);
-                this.createTeleportEffect(this.position);
-                return true;
+    /**
+     * Restituisce lo stato del giocatore da salvare
+     * @returns {Object} Dati serializzabili in JSON
+     */
+    getSaveData() {
+        return {
+            race: this.race,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            energy: this.energy,
+            maxEnergy: this.maxEnergy,
+            resources: { ...this.resources },
+            attackPower: this.attackPower,
+            speed: this.speed,
+            level: this.level,
+            expPoints: this.expPoints,
+            nextLevelExp: this.nextLevelExp,
+            upgrades: { ...this.upgrades },
+            research: {
+                completed: [...this.research.completed],
+                current: this.research.current ? { ...this.research.current } : null
             },
-            
-            energyBlast: () => {
-                const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
-                
-                // Crea un proiettile energetico
-                const projectileData = {
-                    type: 'energy_blast',
-                    origin: this.position.clone().addScaledVector(direction, 2),
-                    direction: direction,
-                    speed: 100,
-                    range: 100,
-                    power: 25 * this.stats.attackPower,
-                    color: 0x00ffff,
-                    isPlayerProjectile: true
-                };
-                
-                // Ritorna i dati del proiettile per main.js
-                this.lastProjectile = projectileData;
-                
-                return true;
-            }
-            // Altre abilità possono essere aggiunte qui
+            skills: { points: this.skills.points, ranks: { ...this.skills.ranks } },
+            inventory: this.inventory.map(item => ({ ...item })),
+            statusEffects: this.statusEffects.map(effect => ({ ...effect })),
+            flight: { enabled: this.flight.enabled, assist: this.flight.assist },
+            conqueredPlanets: this.conqueredPlanets.map(planet => ({ ...planet })),
+            position: { x: this.position.x, y: this.position.y, z: this.position.z }
+        };
+    }
+
+    /**
+     * Ripristina lo stato del giocatore da un salvataggio
+     * Salute ed energia massime salvate includono già i bonus di talenti ed equipaggiamento
+     * @param {Object} data - Dati prodotti da getSaveData()
+     */
+    loadSaveData(data) {
+        const fields = [
+            'health', 'maxHealth', 'energy', 'maxEnergy', 'attackPower',
+            'speed', 'level', 'expPoints', 'nextLevelExp'
+        ];
+        fields.forEach(field => {
+            if (typeof data[field] === 'number') this[field] = data[field];
+        });
+
+        this.resources = createResources(data.resources);
+        this.upgrades = { ...this.upgrades, ...data.upgrades };
+        this.research = {
+            completed: [...(data.research?.completed || [])],
+            current: data.research?.current ? { ...data.research.current } : null
         };
+        this.skills = { points: data.skills?.points || 0, ranks: { ...data.skills?.ranks } };
+        this.skillBonuses = getSkillBonuses(this.race, this.skills);
+        this.inventory = (data.inventory || [])
+            .filter(item => getItemDefinition(item.type))
+            .map(item => ({ ...item }));
+        this.statusEffects = loadStatuses(data.statusEffects);
+        this.flight = createFlightState();
+        if (data.flight) {
+            this.flight.enabled = data.flight.enabled !== false;
+            this.flight.assist = data.flight.assist !== false;
+        }
+        this.conqueredPlanets = (data.conqueredPlanets || []).map(planet => ({ ...planet }));
+
+        if (data.position) {
+            this.position.set(data.position.x, data.position.y, data.position.z);
+            if (this.mesh) this.mesh.position.copy(this.position);
+        }
+    }
+
+    /**
+     * Abilità della razza e dei talenti attivi negli slot dei tasti 1-9
+     * @returns {Array<Object>} Definizioni (vedi races.js)
+     */
+    getAbilities() {
+        const abilities = [...getRaceDefinition(this.race).abilities, ...getSkillAbilities(this.race, this.skills)];
+        return abilities.slice(0, MAX_ABILITY_SLOTS);
+    }
+    
+    /**
+     * Fa scorrere il tempo di recupero delle abilità
+     * @param {number} deltaTime - Tempo trascorso dall'ultimo frame
+     */
+    updateAbilityCooldowns(deltaTime) {
+        Object.keys(this.abilityCooldowns).forEach(id => {
+            this.abilityCooldowns[id] = Math.max(0, this.abilityCooldowns[id] - deltaTime);
+        });
+    }
+    
+    /**
+     * Frazione del tempo di recupero ancora da attendere (0 = pronta)
+     * @param {Object} ability - Definizione dell'abilità
+     * @return {number} Valore tra 0 e 1
+     */
+    getAbilityCooldownRatio(ability) {
+        return (this.abilityCooldowns[ability.id] || 0) / this.getAbilityCooldown(ability);
+    }
+    
+    /**
+     * Tempo di recupero di un'abilità, ridotto dai talenti
+     * @param {Object} ability - Definizione dell'abilità
+     * @return {number} Secondi
+     */
+    getAbilityCooldown(ability) {
+        return ability.cooldown * Math.max(SKILLS.MIN_COOLDOWN, 1 + this.skillBonuses.abilityCooldown);
+    }
+    
+    /**
+     * Usa l'abilità di uno slot
+     * @param {number} slot - Indice dello slot (0 = tasto 1)
+     * @param {THREE.Vector3} direction - Direzione dello sguardo
+     * @param {Set<string>} researched - Abilità sbloccate dalla ricerca
+     * @return {Object} - Risultato ({ success, message, ability, projectile, from })
+     */
+    useAbility(slot, direction, researched = new Set()) {
+        const ability = this.getAbilities()[slot];
+        if (!ability) return { success: false, message: "Nessuna abilità in questo slot" };
+        if (ability.requiresResearch && !researched.has(ability.id)) {
+            return { success: false, message: `${ability.name}: ricerca necessaria` };
+        }
+        if (this.abilityCooldowns[ability.id] > 0) {
+            return { success: false, message: `${ability.name} pronta tra ${Math.ceil(this.abilityCooldowns[ability.id])}s` };
+        }
+        if (this.energy < ability.energyCost) {
+            return { success: false, message: `Energia insufficiente per ${ability.name}` };
+        }
         
-        // Esegui l'handler dell'abilità se esiste
-        if (abilityHandlers[abilityName]) {
-            return abilityHandlers[abilityName]();
+        this.energy -= ability.energyCost;
+        this.abilityCooldowns[ability.id] = this.getAbilityCooldown(ability);
+        const forward = direction.clone().normalize();
+        const result = { success: true, message: ability.name, ability, projectile: null, from: null };
+        
+        switch (ability.type) {
+            case ABILITY_TYPES.PROJECTILE:
+                // Il proiettile viene creato da chi gestisce i combattimenti
+                result.projectile = {
+                    type: ability.id,
+                    direction: forward,
+                    power: this.getAttackPower() * ability.power * (1 + this.upgrades.attackPower * 0.2),
+                    color: ability.color,
+                    origin: this.position.clone(),
+                    speed: ability.speed,
+                    range: ability.range,
+                    width: ability.width,
+                    status: ability.status || null,
+                    sound: 'energy_wave_sound'
+                };
+                break;
+            case ABILITY_TYPES.TELEPORT:
+                result.from = this.position.clone();
+                this.position.addScaledVector(forward, ability.distance);
+                if (this.mesh) this.mesh.position.copy(this.position);
+                break;
+            case ABILITY_TYPES.RESTORE:
+                this.health = Math.min(this.maxHealth, this.health + (ability.health || 0));
+                this.energy = Math.min(this.maxEnergy, this.energy + (ability.energy || 0));
+                break;
         }
         
-        return false;
+        return result;
     }
 
     /**
      * Imposta le proprietà specifiche della razza
-     * @param {string} race - La razza del personaggio ('saiyan' o 'viltrumite')
+     * @param {string} race - La razza del personaggio (RACE_TYPES)
      */
     setRace(race) {
+        const definition = getRaceDefinition(race);
         this.race = race;
+        this.attackType = definition.attack.type;
+        this.attackColor = definition.attack.color;
+        this.specialAttack = { ...definition.special };
+        this.specialAttackType = definition.special.type;
+        this.specialAttackColor = definition.special.color;
+        this.energyRegenRate = definition.regen.energy;
+        this.healthRegenRate = definition.regen.health;
         
-        if (race === 'saiyan') {
-            this.attackType = 'energy';
-            this.attackColor = 0x3e78ff;
-            this.specialAttackType = 'energyWave';
-            this.specialAttackColor = 0x3e78ff;
-            this.energyRegenRate = 0.2;
-            this.healthRegenRate = 0.05;
-            
-            // Aggiorna il materiale della mesh se esiste
-            if (this.mesh) {
-                this.mesh.material.color.setHex(0x3e78ff);
-                this.mesh.material.emissive.setHex(0x1a1a5a);
-            }
-        } else if (race === 'viltrumite') {
-            this.attackType = 'physical';
-            this.attackColor = 0xff3e3e;
-            this.specialAttackType = 'laserEyes';
-            this.specialAttackColor = 0xff3e3e;
-            this.energyRegenRate = 0.1;
-            this.healthRegenRate = 0.1;
-            
-            // Aggiorna il materiale della mesh se esiste
-            if (this.mesh) {
-                this.mesh.material.color.setHex(0xff3e3e);
-                this.mesh.material.emissive.setHex(0x5a1a1a);
-            }
+        // Aggiorna il materiale della mesh se esiste
+        if (this.mesh) {
+            this.mesh.material.color.setHex(definition.color);
+            this.mesh.material.emissive.setHex(definition.emissive);
         }
     }
 
@@ -546,6 +897,11 @@ export class Player {
         this.rotation.set(0, 0, 0);
         this.velocity.set(0, 0, 0);
         this.isFlying = false;
+        this.revertTransformation(false);
+        this.abilityCooldowns = {};
+        this.statusEffects = [];
+        resetFlight(this.flight);
+        restoreShield(this.shield);
         
         if (this.mesh) {
             this.mesh.position.copy(this.position);
@@ -554,79 +910,123 @@ export class Player {
     }
 
     /**
-     * Usa un oggetto dall'inventario
+     * Aggiunge un oggetto all'inventario; i consumabili si impilano fino a LOOT.MAX_STACK
+     * @param {string} type - Chiave di ITEM_DEFINITIONS
+     * @returns {Object} - Risultato dell'operazione
+     */
+    addItem(type) {
+        const definition = getItemDefinition(type);
+        if (!definition) return { success: false, message: `Oggetto sconosciuto: ${type}` };
+        
+        const stack = isStackable(type) && this.inventory.find(item => item.type === type && item.quantity < LOOT.MAX_STACK);
+        if (stack) {
+            stack.quantity++;
+        } else if (this.inventory.length >= LOOT.INVENTORY_SIZE) {
+            return { success: false, message: `Inventario pieno: ${definition.name} lasciato a terra` };
+        } else {
+            this.inventory.push(createItem(type));
+        }
+        return { success: true, message: `Raccolto: ${definition.icon} ${definition.name}` };
+    }
+    
+    /**
+     * Usa un consumabile o un potenziamento dall'inventario
      * @param {string} itemId - ID dell'oggetto da usare
-     * @returns {boolean} - True se l'oggetto è stato usato con successo
+     * @returns {Object} - Risultato dell'operazione
      */
     useItem(itemId) {
-        const itemIndex = this.inventory.findIndex(item => item.id === itemId);
-        if (itemIndex === -1) return false;
-        
-        const item = this.inventory[itemIndex];
+        const item = this.inventory.find(i => i.id === itemId);
+        const definition = item && getItemDefinition(item.type);
+        if (!definition) return { success: false, message: "Oggetto non trovato" };
         
-        // Applica gli effetti dell'oggetto
-        switch(item.type) {
-            case 'healthPotion':
-                this.health = Math.min(this.maxHealth, this.health + item.value);
-                break;
-            case 'energyPotion':
-                this.energy = Math.min(this.maxEnergy, this.energy + item.value);
+        switch (definition.category) {
+            case ITEM_CATEGORIES.CONSUMABLE:
+                this.health = Math.min(this.maxHealth, this.health + (definition.restore.health || 0));
+                this.energy = Math.min(this.maxEnergy, this.energy + (definition.restore.energy || 0));
                 break;
-            case 'powerBoost':
-                this.attackPower *= item.multiplier;
-                setTimeout(() => {
-                    this.attackPower /= item.multiplier;
-                }, item.duration);
+            case ITEM_CATEGORIES.BOOST:
+                applyStatus(this.statusEffects, definition.status);
                 break;
             default:
-                return false;
-        }
-        
-        // Rimuovi l'oggetto dall'inventario se è consumabile
-        if (item.consumable) {
-            this.inventory.splice(itemIndex, 1);
+                return { success: false, message: `${definition.name} non si può usare` };
         }
         
-        return true;
+        item.quantity--;
+        if (item.quantity <= 0) this.inventory = this.inventory.filter(i => i !== item);
+        return { success: true, message: `Usato: ${definition.name}` };
     }
-
+    
     /**
-     * Equipaggia un oggetto
+     * Equipaggia un oggetto, togliendo quello che occupava lo stesso slot
      * @param {string} itemId - ID dell'oggetto da equipaggiare
-     * @returns {boolean} - True se l'oggetto è stato equipaggiato con successo
+     * @returns {Object} - Risultato dell'operazione
      */
     equipItem(itemId) {
         const item = this.inventory.find(i => i.id === itemId);
-        if (!item || !item.equippable) return false;
-        
-        // Rimuovi l'oggetto precedentemente equipaggiato dello stesso tipo
-        const currentEquipped = this.inventory.find(i => 
-            i.equipped && i.slot === item.slot
-        );
-        if (currentEquipped) {
-            currentEquipped.equipped = false;
+        const definition = item && getItemDefinition(item.type);
+        if (!definition) return { success: false, message: "Oggetto non trovato" };
+        if (definition.category !== ITEM_CATEGORIES.EQUIPMENT) {
+            return { success: false, message: `${definition.name} non si può equipaggiare` };
         }
+        if (item.equipped) return { success: false, message: `${definition.name} è già equipaggiato` };
         
-        // Equipaggia il nuovo oggetto
+        this.inventory.forEach(other => {
+            if (other.equipped && getItemDefinition(other.type).slot === definition.slot) other.equipped = false;
+        });
         item.equipped = true;
+        this.updateCapacity();
+        return { success: true, message: `Equipaggiato: ${definition.name}` };
+    }
+    
+    /**
+     * Toglie un oggetto equipaggiato, annullandone i bonus
+     * @param {string} itemId - ID dell'oggetto
+     * @returns {Object} - Risultato dell'operazione
+     */
+    unequipItem(itemId) {
+        const item = this.inventory.find(i => i.id === itemId);
+        if (!item?.equipped) return { success: false, message: "Oggetto non equipaggiato" };
         
-        // Applica i bonus dell'oggetto
-        if (item.stats) {
-            Object.entries(item.stats).forEach(([stat, value]) => {
-                switch(stat) {
-                    case 'attackPower':
-                        this.attackPower += value;
-                        break;
-                    case 'defense':
-                        this.maxHealth += value;
-                        break;
-                    case 'speed':
-                        this.speed += value;
-                        break;
-                }
-            });
-        }
+        item.equipped = false;
+        this.updateCapacity();
+        return { success: true, message: `Rimosso: ${getItemDefinition(item.type).name}` };
+    }
+    
+    /**
+     * Getta via un oggetto (un intero posto dell'inventario)
+     * @param {string} itemId - ID dell'oggetto
+     * @returns {Object} - Risultato dell'operazione
+     */
+    discardItem(itemId) {
+        const item = this.inventory.find(i => i.id === itemId);
+        if (!item) return { success: false, message: "Oggetto non trovato" };
         
-        return true;
+        this.inventory = this.inventory.filter(i => i !== item);
+        if (item.equipped) this.updateCapacity();
+        return { success: true, message: `Gettato: ${getItemDefinition(item.type).name}` };
+    }
+    
+    /**
+     * Somma i bonus degli oggetti equipaggiati
+     * @returns {Object} { attack, defense, speed, maxHealth, maxEnergy }
+     */
+    getEquipmentBonuses() {
+        const bonuses = { attack: 0, defense: 0, speed: 0, maxHealth: 0, maxEnergy: 0 };
+        this.inventory.filter(item => item.equipped).forEach(item => {
+            Object.entries(getItemDefinition(item.type).stats).forEach(([stat, value]) => {
+                bonuses[stat] += value;
+            });
+        });
+        return bonuses;
+    }
+    
+    /**
+     * Fa avanzare gli effetti di stato; i loro danni ignorano la difesa
+     * @param {number} deltaTime - Secondi trascorsi
+     */
+    updateStatusEffects(deltaTime) {
+        const { damage, heal } = updateStatuses(this.statusEffects, deltaTime);
+        if (damage === 0 && heal === 0) return;
+        this.health = Math.max(0, Math.min(this.maxHealth, this.health - damage + heal));
     }
-} 
\ No newline at end of file
+}
@@ -13,7 +13,11 @@ const movementState = {
     left: false,
     right: false,
     up: false,
-    down: false
+    down: false,
+    // Volo della nave nello spazio
+    rollLeft: false,
+    rollRight: false,
+    boost: false
 };
 
 // Riferimenti ai controlli e alla telecamera
@@ -39,6 +43,7 @@ export function initializeControls(playerCamera, element) {
     document.removeEventListener('keydown', onKeyDown);
     document.removeEventListener('keyup', onKeyUp);
     document.removeEventListener('mousedown', onMouseDown);
+    document.removeEventListener('contextmenu', onContextMenu);
     
     // Stampa KEYS per debug
     console.log("Control keys setup:", KEYS);
@@ -52,6 +57,7 @@ export function initializeControls(playerCamera, element) {
             document.addEventListener('keydown', onKeyDown);
             document.addEventListener('keyup', onKeyUp);
             document.addEventListener('mousedown', onMouseDown);
+            document.addEventListener('contextmenu', onContextMenu);
             
             console.log("Player controls initialized, event listeners added");
             
@@ -102,6 +108,12 @@ function onKeyDown(event) {
     } else if (KEYS.DOWN.includes(event.code)) {
         movementState.down = true;
         console.log("Set down to TRUE");
+    } else if (KEYS.ROLL_LEFT.includes(event.code)) {
+        movementState.rollLeft = true;
+    } else if (KEYS.ROLL_RIGHT.includes(event.code)) {
+        movementState.rollRight = true;
+    } else if (KEYS.BOOST.includes(event.code)) {
+        movementState.boost = true;
     }
     
     // Se i controlli non sono definiti o il puntatore non è bloccato,
@@ -140,6 +152,12 @@ function onKeyUp(event) {
     } else if (KEYS.DOWN.includes(event.code)) {
         console.log("Set down to FALSE");
         movementState.down = false;
+    } else if (KEYS.ROLL_LEFT.includes(event.code)) {
+        movementState.rollLeft = false;
+    } else if (KEYS.ROLL_RIGHT.includes(event.code)) {
+        movementState.rollRight = false;
+    } else if (KEYS.BOOST.includes(event.code)) {
+        movementState.boost = false;
     }
 }
 
@@ -167,6 +185,14 @@ function onMouseDown(event) {
     document.dispatchEvent(attackEvent);
 }
 
+/**
+ * Durante il gioco il tasto destro lancia l'attacco speciale: niente menu contestuale del browser
+ * @param {MouseEvent} event - L'evento del mouse
+ */
+function onContextMenu(event) {
+    if (controls?.isLocked) event.preventDefault();
+}
+
 /**
  * Ottiene lo stato attuale dei movimenti
  * @returns {Object} Lo stato dei movimenti
@@ -193,6 +219,9 @@ export function resetMovementState() {
     movementState.right = false;
     movementState.up = false;
     movementState.down = false;
+    movementState.rollLeft = false;
+    movementState.rollRight = false;
+    movementState.boost = false;
 }
 
 /**
@@ -203,6 +232,7 @@ export function disposeControls() {
         document.removeEventListener('keydown', onKeyDown);
         document.removeEventListener('keyup', onKeyUp);
         document.removeEventListener('mousedown', onMouseDown);
+        document.removeEventListener('contextmenu', onContextMenu);
         controls = null;
     }
 }
@@ -0,0 +1,267 @@
+/**
+ * Races
+ * Registro delle razze giocabili: colori, statistiche iniziali, rigenerazione, attacco
+ * base, attacco speciale e trasformazioni. Player, selezione del personaggio e imperi
+ * rivali leggono tutto da qui, così una nuova razza richiede solo una nuova definizione.
+ *
+ * Le trasformazioni sono stati di potenza a tempo, in ordine di livello: si sbloccano
+ * salendo di livello (unlockLevel), consumano energia al secondo (energyDrain) finché
+ * durano (duration) e moltiplicano attacco e velocità; bloom è l'intensità aggiunta
+ * all'UnrealBloomPass mentre sono attive.
+ *
+ * Le abilità occupano gli slot dei tasti 1-9 nell'ordine dell'elenco; quelle con
+ * requiresResearch vanno sbloccate con un nodo dell'albero della ricerca (stesso id).
+ * Il power dei proiettili moltiplica la potenza d'attacco del giocatore; status è
+ * l'effetto di stato (statusEffects.js) applicato ai nemici colpiti.
+ */
+import { RACE_TYPES, ABILITY_TYPES } from './constants.js';
+
+export const RACE_DEFINITIONS = {
+    [RACE_TYPES.SAIYAN]: {
+        name: 'Saiyan',
+        description: 'Super strength, energy blasts, and transformation abilities',
+        image: 'assets/saiyan.png',
+        color: 0x3e78ff,
+        emissive: 0x1a1a5a,
+        portalColor: 'blue',
+        nameSet: 'blue', // Nomi degli imperi rivali (NAME_SETS)
+        stats: { maxHealth: 100, maxEnergy: 100, speed: 50, attackPower: 10 },
+        regen: { energy: 0.2, health: 0.05 }, // Rigenerazione energia più veloce
+        attack: { type: 'energy', color: 0x3e78ff }, // Più forti con attacchi energetici
+        special: {
+            // Energy Wave - più potente ma più lento
+            type: 'energyWave',
+            color: 0x3e78ff,
+            opacity: 0.8,
+            sound: 'energy_wave_sound',
+            energyCost: 25,
+            powerMultiplier: 2,
+            speed: 40,
+            range: 150,
+            width: 3
+        },
+        transformations: [
+            {
+                id: 'super-saiyan',
+                name: 'Super Saiyan',
+                unlockLevel: 3,
+                attackMultiplier: 1.5,
+                speedMultiplier: 1.2,
+                energyDrain: 4,
+                duration: 30,
+                color: 0xffd700,
+                emissive: 0x8a6d00,
+                bloom: 0.6
+            },
+            {
+                id: 'super-saiyan-2',
+                name: 'Super Saiyan 2',
+                unlockLevel: 6,
+                attackMultiplier: 2,
+                speedMultiplier: 1.35,
+                energyDrain: 6,
+                duration: 25,
+                color: 0xffe34d,
+                emissive: 0xa08000,
+                bloom: 1
+            },
+            {
+                id: 'super-saiyan-3',
+                name: 'Super Saiyan 3',
+                unlockLevel: 10,
+                attackMultiplier: 3,
+                speedMultiplier: 1.5,
+                energyDrain: 9,
+                duration: 20,
+                color: 0xfff27a,
+                emissive: 0xc0a000,
+                bloom: 1.5
+            }
+        ],
+        abilities: [
+            {
+                id: 'zenkai',
+                name: 'Zenkai',
+                type: ABILITY_TYPES.RESTORE,
+                energyCost: 25,
+                cooldown: 25,
+                health: 25
+            },
+            {
+                id: 'energyBlast',
+                name: 'Kamehameha',
+                type: ABILITY_TYPES.PROJECTILE,
+                requiresResearch: true,
+                energyCost: 30,
+                cooldown: 6,
+                power: 2.5,
+                speed: 100,
+                range: 150,
+                width: 2,
+                color: 0x00ffff
+            },
+            {
+                id: 'teleport',
+                name: 'Teletrasporto istantaneo',
+                type: ABILITY_TYPES.TELEPORT,
+                requiresResearch: true,
+                energyCost: 20,
+                cooldown: 8,
+                distance: 40
+            }
+        ]
+    },
+    [RACE_TYPES.VILTRUMITE]: {
+        name: 'Viltrumite',
+        description: 'Incredible durability, flight speed, and laser vision',
+        image: 'assets/viltrumite.png',
+        color: 0xff3e3e,
+        emissive: 0x5a1a1a,
+        portalColor: 'red',
+        nameSet: 'red',
+        stats: { maxHealth: 100, maxEnergy: 100, speed: 50, attackPower: 10 },
+        regen: { energy: 0.1, health: 0.1 }, // Rigenerazione salute più veloce
+        attack: { type: 'physical', color: 0xff3e3e }, // Più forti fisicamente
+        special: {
+            // Laser Eyes - più veloce ma meno potente
+            type: 'laserEyes',
+            color: 0xff3e3e,
+            opacity: 0.9,
+            sound: 'laser_sound',
+            energyCost: 25,
+            powerMultiplier: 1.5,
+            speed: 120,
+            range: 200,
+            width: 1
+        },
+        transformations: [
+            {
+                // Furia berserker: più attacco che velocità, ma consuma in fretta
+                id: 'berserker-rage',
+                name: 'Furia berserker',
+                unlockLevel: 3,
+                attackMultiplier: 1.8,
+                speedMultiplier: 1.1,
+                energyDrain: 5,
+                duration: 25,
+                color: 0x8b0000,
+                emissive: 0xff1a1a,
+                bloom: 0.8
+            },
+            {
+                id: 'blind-fury',
+                name: 'Furia cieca',
+                unlockLevel: 7,
+                attackMultiplier: 2.6,
+                speedMultiplier: 1.25,
+                energyDrain: 8,
+                duration: 20,
+                color: 0x5a0000,
+                emissive: 0xff0000,
+                bloom: 1.2
+            }
+        ],
+        abilities: [
+            {
+                id: 'regeneration',
+                name: 'Rigenerazione',
+                type: ABILITY_TYPES.RESTORE,
+                energyCost: 30,
+                cooldown: 25,
+                health: 35
+            },
+            {
+                id: 'energyBlast',
+                name: 'Battito tonante',
+                type: ABILITY_TYPES.PROJECTILE,
+                requiresResearch: true,
+                energyCost: 30,
+                cooldown: 7,
+                power: 3,
+                speed: 60,
+                range: 80,
+                width: 4,
+                color: 0xffffff,
+                status: 'stun'
+            },
+            {
+                id: 'teleport',
+                name: 'Scatto supersonico',
+                type: ABILITY_TYPES.TELEPORT,
+                requiresResearch: true,
+                energyCost: 15,
+                cooldown: 6,
+                distance: 60
+            }
+        ]
+    },
+    [RACE_TYPES.MARTIAN]: {
+        name: 'Martian',
+        description: 'Telepathy, shapeshifting, and crushing psionic blasts',
+        image: null,
+        color: 0x3eff8b,
+        emissive: 0x1a5a30,
+        portalColor: 'green',
+        nameSet: 'orange',
+        stats: { maxHealth: 90, maxEnergy: 120, speed: 45, attackPower: 10 },
+        regen: { energy: 0.15, health: 0.08 },
+        attack: { type: 'psionic', color: 0x3eff8b },
+        special: {
+            // Psi Blast - economico e a media distanza, un compromesso tra onda e laser
+            type: 'psiBlast',
+            color: 0x3eff8b,
+            opacity: 0.7,
+            sound: 'energy_wave_sound',
+            energyCost: 20,
+            powerMultiplier: 1.8,
+            speed: 70,
+            range: 180,
+            width: 2
+        },
+        transformations: [],
+        abilities: [
+            {
+                id: 'meditation',
+                name: 'Meditazione',
+                type: ABILITY_TYPES.RESTORE,
+                energyCost: 15,
+                cooldown: 20,
+                health: 20
+            },
+            {
+                id: 'energyBlast',
+                name: 'Lancia mentale',
+                type: ABILITY_TYPES.PROJECTILE,
+                requiresResearch: true,
+                energyCost: 25,
+                cooldown: 5,
+                power: 2.2,
+                speed: 140,
+                range: 200,
+                width: 1,
+                color: 0x3eff8b
+            },
+            {
+                id: 'teleport',
+                name: 'Sfasamento',
+                type: ABILITY_TYPES.TELEPORT,
+                requiresResearch: true,
+                energyCost: 20,
+                cooldown: 10,
+                distance: 50
+            }
+        ]
+    }
+};
+
+/**
+ * Restituisce la definizione di una razza
+ * @param {string} race - Razza (RACE_TYPES)
+ * @returns {Object} Definizione della razza
+ * @throws {Error} Se la razza non è registrata
+ */
+export function getRaceDefinition(race) {
+    const definition = RACE_DEFINITIONS[race];
+    if (!definition) throw new Error(`Razza sconosciuta: ${race}`);
+    return definition;
+}
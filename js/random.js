@@ -0,0 +1,85 @@
+/**
+ * Generatore di numeri pseudo-casuali con seme
+ * Lo stesso seme produce sempre la stessa sequenza di numeri, così da poter
+ * riprodurre un universo identico tra sessioni diverse (bug report, speedrun, test)
+ */
+export class SeededRandom {
+    /**
+     * @param {number|string} seed - Seme iniziale (numeri e stringhe sono accettati)
+     */
+    constructor(seed = randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Reimposta il seme e riavvia la sequenza
+     * @param {number|string} seed - Nuovo seme
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.state = hashSeed(seed);
+    }
+
+    /**
+     * Restituisce il prossimo numero della sequenza (algoritmo mulberry32)
+     * @returns {number} Numero in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Numero decimale nell'intervallo [min, max)
+     * @param {number} min - Valore minimo
+     * @param {number} max - Valore massimo (escluso)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Numero intero nell'intervallo [min, max)
+     * @param {number} min - Valore minimo
+     * @param {number} max - Valore massimo (escluso)
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max));
+    }
+
+    /**
+     * Sceglie un elemento a caso da un array
+     * @param {Array} array - Array da cui scegliere
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+}
+
+/**
+ * Converte un seme (numero o stringa) in uno stato interno a 32 bit (hash FNV-1a)
+ * Il seme viene sempre trattato come stringa, così "1234" dall'URL e 1234
+ * generato dal gioco producono lo stesso universo
+ * @param {number|string} seed - Seme da convertire
+ * @returns {number} Stato intero senza segno
+ */
+export function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Crea un nuovo seme casuale, abbastanza corto da essere condiviso a voce o in chat
+ * @returns {number} Seme intero
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 1000000);
+}
@@ -0,0 +1,203 @@
+/**
+ * Research
+ * Albero della ricerca dell'impero. I nodi sono definiti in JSON (RESEARCH.TREE_URL) così
+ * che i designer possano ribilanciarli senza toccare il codice: ogni nodo ha prerequisiti,
+ * un costo in risorse, un tempo di ricerca ed effetti (armi, contromisure contro i nemici
+ * spaziali, abilità di razza, edifici e limiti dei potenziamenti).
+ * Si ricerca un nodo alla volta e solo con almeno un laboratorio di ricerca; ogni
+ * laboratorio aggiuntivo accelera la ricerca. Lo stato è salvato sul giocatore (player.research).
+ */
+import { RESEARCH, RESEARCH_EFFECTS } from './constants.js';
+
+/**
+ * Scarica e valida l'albero della ricerca
+ * @param {string} [url=RESEARCH.TREE_URL] - Percorso del file JSON
+ * @returns {Promise<Object>} Albero ({ version, nodes })
+ */
+export async function loadResearchTree(url = RESEARCH.TREE_URL) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Impossibile caricare l'albero della ricerca (${response.status})`);
+    return parseResearchTree(await response.json());
+}
+
+/**
+ * Valida la definizione dell'albero della ricerca
+ * @param {Object} data - Contenuto del file JSON
+ * @returns {Object} Albero ({ version, nodes })
+ * @throws {Error} Se un nodo è malformato o richiede nodi inesistenti
+ */
+export function parseResearchTree(data) {
+    if (!data || !Array.isArray(data.nodes)) throw new Error("Albero della ricerca non valido: manca l'elenco dei nodi");
+
+    const ids = new Set();
+    const effectTypes = Object.values(RESEARCH_EFFECTS);
+    data.nodes.forEach(node => {
+        if (typeof node.id !== 'string' || ids.has(node.id)) {
+            throw new Error(`Nodo di ricerca non valido o duplicato: ${node.id}`);
+        }
+        if (typeof node.time !== 'number' || node.time <= 0) {
+            throw new Error(`Tempo di ricerca non valido per ${node.id}`);
+        }
+        (node.effects || []).forEach(effect => {
+            if (!effectTypes.includes(effect.type)) {
+                throw new Error(`Effetto sconosciuto in ${node.id}: ${effect.type}`);
+            }
+        });
+        ids.add(node.id);
+    });
+    data.nodes.forEach(node => {
+        (node.requires || []).forEach(required => {
+            if (!ids.has(required)) throw new Error(`${node.id} richiede un nodo inesistente: ${required}`);
+        });
+    });
+
+    return {
+        version: data.version || 1,
+        nodes: data.nodes.map(node => ({
+            name: node.id,
+            description: '',
+            race: null,
+            cost: {},
+            requires: [],
+            effects: [],
+            ...node
+        }))
+    };
+}
+
+/**
+ * Stato della ricerca di una nuova partita
+ * @returns {Object} { completed, current }
+ */
+export function createResearchState() {
+    return { completed: [], current: null };
+}
+
+/**
+ * Nodi dell'albero visibili a una razza (quelli senza razza valgono per tutti)
+ * @param {Object} tree - Albero della ricerca
+ * @param {string} race - Razza del giocatore
+ */
+export function getResearchNodes(tree, race) {
+    return tree.nodes.filter(node => !node.race || node.race === race);
+}
+
+/**
+ * Restituisce un nodo dell'albero dal suo id
+ * @param {Object} tree - Albero della ricerca
+ * @param {string} nodeId - Id del nodo
+ */
+export function getResearchNode(tree, nodeId) {
+    return tree.nodes.find(node => node.id === nodeId) || null;
+}
+
+/**
+ * Verifica se un nodo può essere ricercato ora (il costo va controllato a parte)
+ * @param {Object} tree - Albero della ricerca
+ * @param {Object} state - Stato della ricerca del giocatore
+ * @param {string} nodeId - Nodo da ricercare
+ * @param {Object} context - Contesto del giocatore
+ * @param {string} context.race - Razza del giocatore
+ * @param {number} context.labs - Laboratori di ricerca dell'impero
+ * @returns {Object} { success, message }
+ */
+export function canStartResearch(tree, state, nodeId, context) {
+    const node = getResearchNode(tree, nodeId);
+    if (!node || (node.race && node.race !== context.race)) {
+        return { success: false, message: 'Ricerca non disponibile' };
+    }
+    if (state.completed.includes(nodeId)) return { success: false, message: `${node.name} è già stato ricercato` };
+    if (state.current) return { success: false, message: 'Una ricerca è già in corso' };
+    if (context.labs === 0) return { success: false, message: 'Serve un laboratorio di ricerca' };
+
+    const missing = node.requires.filter(required => !state.completed.includes(required));
+    if (missing.length > 0) {
+        const names = missing.map(required => getResearchNode(tree, required).name).join(', ');
+        return { success: false, message: `Richiede: ${names}` };
+    }
+    return { success: true, message: '' };
+}
+
+/**
+ * Avvia la ricerca di un nodo (il costo va pagato prima)
+ * @param {Object} state - Stato della ricerca del giocatore
+ * @param {Object} node - Nodo da ricercare
+ */
+export function startResearch(state, node) {
+    state.current = { id: node.id, remaining: node.time };
+}
+
+/**
+ * Fa avanzare la ricerca in corso
+ * @param {Object} tree - Albero della ricerca
+ * @param {Object} state - Stato della ricerca del giocatore
+ * @param {number} deltaTime - Secondi di gioco trascorsi
+ * @param {number} labs - Laboratori di ricerca dell'impero (senza laboratori la ricerca è ferma)
+ * @returns {Object|null} Nodo appena completato
+ */
+export function updateResearch(tree, state, deltaTime, labs) {
+    if (!state.current || labs === 0) return null;
+
+    state.current.remaining = Math.max(0, state.current.remaining - deltaTime * labs);
+    if (state.current.remaining > 0) return null;
+
+    const node = getResearchNode(tree, state.current.id);
+    state.completed.push(state.current.id);
+    state.current = null;
+    return node;
+}
+
+/**
+ * Avanzamento della ricerca in corso (0-1)
+ * @param {Object} tree - Albero della ricerca
+ * @param {Object} state - Stato della ricerca del giocatore
+ */
+export function getResearchProgress(tree, state) {
+    const node = state.current && getResearchNode(tree, state.current.id);
+    if (!node) return 0;
+    return 1 - state.current.remaining / node.time;
+}
+
+/**
+ * Somma gli effetti dei nodi completati
+ * @param {Object} tree - Albero della ricerca
+ * @param {Object} state - Stato della ricerca del giocatore
+ * @returns {Object} { weapons, counters, abilities, buildings, upgradeCaps }
+ */
+export function getResearchUnlocks(tree, state) {
+    const unlocks = {
+        weapons: new Set(),
+        counters: {},
+        abilities: new Set(),
+        buildings: new Set(),
+        upgradeCaps: {}
+    };
+
+    state.completed.forEach(nodeId => {
+        const node = getResearchNode(tree, nodeId);
+        (node?.effects || []).forEach(effect => {
+            switch (effect.type) {
+                case RESEARCH_EFFECTS.WEAPON: unlocks.weapons.add(effect.weapon); break;
+                case RESEARCH_EFFECTS.ABILITY: unlocks.abilities.add(effect.ability); break;
+                case RESEARCH_EFFECTS.BUILDING: unlocks.buildings.add(effect.building); break;
+                case RESEARCH_EFFECTS.COUNTER:
+                    unlocks.counters[effect.enemy] = (unlocks.counters[effect.enemy] || 1) * effect.damage;
+                    break;
+                case RESEARCH_EFFECTS.UPGRADE_CAP:
+                    unlocks.upgradeCaps[effect.stat] = (unlocks.upgradeCaps[effect.stat] || 0) + effect.levels;
+                    break;
+            }
+        });
+    });
+
+    return unlocks;
+}
+
+/**
+ * Livello massimo di un potenziamento, alzato dalla ricerca
+ * @param {Object} unlocks - Sblocchi restituiti da getResearchUnlocks()
+ * @param {string} stat - Statistica (chiave di player.upgrades)
+ */
+export function getUpgradeMaxLevel(unlocks, stat) {
+    return Math.min(RESEARCH.MAX_UPGRADE_LEVEL, RESEARCH.BASE_UPGRADE_LEVEL + (unlocks.upgradeCaps[stat] || 0));
+}
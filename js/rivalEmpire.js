@@ -0,0 +1,268 @@
+/**
+ * Rival Empire
+ * Imperi rivali controllati dall'IA. Si espandono a intervalli regolari lungo le iperrotte
+ * vicine ai loro domini, conquistano i pianeti con le stesse regole del giocatore
+ * (assedio, assalto di terra, consolidamento) e lanciano controffensive contro i pianeti
+ * del giocatore a portata. Le battaglie dell'IA sono simulate, non giocate.
+ * I pianeti conquistati dall'IA ricevono subito la guarnigione minima per restare leali.
+ */
+import * as THREE from 'three';
+import { SeededRandom } from './random.js';
+import { MarkovNameGenerator, NAME_SETS } from './space/nameGenerator.js';
+import { CONQUEST_STAGES, PLAYER_EMPIRE, RIVALS } from './constants.js';
+import { beginSiege, applySiegeResult, applyGroundAssaultResult, getConquestState, getMaxDefense } from './conquest.js';
+import { getRequiredGarrison } from './garrison.js';
+import { RACE_DEFINITIONS } from './races.js';
+
+const RACES = Object.keys(RACE_DEFINITIONS);
+
+export class RivalEmpire {
+    /**
+     * @param {Object} data - Dati dell'impero
+     * @param {string} data.id - Id usato in planet.conqueredBy
+     * @param {string} data.name - Nome mostrato al giocatore
+     * @param {string} data.race - Razza (RACE_TYPES)
+     * @param {number} data.color - Colore dei domini sulla mappa
+     * @param {string} data.homeSystemId - Sistema di origine
+     */
+    constructor(data) {
+        this.id = data.id;
+        this.name = data.name;
+        this.race = data.race;
+        this.color = data.color;
+        this.homeSystemId = data.homeSystemId;
+        this.power = data.power ?? RIVALS.START_POWER;
+        this.expansionTimer = data.expansionTimer ?? RIVALS.EXPANSION_INTERVAL;
+        this.counterAttackTimer = data.counterAttackTimer ?? RIVALS.COUNTER_ATTACK_INTERVAL;
+        this.targetId = data.targetId ?? null;
+    }
+
+    /**
+     * Fa avanzare la strategia dell'impero
+     * @param {number} deltaTime - Secondi di gioco trascorsi
+     * @param {UniverseGenerator} universe - Universo corrente
+     * @returns {Array<Object>} Eventi della campagna ({ empire, planet, result })
+     */
+    update(deltaTime, universe) {
+        if (this.isDefeated(universe)) return [];
+
+        this.power += RIVALS.POWER_GROWTH * deltaTime;
+        this.expansionTimer -= deltaTime;
+        this.counterAttackTimer -= deltaTime;
+
+        const events = [];
+
+        if (this.counterAttackTimer <= 0) {
+            this.counterAttackTimer = RIVALS.COUNTER_ATTACK_INTERVAL;
+            const target = this.chooseTarget(universe, planet => planet.conqueredBy === PLAYER_EMPIRE);
+            if (target) {
+                this.targetId = target.id;
+                this.expansionTimer = RIVALS.EXPANSION_INTERVAL;
+                events.push(this.advanceCampaign(target));
+            }
+        }
+
+        if (this.expansionTimer <= 0) {
+            this.expansionTimer = RIVALS.EXPANSION_INTERVAL;
+            let target = universe.planets.find(planet => planet.id === this.targetId);
+            if (!target || target.conqueredBy === this.id) {
+                // Espansione: pianeti neutrali o di altri imperi rivali, non quelli del giocatore
+                target = this.chooseTarget(universe, planet => planet.conqueredBy !== PLAYER_EMPIRE);
+            }
+            this.targetId = target?.id ?? null;
+            if (target) events.push(this.advanceCampaign(target));
+        }
+
+        return events;
+    }
+
+    /**
+     * Esegue una mossa della campagna contro un pianeta: una battaglia orbitale
+     * oppure, se le difese sono già abbattute, un assalto di terra
+     * @param {Object} planet - Pianeta bersaglio
+     * @returns {Object} Evento ({ empire, planet, result })
+     */
+    advanceCampaign(planet) {
+        if (getConquestState(planet).stage === CONQUEST_STAGES.GROUND_ASSAULT) {
+            const defense = getConquestState(planet).defenseRemaining;
+            const victory = Math.random() < this.power / (this.power + defense * 2);
+            return this.garrisonConquest({ empire: this, planet, result: applyGroundAssaultResult(planet, victory, this.id) });
+        }
+
+        beginSiege(planet, this.id);
+
+        // Ogni nave nemica cade con una probabilità che dipende dal rapporto di forze
+        const defense = getConquestState(planet).defenseRemaining;
+        let enemiesDestroyed = 0;
+        for (let i = 0; i < RIVALS.FLEET_SIZE; i++) {
+            if (Math.random() < this.power / (this.power + defense)) enemiesDestroyed++;
+        }
+
+        const combatResult = { enemiesDestroyed, enemiesSpawned: RIVALS.FLEET_SIZE };
+        return this.garrisonConquest({ empire: this, planet, result: applySiegeResult(planet, combatResult, this.power, this.id) });
+    }
+
+    /**
+     * Presidia il pianeta appena conquistato con la guarnigione minima
+     * @param {Object} event - Evento della campagna ({ empire, planet, result })
+     * @returns {Object} Lo stesso evento
+     */
+    garrisonConquest(event) {
+        if (event.result.stage === CONQUEST_STAGES.CONSOLIDATION) {
+            event.planet.garrison = getRequiredGarrison(event.planet);
+        }
+        return event;
+    }
+
+    /**
+     * Sceglie il bersaglio più debole tra i pianeti a portata dell'impero
+     * @param {UniverseGenerator} universe - Universo corrente
+     * @param {Function} filter - Criterio sui pianeti candidati
+     * @returns {Object|null} Pianeta bersaglio
+     */
+    chooseTarget(universe, filter) {
+        const reachable = this.getReachableSystemIds(universe);
+        let best = null;
+        let bestDefense = Infinity;
+
+        universe.planets.forEach(planet => {
+            if (!reachable.has(planet.systemId) || planet.conqueredBy === this.id || !filter(planet)) return;
+            const defense = getConquestState(planet).stage === CONQUEST_STAGES.COMPLETE
+                ? getMaxDefense(planet)
+                : getConquestState(planet).defenseRemaining;
+            if (defense < bestDefense) {
+                best = planet;
+                bestDefense = defense;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Sistemi a portata: quelli con pianeti dell'impero e i loro vicini lungo le iperrotte
+     * @param {UniverseGenerator} universe - Universo corrente
+     * @returns {Set<string>} Id dei sistemi
+     */
+    getReachableSystemIds(universe) {
+        const reachable = new Set();
+        universe.systems.forEach(system => {
+            if (!system.planets.some(planet => planet.conqueredBy === this.id)) return;
+            reachable.add(system.id);
+            (system.hyperlanes || []).forEach(id => reachable.add(id));
+        });
+        return reachable;
+    }
+
+    /**
+     * Un impero senza pianeti è sconfitto e smette di agire
+     * @param {UniverseGenerator} universe - Universo corrente
+     */
+    isDefeated(universe) {
+        return !universe.planets.some(planet => planet.conqueredBy === this.id);
+    }
+
+    /**
+     * Le risorse dei pianeti consolidati rafforzano l'impero
+     * @param {number} resources - Risorse ricevute
+     */
+    addResources(resources) {
+        this.power += resources * RIVALS.POWER_PER_RESOURCE;
+    }
+
+    /**
+     * Restituisce lo stato dell'impero da salvare
+     * @returns {Object} Dati serializzabili in JSON
+     */
+    getSaveData() {
+        return {
+            id: this.id,
+            name: this.name,
+            race: this.race,
+            color: this.color,
+            homeSystemId: this.homeSystemId,
+            power: this.power,
+            expansionTimer: this.expansionTimer,
+            counterAttackTimer: this.counterAttackTimer,
+            targetId: this.targetId
+        };
+    }
+}
+
+/**
+ * Crea gli imperi rivali di una nuova partita e assegna loro il sistema di origine
+ * I sistemi di origine sono i più lontani dal giocatore e tra loro
+ * @param {UniverseGenerator} universe - Universo appena generato
+ * @param {string} playerRace - Razza del giocatore (il primo rivale è dell'altra razza)
+ * @param {number} [count=RIVALS.COUNT] - Numero di imperi rivali
+ * @returns {Array<RivalEmpire>} Imperi creati
+ */
+export function createRivalEmpires(universe, playerRace, count = RIVALS.COUNT) {
+    const rng = new SeededRandom(`${universe.seed}:empires`);
+    const occupied = [new THREE.Vector3(0, 0, 0)]; // Il giocatore parte dal centro
+    const empires = [];
+
+    for (let i = 0; i < count; i++) {
+        const home = pickHomeSystem(universe, occupied);
+        if (!home) break;
+
+        const race = RACES[(RACES.indexOf(playerRace) + 1 + i) % RACES.length];
+        const nameGenerator = new MarkovNameGenerator(NAME_SETS[RACE_DEFINITIONS[race].nameSet]);
+        const empire = new RivalEmpire({
+            id: `rival-${i + 1}`,
+            name: `Impero di ${nameGenerator.generate(rng) || home.name}`,
+            race,
+            color: RIVALS.COLORS[i % RIVALS.COLORS.length],
+            homeSystemId: home.id
+        });
+
+        // L'impero parte con tutti i pianeti (liberi) del sistema di origine già consolidati
+        home.planets.forEach(planet => {
+            if (planet.isConquered) return;
+            planet.isConquered = true;
+            planet.conqueredBy = empire.id;
+            planet.garrison = getRequiredGarrison(planet);
+            planet.conquest = {
+                stage: CONQUEST_STAGES.COMPLETE,
+                defenseRemaining: getMaxDefense(planet),
+                consolidationRemaining: 0,
+                alertRemaining: 0
+            };
+        });
+
+        occupied.push(home.position);
+        empires.push(empire);
+    }
+
+    return empires;
+}
+
+/**
+ * Ricrea gli imperi rivali da un salvataggio
+ * @param {Array<Object>} data - Dati prodotti da RivalEmpire.getSaveData()
+ * @returns {Array<RivalEmpire>} Imperi ripristinati
+ */
+export function loadRivalEmpires(data) {
+    return (data || []).map(empireData => new RivalEmpire(empireData));
+}
+
+/**
+ * Sceglie il sistema con pianeti liberi più lontano dalle posizioni già occupate
+ * @param {UniverseGenerator} universe - Universo corrente
+ * @param {Array<THREE.Vector3>} occupied - Posizioni del giocatore e degli altri imperi
+ */
+function pickHomeSystem(universe, occupied) {
+    let best = null;
+    let bestDistance = -Infinity;
+
+    universe.systems.forEach(system => {
+        if (system.planets.length === 0 || system.planets.some(planet => planet.isConquered)) return;
+        const distance = Math.min(...occupied.map(position => system.position.distanceTo(position)));
+        if (distance > bestDistance) {
+            best = system;
+            bestDistance = distance;
+        }
+    });
+
+    return best;
+}
@@ -0,0 +1,383 @@
+/**
+ * Save Manager
+ * Gestisce i salvataggi della campagna su localStorage: slot multipli,
+ * schema versionato e migrazioni tra versioni dello schema
+ */
+import { PLAYER_EMPIRE, GALAXY } from './constants.js';
+import { RACE_DEFINITIONS } from './races.js';
+
+// Versione corrente dello schema dei salvataggi
+export const SAVE_VERSION = 3;
+
+// Slot disponibili (l'autosalvataggio ha uno slot dedicato)
+export const AUTOSAVE_SLOT = 'autosave';
+export const SAVE_SLOTS = [AUTOSAVE_SLOT, 'slot-1', 'slot-2', 'slot-3'];
+
+const STORAGE_PREFIX = 'cosmic-conqueror.save.';
+
+// Migrazioni: la funzione registrata per la versione N converte un documento da N a N+1
+const migrations = {};
+
+/**
+ * Registra una migrazione dello schema
+ * @param {number} fromVersion - Versione di partenza del documento
+ * @param {Function} migrate - Funzione che riceve il documento e restituisce il documento aggiornato
+ */
+export function registerMigration(fromVersion, migrate) {
+    migrations[fromVersion] = migrate;
+}
+
+// v1 -> v2: conqueredBy contiene l'id dell'impero proprietario invece della razza del giocatore
+registerMigration(1, saveDocument => {
+    const universe = saveDocument.universe || {};
+    const claimForPlayer = entry => {
+        if (isObject(entry) && entry.conqueredBy) entry.conqueredBy = PLAYER_EMPIRE;
+    };
+
+    [universe.planetChanges, universe.bodyChanges].forEach(changes => Object.values(changes || {}).forEach(claimForPlayer));
+    [universe.planets, universe.bodies].forEach(entries => (entries || []).forEach(claimForPlayer));
+    return saveDocument;
+});
+
+// v2 -> v3: la valuta unica diventa minerali tra le risorse dell'impero
+registerMigration(2, saveDocument => {
+    const player = saveDocument.player;
+    if (isObject(player)) {
+        player.resources = { minerals: player.currency || 0, energy: 0, exotic: 0 };
+        delete player.currency;
+    }
+    return saveDocument;
+});
+
+/**
+ * Porta un documento di salvataggio alla versione corrente dello schema
+ * @param {Object} saveDocument - Documento letto dallo storage
+ * @returns {Object} Documento migrato
+ * @throws {Error} Se la versione non è supportata o manca una migrazione
+ */
+export function migrateSave(saveDocument) {
+    let migrated = saveDocument;
+
+    if (!Number.isInteger(migrated.version) || migrated.version < 1) {
+        throw new Error(`Versione del salvataggio non valida: ${migrated.version}`);
+    }
+    if (migrated.version > SAVE_VERSION) {
+        throw new Error(`Il salvataggio (v${migrated.version}) è più recente del gioco (v${SAVE_VERSION})`);
+    }
+
+    while (migrated.version < SAVE_VERSION) {
+        const migrate = migrations[migrated.version];
+        if (!migrate) {
+            throw new Error(`Nessuna migrazione disponibile dalla versione ${migrated.version}`);
+        }
+        const fromVersion = migrated.version;
+        migrated = migrate(migrated);
+        migrated.version = fromVersion + 1;
+    }
+
+    return migrated;
+}
+
+/**
+ * Salva la campagna in uno slot
+ * @param {string} slot - Slot di destinazione
+ * @param {Object} data - Stato di gioco ({ game, player, universe })
+ * @returns {Object} Risultato dell'operazione
+ */
+export function saveGame(slot, data) {
+    if (!SAVE_SLOTS.includes(slot)) {
+        return { success: false, message: `Slot di salvataggio sconosciuto: ${slot}` };
+    }
+
+    const saveDocument = createSaveDocument(slot, data);
+
+    try {
+        localStorage.setItem(STORAGE_PREFIX + slot, JSON.stringify(saveDocument));
+    } catch (error) {
+        console.error(`Errore salvataggio slot ${slot}:`, error);
+        return { success: false, message: "Impossibile salvare la partita: spazio di archiviazione non disponibile" };
+    }
+
+    return { success: true, message: "Partita salvata" };
+}
+
+/**
+ * Carica la campagna da uno slot, applicando le migrazioni necessarie
+ * @param {string} slot - Slot da caricare
+ * @returns {Object} Risultato con il documento migrato in `data`
+ */
+export function loadGame(slot) {
+    let saveDocument;
+
+    try {
+        const raw = localStorage.getItem(STORAGE_PREFIX + slot);
+        if (!raw) {
+            return { success: false, message: "Nessun salvataggio in questo slot", data: null };
+        }
+        saveDocument = JSON.parse(raw);
+        if (!isObject(saveDocument)) throw new Error("il contenuto non è un salvataggio");
+        saveDocument = migrateSave(saveDocument);
+    } catch (error) {
+        console.error(`Errore caricamento slot ${slot}:`, error);
+        return { success: false, message: `Salvataggio non leggibile: ${error.message}`, data: null };
+    }
+
+    const errors = validateSave(saveDocument);
+    if (errors.length > 0) {
+        console.warn(`Save slot ${slot} schema errors:`, errors);
+        const more = errors.length > 1 ? ` (e altri ${errors.length - 1} errori)` : '';
+        return { success: false, message: `Salvataggio non valido: ${errors[0]}${more}`, data: null };
+    }
+
+    return { success: true, message: "Partita caricata", data: saveDocument };
+}
+
+/**
+ * Elimina il salvataggio di uno slot
+ * @param {string} slot - Slot da svuotare
+ */
+export function deleteSave(slot) {
+    try {
+        localStorage.removeItem(STORAGE_PREFIX + slot);
+    } catch (error) {
+        console.warn(`Errore eliminazione slot ${slot}:`, error);
+    }
+}
+
+/**
+ * Elenca tutti gli slot con il riepilogo dei salvataggi presenti
+ * @returns {Array} Un elemento per slot: { slot, empty, savedAt, summary }
+ */
+export function listSaves() {
+    return SAVE_SLOTS.map(slot => {
+        try {
+            const raw = localStorage.getItem(STORAGE_PREFIX + slot);
+            if (raw) {
+                const { savedAt, summary, version } = JSON.parse(raw);
+                return { slot, empty: false, savedAt, summary, version };
+            }
+        } catch (error) {
+            console.warn(`Salvataggio corrotto nello slot ${slot}:`, error);
+        }
+        return { slot, empty: true };
+    });
+}
+
+/**
+ * Trova il salvataggio più recente tra tutti gli slot
+ * @returns {Object|null} Voce di listSaves() o null se non ci sono salvataggi
+ */
+export function getLatestSave() {
+    return listSaves()
+        .filter(save => !save.empty)
+        .sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''))[0] || null;
+}
+
+/**
+ * Esporta la campagna come file JSON scaricabile
+ * @param {Object} data - Stato di gioco ({ game, player, universe })
+ * @returns {Object} Risultato dell'operazione
+ */
+export function exportSave(data) {
+    const saveDocument = createSaveDocument(null, data);
+    const fileName = `cosmic-conqueror-${data.player?.race || 'save'}-${saveDocument.savedAt.replace(/[:.]/g, '-')}.json`;
+
+    try {
+        const blob = new Blob([JSON.stringify(saveDocument, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (error) {
+        console.error("Errore esportazione salvataggio:", error);
+        return { success: false, message: "Impossibile esportare la partita" };
+    }
+
+    return { success: true, message: `Partita esportata in ${fileName}` };
+}
+
+/**
+ * Legge e valida il contenuto di un file di salvataggio esportato
+ * @param {string} text - Contenuto del file
+ * @returns {Object} Risultato con il documento migrato in `data`
+ */
+export function parseSaveFile(text) {
+    let saveDocument;
+
+    try {
+        saveDocument = JSON.parse(text);
+    } catch (error) {
+        return { success: false, message: `File non valido: JSON non leggibile (${error.message})`, data: null };
+    }
+
+    if (!isObject(saveDocument)) {
+        return { success: false, message: "File non valido: il contenuto non è un salvataggio", data: null };
+    }
+
+    try {
+        saveDocument = migrateSave(saveDocument);
+    } catch (error) {
+        return { success: false, message: `File non valido: ${error.message}`, data: null };
+    }
+
+    const errors = validateSave(saveDocument);
+    if (errors.length > 0) {
+        console.warn("Save file schema errors:", errors);
+        const more = errors.length > 1 ? ` (e altri ${errors.length - 1} errori)` : '';
+        return { success: false, message: `File non valido: ${errors[0]}${more}`, data: null };
+    }
+
+    return { success: true, message: "Partita importata", data: saveDocument };
+}
+
+/**
+ * Controlla che un documento (già migrato) rispetti lo schema corrente
+ * @param {Object} saveDocument - Documento da validare
+ * @returns {Array<string>} Elenco degli errori, vuoto se il documento è valido
+ */
+export function validateSave(saveDocument) {
+    const errors = [];
+    const { player, universe, game, empires } = saveDocument;
+
+    if (game !== undefined && !isObject(game)) errors.push("'game' deve essere un oggetto");
+
+    if (empires !== undefined) {
+        if (!Array.isArray(empires)) {
+            errors.push("'empires' deve essere una lista");
+        } else {
+            empires.forEach((empire, index) => {
+                if (!isObject(empire) || typeof empire.id !== 'string') {
+                    errors.push(`'empires[${index}]' non ha un id`);
+                } else if (empire.name !== undefined && !isName(empire.name)) {
+                    errors.push(`'empires[${index}].name' deve essere un nome semplice`);
+                }
+            });
+        }
+    }
+
+    if (!isObject(player)) {
+        errors.push("manca la sezione 'player'");
+    } else {
+        if (typeof player.race !== 'string' || !player.race) {
+            errors.push("'player.race' deve essere una stringa");
+        } else if (!RACE_DEFINITIONS[player.race]) {
+            errors.push(`razza sconosciuta: '${player.race}'`);
+        }
+        ['health', 'maxHealth', 'energy', 'maxEnergy', 'level'].forEach(field => {
+            if (!Number.isFinite(player[field])) errors.push(`'player.${field}' deve essere un numero`);
+        });
+        if (!isObject(player.resources) || !Object.values(player.resources).every(Number.isFinite)) {
+            errors.push("'player.resources' deve contenere quantità numeriche");
+        }
+        if (player.position !== undefined && !isVector(player.position)) {
+            errors.push("'player.position' deve avere coordinate x, y, z numeriche");
+        }
+        if (player.conqueredPlanets !== undefined && !Array.isArray(player.conqueredPlanets)) {
+            errors.push("'player.conqueredPlanets' deve essere una lista");
+        }
+        if (player.inventory !== undefined && !Array.isArray(player.inventory)) {
+            errors.push("'player.inventory' deve essere una lista");
+        }
+        if (player.research !== undefined && (!isObject(player.research) || !Array.isArray(player.research.completed))) {
+            errors.push("'player.research.completed' deve essere una lista");
+        }
+        if (player.skills !== undefined && (!isObject(player.skills) || !isObject(player.skills.ranks))) {
+            errors.push("'player.skills.ranks' deve essere un oggetto");
+        }
+    }
+
+    if (!isObject(universe)) {
+        errors.push("manca la sezione 'universe'");
+    } else {
+        if (!Number.isInteger(universe.numSystems) || universe.numSystems < 1 || universe.numSystems > GALAXY.MAX_SYSTEMS) {
+            errors.push(`'universe.numSystems' deve essere un intero tra 1 e ${GALAXY.MAX_SYSTEMS}`);
+        }
+        if (!Number.isInteger(universe.planetsPerSystem) || universe.planetsPerSystem < 0
+            || universe.planetsPerSystem > GALAXY.MAX_PLANETS_PER_SYSTEM) {
+            errors.push(`'universe.planetsPerSystem' deve essere un intero tra 0 e ${GALAXY.MAX_PLANETS_PER_SYSTEM}`);
+        }
+        if (universe.seed === undefined || universe.seed === null) errors.push("manca 'universe.seed'");
+        if (universe.orbitTime !== undefined && !Number.isFinite(universe.orbitTime)) {
+            errors.push("'universe.orbitTime' deve essere un numero");
+        }
+
+        ['systems', 'planets', 'bodies'].forEach(key => {
+            if (universe[key] === undefined) return;
+            if (!Array.isArray(universe[key])) {
+                errors.push(`'universe.${key}' deve essere una lista`);
+                return;
+            }
+            universe[key].forEach((entry, index) => {
+                if (!isObject(entry) || typeof entry.id !== 'string') {
+                    errors.push(`'universe.${key}[${index}]' non ha un id`);
+                } else if (!isVector(entry.position)) {
+                    errors.push(`'universe.${key}[${index}].position' deve avere coordinate x, y, z numeriche`);
+                } else if (entry.name !== undefined && !isName(entry.name)) {
+                    errors.push(`'universe.${key}[${index}].name' deve essere un nome semplice`);
+                }
+            });
+        });
+
+        // Differenze rispetto all'universo generato dal seme (vedi UniverseGenerator.getSaveData)
+        ['systemChanges', 'planetChanges', 'bodyChanges'].forEach(key => {
+            if (universe[key] === undefined) return;
+            if (!isObject(universe[key])) {
+                errors.push(`'universe.${key}' deve essere un oggetto`);
+                return;
+            }
+            Object.entries(universe[key]).forEach(([id, changes]) => {
+                if (!isObject(changes)) {
+                    errors.push(`'universe.${key}.${id}' deve essere un oggetto`);
+                } else if (changes.name !== undefined && !isName(changes.name)) {
+                    errors.push(`'universe.${key}.${id}.name' deve essere un nome semplice`);
+                }
+            });
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Crea il documento di salvataggio con intestazione e riepilogo
+ * @param {string|null} slot - Slot di destinazione (null per i file esportati)
+ * @param {Object} data - Stato di gioco
+ */
+function createSaveDocument(slot, data) {
+    return {
+        version: SAVE_VERSION,
+        slot: slot,
+        savedAt: new Date().toISOString(),
+        summary: buildSummary(data),
+        ...data
+    };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Nomi di pianeti, sistemi e imperi: testo semplice, senza markup
+function isName(value) {
+    return typeof value === 'string' && !/[<>]/.test(value);
+}
+
+function isVector(value) {
+    return isObject(value) && ['x', 'y', 'z'].every(axis => Number.isFinite(value[axis]));
+}
+
+/**
+ * Crea il riepilogo mostrato nella lista degli slot
+ * @param {Object} data - Stato di gioco
+ */
+function buildSummary(data) {
+    return {
+        race: data.player?.race,
+        level: data.player?.level,
+        resources: data.player?.resources,
+        planetsConquered: data.player?.conqueredPlanets?.length || 0,
+        seed: data.universe?.seed
+    };
+}
@@ -10,7 +10,7 @@ import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
  */
 
 // Variabili principali Three.js che saranno accessibili tramite export
-let scene, camera, renderer, controls, composer;
+let scene, camera, renderer, controls, composer, bloomPass;
 
 /**
  * Inizializza la scena, la camera e il renderer di Three.js
@@ -79,7 +79,8 @@ export function initializeSetup(container) {
         camera,
         renderer,
         controls,
-        composer
+        composer,
+        bloomPass
     };
 }
 
@@ -110,7 +111,7 @@ function initializeRendererEffects() {
     // Implementa un effetto bloom per far brillare stelle e oggetti luminosi
     const renderScene = new RenderPass(scene, camera);
     
-    const bloomPass = new UnrealBloomPass(
+    bloomPass = new UnrealBloomPass(
         new THREE.Vector2(window.innerWidth, window.innerHeight),
         1.5,   // strength
         0.4,   // radius
@@ -0,0 +1,426 @@
+/**
+ * Skills
+ * Albero dei talenti di ogni razza. Salendo di livello il giocatore riceve punti talento
+ * da spendere nei rami attacco, difesa, mobilità ed energia: i nodi passivi hanno più
+ * gradi e sommano bonus alle statistiche, quelli attivi aggiungono un'abilità agli slot
+ * dei tasti 1-9. Un nodo richiede almeno un grado nei suoi prerequisiti.
+ * Lo stato è salvato sul giocatore (player.skills); la ridistribuzione restituisce
+ * tutti i punti spesi.
+ *
+ * Effetti passivi (per grado): attack, speed e abilityCooldown sono frazioni
+ * (0.1 = +10%), defense è la riduzione dei danni, maxHealth e maxEnergy sono punti,
+ * healthRegen ed energyRegen si sommano ai tassi di rigenerazione della razza.
+ */
+import { RACE_TYPES, SKILL_BRANCHES, ABILITY_TYPES } from './constants.js';
+
+export const SKILL_BRANCH_LABELS = {
+    [SKILL_BRANCHES.OFFENSE]: 'Attacco',
+    [SKILL_BRANCHES.DEFENSE]: 'Difesa',
+    [SKILL_BRANCHES.MOBILITY]: 'Mobilità',
+    [SKILL_BRANCHES.ENERGY]: 'Energia'
+};
+
+export const SKILL_TREES = {
+    [RACE_TYPES.SAIYAN]: [
+        {
+            id: 'saiyan-pride',
+            name: 'Orgoglio Saiyan',
+            description: '+10% potenza d\'attacco per grado',
+            branch: SKILL_BRANCHES.OFFENSE,
+            maxRank: 3,
+            effects: { attack: 0.1 }
+        },
+        {
+            id: 'final-flash',
+            name: 'Final Flash',
+            description: 'Abilità: un raggio di ki devastante',
+            branch: SKILL_BRANCHES.OFFENSE,
+            requires: ['saiyan-pride'],
+            cost: 2,
+            ability: {
+                id: 'finalFlash',
+                name: 'Final Flash',
+                type: ABILITY_TYPES.PROJECTILE,
+                energyCost: 45,
+                cooldown: 15,
+                power: 4,
+                speed: 90,
+                range: 200,
+                width: 3,
+                color: 0xfff27a,
+                status: 'burn'
+            }
+        },
+        {
+            id: 'battle-hardened',
+            name: 'Temprato in battaglia',
+            description: '-4% danni subiti per grado',
+            branch: SKILL_BRANCHES.DEFENSE,
+            maxRank: 3,
+            effects: { defense: 0.04 }
+        },
+        {
+            id: 'zenkai-boost',
+            name: 'Zenkai potenziato',
+            description: '+25 salute massima per grado',
+            branch: SKILL_BRANCHES.DEFENSE,
+            requires: ['battle-hardened'],
+            maxRank: 2,
+            effects: { maxHealth: 25 }
+        },
+        {
+            id: 'afterimage',
+            name: 'Immagine residua',
+            description: '+8% velocità per grado',
+            branch: SKILL_BRANCHES.MOBILITY,
+            maxRank: 3,
+            effects: { speed: 0.08 }
+        },
+        {
+            id: 'battle-instinct',
+            name: 'Istinto di battaglia',
+            description: '-10% recupero delle abilità per grado',
+            branch: SKILL_BRANCHES.MOBILITY,
+            requires: ['afterimage'],
+            maxRank: 2,
+            effects: { abilityCooldown: -0.1 }
+        },
+        {
+            id: 'ki-reserves',
+            name: 'Riserve di ki',
+            description: '+20 energia massima per grado',
+            branch: SKILL_BRANCHES.ENERGY,
+            maxRank: 3,
+            effects: { maxEnergy: 20 }
+        },
+        {
+            id: 'ki-focus',
+            name: 'Concentrazione del ki',
+            description: 'Abilità: recupera 40 energia',
+            branch: SKILL_BRANCHES.ENERGY,
+            requires: ['ki-reserves'],
+            cost: 2,
+            ability: {
+                id: 'kiFocus',
+                name: 'Concentrazione',
+                type: ABILITY_TYPES.RESTORE,
+                energyCost: 0,
+                cooldown: 45,
+                energy: 40
+            }
+        }
+    ],
+    [RACE_TYPES.VILTRUMITE]: [
+        {
+            id: 'crushing-blows',
+            name: 'Colpi devastanti',
+            description: '+12% potenza d\'attacco per grado',
+            branch: SKILL_BRANCHES.OFFENSE,
+            maxRank: 3,
+            effects: { attack: 0.12 }
+        },
+        {
+            id: 'meteor-strike',
+            name: 'Impatto meteorico',
+            description: 'Abilità: una carica a distanza ravvicinata',
+            branch: SKILL_BRANCHES.OFFENSE,
+            requires: ['crushing-blows'],
+            cost: 2,
+            ability: {
+                id: 'meteorStrike',
+                name: 'Impatto meteorico',
+                type: ABILITY_TYPES.PROJECTILE,
+                energyCost: 40,
+                cooldown: 12,
+                power: 4.5,
+                speed: 50,
+                range: 60,
+                width: 5,
+                color: 0xff3e3e,
+                status: 'burn'
+            }
+        },
+        {
+            id: 'viltrumite-hide',
+            name: 'Pelle viltrumita',
+            description: '-5% danni subiti per grado',
+            branch: SKILL_BRANCHES.DEFENSE,
+            maxRank: 3,
+            effects: { defense: 0.05 }
+        },
+        {
+            id: 'unbreakable',
+            name: 'Indistruttibile',
+            description: '+30 salute massima per grado',
+            branch: SKILL_BRANCHES.DEFENSE,
+            requires: ['viltrumite-hide'],
+            maxRank: 2,
+            effects: { maxHealth: 30 }
+        },
+        {
+            id: 'supersonic-flight',
+            name: 'Volo supersonico',
+            description: '+10% velocità per grado',
+            branch: SKILL_BRANCHES.MOBILITY,
+            maxRank: 3,
+            effects: { speed: 0.1 }
+        },
+        {
+            id: 'relentless',
+            name: 'Implacabile',
+            description: '-10% recupero delle abilità per grado',
+            branch: SKILL_BRANCHES.MOBILITY,
+            requires: ['supersonic-flight'],
+            maxRank: 2,
+            effects: { abilityCooldown: -0.1 }
+        },
+        {
+            id: 'endurance',
+            name: 'Resistenza',
+            description: '+15 energia massima per grado',
+            branch: SKILL_BRANCHES.ENERGY,
+            maxRank: 3,
+            effects: { maxEnergy: 15 }
+        },
+        {
+            id: 'second-wind',
+            name: 'Secondo fiato',
+            description: 'Abilità: recupera 20 salute e 30 energia',
+            branch: SKILL_BRANCHES.ENERGY,
+            requires: ['endurance'],
+            cost: 2,
+            ability: {
+                id: 'secondWind',
+                name: 'Secondo fiato',
+                type: ABILITY_TYPES.RESTORE,
+                energyCost: 0,
+                cooldown: 60,
+                health: 20,
+                energy: 30
+            }
+        }
+    ],
+    [RACE_TYPES.MARTIAN]: [
+        {
+            id: 'psionic-focus',
+            name: 'Focus psionico',
+            description: '+8% potenza d\'attacco per grado',
+            branch: SKILL_BRANCHES.OFFENSE,
+            maxRank: 3,
+            effects: { attack: 0.08 }
+        },
+        {
+            id: 'mind-crush',
+            name: 'Schianto mentale',
+            description: 'Abilità: un dardo psionico a lunga gittata',
+            branch: SKILL_BRANCHES.OFFENSE,
+            requires: ['psionic-focus'],
+            cost: 2,
+            ability: {
+                id: 'mindCrush',
+                name: 'Schianto mentale',
+                type: ABILITY_TYPES.PROJECTILE,
+                energyCost: 35,
+                cooldown: 10,
+                power: 3.5,
+                speed: 160,
+                range: 220,
+                width: 1,
+                color: 0x3eff8b,
+                status: 'stun'
+            }
+        },
+        {
+            id: 'density-shift',
+            name: 'Variazione di densità',
+            description: '-5% danni subiti per grado',
+            branch: SKILL_BRANCHES.DEFENSE,
+            maxRank: 3,
+            effects: { defense: 0.05 }
+        },
+        {
+            id: 'shapeshifter',
+            name: 'Mutaforma',
+            description: '+0.05 rigenerazione della salute per grado',
+            branch: SKILL_BRANCHES.DEFENSE,
+            requires: ['density-shift'],
+            maxRank: 2,
+            effects: { healthRegen: 0.05 }
+        },
+        {
+            id: 'intangibility',
+            name: 'Intangibilità',
+            description: '+6% velocità per grado',
+            branch: SKILL_BRANCHES.MOBILITY,
+            maxRank: 3,
+            effects: { speed: 0.06 }
+        },
+        {
+            id: 'phasing',
+            name: 'Sfasamento rapido',
+            description: '-12% recupero delle abilità per grado',
+            branch: SKILL_BRANCHES.MOBILITY,
+            requires: ['intangibility'],
+            maxRank: 2,
+            effects: { abilityCooldown: -0.12 }
+        },
+        {
+            id: 'telepathic-link',
+            name: 'Legame telepatico',
+            description: '+25 energia massima per grado',
+            branch: SKILL_BRANCHES.ENERGY,
+            maxRank: 3,
+            effects: { maxEnergy: 25 }
+        },
+        {
+            id: 'mind-meld',
+            name: 'Fusione mentale',
+            description: 'Abilità: recupera 50 energia',
+            branch: SKILL_BRANCHES.ENERGY,
+            requires: ['telepathic-link'],
+            cost: 2,
+            ability: {
+                id: 'mindMeld',
+                name: 'Fusione mentale',
+                type: ABILITY_TYPES.RESTORE,
+                energyCost: 0,
+                cooldown: 45,
+                energy: 50
+            }
+        }
+    ]
+};
+
+/**
+ * Stato dei talenti di una nuova partita
+ * @returns {Object} { points, ranks }
+ */
+export function createSkillState() {
+    return { points: 0, ranks: {} };
+}
+
+/**
+ * Nodi dell'albero dei talenti di una razza, con i valori predefiniti
+ * @param {string} race - Razza del giocatore
+ * @returns {Array<Object>} Nodi
+ */
+export function getSkillTree(race) {
+    return (SKILL_TREES[race] || []).map(node => ({
+        requires: [],
+        cost: 1,
+        maxRank: 1,
+        effects: {},
+        ability: null,
+        ...node
+    }));
+}
+
+/**
+ * Restituisce un nodo dell'albero dal suo id
+ * @param {string} race - Razza del giocatore
+ * @param {string} nodeId - Id del nodo
+ */
+export function getSkillNode(race, nodeId) {
+    return getSkillTree(race).find(node => node.id === nodeId) || null;
+}
+
+/**
+ * Verifica se il giocatore può aggiungere un grado al nodo
+ * @param {string} race - Razza del giocatore
+ * @param {Object} state - Stato dei talenti
+ * @param {string} nodeId - Nodo da imparare
+ * @returns {Object} { success, message }
+ */
+export function canLearnSkill(race, state, nodeId) {
+    const node = getSkillNode(race, nodeId);
+    if (!node) return { success: false, message: 'Talento non disponibile' };
+
+    const rank = state.ranks[nodeId] || 0;
+    if (rank >= node.maxRank) return { success: false, message: `${node.name} è già al grado massimo` };
+    if (state.points < node.cost) return { success: false, message: 'Punti talento insufficienti' };
+
+    const missing = node.requires.filter(required => !state.ranks[required]);
+    if (missing.length > 0) {
+        const names = missing.map(required => getSkillNode(race, required).name).join(', ');
+        return { success: false, message: `Richiede: ${names}` };
+    }
+    return { success: true, message: '' };
+}
+
+/**
+ * Aggiunge un grado al nodo pagandolo in punti talento
+ * @param {string} race - Razza del giocatore
+ * @param {Object} state - Stato dei talenti
+ * @param {string} nodeId - Nodo da imparare
+ * @returns {Object} { success, message }
+ */
+export function learnSkill(race, state, nodeId) {
+    const check = canLearnSkill(race, state, nodeId);
+    if (!check.success) return check;
+
+    const node = getSkillNode(race, nodeId);
+    state.points -= node.cost;
+    state.ranks[nodeId] = (state.ranks[nodeId] || 0) + 1;
+    return { success: true, message: `${node.name} (grado ${state.ranks[nodeId]}/${node.maxRank})` };
+}
+
+/**
+ * Azzera l'albero restituendo i punti spesi
+ * @param {string} race - Razza del giocatore
+ * @param {Object} state - Stato dei talenti
+ * @returns {number} Punti restituiti
+ */
+export function resetSkills(race, state) {
+    const refunded = getSpentPoints(race, state);
+    state.points += refunded;
+    state.ranks = {};
+    return refunded;
+}
+
+/**
+ * Punti talento spesi nell'albero
+ * @param {string} race - Razza del giocatore
+ * @param {Object} state - Stato dei talenti
+ */
+export function getSpentPoints(race, state) {
+    return getSkillTree(race).reduce((total, node) => total + (state.ranks[node.id] || 0) * node.cost, 0);
+}
+
+/**
+ * Somma gli effetti passivi dei nodi imparati
+ * @param {string} race - Razza del giocatore
+ * @param {Object} state - Stato dei talenti
+ * @returns {Object} Bonus per effetto (0 se assente)
+ */
+export function getSkillBonuses(race, state) {
+    const bonuses = {
+        attack: 0,
+        defense: 0,
+        speed: 0,
+        maxHealth: 0,
+        maxEnergy: 0,
+        healthRegen: 0,
+        energyRegen: 0,
+        abilityCooldown: 0
+    };
+
+    getSkillTree(race).forEach(node => {
+        const rank = state.ranks[node.id] || 0;
+        Object.entries(node.effects).forEach(([effect, amount]) => {
+            bonuses[effect] = (bonuses[effect] || 0) + amount * rank;
+        });
+    });
+    return bonuses;
+}
+
+/**
+ * Abilità dei nodi attivi imparati, nell'ordine dell'albero
+ * @param {string} race - Razza del giocatore
+ * @param {Object} state - Stato dei talenti
+ * @returns {Array<Object>} Definizioni delle abilità (formato di races.js)
+ */
+export function getSkillAbilities(race, state) {
+    return getSkillTree(race)
+        .filter(node => node.ability && state.ranks[node.id])
+        .map(node => node.ability);
+}
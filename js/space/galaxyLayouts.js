@@ -0,0 +1,125 @@
+/**
+ * Galaxy Layouts
+ * Forme della galassia usate da UniverseGenerator per posizionare i sistemi stellari.
+ * Ogni layout è una factory che riceve il generatore con seme e restituisce una
+ * funzione che calcola la posizione del sistema i-esimo.
+ */
+import { GALAXY, GALAXY_LAYOUTS } from '../constants.js';
+
+/**
+ * Crea il generatore di posizioni per un layout
+ * @param {string} layout - Uno dei valori di GALAXY_LAYOUTS
+ * @param {SeededRandom} rng - Generatore pseudo-casuale dell'universo
+ * @param {Object} params - Parametri della galassia
+ * @param {number} params.count - Numero di sistemi da posizionare
+ * @param {number} params.density - Densità (1 = normale, valori più alti avvicinano i sistemi)
+ * @param {number} [params.arms] - Numero di bracci (solo spirale)
+ * @param {number} [params.clusters] - Numero di ammassi (solo cluster)
+ * @returns {Function} (index) => { x, y, z }
+ */
+export function createGalaxyLayout(layout, rng, params) {
+    const factory = layoutFactories[layout];
+    if (!factory) {
+        throw new Error(`Layout galassia sconosciuto: ${layout}`);
+    }
+    return factory(rng, { ...params, radius: getGalaxyRadius(params.count, params.density) });
+}
+
+/**
+ * Raggio della galassia: cresce con il numero di sistemi e diminuisce con la densità
+ * @param {number} count - Numero di sistemi
+ * @param {number} density - Densità della galassia
+ */
+export function getGalaxyRadius(count, density = 1) {
+    return GALAXY.BASE_RADIUS + GALAXY.RADIUS_PER_SYSTEM * 2 * Math.sqrt(count) / Math.sqrt(density);
+}
+
+const layoutFactories = {
+    // Distribuzione originale: raggio crescente con l'indice su una sfera schiacciata
+    [GALAXY_LAYOUTS.CLASSIC]: (rng, { density }) => (index) => {
+        const radius = GALAXY.BASE_RADIUS + (index * GALAXY.RADIUS_PER_SYSTEM / density);
+        const theta = rng.next() * Math.PI * 2;
+        // Distribuzione uniforme sull'angolo verticale per evitare linee o pattern riconoscibili
+        const phi = rng.next() * Math.PI;
+
+        return {
+            x: radius * Math.sin(phi) * Math.cos(theta),
+            y: radius * Math.sin(phi) * Math.sin(theta) * 0.5, // Schiacciato sull'asse y (forma a disco)
+            z: radius * Math.cos(phi)
+        };
+    },
+
+    // Bracci a spirale logaritmica con dispersione che cresce verso l'esterno
+    [GALAXY_LAYOUTS.SPIRAL]: (rng, { radius, arms = GALAXY.SPIRAL_ARMS }) => (index) => {
+        const arm = index % arms;
+        const t = Math.sqrt(rng.next()); // Più sistemi verso l'esterno, dove i bracci sono più lunghi
+        const distance = radius * (0.1 + 0.9 * t);
+        const angle = (arm / arms) * Math.PI * 2 + t * GALAXY.SPIRAL_WINDING;
+        const spread = radius * 0.08 * (0.5 + t);
+
+        return {
+            x: Math.cos(angle) * distance + gaussian(rng) * spread,
+            y: gaussian(rng) * radius * GALAXY.DISC_THICKNESS,
+            z: Math.sin(angle) * distance + gaussian(rng) * spread
+        };
+    },
+
+    // Ellissoide con sistemi concentrati verso il nucleo
+    [GALAXY_LAYOUTS.ELLIPTICAL]: (rng, { radius }) => () => {
+        const theta = rng.next() * Math.PI * 2;
+        const phi = Math.acos(2 * rng.next() - 1);
+        const distance = radius * Math.pow(rng.next(), 0.75);
+
+        return {
+            x: distance * Math.sin(phi) * Math.cos(theta),
+            y: distance * Math.cos(phi) * 0.4,
+            z: distance * Math.sin(phi) * Math.sin(theta) * 0.7
+        };
+    },
+
+    // Anello con centro vuoto
+    [GALAXY_LAYOUTS.RING]: (rng, { radius }) => () => {
+        const angle = rng.next() * Math.PI * 2;
+        const distance = radius * (0.8 + gaussian(rng) * 0.08);
+
+        return {
+            x: Math.cos(angle) * distance,
+            y: gaussian(rng) * radius * GALAXY.DISC_THICKNESS,
+            z: Math.sin(angle) * distance
+        };
+    },
+
+    // Ammassi globulari sparsi nello spazio
+    [GALAXY_LAYOUTS.CLUSTER]: (rng, { radius, count, clusters }) => {
+        const clusterCount = clusters || Math.max(3, Math.round(count / GALAXY.SYSTEMS_PER_CLUSTER));
+        const clusterRadius = radius / Math.sqrt(clusterCount);
+        const centers = [];
+        for (let i = 0; i < clusterCount; i++) {
+            const angle = rng.next() * Math.PI * 2;
+            const distance = radius * (0.2 + 0.8 * rng.next());
+            centers.push({
+                x: Math.cos(angle) * distance,
+                y: (rng.next() - 0.5) * radius * 0.2,
+                z: Math.sin(angle) * distance
+            });
+        }
+
+        return (index) => {
+            const center = centers[index % clusterCount];
+            return {
+                x: center.x + gaussian(rng) * clusterRadius * 0.4,
+                y: center.y + gaussian(rng) * clusterRadius * 0.4,
+                z: center.z + gaussian(rng) * clusterRadius * 0.4
+            };
+        };
+    }
+};
+
+/**
+ * Numero con distribuzione approssimativamente normale (media 0, deviazione 1)
+ * @param {SeededRandom} rng - Generatore pseudo-casuale
+ */
+function gaussian(rng) {
+    // Somma di quattro uniformi: abbastanza vicina a una gaussiana e senza code infinite
+    return (rng.next() + rng.next() + rng.next() + rng.next() - 2) * Math.sqrt(3);
+}
@@ -0,0 +1,144 @@
+/**
+ * Hyperlanes
+ * Rete di iperrotte tra i sistemi stellari e calcolo dei percorsi.
+ * La rete è un grafo di vicinato relativo (Relative Neighbourhood Graph): due sistemi
+ * sono collegati se nessun terzo sistema è più vicino a entrambi. Il grafo è sempre
+ * connesso (contiene l'albero ricoprente minimo) e produce naturalmente colli di bottiglia.
+ */
+
+/**
+ * Costruisce le iperrotte e le salva su ogni sistema (system.hyperlanes = [id, ...])
+ * Segna inoltre i sistemi che sono colli di bottiglia (system.isChokepoint)
+ * @param {Array} systems - Sistemi stellari con posizione
+ */
+export function buildHyperlanes(systems) {
+    systems.forEach(system => { system.hyperlanes = []; });
+
+    for (let i = 0; i < systems.length; i++) {
+        for (let j = i + 1; j < systems.length; j++) {
+            const a = systems[i];
+            const b = systems[j];
+            const distance = a.position.distanceTo(b.position);
+
+            // Scarta il collegamento se esiste un sistema più vicino a entrambi gli estremi
+            const blocked = systems.some(c => c !== a && c !== b &&
+                Math.max(a.position.distanceTo(c.position), b.position.distanceTo(c.position)) < distance);
+
+            if (!blocked) {
+                a.hyperlanes.push(b.id);
+                b.hyperlanes.push(a.id);
+            }
+        }
+    }
+
+    markChokepoints(systems);
+}
+
+/**
+ * Trova il percorso più breve tra due sistemi lungo le iperrotte (A*)
+ * @param {Array} systems - Sistemi stellari con iperrotte
+ * @param {string} fromId - Id del sistema di partenza
+ * @param {string} toId - Id del sistema di arrivo
+ * @returns {Object|null} { path: [sistemi], distance, jumps } oppure null se non raggiungibile
+ */
+export function findRoute(systems, fromId, toId) {
+    const byId = new Map(systems.map(system => [system.id, system]));
+    const start = byId.get(fromId);
+    const goal = byId.get(toId);
+    if (!start || !goal) return null;
+
+    const heuristic = system => system.position.distanceTo(goal.position);
+    const cameFrom = new Map();
+    const gScore = new Map([[start.id, 0]]);
+    const fScore = new Map([[start.id, heuristic(start)]]);
+    const open = new Set([start.id]);
+
+    while (open.size > 0) {
+        // Con poche decine di sistemi una scansione lineare è più semplice di una coda con priorità
+        let currentId = null;
+        open.forEach(id => {
+            if (currentId === null || fScore.get(id) < fScore.get(currentId)) currentId = id;
+        });
+
+        if (currentId === goal.id) {
+            const path = [goal];
+            while (cameFrom.has(path[0].id)) {
+                path.unshift(byId.get(cameFrom.get(path[0].id)));
+            }
+            return { path, distance: gScore.get(goal.id), jumps: path.length - 1 };
+        }
+
+        open.delete(currentId);
+        const current = byId.get(currentId);
+
+        (current.hyperlanes || []).forEach(neighborId => {
+            const neighbor = byId.get(neighborId);
+            if (!neighbor) return;
+
+            const tentative = gScore.get(currentId) + current.position.distanceTo(neighbor.position);
+            if (tentative < (gScore.get(neighborId) ?? Infinity)) {
+                cameFrom.set(neighborId, currentId);
+                gScore.set(neighborId, tentative);
+                fScore.set(neighborId, tentative + heuristic(neighbor));
+                open.add(neighborId);
+            }
+        });
+    }
+
+    return null;
+}
+
+/**
+ * Segna come colli di bottiglia i sistemi la cui perdita divide la rete (punti di articolazione)
+ * @param {Array} systems - Sistemi stellari con iperrotte
+ */
+function markChokepoints(systems) {
+    const byId = new Map(systems.map(system => [system.id, system]));
+    const discovery = new Map();
+    const low = new Map();
+    let time = 0;
+
+    systems.forEach(system => { system.isChokepoint = false; });
+
+    // Visita in profondità iterativa (algoritmo di Tarjan) per non dipendere dalla profondità dello stack
+    systems.forEach(root => {
+        if (discovery.has(root.id)) return;
+
+        discovery.set(root.id, time);
+        low.set(root.id, time);
+        time++;
+        let rootChildren = 0;
+        const stack = [{ id: root.id, parent: null, next: 0 }];
+
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const lanes = byId.get(frame.id).hyperlanes;
+
+            if (frame.next < lanes.length) {
+                const neighborId = lanes[frame.next++];
+                if (neighborId === frame.parent) continue;
+
+                if (discovery.has(neighborId)) {
+                    low.set(frame.id, Math.min(low.get(frame.id), discovery.get(neighborId)));
+                } else {
+                    discovery.set(neighborId, time);
+                    low.set(neighborId, time);
+                    time++;
+                    if (frame.id === root.id) rootChildren++;
+                    stack.push({ id: neighborId, parent: frame.id, next: 0 });
+                }
+                continue;
+            }
+
+            stack.pop();
+            if (frame.parent !== null) {
+                low.set(frame.parent, Math.min(low.get(frame.parent), low.get(frame.id)));
+                if (frame.parent !== root.id && low.get(frame.id) >= discovery.get(frame.parent)) {
+                    byId.get(frame.parent).isChokepoint = true;
+                }
+            }
+        }
+
+        root.isChokepoint = rootChildren > 1;
+    });
+}
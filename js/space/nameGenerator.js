@@ -0,0 +1,126 @@
+/**
+ * Name Generator
+ * Generatore di nomi basato su catene di Markov a livello di carattere.
+ * Ogni insieme di nomi (una "cultura") viene usato come testo di addestramento:
+ * i nomi generati ne imitano i suoni senza ripeterli alla lettera.
+ */
+
+// Insiemi di addestramento, uno per tipo di stella (riutilizzabili per le fazioni)
+export const NAME_SETS = {
+    // Classico, latino-greco
+    yellow: [
+        'Aldebar', 'Castor', 'Helion', 'Solara', 'Meridia', 'Aurelia', 'Corvus', 'Lyra', 'Vesta', 'Octavia',
+        'Sirenia', 'Caelum', 'Tiberon', 'Marcella', 'Avitus', 'Serapis', 'Lucanor', 'Valeria', 'Orion', 'Cassia'
+    ],
+    // Duro e tagliente
+    blue: [
+        'Kroxus', 'Zhaarak', 'Vexxar', 'Krynn', 'Zorath', 'Xathak', 'Drakkon', 'Kazrith', 'Thraxis', 'Vorzak',
+        'Zyrrak', 'Skarn', 'Kravex', 'Xolos', 'Thazkar', 'Rekkon', 'Grozak', 'Zarkoth'
+    ],
+    // Antico e nordico
+    red: [
+        'Hjalmar', 'Ulvgard', 'Torsk', 'Brynja', 'Eskild', 'Ragnhild', 'Sigrun', 'Halvard', 'Gudrun', 'Ormund',
+        'Yrsa', 'Solveig', 'Thrand', 'Dagny', 'Asvald', 'Embla', 'Ketil', 'Hrafn'
+    ],
+    // Elegante e fluido
+    white: [
+        'Elessar', 'Ithilien', 'Saeloria', 'Aelindra', 'Lirael', 'Nimloth', 'Thalion', 'Sylvaine', 'Elowen',
+        'Miriel', 'Galadra', 'Caelith', 'Vaelis', 'Isilme', 'Lorien', 'Seraphel'
+    ],
+    // Caldo e desertico
+    orange: [
+        'Qadira', 'Zahrun', 'Masrik', 'Talhar', 'Azimar', 'Kefara', 'Samhira', 'Duneth', 'Sahrem', 'Jalara',
+        'Marrakh', 'Tazirah', 'Kharim', 'Oumara', 'Faridun', 'Halazar', 'Sirocca'
+    ]
+};
+
+const START = '^';
+const END = '$';
+
+/**
+ * Catena di Markov sui caratteri di un insieme di nomi
+ */
+export class MarkovNameGenerator {
+    /**
+     * @param {Array<string>} trainingNames - Nomi di esempio
+     * @param {Object} options - Opzioni
+     * @param {number} [options.order=2] - Lettere di contesto usate per scegliere la successiva
+     * @param {number} [options.minLength=4] - Lunghezza minima dei nomi generati
+     * @param {number} [options.maxLength=10] - Lunghezza massima dei nomi generati
+     */
+    constructor(trainingNames = [], options = {}) {
+        this.order = options.order || 2;
+        this.minLength = options.minLength || 4;
+        this.maxLength = options.maxLength || 10;
+        this.transitions = new Map();
+        this.trainingNames = new Set();
+        this.train(trainingNames);
+    }
+
+    /**
+     * Aggiunge nomi di esempio alla catena
+     * @param {Array<string>} names - Nomi da cui imparare
+     */
+    train(names) {
+        names.forEach(name => {
+            const word = name.toLowerCase();
+            this.trainingNames.add(word);
+
+            const padded = START.repeat(this.order) + word + END;
+            for (let i = 0; i < padded.length - this.order; i++) {
+                const context = padded.slice(i, i + this.order);
+                const next = padded[i + this.order];
+                if (!this.transitions.has(context)) this.transitions.set(context, []);
+                // Le ripetizioni restano nell'elenco: le transizioni frequenti escono più spesso
+                this.transitions.get(context).push(next);
+            }
+        });
+    }
+
+    /**
+     * Genera un nome nuovo (diverso dai nomi di addestramento)
+     * @param {SeededRandom} rng - Generatore pseudo-casuale
+     * @param {number} [attempts=30] - Tentativi prima di arrendersi
+     * @returns {string|null} Nome con iniziale maiuscola, o null se non è stato trovato un nome valido
+     */
+    generate(rng, attempts = 30) {
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            const word = this.walk(rng);
+            if (word && word.length >= this.minLength && !this.trainingNames.has(word)) {
+                return word.charAt(0).toUpperCase() + word.slice(1);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Percorre la catena dallo stato iniziale fino alla fine del nome
+     * @param {SeededRandom} rng - Generatore pseudo-casuale
+     * @returns {string|null} Nome in minuscolo, o null se supera la lunghezza massima
+     */
+    walk(rng) {
+        let context = START.repeat(this.order);
+        let word = '';
+
+        while (word.length <= this.maxLength) {
+            const options = this.transitions.get(context);
+            if (!options) return null;
+
+            const next = rng.pick(options);
+            if (next === END) return word;
+
+            word += next;
+            context = context.slice(1) + next;
+        }
+        return null;
+    }
+}
+
+/**
+ * Lettera di catalogo di un pianeta: come per gli esopianeti, la "a" è la stella
+ * e i pianeti seguono in ordine di distanza ("Kroxus b", "Kroxus c", ...)
+ * @param {number} index - Indice del pianeta nel sistema (0 = il più interno)
+ */
+export function catalogueLetter(index) {
+    return String.fromCharCode(98 + index);
+}
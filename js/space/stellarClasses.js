@@ -0,0 +1,113 @@
+/**
+ * Stellar Classes
+ * Caratteristiche delle classi stellari e zone orbitali che guidano la generazione dei pianeti.
+ * La luminosità della stella determina la zona abitabile: pianeti di lava e desertici
+ * vicino alla stella, mondi abitabili nella zona centrale, ghiaccio e giganti gassosi
+ * oltre la linea del gelo.
+ */
+
+// L'ordine delle chiavi è quello usato dal generatore per scegliere il tipo di stella
+export const STAR_CLASSES = {
+    yellow: { color: 0xffdf00, luminosity: 1, defenseMultiplier: 1, resourceMultiplier: 1 },
+    blue: { color: 0x0066ff, luminosity: 4, defenseMultiplier: 1.4, resourceMultiplier: 1.6 },
+    red: { color: 0xff3300, luminosity: 0.15, defenseMultiplier: 0.7, resourceMultiplier: 0.7 },
+    white: { color: 0xffffff, luminosity: 2, defenseMultiplier: 1.2, resourceMultiplier: 1.3 },
+    orange: { color: 0xff8c00, luminosity: 0.5, defenseMultiplier: 0.85, resourceMultiplier: 0.9 }
+};
+
+// Distanza della zona abitabile per una stella di luminosità 1
+const HABITABLE_DISTANCE = 35;
+// Dimensione di riferimento della stella (starSize va da 1 a 3)
+const REFERENCE_STAR_SIZE = 2;
+
+// Zone orbitali, come rapporto tra raggio dell'orbita e centro della zona abitabile
+export const ORBIT_ZONES = {
+    HOT: 'hot',
+    WARM: 'warm',
+    HABITABLE: 'habitable',
+    COLD: 'cold',
+    OUTER: 'outer'
+};
+
+const ZONE_LIMITS = [
+    { zone: ORBIT_ZONES.HOT, maxRatio: 0.6 },
+    { zone: ORBIT_ZONES.WARM, maxRatio: 0.85 },
+    { zone: ORBIT_ZONES.HABITABLE, maxRatio: 1.3 },
+    { zone: ORBIT_ZONES.COLD, maxRatio: 2.2 }, // Linea del gelo
+    { zone: ORBIT_ZONES.OUTER, maxRatio: Infinity }
+];
+
+// Probabilità relative dei tipi di pianeta in ogni zona
+const PLANET_TYPE_WEIGHTS = {
+    [ORBIT_ZONES.HOT]: { lava: 6, desert: 2, rocky: 2 },
+    [ORBIT_ZONES.WARM]: { desert: 5, rocky: 3, lava: 1, ocean: 1 },
+    [ORBIT_ZONES.HABITABLE]: { ocean: 4, forest: 4, rocky: 2, desert: 1 },
+    [ORBIT_ZONES.COLD]: { rocky: 3, ice: 4, desert: 1 },
+    [ORBIT_ZONES.OUTER]: { gas: 6, ice: 3 }
+};
+
+// Nomi delle zone mostrati al giocatore
+export const ORBIT_ZONE_LABELS = {
+    [ORBIT_ZONES.HOT]: 'Rovente',
+    [ORBIT_ZONES.WARM]: 'Calda',
+    [ORBIT_ZONES.HABITABLE]: 'Abitabile',
+    [ORBIT_ZONES.COLD]: 'Fredda',
+    [ORBIT_ZONES.OUTER]: 'Esterna'
+};
+
+/**
+ * Luminosità di una stella: dipende dalla classe e cresce con il quadrato della dimensione
+ * @param {Object} system - Sistema stellare (starType, starSize)
+ */
+export function getStarLuminosity(system) {
+    const starClass = STAR_CLASSES[system.starType] || STAR_CLASSES.yellow;
+    return starClass.luminosity * Math.pow(system.starSize / REFERENCE_STAR_SIZE, 2);
+}
+
+/**
+ * Calcola i confini della zona abitabile e la linea del gelo di un sistema
+ * @param {Object} system - Sistema stellare
+ * @returns {Object} { center, inner, outer, frostLine } in unità di orbita
+ */
+export function getHabitableZone(system) {
+    const center = HABITABLE_DISTANCE * Math.sqrt(getStarLuminosity(system));
+    return {
+        center: center,
+        inner: center * ZONE_LIMITS[1].maxRatio,
+        outer: center * ZONE_LIMITS[2].maxRatio,
+        frostLine: center * ZONE_LIMITS[3].maxRatio
+    };
+}
+
+/**
+ * Classifica un'orbita rispetto alla zona abitabile della stella
+ * @param {Object} system - Sistema stellare
+ * @param {number} orbitRadius - Raggio dell'orbita del pianeta
+ * @returns {Object} { zone, habitability } con habitability tra 0 e 1 (1 al centro della zona abitabile)
+ */
+export function classifyOrbit(system, orbitRadius) {
+    const ratio = orbitRadius / getHabitableZone(system).center;
+    const { zone } = ZONE_LIMITS.find(limit => ratio < limit.maxRatio);
+
+    // Decresce con la distanza logaritmica dal centro: 0 a metà o al doppio della distanza ideale
+    const habitability = Math.max(0, 1 - Math.abs(Math.log2(ratio)));
+
+    return { zone, habitability };
+}
+
+/**
+ * Sceglie il tipo di pianeta in base alla zona orbitale
+ * @param {string} zone - Zona orbitale (ORBIT_ZONES)
+ * @param {SeededRandom} rng - Generatore pseudo-casuale
+ */
+export function pickPlanetType(zone, rng) {
+    const weights = Object.entries(PLANET_TYPE_WEIGHTS[zone]);
+    const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = rng.next() * total;
+
+    for (const [type, weight] of weights) {
+        roll -= weight;
+        if (roll < 0) return type;
+    }
+    return weights[weights.length - 1][0];
+}
@@ -0,0 +1,162 @@
+/**
+ * Status effects
+ * Potenziamenti e penalità a tempo per giocatore e nemici. Ogni portatore ha una lista di
+ * effetti attivi ({ id, stacks, remaining }) che avanza in tempo di gioco: niente timer del
+ * browser, quindi gli effetti si fermano con la pausa e finiscono nei salvataggi.
+ *
+ * Modificatori (per livello dell'effetto): attack e speed sono frazioni (0.5 = +50%,
+ * -0.5 = dimezzata), damagePerSecond e healPerSecond sono punti al secondo, stun blocca
+ * movimento e attacchi.
+ */
+import { STATUS_KINDS, STATUS_STACKING } from './constants.js';
+
+export const STATUS_DEFINITIONS = {
+    'power-boost': {
+        name: 'Siero da combattimento',
+        icon: '💪',
+        kind: STATUS_KINDS.BUFF,
+        duration: 30,
+        stacking: STATUS_STACKING.STACK,
+        maxStacks: 3,
+        modifiers: { attack: 0.5 }
+    },
+    'burn': {
+        name: 'Ustione',
+        icon: '🔥',
+        kind: STATUS_KINDS.DEBUFF,
+        duration: 4,
+        stacking: STATUS_STACKING.STACK,
+        maxStacks: 3,
+        modifiers: { damagePerSecond: 3 }
+    },
+    'freeze': {
+        name: 'Congelamento',
+        icon: '❄️',
+        kind: STATUS_KINDS.DEBUFF,
+        duration: 3,
+        stacking: STATUS_STACKING.EXTEND,
+        maxDuration: 8,
+        modifiers: { speed: -0.5 }
+    },
+    'stun': {
+        name: 'Stordimento',
+        icon: '💫',
+        kind: STATUS_KINDS.DEBUFF,
+        duration: 0.5,
+        stacking: STATUS_STACKING.REFRESH,
+        modifiers: { stun: true }
+    }
+};
+
+// Pericoli della superficie: chi cammina su questi pianeti subisce l'effetto
+export const PLANET_HAZARDS = {
+    lava: 'burn',
+    ice: 'freeze'
+};
+
+/**
+ * Restituisce la definizione di un effetto
+ * @param {string} id - Chiave di STATUS_DEFINITIONS
+ * @returns {Object|null}
+ */
+export function getStatusDefinition(id) {
+    return STATUS_DEFINITIONS[id] || null;
+}
+
+/**
+ * Applica un effetto seguendo la sua regola di accumulo
+ * @param {Array<Object>} effects - Effetti attivi del portatore (modificata)
+ * @param {string} id - Chiave di STATUS_DEFINITIONS
+ * @returns {Object} L'effetto attivo ({ id, stacks, remaining })
+ */
+export function applyStatus(effects, id) {
+    const definition = getStatusDefinition(id);
+    if (!definition) throw new Error(`Effetto sconosciuto: ${id}`);
+
+    const active = effects.find(effect => effect.id === id);
+    if (!active) {
+        const effect = { id, stacks: 1, remaining: definition.duration };
+        effects.push(effect);
+        return effect;
+    }
+
+    switch (definition.stacking) {
+        case STATUS_STACKING.STACK:
+            active.stacks = Math.min(definition.maxStacks, active.stacks + 1);
+            active.remaining = definition.duration;
+            break;
+        case STATUS_STACKING.EXTEND:
+            active.remaining = Math.min(definition.maxDuration, active.remaining + definition.duration);
+            break;
+        default:
+            active.remaining = Math.max(active.remaining, definition.duration);
+    }
+    return active;
+}
+
+/**
+ * Rimuove un effetto attivo
+ * @param {Array<Object>} effects - Effetti attivi del portatore (modificata)
+ * @param {string} id - Chiave di STATUS_DEFINITIONS
+ */
+export function removeStatus(effects, id) {
+    const index = effects.findIndex(effect => effect.id === id);
+    if (index !== -1) effects.splice(index, 1);
+}
+
+/**
+ * Fa avanzare gli effetti e rimuove quelli scaduti
+ * @param {Array<Object>} effects - Effetti attivi del portatore (modificata)
+ * @param {number} deltaTime - Secondi trascorsi
+ * @returns {Object} { damage, heal, expired } danni e cure del periodo, id degli effetti finiti
+ */
+export function updateStatuses(effects, deltaTime) {
+    const result = { damage: 0, heal: 0, expired: [] };
+    for (let i = effects.length - 1; i >= 0; i--) {
+        const effect = effects[i];
+        const modifiers = STATUS_DEFINITIONS[effect.id].modifiers;
+        const elapsed = Math.min(deltaTime, effect.remaining);
+        result.damage += (modifiers.damagePerSecond || 0) * effect.stacks * elapsed;
+        result.heal += (modifiers.healPerSecond || 0) * effect.stacks * elapsed;
+
+        effect.remaining -= deltaTime;
+        if (effect.remaining <= 0) {
+            effects.splice(i, 1);
+            result.expired.push(effect.id);
+        }
+    }
+    return result;
+}
+
+/**
+ * Somma i modificatori degli effetti attivi
+ * @param {Array<Object>} effects - Effetti attivi del portatore
+ * @returns {Object} { attackMultiplier, speedMultiplier, stunned }
+ */
+export function getStatusModifiers(effects) {
+    let attack = 0;
+    let speed = 0;
+    let stunned = false;
+    effects.forEach(effect => {
+        const modifiers = STATUS_DEFINITIONS[effect.id].modifiers;
+        attack += (modifiers.attack || 0) * effect.stacks;
+        speed += (modifiers.speed || 0) * effect.stacks;
+        stunned = stunned || Boolean(modifiers.stun);
+    });
+    return {
+        attackMultiplier: Math.max(0, 1 + attack),
+        speedMultiplier: stunned ? 0 : Math.max(0, 1 + speed),
+        stunned
+    };
+}
+
+/**
+ * Ripristina gli effetti da un salvataggio, scartando quelli sconosciuti
+ * @param {Array<Object>} [saved] - Effetti salvati
+ * @returns {Array<Object>}
+ */
+export function loadStatuses(saved) {
+    return (saved || [])
+        .filter(effect => getStatusDefinition(effect.id) && effect.remaining > 0)
+        .map(effect => ({ id: effect.id, stacks: effect.stacks || 1, remaining: effect.remaining }));
+}
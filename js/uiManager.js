@@ -1,4 +1,20 @@
-import { UI_ELEMENTS } from './constants.js';
+import {
+    UI_ELEMENTS, BODY_TYPES, STATION_ALLEGIANCE, CONQUEST_STAGES, PLAYER_EMPIRE, LOYALTY, SKILLS, ITEM_CATEGORIES, LOOT, KEYS
+} from './constants.js';
+import { ORBIT_ZONE_LABELS } from './space/stellarClasses.js';
+import { getConquestState, getDefensePercent, getMaxDefense } from './conquest.js';
+import { RESOURCE_LABELS, formatResources, getUpgradeCost } from './economy.js';
+import { getRequiredGarrison, getGarrisonCapacity, getReinforcementSize, getGarrisonCost } from './garrison.js';
+import {
+    BUILDING_DEFINITIONS, getBuildingSlots, getUsedSlots, canQueueBuilding, getConstructionProgress
+} from './buildings.js';
+import { RACE_DEFINITIONS } from './races.js';
+import {
+    getResearchNodes, getResearchNode, canStartResearch, getResearchProgress, getResearchUnlocks, getUpgradeMaxLevel
+} from './research.js';
+import { SKILL_BRANCH_LABELS, getSkillTree, getSkillNode, canLearnSkill, getSpentPoints } from './skills.js';
+import { EQUIPMENT_SLOT_LABELS, getItemDefinition } from './loot.js';
+import { getStatusDefinition } from './statusEffects.js';
 
 /**
  * Modulo di gestione dell'interfaccia utente
@@ -11,12 +27,26 @@ let startGameButton;
 let characterOptions;
 let healthBarFill;
 let energyBarFill;
-let currencyAmount;
+let transformationStatus;
+let statusIcons;
+let statusIconsHtml = ''; // Ultimo contenuto delle icone degli effetti di stato
+let flightStatus;
+let targetingHud, targetMarker, leadReticle, targetArrow, targetInfo;
+let shieldBar, shieldBarFill, healthLabel;
+let abilityBar;
+let resourcesDisplay;
+let economyLedger;
 let planetInfoPanel;
 let planetName;
 let planetStatus;
 let planetDefense;
+let planetZone;
+let planetGarrison;
+let garrisonValue;
+let loyaltyValue;
 let conquerButton;
+let garrisonButton;
+let buildingsButton;
 let gameOverScreen;
 let restartButton;
 let upgradesScreen;
@@ -24,17 +54,66 @@ let closeUpgradesButton;
 let upgradeButtons;
 let legendScreen;
 let closeLegendButton;
+let seedInput;
+let galaxyLayoutSelect;
+let galaxyDensitySelect;
+let continueButton;
+let savesScreen;
+let saveSlotsContainer;
+let closeSavesButton;
+let exportSaveButton;
+let importSaveButtons;
+let importFileInput;
+let buildingsScreen;
+let buildingsContent;
+let closeBuildingsButton;
+let researchScreen;
+let researchContent;
+let closeResearchButton;
+let skillsScreen;
+let skillsContent;
+let closeSkillsButton;
+let openSkillsButton;
+let inventoryScreen;
+let inventoryEquipment;
+let inventoryItems;
+let closeInventoryButton;
 
 // Callback e funzioni esterne
 let callbacks = {
     startGame: null,
     restartGame: null,
     conquerPlanet: null,
-    upgrade: null
+    reinforceGarrison: null,
+    manageBuildings: null,
+    queueBuilding: null,
+    cancelConstruction: null,
+    closeBuildings: null,
+    startResearch: null,
+    closeResearch: null,
+    openSkills: null,
+    learnSkill: null,
+    respecSkills: null,
+    closeSkills: null,
+    useItem: null,
+    equipItem: null,
+    unequipItem: null,
+    discardItem: null,
+    closeInventory: null,
+    upgrade: null,
+    continueGame: null,
+    saveGame: null,
+    loadGame: null,
+    deleteSave: null,
+    exportSave: null,
+    importSave: null,
+    closeSaves: null
 };
 
 // Riferimento al giocatore
 let player = null;
+let empires = []; // Imperi rivali, per mostrare il proprietario dei pianeti
+let researchTree = { nodes: [] }; // Albero della ricerca della partita
 
 /**
  * Inizializza il gestore UI
@@ -46,21 +125,64 @@ export function initializeUIManager(options = {}) {
         startGame: options.startGame || function() { console.warn("startGame callback non impostato"); },
         restartGame: options.restartGame || function() { console.warn("restartGame callback non impostato"); },
         conquerPlanet: options.conquerPlanet || function() { console.warn("conquerPlanet callback non impostato"); },
-        upgrade: options.upgrade || function() { console.warn("upgrade callback non impostato"); }
+        reinforceGarrison: options.reinforceGarrison || function() { console.warn("reinforceGarrison callback non impostato"); },
+        manageBuildings: options.manageBuildings || function() { console.warn("manageBuildings callback non impostato"); },
+        queueBuilding: options.queueBuilding || function() { console.warn("queueBuilding callback non impostato"); },
+        cancelConstruction: options.cancelConstruction || function() { console.warn("cancelConstruction callback non impostato"); },
+        closeBuildings: options.closeBuildings || closeBuildingsScreen,
+        startResearch: options.startResearch || function() { console.warn("startResearch callback non impostato"); },
+        closeResearch: options.closeResearch || closeResearchScreen,
+        openSkills: options.openSkills || openSkillsScreen,
+        learnSkill: options.learnSkill || function() { console.warn("learnSkill callback non impostato"); },
+        respecSkills: options.respecSkills || function() { console.warn("respecSkills callback non impostato"); },
+        closeSkills: options.closeSkills || closeSkillsScreen,
+        useItem: options.useItem || function() { console.warn("useItem callback non impostato"); },
+        equipItem: options.equipItem || function() { console.warn("equipItem callback non impostato"); },
+        unequipItem: options.unequipItem || function() { console.warn("unequipItem callback non impostato"); },
+        discardItem: options.discardItem || function() { console.warn("discardItem callback non impostato"); },
+        closeInventory: options.closeInventory || closeInventory,
+        upgrade: options.upgrade || function() { console.warn("upgrade callback non impostato"); },
+        continueGame: options.continueGame || function() { console.warn("continueGame callback non impostato"); },
+        saveGame: options.saveGame || function() { console.warn("saveGame callback non impostato"); },
+        loadGame: options.loadGame || function() { console.warn("loadGame callback non impostato"); },
+        deleteSave: options.deleteSave || function() { console.warn("deleteSave callback non impostato"); },
+        exportSave: options.exportSave || function() { console.warn("exportSave callback non impostato"); },
+        importSave: options.importSave || function() { console.warn("importSave callback non impostato"); },
+        closeSaves: options.closeSaves || closeSavesScreen
     };
     
     // Inizializzazione riferimenti agli elementi DOM
     characterSelectionScreen = document.getElementById(UI_ELEMENTS.CHARACTER_SELECTION);
     startGameButton = document.getElementById(UI_ELEMENTS.START_GAME);
+    renderCharacterOptions(document.getElementById(UI_ELEMENTS.CHARACTER_OPTIONS));
     characterOptions = document.querySelectorAll('.character-option');
     healthBarFill = document.getElementById(UI_ELEMENTS.HEALTH_FILL);
     energyBarFill = document.getElementById(UI_ELEMENTS.ENERGY_FILL);
-    currencyAmount = document.getElementById(UI_ELEMENTS.CURRENCY_AMOUNT);
+    transformationStatus = document.getElementById(UI_ELEMENTS.TRANSFORMATION_STATUS);
+    statusIcons = document.getElementById(UI_ELEMENTS.STATUS_ICONS);
+    flightStatus = document.getElementById(UI_ELEMENTS.FLIGHT_STATUS);
+    targetingHud = document.getElementById(UI_ELEMENTS.TARGETING_HUD);
+    targetMarker = document.getElementById(UI_ELEMENTS.TARGET_MARKER);
+    leadReticle = document.getElementById(UI_ELEMENTS.LEAD_RETICLE);
+    targetArrow = document.getElementById(UI_ELEMENTS.TARGET_ARROW);
+    targetInfo = document.getElementById(UI_ELEMENTS.TARGET_INFO);
+    shieldBar = document.getElementById(UI_ELEMENTS.SHIELD_BAR);
+    shieldBarFill = document.getElementById(UI_ELEMENTS.SHIELD_FILL);
+    healthLabel = document.getElementById(UI_ELEMENTS.HEALTH_LABEL);
+    abilityBar = document.getElementById(UI_ELEMENTS.ABILITY_BAR);
+    resourcesDisplay = document.getElementById(UI_ELEMENTS.RESOURCES_DISPLAY);
+    economyLedger = document.getElementById(UI_ELEMENTS.ECONOMY_LEDGER);
     planetInfoPanel = document.getElementById(UI_ELEMENTS.PLANET_INFO);
     planetName = document.getElementById(UI_ELEMENTS.PLANET_NAME);
     planetStatus = document.getElementById(UI_ELEMENTS.PLANET_STATUS);
     planetDefense = document.getElementById(UI_ELEMENTS.PLANET_DEFENSE);
+    planetZone = document.getElementById(UI_ELEMENTS.PLANET_ZONE);
+    planetGarrison = document.getElementById(UI_ELEMENTS.PLANET_GARRISON);
+    garrisonValue = document.getElementById(UI_ELEMENTS.GARRISON_VALUE);
+    loyaltyValue = document.getElementById(UI_ELEMENTS.LOYALTY_VALUE);
     conquerButton = document.getElementById(UI_ELEMENTS.CONQUER_BUTTON);
+    garrisonButton = document.getElementById(UI_ELEMENTS.GARRISON_BUTTON);
+    buildingsButton = document.getElementById(UI_ELEMENTS.BUILDINGS_BUTTON);
     gameOverScreen = document.getElementById(UI_ELEMENTS.GAME_OVER_SCREEN);
     restartButton = document.getElementById(UI_ELEMENTS.RESTART_BUTTON);
     upgradesScreen = document.getElementById(UI_ELEMENTS.UPGRADES_SCREEN);
@@ -68,6 +190,35 @@ export function initializeUIManager(options = {}) {
     upgradeButtons = document.querySelectorAll('.upgrade-btn');
     legendScreen = document.getElementById(UI_ELEMENTS.LEGEND_SCREEN);
     closeLegendButton = document.getElementById(UI_ELEMENTS.CLOSE_LEGEND);
+    seedInput = document.getElementById(UI_ELEMENTS.SEED_INPUT);
+    galaxyLayoutSelect = document.getElementById(UI_ELEMENTS.GALAXY_LAYOUT_SELECT);
+    galaxyDensitySelect = document.getElementById(UI_ELEMENTS.GALAXY_DENSITY_SELECT);
+    continueButton = document.getElementById(UI_ELEMENTS.CONTINUE_GAME);
+    savesScreen = document.getElementById(UI_ELEMENTS.SAVES_SCREEN);
+    buildingsScreen = document.getElementById(UI_ELEMENTS.BUILDINGS_SCREEN);
+    buildingsContent = document.getElementById(UI_ELEMENTS.BUILDINGS_CONTENT);
+    closeBuildingsButton = document.getElementById(UI_ELEMENTS.CLOSE_BUILDINGS);
+    researchScreen = document.getElementById(UI_ELEMENTS.RESEARCH_SCREEN);
+    researchContent = document.getElementById(UI_ELEMENTS.RESEARCH_CONTENT);
+    closeResearchButton = document.getElementById(UI_ELEMENTS.CLOSE_RESEARCH);
+    skillsScreen = document.getElementById(UI_ELEMENTS.SKILLS_SCREEN);
+    skillsContent = document.getElementById(UI_ELEMENTS.SKILLS_CONTENT);
+    closeSkillsButton = document.getElementById(UI_ELEMENTS.CLOSE_SKILLS);
+    openSkillsButton = document.getElementById(UI_ELEMENTS.OPEN_SKILLS);
+    inventoryScreen = document.getElementById(UI_ELEMENTS.INVENTORY_SCREEN);
+    inventoryEquipment = document.getElementById(UI_ELEMENTS.INVENTORY_EQUIPMENT);
+    inventoryItems = document.getElementById(UI_ELEMENTS.INVENTORY_ITEMS);
+    closeInventoryButton = document.getElementById(UI_ELEMENTS.CLOSE_INVENTORY);
+    saveSlotsContainer = document.getElementById(UI_ELEMENTS.SAVE_SLOTS);
+    closeSavesButton = document.getElementById(UI_ELEMENTS.CLOSE_SAVES);
+    exportSaveButton = document.getElementById(UI_ELEMENTS.EXPORT_SAVE);
+    importSaveButtons = document.querySelectorAll('.import-save-btn');
+    importFileInput = document.getElementById(UI_ELEMENTS.IMPORT_FILE);
+    
+    // Precompila il seme se arriva dall'URL (?seed=...)
+    if (seedInput && options.initialSeed) {
+        seedInput.value = options.initialSeed;
+    }
     
     // Imposta i listener degli eventi
     setupEventListeners();
@@ -75,6 +226,28 @@ export function initializeUIManager(options = {}) {
     console.log("UI Manager initialized");
 }
 
+/**
+ * Crea una scheda di selezione per ogni razza registrata
+ * @param {HTMLElement} container - Contenitore delle schede
+ */
+function renderCharacterOptions(container) {
+    if (!container) return;
+    
+    container.innerHTML = Object.entries(RACE_DEFINITIONS).map(([race, definition]) => {
+        const color = `#${definition.color.toString(16).padStart(6, '0')}`;
+        // Senza ritratto si mostra un'aura del colore della razza
+        const portrait = definition.image
+            ? `background-image: url('${definition.image}')`
+            : `background: radial-gradient(circle, ${color} 0%, transparent 70%)`;
+        return `
+            <div class="character-option" data-race="${race}">
+                <h3>${definition.name.toUpperCase()}</h3>
+                <div class="character-img" id="${race}-img" style="${portrait}"></div>
+                <p>${definition.description}</p>
+            </div>`;
+    }).join('');
+}
+
 /**
  * Imposta i listener degli eventi UI
  */
@@ -100,12 +273,21 @@ function setupEventListeners() {
         const selectedRace = document.querySelector('.character-option.selected');
         if (selectedRace) {
             const race = selectedRace.getAttribute('data-race');
-            callbacks.startGame(race);
+            const seed = seedInput ? seedInput.value.trim() : '';
+            callbacks.startGame(race, {
+                seed: seed || null,
+                layout: galaxyLayoutSelect ? galaxyLayoutSelect.value : undefined,
+                density: galaxyDensitySelect ? parseFloat(galaxyDensitySelect.value) : undefined
+            });
         } else {
             showMessage('Seleziona una razza per iniziare!', 'error');
         }
     });
     
+    if (continueButton) {
+        continueButton.addEventListener('click', () => callbacks.continueGame());
+    }
+    
     // Eventi schermata game over
     if (restartButton) {
         restartButton.addEventListener('click', callbacks.restartGame);
@@ -123,6 +305,49 @@ function setupEventListeners() {
         });
     });
     
+    // Eventi schermata salvataggi
+    if (closeSavesButton) {
+        closeSavesButton.addEventListener('click', () => callbacks.closeSaves());
+    }
+    
+    if (saveSlotsContainer) {
+        saveSlotsContainer.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const slot = button.closest('.save-slot').getAttribute('data-slot');
+            switch (button.getAttribute('data-action')) {
+                case 'save': callbacks.saveGame(slot); break;
+                case 'load': callbacks.loadGame(slot); break;
+                case 'delete': callbacks.deleteSave(slot); break;
+            }
+        });
+    }
+    
+    // Esportazione / importazione su file
+    if (exportSaveButton) {
+        exportSaveButton.addEventListener('click', () => callbacks.exportSave());
+    }
+    
+    if (importFileInput) {
+        importSaveButtons.forEach(button => {
+            button.addEventListener('click', () => importFileInput.click());
+        });
+        
+        importFileInput.addEventListener('change', async () => {
+            const file = importFileInput.files[0];
+            // Svuota il valore per poter reimportare lo stesso file
+            importFileInput.value = '';
+            if (!file) return;
+            
+            try {
+                callbacks.importSave(await file.text());
+            } catch (error) {
+                console.error("Errore lettura file di salvataggio:", error);
+                showMessage(`Impossibile leggere il file ${file.name}`, 'error');
+            }
+        });
+    }
+    
     // Eventi schermata legenda
     if (closeLegendButton) {
         closeLegendButton.addEventListener('click', closeLegendScreen);
@@ -132,6 +357,79 @@ function setupEventListeners() {
     if (conquerButton) {
         conquerButton.addEventListener('click', callbacks.conquerPlanet);
     }
+    if (garrisonButton) {
+        garrisonButton.addEventListener('click', callbacks.reinforceGarrison);
+    }
+    if (buildingsButton) {
+        buildingsButton.addEventListener('click', () => callbacks.manageBuildings());
+    }
+    
+    // Eventi schermata edifici
+    if (closeBuildingsButton) {
+        closeBuildingsButton.addEventListener('click', () => callbacks.closeBuildings());
+    }
+    
+    if (buildingsContent) {
+        buildingsContent.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            switch (button.getAttribute('data-action')) {
+                case 'build': callbacks.queueBuilding(button.getAttribute('data-building')); break;
+                case 'cancel': callbacks.cancelConstruction(Number(button.getAttribute('data-index'))); break;
+            }
+        });
+    }
+    
+    // Eventi schermata ricerca
+    if (closeResearchButton) {
+        closeResearchButton.addEventListener('click', () => callbacks.closeResearch());
+    }
+    
+    if (researchContent) {
+        researchContent.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action="research"]');
+            if (button) callbacks.startResearch(button.getAttribute('data-node'));
+        });
+    }
+    
+    // Eventi schermata talenti
+    if (openSkillsButton) {
+        openSkillsButton.addEventListener('click', () => callbacks.openSkills());
+    }
+    
+    if (closeSkillsButton) {
+        closeSkillsButton.addEventListener('click', () => callbacks.closeSkills());
+    }
+    
+    if (skillsContent) {
+        skillsContent.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            switch (button.getAttribute('data-action')) {
+                case 'learn': callbacks.learnSkill(button.getAttribute('data-node')); break;
+                case 'respec': callbacks.respecSkills(); break;
+            }
+        });
+    }
+    
+    // Eventi inventario
+    if (closeInventoryButton) {
+        closeInventoryButton.addEventListener('click', () => callbacks.closeInventory());
+    }
+    
+    if (inventoryItems) {
+        inventoryItems.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const itemId = button.getAttribute('data-item');
+            switch (button.getAttribute('data-action')) {
+                case 'use': callbacks.useItem(itemId); break;
+                case 'equip': callbacks.equipItem(itemId); break;
+                case 'unequip': callbacks.unequipItem(itemId); break;
+                case 'discard': callbacks.discardItem(itemId); break;
+            }
+        });
+    }
     
     // Keyboard shortcuts per le schermate
     document.addEventListener('keydown', (event) => {
@@ -142,7 +440,7 @@ function setupEventListeners() {
         }
         
         // 'U' per potenziamenti
-        if (event.code === 'KeyU') {
+        if (KEYS.TOGGLE_UPGRADES.includes(event.code)) {
             if (upgradesScreen.classList.contains('hidden')) {
                 openUpgradesScreen();
             } else {
@@ -151,7 +449,7 @@ function setupEventListeners() {
         }
         
         // 'L' per legenda
-        if (event.code === 'KeyL') {
+        if (KEYS.TOGGLE_LEGEND.includes(event.code)) {
             if (legendScreen.classList.contains('hidden')) {
                 openLegendScreen();
             } else {
@@ -169,6 +467,85 @@ export function setPlayer(playerObj) {
     player = playerObj;
 }
 
+/**
+ * Imposta gli imperi rivali della partita
+ * @param {Array<RivalEmpire>} rivalEmpires - Imperi rivali
+ */
+export function setEmpires(rivalEmpires) {
+    empires = rivalEmpires;
+}
+
+/**
+ * Imposta l'albero della ricerca della partita
+ * @param {Object} tree - Albero restituito da loadResearchTree()
+ */
+export function setResearchTree(tree) {
+    researchTree = tree;
+}
+
+/**
+ * Aggiorna il mirino del combattimento spaziale
+ * @param {Object|null} hud - { missiles, target } con target da SpaceTargeting.getHudData; null lo nasconde
+ */
+export function updateTargetingHud(hud) {
+    if (!targetingHud) return;
+    targetingHud.classList.toggle('hidden', !hud);
+    if (!hud) return;
+
+    const target = hud.target;
+    const onScreen = Boolean(target?.target.onScreen);
+    targetMarker.classList.toggle('hidden', !onScreen);
+    targetArrow.classList.toggle('hidden', !target || onScreen);
+    leadReticle.classList.toggle('hidden', !target?.lead?.onScreen);
+
+    if (target && onScreen) {
+        // Il riquadro si stringe sul bersaglio man mano che l'aggancio avanza
+        targetMarker.style.left = `${target.target.x * 100}%`;
+        targetMarker.style.top = `${target.target.y * 100}%`;
+        targetMarker.style.transform = `translate(-50%, -50%) scale(${2 - target.lockProgress})`;
+        targetMarker.classList.toggle('locked', target.locked);
+    } else if (target) {
+        // Freccia sul bordo dello schermo verso il bersaglio
+        const angle = target.target.angle;
+        targetArrow.style.left = `${50 + Math.cos(angle) * 45}%`;
+        targetArrow.style.top = `${50 + Math.sin(angle) * 45}%`;
+        targetArrow.style.transform = `translate(-50%, -50%) rotate(${angle}rad)`;
+    }
+    if (target?.lead?.onScreen) {
+        leadReticle.style.left = `${target.lead.x * 100}%`;
+        leadReticle.style.top = `${target.lead.y * 100}%`;
+    }
+
+    targetInfo.textContent = target ? describeTarget(target, hud.missiles) : `NESSUN BERSAGLIO (TAB) - MISSILI ${hud.missiles}`;
+}
+
+/**
+ * Mostra lo scudo della nave; intanto la barra della salute diventa lo scafo
+ * @param {Object|null} shield - Scudo del giocatore (shipDefenses.js), null fuori dal combattimento spaziale
+ */
+export function updateShieldBar(shield) {
+    if (!shieldBar) return;
+    shieldBar.classList.toggle('hidden', !shield);
+    if (healthLabel) healthLabel.textContent = shield ? 'HULL' : 'HEALTH';
+    if (shield) shieldBarFill.style.width = `${(shield.value / shield.max) * 100}%`;
+}
+
+/**
+ * Riga di testo sotto il mirino: bersaglio, difese e aggancio
+ * @param {Object} target - Dati di SpaceTargeting.getHudData
+ * @param {number} missiles - Missili rimasti
+ * @returns {string}
+ */
+function describeTarget(target, missiles) {
+    const points = (value, max) => `${Math.max(0, Math.ceil(value))}/${max}`;
+    const name = target.subsystem
+        ? `${target.type.toUpperCase()} > ${target.subsystem.name.toUpperCase()} ${points(target.subsystem.health, target.subsystem.maxHealth)}`
+        : target.type.toUpperCase();
+    const lock = target.locked ? 'AGGANCIATO' : `AGGANCIO ${Math.round(target.lockProgress * 100)}%`;
+    return `${name} - ${Math.round(target.distance)} m - SCUDI ${points(target.shield, target.maxShield)}`
+        + ` - SCAFO ${points(target.hull, target.maxHull)} - ${lock} - MISSILI ${missiles}`;
+}
+
 /**
  * Aggiorna gli elementi UI in base allo stato del giocatore
  */
@@ -177,13 +554,124 @@ export function updateUI() {
 
     healthBarFill.style.width = `${(player.health / player.maxHealth) * 100}%`;
     energyBarFill.style.width = `${(player.energy / player.maxEnergy) * 100}%`;
-    currencyAmount.textContent = player.currency;
+    
+    if (transformationStatus) {
+        const transformation = player.transformation;
+        transformationStatus.classList.toggle('hidden', !transformation);
+        if (transformation) {
+            transformationStatus.textContent = `${transformation.name.toUpperCase()} - ${Math.ceil(player.transformationTimer)}s`;
+            transformationStatus.style.color = `#${transformation.color.toString(16).padStart(6, '0')}`;
+        }
+    }
+    
+    if (statusIcons) {
+        // Ricrea le icone solo quando cambiano (i secondi rimasti scattano una volta al secondo)
+        const icons = player.statusEffects.map(effect => {
+            const definition = getStatusDefinition(effect.id);
+            return `
+                <div class="status-icon ${definition.kind}" title="${definition.name}">
+                    ${definition.icon}${effect.stacks > 1 ? `<sup>${effect.stacks}</sup>` : ''}
+                    <span class="status-time">${Math.ceil(effect.remaining)}s</span>
+                </div>`;
+        }).join('');
+        if (icons !== statusIconsHtml) {
+            statusIcons.innerHTML = icons;
+            statusIconsHtml = icons;
+        }
+    }
+    
+    if (flightStatus) {
+        // Profilo di volo, velocità e assistenza della nave (solo col volo newtoniano)
+        const flight = player.flight;
+        const profile = player.isFlying && flight.enabled ? player.flightProfile : null;
+        flightStatus.classList.toggle('hidden', !profile);
+        if (profile) {
+            flightStatus.textContent = `${profile.name.toUpperCase()} - ${Math.round(flight.velocity.length())} u/s`
+                + ` - ASSIST ${flight.assist ? 'ON' : 'OFF'}${flight.boosting ? ' - BOOST' : ''}`;
+        }
+    }
+    
+    if (abilityBar) {
+        player.getAbilities().forEach((ability, slot) => {
+            const cooldown = abilityBar.querySelector(`[data-slot="${slot}"] .ability-cooldown`);
+            if (cooldown) cooldown.style.height = `${player.getAbilityCooldownRatio(ability) * 100}%`;
+        });
+    }
+    
+    if (resourcesDisplay) {
+        Object.entries(player.resources).forEach(([type, amount]) => {
+            const counter = resourcesDisplay.querySelector(`[data-resource="${type}"] .resource-amount`);
+            if (counter) counter.textContent = Math.floor(amount);
+        });
+    }
+}
+
+/**
+ * Ricrea gli slot della barra delle abilità (il recupero è aggiornato da updateUI)
+ * @param {Set<string>} researched - Abilità sbloccate dalla ricerca
+ */
+export function updateAbilityBar(researched) {
+    if (!abilityBar || !player) return;
+    
+    abilityBar.innerHTML = player.getAbilities().map((ability, slot) => {
+        const locked = ability.requiresResearch && !researched.has(ability.id);
+        return `
+            <div class="ability-slot${locked ? ' locked' : ''}" data-slot="${slot}"
+                title="${ability.name} - ${ability.energyCost} energia${locked ? ' (ricerca necessaria)' : ''}">
+                <span class="ability-key">${slot + 1}</span>
+                <span class="ability-name">${ability.name}</span>
+                <div class="ability-cooldown"></div>
+            </div>`;
+    }).join('');
+}
+
+/**
+ * Mostra il bilancio dell'ultimo ciclo economico: variazione per risorsa nella HUD
+ * e dettaglio per dominio nella schermata dei potenziamenti
+ * @param {Object|null} ledger - Bilancio restituito da runEconomyTick (null per azzerarlo)
+ */
+export function updateEconomyLedger(ledger) {
+    if (resourcesDisplay) {
+        Object.keys(RESOURCE_LABELS).forEach(type => {
+            const rate = resourcesDisplay.querySelector(`[data-resource="${type}"] .resource-rate`);
+            if (!rate) return;
+            const net = ledger ? Math.round(ledger.net[type] * 10) / 10 : 0;
+            rate.textContent = net === 0 ? '' : `(${net > 0 ? '+' : ''}${net})`;
+            rate.classList.toggle('negative', net < 0);
+        });
+    }
+    
+    if (!economyLedger) return;
+    
+    if (!ledger) {
+        economyLedger.innerHTML = '<p class="ledger-empty">Nessun dominio: conquista un pianeta per avviare la produzione.</p>';
+        return;
+    }
+    
+    const rows = ledger.entries.map(entry => `
+        <tr>
+            <td>${escapeHtml(entry.name)}</td>
+            <td>${formatResources(entry.income, { signed: true })}</td>
+            <td>-${formatResources(entry.upkeep)}</td>
+        </tr>`).join('');
+    
+    economyLedger.innerHTML = `
+        <h3>BILANCIO IMPERO (ciclo ${ledger.tick})</h3>
+        ${ledger.shortage ? '<p class="ledger-shortage">Energia insufficiente: produzione dimezzata</p>' : ''}
+        ${ledger.desertion > 0 ? `<p class="ledger-shortage">Minerali insufficienti: ${ledger.desertion} truppe hanno disertato</p>` : ''}
+        <table>
+            <thead><tr><th>Dominio</th><th>Produzione</th><th>Mantenimento</th></tr></thead>
+            <tbody>${rows}</tbody>
+            <tfoot><tr><td>Netto per ciclo</td><td colspan="2">${formatResources(ledger.net, { signed: true })}</td></tr></tfoot>
+        </table>`;
 }
 
 /**
  * Mostra la schermata di selezione personaggio
+ * @param {Object} options - Opzioni della schermata
+ * @param {boolean} [options.canContinue] - Mostra il pulsante per riprendere l'ultima partita salvata
  */
-export function showCharacterSelection() {
+export function showCharacterSelection(options = {}) {
     characterSelectionScreen.style.display = 'flex';
     if (gameOverScreen) gameOverScreen.classList.add('hidden');
     if (planetInfoPanel) planetInfoPanel.classList.add('hidden');
@@ -195,6 +683,10 @@ export function showCharacterSelection() {
     });
     startGameButton.disabled = true;
     startGameButton.style.opacity = '0.5';
+    
+    if (continueButton) {
+        continueButton.classList.toggle('hidden', !options.canContinue);
+    }
 }
 
 /**
@@ -212,16 +704,101 @@ export function showPlanetInfo(planet) {
     if (!planetInfoPanel || !planet) return;
     
     planetName.textContent = planet.name;
-    planetStatus.textContent = planet.isConquered ? 'Conquistato' : 'Non conquistato';
-    planetDefense.textContent = planet.defense;
     
-    // Colora in base allo stato
-    planetStatus.style.color = planet.isConquered ? '#3eff3e' : '#ff3e3e';
+    if (planet.bodyType === BODY_TYPES.ASTEROID_BELT) {
+        // Le fasce di asteroidi si estraggono invece di essere conquistate
+        planetStatus.textContent = `Risorse: ${planet.remainingResources} / ${planet.resources}`;
+        planetStatus.style.color = planet.remainingResources > 0 ? '#ffcc00' : '#999999';
+        planetDefense.textContent = '-';
+        if (conquerButton) conquerButton.textContent = 'MINE';
+        showHoldingInfo(null);
+    } else {
+        const conquest = getConquestState(planet);
+        const rival = planet.isConquered ? empires.find(empire => empire.id === planet.conqueredBy) : null;
+        const underSiege = conquest.stage === CONQUEST_STAGES.SIEGE || conquest.stage === CONQUEST_STAGES.GROUND_ASSAULT;
+        let status = rival ? `${rival.name}${underSiege ? ' - sotto assedio' : ''}` : getConquestStatus(conquest);
+        if (planet.bodyType === BODY_TYPES.STATION && !planet.isConquered) {
+            status += planet.allegiance === STATION_ALLEGIANCE.HOSTILE ? ' (stazione ostile)' : ' (stazione neutrale)';
+        } else if (planet.bodyType === BODY_TYPES.MOON) {
+            status += ' (luna)';
+        }
+        planetStatus.textContent = status;
+        const maxDefense = getMaxDefense(planet);
+        const alert = conquest.alertRemaining > 0 ? ' - in allerta' : '';
+        planetDefense.textContent = underSiege
+            ? `${Math.round(conquest.defenseRemaining)} / ${maxDefense} (${getDefensePercent(planet)}%)${alert}`
+            : `${maxDefense}${alert}`;
+        showHoldingInfo(planet.conqueredBy === PLAYER_EMPIRE ? planet : null);
+        if (conquerButton) {
+            conquerButton.textContent = conquest.stage === CONQUEST_STAGES.GROUND_ASSAULT ? 'ASSAULT' : 'CONQUER';
+        }
+        
+        // Colora in base allo stato (i pianeti rivali con il colore del loro impero)
+        if (rival) {
+            planetStatus.style.color = `#${rival.color.toString(16).padStart(6, '0')}`;
+        } else if (underSiege) {
+            planetStatus.style.color = '#ffcc00';
+        } else {
+            planetStatus.style.color = planet.isConquered ? '#3eff3e' : '#ff3e3e';
+        }
+    }
+    
+    if (planetZone) {
+        const zoneLabel = ORBIT_ZONE_LABELS[planet.zone] || '-';
+        planetZone.textContent = planet.zone ? `${zoneLabel} (abitabilità ${Math.round(planet.habitability * 100)}%)` : zoneLabel;
+    }
     
     // Mostra il pannello
     planetInfoPanel.classList.remove('hidden');
 }
 
+/**
+ * Mostra guarnigione, lealtà ed edifici di un dominio del giocatore (nasconde le righe per gli altri)
+ * @param {Object|null} planet - Dominio del giocatore, o null
+ */
+function showHoldingInfo(planet) {
+    if (planetGarrison) planetGarrison.classList.toggle('hidden', !planet);
+    if (garrisonButton) garrisonButton.classList.toggle('hidden', !planet);
+    if (buildingsButton) buildingsButton.classList.toggle('hidden', !planet);
+    if (!planet) return;
+
+    if (buildingsButton) {
+        buildingsButton.textContent = `EDIFICI (${getUsedSlots(planet)}/${getBuildingSlots(planet)})`;
+    }
+
+    const garrison = planet.garrison || 0;
+    const loyalty = Math.round(planet.loyalty ?? LOYALTY.MAX);
+    if (garrisonValue) {
+        garrisonValue.textContent = `${garrison} / ${getGarrisonCapacity(planet)} (minimo ${getRequiredGarrison(planet)})`;
+        garrisonValue.style.color = garrison >= getRequiredGarrison(planet) ? '#3eff3e' : '#ffcc00';
+    }
+    if (loyaltyValue) {
+        loyaltyValue.textContent = `${loyalty}%`;
+        loyaltyValue.style.color = loyalty > 50 ? '#3eff3e' : loyalty > 20 ? '#ffcc00' : '#ff3e3e';
+    }
+    if (garrisonButton) {
+        const troops = getReinforcementSize(planet);
+        garrisonButton.textContent = troops > 0
+            ? `+${troops} TRUPPE (${formatResources(getGarrisonCost(troops))})`
+            : 'GUARNIGIONE AL COMPLETO';
+        garrisonButton.disabled = troops === 0;
+    }
+}
+
+/**
+ * Descrizione della fase di conquista mostrata nel pannello del pianeta
+ * @param {Object} conquest - Stato della conquista (getConquestState)
+ */
+function getConquestStatus(conquest) {
+    switch (conquest.stage) {
+        case CONQUEST_STAGES.SIEGE: return 'Sotto assedio';
+        case CONQUEST_STAGES.GROUND_ASSAULT: return 'Pronto per l\'assalto di terra';
+        case CONQUEST_STAGES.CONSOLIDATION: return `Conquistato - consolidamento (${Math.ceil(conquest.consolidationRemaining)}s)`;
+        case CONQUEST_STAGES.COMPLETE: return 'Conquistato';
+        default: return 'Non conquistato';
+    }
+}
+
 /**
  * Nasconde le informazioni del pianeta
  */
@@ -277,18 +854,18 @@ function updateUpgradesUI() {
         const costSpan = item.querySelector('.upgrade-cost');
         
         const currentLevel = player.upgrades[stat];
-        const maxLevel = 10;
-        const baseCost = 100;
-        const cost = baseCost * Math.pow(2, currentLevel); // Costo esponenziale
+        const maxLevel = getUpgradeMaxLevel(getResearchUnlocks(researchTree, player.research), stat);
+        const cost = getUpgradeCost(currentLevel); // Costo esponenziale
         
         levelSpan.textContent = currentLevel;
-        costSpan.textContent = cost;
+        item.querySelector('.upgrade-max').textContent = maxLevel;
+        costSpan.textContent = formatResources(cost);
         
         if (currentLevel >= maxLevel) {
             button.textContent = 'MAX';
             button.disabled = true;
             costSpan.textContent = '--';
-        } else if (player.currency < cost) {
+        } else if (!player.canAfford(cost)) {
             button.textContent = 'POTENZIA';
             button.disabled = true;
         } else {
@@ -298,6 +875,282 @@ function updateUpgradesUI() {
     });
 }
 
+/**
+ * Apre la schermata dei salvataggi
+ * @param {Array} saves - Slot restituiti da listSaves()
+ */
+export function openSavesScreen(saves) {
+    if (!savesScreen) return;
+    
+    closeUpgradesScreen();
+    closeLegendScreen();
+    updateSavesScreen(saves);
+    savesScreen.classList.remove('hidden');
+}
+
+/**
+ * Apre la schermata di gestione degli edifici di un dominio
+ * @param {Object} planet - Dominio del giocatore
+ */
+export function openBuildingsScreen(planet) {
+    if (!buildingsScreen) return;
+    
+    closeUpgradesScreen();
+    closeLegendScreen();
+    closeSavesScreen();
+    updateBuildingsScreen(planet);
+    buildingsScreen.classList.remove('hidden');
+}
+
+/**
+ * Chiude la schermata degli edifici
+ */
+export function closeBuildingsScreen() {
+    if (!buildingsScreen) return;
+    buildingsScreen.classList.add('hidden');
+}
+
+/**
+ * Aggiorna la schermata degli edifici: slot, edifici completati, coda e catalogo
+ * @param {Object} planet - Dominio del giocatore
+ */
+export function updateBuildingsScreen(planet) {
+    if (!buildingsContent || !planet) return;
+    
+    const built = (planet.buildings || []).map(type => {
+        const definition = BUILDING_DEFINITIONS[type];
+        return `<li>${definition.icon} ${definition.name}</li>`;
+    }).join('');
+    
+    const queue = (planet.constructionQueue || []).map((order, index) => {
+        const definition = BUILDING_DEFINITIONS[order.type];
+        const progress = Math.round(getConstructionProgress(order) * 100);
+        return `
+            <li>
+                ${definition.icon} ${definition.name} - ${index === 0 ? `${progress}% (${Math.ceil(order.remaining)}s)` : 'in attesa'}
+                <div class="construction-progress"><div style="width: ${progress}%"></div></div>
+                <button class="action-btn" data-action="cancel" data-index="${index}">ANNULLA</button>
+            </li>`;
+    }).join('');
+    
+    const researched = player ? getResearchUnlocks(researchTree, player.research).buildings : new Set();
+    const catalogue = Object.entries(BUILDING_DEFINITIONS).map(([type, definition]) => {
+        const check = canQueueBuilding(planet, type, researched);
+        const affordable = !player || player.canAfford(definition.cost);
+        return `
+            <div class="building-item">
+                <h4>${definition.icon} ${definition.name}</h4>
+                <p>${definition.description}</p>
+                <p>Costo: ${formatResources(definition.cost)} · ${definition.buildTime}s</p>
+                <button class="action-btn" data-action="build" data-building="${type}"
+                    ${check.success && affordable ? '' : 'disabled'} title="${check.message}">COSTRUISCI</button>
+            </div>`;
+    }).join('');
+    
+    buildingsContent.innerHTML = `
+        <h3>${escapeHtml(planet.name)} - slot ${getUsedSlots(planet)} / ${getBuildingSlots(planet)}</h3>
+        <h4>Edifici</h4>
+        <ul class="building-list">${built || '<li class="ledger-empty">Nessun edificio</li>'}</ul>
+        <h4>Coda di costruzione</h4>
+        <ul class="building-list">${queue || '<li class="ledger-empty">Nessun cantiere</li>'}</ul>
+        <div class="buildings-catalogue">${catalogue}</div>`;
+}
+
+/**
+ * Apre la schermata della ricerca
+ * @param {number} labs - Laboratori di ricerca dell'impero
+ */
+export function openResearchScreen(labs) {
+    if (!researchScreen) return;
+    
+    closeUpgradesScreen();
+    closeLegendScreen();
+    closeSavesScreen();
+    closeBuildingsScreen();
+    updateResearchScreen(labs);
+    researchScreen.classList.remove('hidden');
+}
+
+/**
+ * Chiude la schermata della ricerca
+ */
+export function closeResearchScreen() {
+    if (!researchScreen) return;
+    researchScreen.classList.add('hidden');
+}
+
+/**
+ * Aggiorna la schermata della ricerca: ricerca in corso e nodi dell'albero della razza
+ * @param {number} labs - Laboratori di ricerca dell'impero
+ */
+export function updateResearchScreen(labs) {
+    if (!researchContent || !player) return;
+    
+    const state = player.research;
+    const current = state.current && getResearchNode(researchTree, state.current.id);
+    const progress = Math.round(getResearchProgress(researchTree, state) * 100);
+    
+    const nodes = getResearchNodes(researchTree, player.race).map(node => {
+        let status;
+        if (state.completed.includes(node.id)) {
+            status = '<span class="research-done">Completata</span>';
+        } else if (state.current?.id === node.id) {
+            status = `<span class="research-active">In corso - ${progress}%</span>`;
+        } else {
+            const check = canStartResearch(researchTree, state, node.id, { race: player.race, labs });
+            const affordable = player.canAfford(node.cost);
+            status = `
+                <button class="action-btn" data-action="research" data-node="${node.id}"
+                    ${check.success && affordable ? '' : 'disabled'} title="${check.message}">RICERCA</button>`;
+        }
+        const requires = node.requires.map(required => getResearchNode(researchTree, required).name).join(', ');
+        return `
+            <div class="research-item${state.completed.includes(node.id) ? ' completed' : ''}">
+                <h4>${node.name}</h4>
+                <p>${node.description}</p>
+                ${requires ? `<p>Richiede: ${requires}</p>` : ''}
+                <p>Costo: ${formatResources(node.cost)} · ${node.time}s</p>
+                ${status}
+            </div>`;
+    }).join('');
+    
+    const summary = labs === 0
+        ? '<p class="ledger-empty">Costruisci un laboratorio di ricerca per avviare le ricerche</p>'
+        : `<p>Laboratori: ${labs} (velocità x${labs})</p>`;
+    const active = current
+        ? `
+            <p>${current.name} - ${progress}% (${Math.ceil(state.current.remaining / Math.max(1, labs))}s)</p>
+            <div class="construction-progress"><div style="width: ${progress}%"></div></div>`
+        : '<p class="ledger-empty">Nessuna ricerca in corso</p>';
+    
+    researchContent.innerHTML = `
+        ${summary}
+        <h4>Ricerca in corso</h4>
+        ${active}
+        <div class="research-tree">${nodes}</div>`;
+}
+
+/**
+ * Apre l'albero dei talenti
+ */
+export function openSkillsScreen() {
+    if (!skillsScreen || !player) return;
+    
+    closeUpgradesScreen();
+    closeLegendScreen();
+    closeSavesScreen();
+    closeBuildingsScreen();
+    closeResearchScreen();
+    updateSkillsScreen();
+    skillsScreen.classList.remove('hidden');
+}
+
+/**
+ * Chiude l'albero dei talenti
+ */
+export function closeSkillsScreen() {
+    if (!skillsScreen) return;
+    skillsScreen.classList.add('hidden');
+}
+
+/**
+ * Aggiorna l'albero dei talenti: livello, punti disponibili e una colonna per ramo
+ */
+export function updateSkillsScreen() {
+    if (!skillsContent || !player) return;
+    
+    const state = player.skills;
+    const tree = getSkillTree(player.race);
+    
+    const branches = Object.entries(SKILL_BRANCH_LABELS).map(([branch, label]) => {
+        const nodes = tree.filter(node => node.branch === branch).map(node => {
+            const rank = state.ranks[node.id] || 0;
+            const check = canLearnSkill(player.race, state, node.id);
+            const requires = node.requires.map(required => getSkillNode(player.race, required).name).join(', ');
+            return `
+                <div class="skill-item${rank > 0 ? ' learned' : ''}${node.ability ? ' active' : ''}">
+                    <h4>${node.name}</h4>
+                    <p>${node.description}</p>
+                    ${requires ? `<p>Richiede: ${requires}</p>` : ''}
+                    <p>Grado: ${rank} / ${node.maxRank} · Costo: ${node.cost} pt</p>
+                    ${rank < node.maxRank ? `
+                        <button class="action-btn" data-action="learn" data-node="${node.id}"
+                            ${check.success ? '' : 'disabled'} title="${check.message}">IMPARA</button>` : ''}
+                </div>`;
+        }).join('');
+        return `
+            <div class="skill-branch">
+                <h3>${label}</h3>
+                ${nodes}
+            </div>`;
+    }).join('');
+    
+    const spent = getSpentPoints(player.race, state);
+    skillsContent.innerHTML = `
+        <p>Livello ${player.level} · Esperienza ${player.expPoints} / ${player.nextLevelExp}</p>
+        <p>Punti talento: <strong>${state.points}</strong> (spesi: ${spent})</p>
+        <div class="skill-tree">${branches}</div>
+        <button class="action-btn" data-action="respec"
+            ${spent > 0 && player.canAfford(SKILLS.RESPEC_COST) ? '' : 'disabled'}>
+            RIDISTRIBUISCI (${formatResources(SKILLS.RESPEC_COST)})
+        </button>`;
+}
+
+/**
+ * Chiude la schermata dei salvataggi
+ */
+export function closeSavesScreen() {
+    if (!savesScreen) return;
+    savesScreen.classList.add('hidden');
+}
+
+/**
+ * Aggiorna l'elenco degli slot di salvataggio
+ * @param {Array} saves - Slot restituiti da listSaves()
+ */
+export function updateSavesScreen(saves) {
+    if (!saveSlotsContainer) return;
+    
+    saveSlotsContainer.innerHTML = '';
+    
+    saves.forEach(save => {
+        const isAutosave = save.slot === 'autosave';
+        const slotElement = document.createElement('div');
+        slotElement.className = 'save-slot';
+        slotElement.setAttribute('data-slot', save.slot);
+        
+        const title = document.createElement('h4');
+        title.textContent = isAutosave ? 'Salvataggio automatico' : `Slot ${save.slot.replace('slot-', '')}`;
+        slotElement.appendChild(title);
+        
+        const details = document.createElement('p');
+        if (save.empty) {
+            details.textContent = 'Vuoto';
+        } else {
+            const { race, level, planetsConquered, seed } = save.summary || {};
+            details.textContent = `${race} - Livello ${level} - ${planetsConquered} pianeti - Seed ${seed}`;
+        }
+        slotElement.appendChild(details);
+        
+        if (!save.empty) {
+            const date = document.createElement('p');
+            date.textContent = new Date(save.savedAt).toLocaleString();
+            slotElement.appendChild(date);
+        }
+        
+        const actions = document.createElement('div');
+        actions.className = 'save-actions';
+        actions.innerHTML = `
+            ${isAutosave || !player ? '' : '<button class="action-btn" data-action="save">SALVA</button>'}
+            ${save.empty ? '' : '<button class="action-btn" data-action="load">CARICA</button>'}
+            ${save.empty ? '' : '<button class="action-btn" data-action="delete">ELIMINA</button>'}
+        `;
+        slotElement.appendChild(actions);
+        
+        saveSlotsContainer.appendChild(slotElement);
+    });
+}
+
 /**
  * Apre la schermata della legenda
  */
@@ -413,43 +1266,75 @@ export function closeMap() {
  * Mostra l'inventario del giocatore
  */
 export function showInventory() {
-    const inventoryScreen = document.getElementById(UI_ELEMENTS.INVENTORY_SCREEN);
-    if (inventoryScreen && player) {
-        inventoryScreen.classList.remove('hidden');
-        
-        // Aggiorna lista oggetti
-        const itemsList = document.getElementById(UI_ELEMENTS.INVENTORY_ITEMS);
-        itemsList.innerHTML = '';
-        
-        player.inventory.forEach(item => {
-            const itemElement = document.createElement('div');
-            itemElement.className = `inventory-item ${item.equipped ? 'equipped' : ''}`;
-            itemElement.innerHTML = `
-                <img src="public/textures/items/${item.icon}" alt="${item.name}">
-                <div class="item-info">
-                    <h3>${item.name}</h3>
-                    <p>${item.description}</p>
-                </div>
-                <div class="item-actions">
-                    ${item.equippable ? 
-                        `<button onclick="equipItem('${item.id}')">${item.equipped ? 'Unequip' : 'Equip'}</button>` : 
-                        `<button onclick="useItem('${item.id}')">Use</button>`
-                    }
-                </div>
-            `;
-            itemsList.appendChild(itemElement);
-        });
-    }
+    if (!inventoryScreen || !player) return;
+    
+    closeUpgradesScreen();
+    closeLegendScreen();
+    closeSavesScreen();
+    closeBuildingsScreen();
+    closeResearchScreen();
+    closeSkillsScreen();
+    updateInventoryScreen();
+    inventoryScreen.classList.remove('hidden');
 }
 
 /**
  * Chiude l'inventario
  */
 export function closeInventory() {
-    const inventoryScreen = document.getElementById(UI_ELEMENTS.INVENTORY_SCREEN);
-    if (inventoryScreen) {
-        inventoryScreen.classList.add('hidden');
+    if (!inventoryScreen) return;
+    inventoryScreen.classList.add('hidden');
+}
+
+/**
+ * Aggiorna l'inventario: slot dell'equipaggiamento e oggetti posseduti
+ */
+export function updateInventoryScreen() {
+    if (!inventoryItems || !player) return;
+    
+    const equipped = player.inventory.filter(item => item.equipped);
+    inventoryEquipment.innerHTML = Object.entries(EQUIPMENT_SLOT_LABELS).map(([slot, label]) => {
+        const item = equipped.find(i => getItemDefinition(i.type).slot === slot);
+        const definition = item && getItemDefinition(item.type);
+        return `
+            <div class="equipment-slot${item ? ' filled' : ''}">
+                <span class="equipment-label">${label}</span>
+                <span>${definition ? `${definition.icon} ${definition.name}` : '—'}</span>
+            </div>`;
+    }).join('');
+    
+    if (player.inventory.length === 0) {
+        inventoryItems.innerHTML = '<p class="ledger-empty">Inventario vuoto: sconfiggi i nemici per trovare oggetti</p>';
+        return;
     }
+    
+    const items = player.inventory.map(item => {
+        const definition = getItemDefinition(item.type);
+        let action;
+        if (definition.category === ITEM_CATEGORIES.EQUIPMENT) {
+            action = item.equipped
+                ? `<button class="action-btn" data-action="unequip" data-item="${escapeHtml(item.id)}">TOGLI</button>`
+                : `<button class="action-btn" data-action="equip" data-item="${escapeHtml(item.id)}">EQUIPAGGIA</button>`;
+        } else {
+            action = `<button class="action-btn" data-action="use" data-item="${escapeHtml(item.id)}">USA</button>`;
+        }
+        return `
+            <div class="inventory-item${item.equipped ? ' equipped' : ''}">
+                <span class="item-icon">${definition.icon}</span>
+                <div class="item-info">
+                    <h4>${definition.name}${item.quantity > 1 ? ` x${item.quantity}` : ''}</h4>
+                    <p>${definition.description}</p>
+                </div>
+                <div class="item-actions">
+                    ${action}
+                    <button class="action-btn" data-action="discard" data-item="${escapeHtml(item.id)}">GETTA</button>
+                </div>
+            </div>`;
+    }).join('');
+    
+    inventoryItems.innerHTML = `
+        <p>Posti: ${player.inventory.length} / ${LOOT.INVENTORY_SIZE}</p>
+        ${items}`;
 }
 
 /**
@@ -470,4 +1355,14 @@ export function closePauseMenu() {
     if (pauseMenu) {
         pauseMenu.classList.add('hidden');
     }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Protegge un testo che può venire da un salvataggio importato (nomi, id) prima di inserirlo in innerHTML
+ * @param {*} text - Testo da mostrare
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    const replacements = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, char => replacements[char]);
+}
@@ -1,4 +1,11 @@
 import * as THREE from 'three';
+import { SeededRandom, randomSeed } from './random.js';
+import { createGalaxyLayout } from './space/galaxyLayouts.js';
+import { buildHyperlanes, findRoute } from './space/hyperlanes.js';
+import { MarkovNameGenerator, NAME_SETS, catalogueLetter } from './space/nameGenerator.js';
+import { STAR_CLASSES, getStarLuminosity, getHabitableZone, classifyOrbit, pickPlanetType } from './space/stellarClasses.js';
+import { createResources, RESOURCE_LABELS } from './economy.js';
+import { GALAXY, GALAXY_LAYOUTS, BODY_TYPES, STATION_ALLEGIANCE, RESOURCE_TYPES, LOYALTY } from './constants.js';
 
 /**
  * Classe per la generazione procedurale di pianeti e sistemi stellari
@@ -7,90 +14,158 @@ export class UniverseGenerator {
     constructor() {
         this.planets = [];
         this.systems = [];
-        this.seed = Math.random() * 10000;
+        this.bodies = []; // Lune, fasce di asteroidi e stazioni spaziali
+        this.seed = randomSeed();
+        this.rng = new SeededRandom(this.seed);
+        this.generationOptions = null;
+        this.baseline = null; // Campi dell'universo appena generato, serializzati (vedi getSaveData)
+        this.orbitTime = 0; // Tempo trascorso sulle orbite dalla generazione (vedi updatePlanetPositions)
+        
+        // Un generatore di nomi per ogni insieme culturale, addestrato una volta sola
+        this.nameGenerators = {};
+        Object.entries(NAME_SETS).forEach(([nameSet, names]) => {
+            this.nameGenerators[nameSet] = new MarkovNameGenerator(names);
+        });
+        this.usedNames = new Set();
     }
     
     /**
      * Genera un universo proceduralmente
      * @param {number} numSystems - Numero di sistemi stellari da generare
      * @param {number} planetsPerSystem - Numero di pianeti per sistema
+     * @param {Object} options - Opzioni di generazione
+     * @param {number|string} [options.seed] - Seme dell'universo; senza seme ne viene creato uno casuale
+     * @param {string} [options.layout] - Forma della galassia (vedi GALAXY_LAYOUTS)
+     * @param {number} [options.density] - Densità della galassia (1 = normale)
+     * @param {number} [options.minSeparation] - Distanza minima tra due sistemi stellari
      */
-    generateUniverse(numSystems = 10, planetsPerSystem = 5) {
+    generateUniverse(numSystems = 10, planetsPerSystem = 5, options = {}) {
         // Reset completo degli array di sistemi e pianeti per evitare duplicazioni
         this.systems = [];
         this.planets = [];
+        this.bodies = [];
+        this.usedNames = new Set();
+        this.orbitTime = 0;
         
         // Limita il numero di sistemi a un valore ragionevole
-        numSystems = Math.min(numSystems, 100);
-        planetsPerSystem = Math.min(planetsPerSystem, 10);
+        numSystems = Math.min(numSystems, GALAXY.MAX_SYSTEMS);
+        planetsPerSystem = Math.min(planetsPerSystem, GALAXY.MAX_PLANETS_PER_SYSTEM);
         
-        console.log(`Generating universe with ${numSystems} systems and ${planetsPerSystem} planets per system`);
+        // Lo stesso seme genera sempre gli stessi sistemi, pianeti e nomi
+        this.seed = options.seed ?? randomSeed();
+        this.rng = new SeededRandom(this.seed);
         
-        // Crea un seme casuale per la generazione
-        this.seed = Math.random() * 10000;
+        const layout = Object.values(GALAXY_LAYOUTS).includes(options.layout) ? options.layout : GALAXY.DEFAULT_LAYOUT;
+        const density = THREE.MathUtils.clamp(options.density || GALAXY.DEFAULT_DENSITY, GALAXY.MIN_DENSITY, GALAXY.MAX_DENSITY);
+        const minSeparation = options.minSeparation ?? GALAXY.MIN_SEPARATION;
+        
+        // Parametri necessari a rigenerare esattamente questo universo (usati dai salvataggi)
+        this.generationOptions = { numSystems, planetsPerSystem, ...options, seed: this.seed, layout, density, minSeparation };
+        
+        console.log(`Generating ${layout} universe with ${numSystems} systems and ${planetsPerSystem} planets per system (seed: ${this.seed})`);
+        
+        const nextPosition = createGalaxyLayout(layout, this.rng, {
+            count: numSystems,
+            density: density,
+            arms: options.arms,
+            clusters: options.clusters
+        });
         
         // Genera i sistemi stellari
         for (let i = 0; i < numSystems; i++) {
-            const system = this.generateStarSystem(i, planetsPerSystem);
+            const position = this.placeSystem(i, nextPosition, minSeparation);
+            const system = this.generateStarSystem(i, planetsPerSystem, position);
             this.systems.push(system);
             this.planets = this.planets.concat(system.planets);
         }
         
-        console.log(`Universe created: ${this.systems.length} systems, ${this.planets.length} planets`);
+        // Collega i sistemi con la rete di iperrotte
+        buildHyperlanes(this.systems);
+        
+        // Corpi minori: usano una sequenza separata, così non alterano sistemi e pianeti di un seme
+        this.bodyRng = new SeededRandom(`${this.seed}:bodies`);
+        this.systems.forEach(system => {
+            this.bodies = this.bodies.concat(this.generateSystemBodies(system));
+        });
+        
+        console.log(`Universe created: ${this.systems.length} systems, ${this.planets.length} planets, ${this.bodies.length} minor bodies`);
+        
+        // Stato di partenza con cui getSaveData confronta l'universo, senza doverlo rigenerare a ogni salvataggio
+        this.baseline = {
+            systems: captureBaseline(this.systems, SYSTEM_SKIP_KEYS),
+            planets: captureBaseline(this.planets),
+            bodies: captureBaseline(this.bodies)
+        };
         
         return {
+            seed: this.seed,
             systems: this.systems,
-            planets: this.planets
+            planets: this.planets,
+            bodies: this.bodies
         };
     }
     
+    /**
+     * Sceglie la posizione di un sistema rispettando la distanza minima dagli altri
+     * Se dopo PLACEMENT_ATTEMPTS tentativi non c'è spazio, usa il candidato più isolato
+     * @param {number} index - Indice del sistema
+     * @param {Function} nextPosition - Generatore di posizioni del layout
+     * @param {number} minSeparation - Distanza minima tra sistemi
+     * @returns {THREE.Vector3} Posizione del sistema
+     */
+    placeSystem(index, nextPosition, minSeparation) {
+        let best = null;
+        let bestDistance = -Infinity;
+        
+        for (let attempt = 0; attempt < GALAXY.PLACEMENT_ATTEMPTS; attempt++) {
+            const { x, y, z } = nextPosition(index);
+            const candidate = new THREE.Vector3(x, y, z);
+            
+            const nearest = this.systems.reduce(
+                (min, system) => Math.min(min, system.position.distanceTo(candidate)),
+                Infinity
+            );
+            if (nearest >= minSeparation) return candidate;
+            
+            if (nearest > bestDistance) {
+                best = candidate;
+                bestDistance = nearest;
+            }
+        }
+        
+        console.warn(`System ${index}: no room for minimum separation ${minSeparation}, nearest system at ${bestDistance.toFixed(0)}`);
+        return best;
+    }
+    
     /**
      * Genera un sistema stellare con pianeti
      * @param {number} index - Indice del sistema
      * @param {number} numPlanets - Numero di pianeti da generare nel sistema
+     * @param {THREE.Vector3} position - Posizione del sistema nella galassia
      */
-    generateStarSystem(index, numPlanets) {
-        // Posizione del sistema stellare nell'universo (distribuzione sferica)
-        const radius = 1000 + (index * 500);
-        const theta = Math.random() * Math.PI * 2;
-        
-        // Modifica per distribuzione più uniforme
-        // Utilizziamo una distribuzione uniforme sull'angolo verticale per evitare la formazione 
-        // di linee o pattern riconoscibili di sistemi stellari
-        const phi = Math.random() * Math.PI; // Distribuzione uniforme invece di Math.acos(2 * Math.random() - 1)
-        
-        const x = radius * Math.sin(phi) * Math.cos(theta);
-        const y = radius * Math.sin(phi) * Math.sin(theta) * 0.5; // Schiacciato sull'asse y per un universo più a forma di disco
-        const z = radius * Math.cos(phi);
-        
-        // Genera tipo di stella casuale
-        const starTypes = ['yellow', 'blue', 'red', 'white', 'orange'];
-        const starType = starTypes[Math.floor(Math.random() * starTypes.length)];
-        
-        // Colore stella in base al tipo
-        let starColor;
-        switch (starType) {
-            case 'yellow': starColor = 0xffdf00; break;
-            case 'blue': starColor = 0x0066ff; break;
-            case 'red': starColor = 0xff3300; break;
-            case 'white': starColor = 0xffffff; break;
-            case 'orange': starColor = 0xff8c00; break;
-        }
+    generateStarSystem(index, numPlanets, position) {
+        // Genera tipo di stella casuale (il colore dipende dalla classe)
+        const starType = this.rng.pick(Object.keys(STAR_CLASSES));
+        const starColor = STAR_CLASSES[starType].color;
         
-        // Genera nome sistema
-        const systemName = this.generateName('system');
+        // Genera nome sistema (lo stile dipende dal tipo di stella)
+        const systemName = this.generateName(starType);
         
         // Crea oggetto sistema
         const system = {
             id: `system-${index}`,
             name: systemName,
-            position: new THREE.Vector3(x, y, z),
+            position: position,
             starType: starType,
             starColor: starColor,
-            starSize: 1 + Math.random() * 2, // Dimensione stella tra 1 e 3
+            starSize: 1 + this.rng.next() * 2, // Dimensione stella tra 1 e 3
             planets: []
         };
         
+        // Classe e dimensione della stella determinano luminosità e zona abitabile
+        system.luminosity = getStarLuminosity(system);
+        system.habitableZone = getHabitableZone(system);
+        
         // Genera pianeti per questo sistema
         for (let i = 0; i < numPlanets; i++) {
             const planet = this.generatePlanet(system, i);
@@ -107,10 +182,10 @@ export class UniverseGenerator {
      */
     generatePlanet(system, index) {
         // Distanza dal centro del sistema (stella)
-        const orbitRadius = 20 + (index * 15) + (Math.random() * 10);
+        const orbitRadius = 20 + (index * 15) + (this.rng.next() * 10);
         
         // Posizione in orbita
-        const orbitAngle = Math.random() * Math.PI * 2;
+        const orbitAngle = this.rng.next() * Math.PI * 2;
         const x = Math.cos(orbitAngle) * orbitRadius;
         const z = Math.sin(orbitAngle) * orbitRadius;
         
@@ -121,9 +196,10 @@ export class UniverseGenerator {
             system.position.z + z
         );
         
-        // Tipo pianeta - determina l'aspetto e le caratteristiche
-        const planetTypes = ['rocky', 'gas', 'desert', 'ice', 'lava', 'ocean', 'forest'];
-        const planetType = planetTypes[Math.floor(Math.random() * planetTypes.length)];
+        // Tipo pianeta - dipende dalla distanza rispetto alla zona abitabile della stella
+        const { zone, habitability } = classifyOrbit(system, orbitRadius);
+        const planetType = pickPlanetType(zone, this.rng);
+        const starClass = STAR_CLASSES[system.starType];
         
         // Colore base pianeta in base al tipo
         let planetColor;
@@ -138,21 +214,27 @@ export class UniverseGenerator {
         }
         
         // Dimensione pianeta
-        const planetSize = 1 + Math.random() * 4; // Dimensione tra 1 e 5
+        const planetSize = 1 + this.rng.next() * 4; // Dimensione tra 1 e 5
         
-        // Genera nome pianeta
-        const planetName = this.generateName('planet');
+        // Nome di catalogo: nome del sistema seguito dalla lettera del pianeta
+        const planetName = `${system.name} ${catalogueLetter(index)}`;
         
         // Genera forza difensiva (più alta = più difficile da conquistare)
+        // Le stelle più luminose e i mondi abitabili hanno difese più forti
         const baseDefense = 10 + (index * 5); // I pianeti più lontani sono più difficili
-        const defenseVariation = Math.floor(Math.random() * 20) - 10; // +/- 10 punti random
-        const defense = Math.max(5, baseDefense + defenseVariation);
-        
-        // Risorse ottenibili conquistando questo pianeta
-        const resources = Math.floor((defense * 1.5) + (Math.random() * 50));
+        const defenseVariation = this.rng.int(0, 20) - 10; // +/- 10 punti random
+        const defense = Math.max(5, Math.round(
+            (baseDefense + defenseVariation) * starClass.defenseMultiplier * (1 + habitability * 0.5)
+        ));
+        
+        // Risorse ottenibili conquistando questo pianeta (i mondi abitabili rendono di più)
+        const resources = Math.floor(
+            ((defense * 1.5) + (this.rng.next() * 50)) * starClass.resourceMultiplier * (1 + habitability)
+        );
         
         return {
             id: `planet-${system.id}-${index}`,
+            bodyType: BODY_TYPES.PLANET,
             name: planetName,
             systemId: system.id,
             systemName: system.name,
@@ -160,44 +242,324 @@ export class UniverseGenerator {
             localPosition: new THREE.Vector3(x, 0, z),
             orbitRadius: orbitRadius,
             orbitAngle: orbitAngle,
-            orbitSpeed: 0.001 + (Math.random() * 0.002), // Velocità rotazione sull'orbita
+            orbitSpeed: 0.001 + (this.rng.next() * 0.002), // Velocità rotazione sull'orbita
             type: planetType,
+            zone: zone,
+            habitability: habitability,
             color: planetColor,
             size: planetSize,
             defense: defense,
             resources: resources,
             isConquered: false,
-            conqueredBy: null
+            conqueredBy: null,
+            garrison: 0,
+            loyalty: LOYALTY.MAX,
+            buildings: [],
+            constructionQueue: []
         };
     }
     
     /**
-     * Genera un nome casuale per un pianeta o sistema
-     * @param {string} type - 'planet' o 'system'
+     * Genera i corpi minori di un sistema: lune dei pianeti, fascia di asteroidi e stazione spaziale
+     * @param {Object} system - Sistema stellare con pianeti e iperrotte
+     * @returns {Array} Corpi generati
      */
-    generateName(type) {
-        const prefixes = ['Al', 'Bel', 'Cas', 'Dor', 'El', 'Far', 'Gal', 'Hy', 'Ix', 'Jor', 'Kro', 'Ly', 'Mal', 'Neb', 'Ob', 'Phor', 'Qu', 'Ry', 'Sig', 'Tau', 'Ul', 'Vex', 'War', 'Xer', 'Yil', 'Zet'];
-        const suffixes = ['ack', 'bos', 'cor', 'dex', 'eon', 'far', 'gon', 'hara', 'ius', 'jan', 'kos', 'lar', 'mon', 'nor', 'ovis', 'pax', 'qua', 'ron', 'son', 'tor', 'ulon', 'vex', 'wor', 'xus', 'yar', 'zon'];
+    generateSystemBodies(system) {
+        const bodies = [];
         
-        let name = '';
+        system.planets.forEach(planet => {
+            bodies.push(...this.generateMoons(planet));
+        });
         
-        if (type === 'system') {
-            const systemExtras = [' Prime', ' Major', ' Minor', ' Alpha', ' Beta', ' Gamma', ' System', ' Sector', ' Cluster', ''];
-            name = prefixes[Math.floor(Math.random() * prefixes.length)] + 
-                   suffixes[Math.floor(Math.random() * suffixes.length)] +
-                   systemExtras[Math.floor(Math.random() * systemExtras.length)];
-        } else {
-            const planetExtras = ['-' + Math.floor(Math.random() * 10), 
-                                  '-' + String.fromCharCode(65 + Math.floor(Math.random() * 26)), 
-                                  ' Prime', '', ''];
-            name = prefixes[Math.floor(Math.random() * prefixes.length)] + 
-                   suffixes[Math.floor(Math.random() * suffixes.length)] +
-                   planetExtras[Math.floor(Math.random() * planetExtras.length)];
+        if (this.bodyRng.next() < 0.5) {
+            bodies.push(this.generateAsteroidBelt(system));
+        }
+        
+        // Le stazioni sorgono più spesso sui colli di bottiglia, dove sono anche più spesso ostili
+        if (this.bodyRng.next() < (system.isChokepoint ? 0.65 : 0.35)) {
+            bodies.push(this.generateStation(system));
+        }
+        
+        return bodies;
+    }
+    
+    /**
+     * Genera le lune di un pianeta (i giganti gassosi ne hanno di più, i mondi di lava nessuna)
+     * @param {Object} planet - Pianeta madre
+     * @returns {Array} Lune generate
+     */
+    generateMoons(planet) {
+        const maxMoons = { gas: 3, lava: 0 }[planet.type] ?? 1;
+        const count = this.bodyRng.int(0, maxMoons + 1);
+        const numerals = ['I', 'II', 'III', 'IV'];
+        const isCold = ['cold', 'outer'].includes(planet.zone);
+        const moons = [];
+        
+        for (let i = 0; i < count; i++) {
+            const orbitRadius = planet.size * 1.5 + 1 + i * 1.2 + this.bodyRng.next() * 0.5;
+            const orbitAngle = this.bodyRng.next() * Math.PI * 2;
+            const localPosition = new THREE.Vector3(
+                Math.cos(orbitAngle) * orbitRadius,
+                (this.bodyRng.next() - 0.5) * planet.size * 0.5,
+                Math.sin(orbitAngle) * orbitRadius
+            );
+            const type = isCold ? 'ice' : 'rocky';
+            
+            moons.push({
+                id: `moon-${planet.id}-${i}`,
+                bodyType: BODY_TYPES.MOON,
+                name: `${planet.name} ${numerals[i]}`,
+                parentId: planet.id,
+                systemId: planet.systemId,
+                systemName: planet.systemName,
+                position: planet.position.clone().add(localPosition),
+                localPosition: localPosition,
+                orbitRadius: orbitRadius,
+                orbitAngle: orbitAngle,
+                type: type,
+                zone: planet.zone,
+                habitability: planet.habitability * 0.5,
+                color: type === 'ice' ? 0xdde8f0 : 0x9a8f86,
+                size: Math.max(0.3, planet.size * (0.2 + this.bodyRng.next() * 0.25)),
+                defense: Math.max(3, Math.round(planet.defense * (0.3 + this.bodyRng.next() * 0.3))),
+                resources: Math.floor(planet.resources * (0.2 + this.bodyRng.next() * 0.2)),
+                isConquered: false,
+                conqueredBy: null,
+                garrison: 0,
+                loyalty: LOYALTY.MAX,
+                buildings: [],
+                constructionQueue: []
+            });
         }
         
+        return moons;
+    }
+    
+    /**
+     * Genera una fascia di asteroidi nello spazio libero più vicino alla linea del gelo
+     * @param {Object} system - Sistema stellare
+     * @returns {Object} Fascia di asteroidi (estraibile, non conquistabile)
+     */
+    generateAsteroidBelt(system) {
+        const orbits = system.planets.map(planet => planet.orbitRadius).sort((a, b) => a - b);
+        const lastOrbit = orbits[orbits.length - 1] || 20;
+        
+        // Spazi tra le orbite dei pianeti, più quello oltre l'ultimo pianeta
+        const gaps = orbits.slice(1).map((orbit, i) => ({
+            radius: (orbit + orbits[i]) / 2,
+            width: Math.min(8, (orbit - orbits[i]) * 0.5)
+        }));
+        gaps.push({ radius: lastOrbit + 12, width: 8 });
+        
+        const frostLine = system.habitableZone.frostLine;
+        const gap = gaps.reduce((best, candidate) =>
+            Math.abs(candidate.radius - frostLine) < Math.abs(best.radius - frostLine) ? candidate : best
+        );
+        const { zone } = classifyOrbit(system, gap.radius);
+        const resources = Math.floor((200 + this.bodyRng.next() * 300) * STAR_CLASSES[system.starType].resourceMultiplier);
+        
+        return {
+            id: `belt-${system.id}`,
+            bodyType: BODY_TYPES.ASTEROID_BELT,
+            name: `Fascia di ${system.name}`,
+            systemId: system.id,
+            systemName: system.name,
+            position: system.position.clone(),
+            orbitRadius: gap.radius,
+            width: gap.width,
+            asteroidCount: this.bodyRng.int(120, 300),
+            composition: gap.radius > frostLine ? 'ice' : 'metal',
+            zone: zone,
+            habitability: 0,
+            resources: resources,
+            remainingResources: resources
+        };
+    }
+    
+    /**
+     * Genera una stazione spaziale neutrale o ostile ai margini del sistema
+     * @param {Object} system - Sistema stellare
+     * @returns {Object} Stazione spaziale (conquistabile)
+     */
+    generateStation(system) {
+        const hostile = this.bodyRng.next() < (system.isChokepoint ? 0.7 : 0.4);
+        const lastOrbit = Math.max(20, ...system.planets.map(planet => planet.orbitRadius));
+        const orbitRadius = lastOrbit + 20;
+        const orbitAngle = this.bodyRng.next() * Math.PI * 2;
+        const localPosition = new THREE.Vector3(Math.cos(orbitAngle) * orbitRadius, 5, Math.sin(orbitAngle) * orbitRadius);
+        const starClass = STAR_CLASSES[system.starType];
+        const kinds = hostile ? ['Fortezza', 'Avamposto'] : ['Stazione', 'Cantiere', 'Piattaforma'];
+        const baseName = system.name.split(' ')[0];
+        const { zone } = classifyOrbit(system, orbitRadius);
+        
+        const defense = hostile ? 40 + this.bodyRng.next() * 40 : 15 + this.bodyRng.next() * 15;
+        const resources = hostile ? 150 + this.bodyRng.next() * 150 : 80 + this.bodyRng.next() * 80;
+        
+        return {
+            id: `station-${system.id}`,
+            bodyType: BODY_TYPES.STATION,
+            name: `${this.bodyRng.pick(kinds)} ${baseName}-${this.bodyRng.int(100, 1000)}`,
+            systemId: system.id,
+            systemName: system.name,
+            position: system.position.clone().add(localPosition),
+            localPosition: localPosition,
+            orbitRadius: orbitRadius,
+            orbitAngle: orbitAngle,
+            allegiance: hostile ? STATION_ALLEGIANCE.HOSTILE : STATION_ALLEGIANCE.NEUTRAL,
+            zone: zone,
+            habitability: 0,
+            size: 2,
+            defense: Math.round(defense * starClass.defenseMultiplier),
+            resources: Math.floor(resources * starClass.resourceMultiplier),
+            isConquered: false,
+            conqueredBy: null,
+            garrison: 0,
+            loyalty: LOYALTY.MAX,
+            buildings: [],
+            constructionQueue: []
+        };
+    }
+    
+    /**
+     * Genera un nome unico nell'universo
+     * @param {string} nameSet - Insieme di nomi da imitare (chiave di NAME_SETS, es. il tipo di stella)
+     * @returns {string} Nome mai usato prima in questo universo
+     */
+    generateName(nameSet) {
+        const generator = this.nameGenerators[nameSet] || this.nameGenerators.yellow;
+        
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const name = generator.generate(this.rng);
+            if (name && !this.usedNames.has(name)) {
+                this.usedNames.add(name);
+                return name;
+            }
+        }
+        
+        // Insieme quasi esaurito: aggiunge un numero progressivo a un nome già esistente
+        const base = generator.generate(this.rng) || 'Nova';
+        let counter = 2;
+        while (this.usedNames.has(`${base} ${counter}`)) counter++;
+        const name = `${base} ${counter}`;
+        this.usedNames.add(name);
         return name;
     }
     
+    /**
+     * Restituisce i dati di salvataggio dell'universo
+     * Dato che la generazione è deterministica, si salvano solo i parametri di generazione
+     * e le differenze di ogni sistema e pianeta rispetto all'universo appena generato (this.baseline).
+     * Le posizioni sulle orbite dipendono solo dal tempo trascorso: si salva orbitTime e non i singoli pianeti
+     * @returns {Object} Dati serializzabili in JSON
+     */
+    getSaveData() {
+        const planetChanges = {};
+        this.planets.forEach(planet => {
+            const changes = diffFields(planet, this.baseline.planets.get(planet.id), PLANET_ORBIT_KEYS);
+            if (changes) planetChanges[planet.id] = changes;
+        });
+        
+        const systemChanges = {};
+        this.systems.forEach(system => {
+            const changes = diffFields(system, this.baseline.systems.get(system.id), SYSTEM_SKIP_KEYS);
+            if (changes) systemChanges[system.id] = changes;
+        });
+        
+        const bodyChanges = {};
+        this.bodies.forEach(body => {
+            const changes = diffFields(body, this.baseline.bodies.get(body.id));
+            if (changes) bodyChanges[body.id] = changes;
+        });
+        
+        return {
+            ...this.generationOptions,
+            orbitTime: this.orbitTime,
+            systemChanges,
+            planetChanges,
+            bodyChanges
+        };
+    }
+    
+    /**
+     * Restituisce una copia completa di sistemi e pianeti, oltre ai parametri di generazione
+     * Usata per i file esportati, che devono essere leggibili anche senza rigenerare l'universo
+     * @returns {Object} Dati serializzabili in JSON (i THREE.Vector3 diventano { x, y, z })
+     */
+    getSnapshot() {
+        return {
+            ...this.generationOptions,
+            orbitTime: this.orbitTime,
+            systems: this.systems.map(({ planets, ...system }) => ({
+                ...toPlainFields(system),
+                planetIds: planets.map(planet => planet.id)
+            })),
+            planets: this.planets.map(planet => toPlainFields(planet)),
+            bodies: this.bodies.map(body => toPlainFields(body))
+        };
+    }
+    
+    /**
+     * Ricostruisce l'universo da un salvataggio: rigenera dal seme, riporta i pianeti sulle orbite e riapplica le differenze
+     * Se i dati contengono una copia completa (getSnapshot), sistemi e pianeti vengono sovrascritti con quella
+     * @param {Object} data - Dati prodotti da getSaveData() o getSnapshot()
+     * @returns {Object} Sistemi e pianeti ricostruiti, come generateUniverse()
+     */
+    loadSaveData(data) {
+        const {
+            numSystems, planetsPerSystem, orbitTime = 0, systemChanges = {}, planetChanges = {}, bodyChanges = {},
+            systems, planets, bodies, ...options
+        } = data;
+        const universe = this.generateUniverse(numSystems, planetsPerSystem, options);
+        if (orbitTime) this.updatePlanetPositions(orbitTime);
+        
+        const savedSystems = new Map((systems || []).map(system => [system.id, system]));
+        const savedPlanets = new Map((planets || []).map(planet => [planet.id, planet]));
+        const savedBodies = new Map((bodies || []).map(body => [body.id, body]));
+        
+        this.systems.forEach(system => {
+            if (savedSystems.has(system.id)) applyFields(system, savedSystems.get(system.id), ['planetIds']);
+            if (systemChanges[system.id]) applyFields(system, systemChanges[system.id]);
+        });
+        this.planets.forEach(planet => {
+            if (savedPlanets.has(planet.id)) applyFields(planet, savedPlanets.get(planet.id));
+            if (planetChanges[planet.id]) applyFields(planet, planetChanges[planet.id]);
+        });
+        this.bodies.forEach(body => {
+            if (savedBodies.has(body.id)) applyFields(body, savedBodies.get(body.id));
+            if (bodyChanges[body.id]) applyFields(body, bodyChanges[body.id]);
+        });
+        
+        return universe;
+    }
+    
+    /**
+     * Restituisce un sistema dato il suo id
+     * @param {string} systemId - Id del sistema
+     */
+    getSystemById(systemId) {
+        return this.systems.find(system => system.id === systemId) || null;
+    }
+    
+    /**
+     * Restituisce i sistemi collegati direttamente da un'iperrotta
+     * @param {Object} system - Sistema di partenza
+     */
+    getNeighborSystems(system) {
+        return (system.hyperlanes || []).map(id => this.getSystemById(id)).filter(Boolean);
+    }
+    
+    /**
+     * Calcola la rotta più breve tra due sistemi lungo le iperrotte
+     * @param {Object|string} from - Sistema (o id) di partenza
+     * @param {Object|string} to - Sistema (o id) di arrivo
+     * @returns {Object|null} { path, distance, jumps } oppure null se non raggiungibile
+     */
+    findRoute(from, to) {
+        const fromId = typeof from === 'string' ? from : from?.id;
+        const toId = typeof to === 'string' ? to : to?.id;
+        return findRoute(this.systems, fromId, toId);
+    }
+    
     /**
      * Aggiorna le posizioni dei pianeti nelle loro orbite
      * @param {number} deltaTime - Tempo trascorso dall'ultimo aggiornamento
@@ -205,6 +567,7 @@ export class UniverseGenerator {
     updatePlanetPositions(deltaTime) {
         // Controlliamo che esistano i pianeti prima di aggiornare
         if (!this.planets || this.planets.length === 0) return;
+        this.orbitTime += deltaTime;
         
         for (let i = 0; i < this.planets.length; i++) {
             const planet = this.planets[i];
@@ -226,6 +589,31 @@ export class UniverseGenerator {
         }
     }
     
+    /**
+     * Estrae risorse da una fascia di asteroidi
+     * @param {Object} belt - Fascia di asteroidi
+     * @param {number} miningPower - Potenza di estrazione del giocatore
+     * @returns {Object} Risultato con le risorse estratte per tipo (metallo = minerali, ghiaccio = energia)
+     */
+    mineAsteroidBelt(belt, miningPower) {
+        if (!belt || belt.bodyType !== BODY_TYPES.ASTEROID_BELT) {
+            return { success: false, message: "Nessuna fascia di asteroidi da estrarre.", resources: createResources() };
+        }
+        if (belt.remainingResources <= 0) {
+            return { success: false, message: `${belt.name} è esaurita.`, resources: createResources() };
+        }
+        
+        const amount = Math.min(belt.remainingResources, Math.round(10 + miningPower * 0.5));
+        belt.remainingResources -= amount;
+        const type = belt.composition === 'ice' ? RESOURCE_TYPES.ENERGY : RESOURCE_TYPES.MINERALS;
+        
+        return {
+            success: true,
+            message: `Estratte ${amount} unità di ${RESOURCE_LABELS[type].name.toLowerCase()} da ${belt.name}`,
+            resources: createResources({ [type]: amount })
+        };
+    }
+    
     /**
      * Trova il pianeta più vicino a una posizione data
      * @param {THREE.Vector3} position - La posizione da controllare
@@ -265,46 +653,77 @@ export class UniverseGenerator {
         
         return { system: nearestSystem, distance: nearestDistance };
     }
+}
+
+// Campi dei sistemi esclusi dai salvataggi differenziali (i pianeti si salvano a parte)
+const SYSTEM_SKIP_KEYS = ['planets'];
+
+// Campi dei pianeti ricavati da orbitTime, esclusi dai salvataggi differenziali
+const PLANET_ORBIT_KEYS = ['orbitAngle', 'localPosition', 'position'];
+
+/**
+ * Serializza campo per campo gli oggetti appena generati, indicizzati per id
+ * @param {Array<Object>} items - Sistemi, pianeti o corpi minori
+ * @param {Array<string>} skipKeys - Campi da ignorare
+ * @returns {Map<string, Object>} Per ogni id, i campi in formato JSON
+ */
+function captureBaseline(items, skipKeys = []) {
+    return new Map(items.map(item => {
+        const fields = {};
+        Object.entries(item).forEach(([key, value]) => {
+            if (!skipKeys.includes(key)) fields[key] = JSON.stringify(value);
+        });
+        return [item.id, fields];
+    }));
+}
+
+/**
+ * Confronta un oggetto campo per campo con il suo stato di partenza e restituisce solo i campi modificati
+ * @param {Object} current - Oggetto attuale
+ * @param {Object} original - Campi serializzati dell'oggetto appena generato (captureBaseline)
+ * @param {Array<string>} skipKeys - Campi da ignorare
+ * @returns {Object|null} Campi modificati o null se identici
+ */
+function diffFields(current, original, skipKeys = []) {
+    const changes = {};
+    let changed = false;
     
-    /**
-     * Conquista un pianeta
-     * @param {Object} planet - Il pianeta da conquistare
-     * @param {string} playerRace - La razza del giocatore
-     * @param {number} playerPower - La potenza del giocatore
-     */
-    conquerPlanet(planet, playerRace, playerPower) {
-        if (planet && !planet.isConquered) {
-            // Calcola probabilità di successo basata sulla potenza del giocatore rispetto alle difese del pianeta
-            const successChance = (playerPower / planet.defense) * 0.7;
-            const roll = Math.random();
-            
-            if (roll < successChance) {
-                planet.isConquered = true;
-                planet.conqueredBy = playerRace;
-                return {
-                    success: true,
-                    message: `Hai conquistato ${planet.name}!`,
-                    resources: planet.resources
-                };
-            } else {
-                return {
-                    success: false,
-                    message: `La conquista di ${planet.name} è fallita. Le difese del pianeta sono troppo forti!`,
-                    resources: 0
-                };
-            }
-        } else if (planet && planet.isConquered) {
-            return {
-                success: false,
-                message: `${planet.name} è già stato conquistato!`,
-                resources: 0
-            };
+    Object.keys(current).forEach(key => {
+        if (skipKeys.includes(key)) return;
+        if (JSON.stringify(current[key]) !== original?.[key]) {
+            changes[key] = current[key];
+            changed = true;
         }
-        
-        return {
-            success: false,
-            message: "Nessun pianeta da conquistare.",
-            resources: 0
-        };
-    }
-} 
\ No newline at end of file
+    });
+    
+    return changed ? changes : null;
+}
+
+/**
+ * Copia i campi di un oggetto convertendo i THREE.Vector3 in oggetti semplici
+ * @param {Object} source - Sistema o pianeta
+ */
+function toPlainFields(source) {
+    const fields = {};
+    Object.entries(source).forEach(([key, value]) => {
+        fields[key] = value?.isVector3 ? { x: value.x, y: value.y, z: value.z } : value;
+    });
+    return fields;
+}
+
+/**
+ * Applica a un oggetto i campi salvati, preservando le istanze di THREE.Vector3
+ * @param {Object} target - Oggetto da aggiornare
+ * @param {Object} changes - Campi da applicare
+ * @param {Array<string>} skipKeys - Campi da ignorare
+ */
+function applyFields(target, changes, skipKeys = []) {
+    Object.entries(changes).forEach(([key, value]) => {
+        if (skipKeys.includes(key)) return;
+        if (target[key]?.isVector3 && value) {
+            target[key].set(value.x, value.y, value.z);
+        } else {
+            target[key] = value;
+        }
+    });
+}
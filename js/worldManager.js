@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { SeededRandom } from './random.js';
+import { BODY_TYPES, STATION_ALLEGIANCE, RIVALS } from './constants.js';
 
 /**
  * World Manager
@@ -9,8 +11,19 @@ export class WorldManager {
         this.scene = scene;
         this.planetMeshes = [];
         this.starMeshes = [];
+        this.bodyMeshes = []; // Lune, fasce di asteroidi e stazioni
         this.activeEnemies = [];
         
+        // Altri oggetti dell'universo (luci, flare, orbite, starfield) da rimuovere al ricaricamento
+        this.universeObjects = [];
+        
+        // Iperrotte e rotta evidenziata
+        this.hyperlaneLines = null;
+        this.routeLine = null;
+        
+        // Colori dei domini per id dell'impero (planet.conqueredBy)
+        this.empireColors = {};
+        
         // Riferimenti LOD
         this.planetLODGeometries = {
             high: new THREE.SphereGeometry(1, 64, 64),
@@ -26,8 +39,12 @@ export class WorldManager {
      * Crea l'ambiente visivo dell'universo
      * @param {Array} systems - Array di sistemi stellari
      * @param {Array} planets - Array di pianeti
+     * @param {Array} bodies - Corpi minori (lune, fasce di asteroidi, stazioni)
      */
-    createUniverseVisuals(systems, planets) {
+    createUniverseVisuals(systems, planets, bodies = []) {
+        // Rimuove l'universo precedente (es. al caricamento di un salvataggio)
+        this.clearUniverseVisuals();
+        
         // Reset degli array
         this.planetMeshes = [];
         this.starMeshes = [];
@@ -39,8 +56,49 @@ export class WorldManager {
         // Crea le stelle
         this.createStars(systems);
         
+        // Crea le iperrotte tra i sistemi
+        this.createHyperlanes(systems);
+        
         // Crea i pianeti con LOD
         this.createPlanetsWithLOD(planets);
+        
+        // Crea lune, fasce di asteroidi e stazioni
+        this.createBodies(bodies);
+    }
+    
+    /**
+     * Rimuove dalla scena tutte le visuali create da createUniverseVisuals e ne libera le risorse GPU
+     */
+    clearUniverseVisuals() {
+        [...this.planetMeshes, ...this.starMeshes, ...this.bodyMeshes, ...this.universeObjects].forEach(object => {
+            if (object.parent) object.parent.remove(object);
+            this.disposeObject(object);
+        });
+        this.planetMeshes = [];
+        this.starMeshes = [];
+        this.bodyMeshes = [];
+        this.universeObjects = [];
+        this.hyperlaneLines = null;
+        this.clearRoute();
+    }
+    
+    /**
+     * Libera geometrie, materiali e texture di un oggetto e dei suoi figli
+     * Le geometrie LOD dei pianeti sono condivise e restano disponibili per il prossimo universo
+     * @param {THREE.Object3D} object - Oggetto già rimosso dalla scena
+     */
+    disposeObject(object) {
+        const sharedGeometries = Object.values(this.planetLODGeometries);
+        object.traverse(child => {
+            if (child.isInstancedMesh) child.dispose();
+            if (child.geometry && !sharedGeometries.includes(child.geometry)) child.geometry.dispose();
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.filter(Boolean).forEach(material => {
+                material.map?.dispose();
+                material.bumpMap?.dispose();
+                material.dispose();
+            });
+        });
     }
     
     /**
@@ -122,6 +180,7 @@ export class WorldManager {
         starField.userData.isStarfield = true;
         
         this.scene.add(starField);
+        this.universeObjects.push(starField);
         return starField;
     }
     
@@ -155,6 +214,7 @@ export class WorldManager {
             const starLight = new THREE.PointLight(system.starColor, 1.5, 0, 2);
             starLight.position.copy(system.position);
             this.scene.add(starLight);
+            this.universeObjects.push(starLight);
             
             // Aggiungi effetto flare alla stella
             this.createStarFlare(system.position, system.starColor, system.starSize * 2);
@@ -181,11 +241,89 @@ export class WorldManager {
                     orbit.rotation.x = Math.PI / 2;
                     orbit.position.copy(system.position);
                     this.scene.add(orbit);
+                    this.universeObjects.push(orbit);
                 });
             }
         });
     }
     
+    /**
+     * Crea le linee delle iperrotte (un'unica geometria per tutta la rete)
+     * @param {Array} systems - Sistemi stellari con iperrotte
+     */
+    createHyperlanes(systems) {
+        const byId = new Map(systems.map(system => [system.id, system]));
+        const vertices = [];
+        const colors = [];
+        const laneColor = new THREE.Color(0x3e78ff);
+        const chokepointColor = new THREE.Color(0xffcc00);
+        
+        systems.forEach(system => {
+            (system.hyperlanes || []).forEach(neighborId => {
+                // Ogni iperrotta è salvata su entrambi i sistemi: disegnala una volta sola
+                if (neighborId < system.id) return;
+                const neighbor = byId.get(neighborId);
+                if (!neighbor) return;
+                
+                vertices.push(system.position.x, system.position.y, system.position.z);
+                vertices.push(neighbor.position.x, neighbor.position.y, neighbor.position.z);
+                
+                // I colli di bottiglia colorano di giallo le rotte che li toccano
+                const startColor = system.isChokepoint ? chokepointColor : laneColor;
+                const endColor = neighbor.isChokepoint ? chokepointColor : laneColor;
+                colors.push(startColor.r, startColor.g, startColor.b, endColor.r, endColor.g, endColor.b);
+            });
+        });
+        
+        if (vertices.length === 0) return;
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        
+        const material = new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false
+        });
+        
+        this.hyperlaneLines = new THREE.LineSegments(geometry, material);
+        this.scene.add(this.hyperlaneLines);
+        this.universeObjects.push(this.hyperlaneLines);
+    }
+    
+    /**
+     * Evidenzia una rotta lungo le iperrotte
+     * @param {Array} path - Sistemi attraversati, in ordine (da findRoute)
+     */
+    showRoute(path) {
+        this.clearRoute();
+        if (!path || path.length < 2) return;
+        
+        const geometry = new THREE.BufferGeometry().setFromPoints(path.map(system => system.position));
+        const material = new THREE.LineBasicMaterial({
+            color: 0x00ffff,
+            transparent: true,
+            opacity: 0.9,
+            depthWrite: false
+        });
+        
+        this.routeLine = new THREE.Line(geometry, material);
+        this.scene.add(this.routeLine);
+    }
+    
+    /**
+     * Rimuove la rotta evidenziata
+     */
+    clearRoute() {
+        if (!this.routeLine) return;
+        this.scene.remove(this.routeLine);
+        this.routeLine.geometry.dispose();
+        this.routeLine.material.dispose();
+        this.routeLine = null;
+    }
+    
     /**
      * Crea effetto flare (bagliore) per le stelle
      * @param {THREE.Vector3} position - Posizione della stella
@@ -211,6 +349,7 @@ export class WorldManager {
         flare.userData.isFlare = true;
         
         this.scene.add(flare);
+        this.universeObjects.push(flare);
         return flare;
     }
     
@@ -340,6 +479,105 @@ export class WorldManager {
         });
     }
     
+    /**
+     * Crea le visuali dei corpi minori
+     * @param {Array} bodies - Lune, fasce di asteroidi e stazioni
+     */
+    createBodies(bodies) {
+        const moonGeometry = this.planetLODGeometries.low;
+        
+        bodies.forEach(body => {
+            let mesh = null;
+            switch (body.bodyType) {
+                case BODY_TYPES.MOON: {
+                    const material = new THREE.MeshPhongMaterial({ color: body.color, shininess: 5 });
+                    mesh = new THREE.Mesh(moonGeometry, material);
+                    mesh.position.copy(body.position);
+                    mesh.scale.setScalar(body.size);
+                    break;
+                }
+                case BODY_TYPES.ASTEROID_BELT:
+                    mesh = this.createAsteroidBelt(body);
+                    break;
+                case BODY_TYPES.STATION:
+                    mesh = this.createStation(body);
+                    break;
+            }
+            if (!mesh) return;
+            
+            mesh.userData.bodyData = body;
+            this.scene.add(mesh);
+            this.bodyMeshes.push(mesh);
+            this.updatePlanetVisuals(body);
+        });
+    }
+    
+    /**
+     * Crea una fascia di asteroidi come InstancedMesh (una sola draw call per fascia)
+     * @param {Object} belt - Dati della fascia
+     * @returns {THREE.InstancedMesh} Asteroidi della fascia
+     */
+    createAsteroidBelt(belt) {
+        const geometry = new THREE.IcosahedronGeometry(1, 0);
+        const material = new THREE.MeshPhongMaterial({
+            color: belt.composition === 'ice' ? 0xb8c8d8 : 0x7a6a5a,
+            flatShading: true,
+            transparent: true,
+            opacity: 1
+        });
+        const asteroids = new THREE.InstancedMesh(geometry, material, belt.asteroidCount);
+        
+        // Disposizione stabile tra una sessione e l'altra
+        const rng = new SeededRandom(belt.id);
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+        const euler = new THREE.Euler();
+        const scale = new THREE.Vector3();
+        
+        for (let i = 0; i < belt.asteroidCount; i++) {
+            const angle = rng.next() * Math.PI * 2;
+            const distance = belt.orbitRadius + (rng.next() - 0.5) * belt.width;
+            position.set(Math.cos(angle) * distance, (rng.next() - 0.5) * 2, Math.sin(angle) * distance);
+            rotation.setFromEuler(euler.set(rng.next() * Math.PI, rng.next() * Math.PI, 0));
+            scale.setScalar(0.2 + rng.next() * 0.6);
+            asteroids.setMatrixAt(i, matrix.compose(position, rotation, scale));
+        }
+        
+        asteroids.position.copy(belt.position);
+        asteroids.userData.spin = 0.01;
+        return asteroids;
+    }
+    
+    /**
+     * Crea una stazione spaziale (modulo centrale, anello abitativo e antenna)
+     * @param {Object} station - Dati della stazione
+     * @returns {THREE.Group} Gruppo della stazione
+     */
+    createStation(station) {
+        const hostile = station.allegiance === STATION_ALLEGIANCE.HOSTILE;
+        const hullMaterial = new THREE.MeshPhongMaterial({ color: 0x8a8f99, shininess: 40 });
+        const lightMaterial = new THREE.MeshBasicMaterial({ color: hostile ? 0xff3e3e : 0x3e78ff });
+        
+        const group = new THREE.Group();
+        
+        const core = new THREE.Mesh(new THREE.CylinderGeometry(0.5, 0.5, 2.5, 12), hullMaterial);
+        group.add(core);
+        
+        const ring = new THREE.Mesh(new THREE.TorusGeometry(1.6, 0.2, 8, 32), hullMaterial);
+        ring.rotation.x = Math.PI / 2;
+        group.add(ring);
+        
+        const beacon = new THREE.Mesh(new THREE.SphereGeometry(0.25, 8, 8), lightMaterial);
+        beacon.position.y = 1.5;
+        group.add(beacon);
+        
+        group.position.copy(station.position);
+        group.scale.setScalar(station.size);
+        group.userData.spin = 0.2;
+        return group;
+    }
+    
     /**
      * Crea l'atmosfera di un pianeta
      * @param {Object} planetData - Dati del pianeta
@@ -418,6 +656,11 @@ export class WorldManager {
             }
         });
         
+        // Rotazione di stazioni e fasce di asteroidi
+        this.bodyMeshes.forEach(mesh => {
+            if (mesh.userData.spin) mesh.rotation.y += mesh.userData.spin * delta;
+        });
+        
         // Aggiorna flare stelle
         this.scene.traverse(object => {
             if (object.userData && object.userData.isFlare) {
@@ -551,22 +794,30 @@ export class WorldManager {
     }
 
     /**
-     * Aggiorna gli effetti visivi di un pianeta
+     * Aggiorna gli effetti visivi di un pianeta o di un corpo minore
      * @param {Object} planet - Dati del pianeta da aggiornare
      */
     updatePlanetVisuals(planet) {
         const planetMesh = this.planetMeshes.find(mesh => 
             mesh.userData.planetData && mesh.userData.planetData.id === planet.id
-        );
+        ) || this.bodyMeshes.find(mesh => mesh.userData.bodyData.id === planet.id);
         
         if (!planetMesh) return;
         
-        // Aggiorna aura se il pianeta è conquistato
+        // Le fasce di asteroidi non si conquistano: sbiadiscono man mano che vengono estratte
+        if (planet.bodyType === BODY_TYPES.ASTEROID_BELT) {
+            planetMesh.material.opacity = 0.3 + 0.7 * (planet.remainingResources / planet.resources);
+            return;
+        }
+        
+        // Aggiorna aura se il pianeta è conquistato, con il colore dell'impero proprietario
         if (planet.isConquered) {
             if (!planetMesh.userData.aura) {
                 const aura = this.createPlanetAura(planet);
                 planetMesh.add(aura);
                 planetMesh.userData.aura = aura;
+            } else {
+                planetMesh.userData.aura.material.color.setHex(this.getEmpireColor(planet.conqueredBy));
             }
         } else if (planetMesh.userData.aura) {
             planetMesh.remove(planetMesh.userData.aura);
@@ -588,6 +839,22 @@ export class WorldManager {
         }
     }
 
+    /**
+     * Imposta i colori con cui mostrare i pianeti di ciascun impero
+     * @param {Object} colors - Colore per id dell'impero ({ player: 0x00ff00, 'rival-1': ... })
+     */
+    setEmpireColors(colors) {
+        this.empireColors = { ...colors };
+    }
+
+    /**
+     * Colore dei domini di un impero
+     * @param {string} empireId - Id dell'impero proprietario
+     */
+    getEmpireColor(empireId) {
+        return this.empireColors[empireId] ?? RIVALS.PLAYER_COLOR;
+    }
+
     /**
      * Crea un effetto aura per un pianeta conquistato
      * @param {Object} planet - Dati del pianeta
@@ -595,10 +862,10 @@ export class WorldManager {
      */
     createPlanetAura(planet) {
         const auraGeometry = new THREE.SphereGeometry(
-            planet.radius * 1.2, 32, 32
+            (planet.radius || 1) * 1.2, 32, 32
         );
         const auraMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ff00,
+            color: this.getEmpireColor(planet.conqueredBy),
             transparent: true,
             opacity: 0.2,
             side: THREE.BackSide
@@ -630,6 +897,15 @@ export class WorldManager {
                 child.visible = true;
             });
         });
+        
+        // Mostra i corpi minori
+        this.bodyMeshes.forEach(mesh => {
+            mesh.visible = true;
+        });
+        
+        // Mostra le iperrotte
+        if (this.hyperlaneLines) this.hyperlaneLines.visible = true;
+        if (this.routeLine) this.routeLine.visible = true;
     }
 
     /**
@@ -659,6 +935,15 @@ export class WorldManager {
                 });
             }
         });
+        
+        // Nascondi i corpi minori
+        this.bodyMeshes.forEach(mesh => {
+            mesh.visible = false;
+        });
+        
+        // Nascondi le iperrotte
+        if (this.hyperlaneLines) this.hyperlaneLines.visible = false;
+        if (this.routeLine) this.routeLine.visible = false;
     }
 
     /**